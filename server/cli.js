@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+
+'use strict'
+
+/**
+ * troparcel-server — admin CLI for rooms and tokens.
+ *
+ * Room commands open the server's LevelDB directly. LevelDB allows one
+ * process at a time, so when a running server holds the lock the CLI
+ * falls back to that server's admin API (/api/admin/rooms, authenticated
+ * with MONITOR_TOKEN or from localhost).
+ *
+ * Token commands edit the hashed token file (TOKENS_FILE); a running
+ * server reloads it within a few seconds and disconnects connections
+ * whose token was revoked.
+ *
+ * Environment variables (same as the server):
+ *   PERSISTENCE_DIR  - LevelDB directory (default: ./data)
+ *   TOKENS_FILE      - Token file (default: $PERSISTENCE_DIR/tokens.json)
+ *   PORT             - Port of a running server for the admin API fallback
+ *   MONITOR_TOKEN    - Admin API token of the running server
+ */
+
+const fs = require('fs')
+const path = require('path')
+const readline = require('readline')
+const roomStore = require('./rooms')
+const { TokenStore } = require('./tokens')
+
+const USAGE = `Usage: troparcel-server <command> [options]
+
+Rooms:
+  rooms list                                  List stored rooms
+  rooms inspect <room>                        Show size, items and schema version
+  rooms delete <room> [--yes]                 Delete a room and all its history
+  rooms export <room> --format yjs|json|wadm [--out file|-]
+                                              Export a room (default file: <room>.<format>);
+                                              wadm is a W3C Web Annotation collection
+  rooms import <room> <file.yjs>              Merge a Yjs update file into a room
+
+Tokens:
+  tokens list [room]                          List stored tokens (ids, never secrets)
+  tokens add <room> [--read] [--label text] [--token value]
+                                              Add a token (generated unless given)
+  tokens rotate <room> [--read]               Replace the room's write (or read) tokens
+  tokens revoke <room> [id] [--yes]           Revoke one token, or all tokens of the room
+
+Options:
+  --data <dir>           LevelDB directory (PERSISTENCE_DIR, default ./data)
+  --tokens <file>        Token file (TOKENS_FILE, default <data>/tokens.json)
+  --server <url>         Use a running server's admin API, e.g. http://localhost:2468
+  --monitor-token <t>    Admin API token (MONITOR_TOKEN)
+  --json                 Machine-readable output
+`
+
+const BOOLEAN_FLAGS = new Set(['yes', 'read', 'json', 'help'])
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  let positional = []
+  let flags = {}
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i]
+    if (arg === '-h') arg = '--help'
+    if (!arg.startsWith('--')) {
+      positional.push(arg)
+      continue
+    }
+    let eq = arg.indexOf('=')
+    let name = arg.slice(2, eq > 0 ? eq : undefined)
+    if (BOOLEAN_FLAGS.has(name)) {
+      flags[name] = true
+    } else if (eq > 0) {
+      flags[name] = arg.slice(eq + 1)
+    } else {
+      if (i + 1 >= argv.length) throw new UsageError(`--${name} needs a value`)
+      flags[name] = argv[++i]
+    }
+  }
+  return { positional, flags }
+}
+
+function dataDir(flags) {
+  return flags.data || process.env.PERSISTENCE_DIR || './data'
+}
+
+function tokensFile(flags) {
+  return flags.tokens || process.env.TOKENS_FILE || path.join(dataDir(flags), 'tokens.json')
+}
+
+// --- Room backends ---
+
+/**
+ * True when another process (a running server) holds the LevelDB lock.
+ */
+function isLocked(dir) {
+  let level = require('level')
+  return new Promise((resolve, reject) => {
+    level(dir, (err, db) => {
+      if (!err) {
+        db.close(() => resolve(false))
+        return
+      }
+      if (/lock/i.test(err.message + (err.cause ? err.cause.message : ''))) resolve(true)
+      else reject(err)
+    })
+  })
+}
+
+function localBackend(dir) {
+  const { LeveldbPersistence } = require('y-leveldb')
+  let ldb = new LeveldbPersistence(dir)
+  return {
+    list: () => roomStore.listRooms(ldb),
+    inspect: (room) => roomStore.inspectRoom(ldb, room),
+    delete: (room) => roomStore.deleteRoom(ldb, room),
+    export: (room, format) => roomStore.exportRoom(ldb, room, format),
+    import: (room, update) => roomStore.importRoom(ldb, room, update),
+    close: () => ldb.destroy()
+  }
+}
+
+function httpBackend(baseUrl, token) {
+  let base = baseUrl.replace(/\/+$/, '') + '/api/admin/rooms'
+
+  async function request(method, suffix, { query = {}, body, raw = false } = {}) {
+    let params = new URLSearchParams(query)
+    if (token) params.set('token', token)
+    let qs = params.toString()
+    let res = await fetch(`${base}${suffix}${qs ? '?' + qs : ''}`, { method, body })
+    if (res.status === 404 && method === 'GET' && !raw) return null
+    if (!res.ok) {
+      let message = `HTTP ${res.status}`
+      try { message = (await res.json()).error || message } catch { /* not JSON */ }
+      throw new Error(message)
+    }
+    return raw ? new Uint8Array(await res.arrayBuffer()) : res.json()
+  }
+
+  let roomPath = (room) => '/' + encodeURIComponent(room)
+  return {
+    list: async () => (await request('GET', '')).rooms,
+    inspect: (room) => request('GET', roomPath(room)),
+    delete: async (room) => {
+      try {
+        await request('DELETE', roomPath(room))
+        return true
+      } catch (err) {
+        if (/not found/i.test(err.message)) return false
+        throw err
+      }
+    },
+    export: (room, format) => request('GET', roomPath(room) + '/export',
+      { query: { format }, raw: format === 'yjs' }),
+    import: (room, update) => request('POST', roomPath(room) + '/import', { body: update }),
+    close: async () => {}
+  }
+}
+
+async function openRooms(flags, { create = false } = {}) {
+  let token = flags['monitor-token'] || process.env.MONITOR_TOKEN || ''
+  if (flags.server) return httpBackend(flags.server, token)
+
+  let dir = dataDir(flags)
+  if (!create && !fs.existsSync(dir)) {
+    throw new Error(`No server data at ${dir} — set --data or PERSISTENCE_DIR`)
+  }
+  if (fs.existsSync(dir) && await isLocked(dir)) {
+    let url = `http://localhost:${process.env.PORT || 2468}`
+    console.error(`${dir} is in use by a running server — using its admin API at ${url}`)
+    return httpBackend(url, token)
+  }
+  return localBackend(dir)
+}
+
+function confirm(question) {
+  if (!process.stdin.isTTY) return Promise.resolve(false)
+  let rl = readline.createInterface({ input: process.stdin, output: process.stderr })
+  return new Promise((resolve) => {
+    rl.question(`${question} [y/N] `, (answer) => {
+      rl.close()
+      resolve(/^y(es)?$/i.test(answer.trim()))
+    })
+  })
+}
+
+function print(flags, data, text) {
+  console.log(flags.json ? JSON.stringify(data, null, 2) : text)
+}
+
+// --- Commands ---
+
+async function roomsCommand(action, args, flags) {
+  let room = args[0]
+  if (action !== 'list' && !room) throw new UsageError(`rooms ${action} needs a room name`)
+
+  if (action === 'import') {
+    if (!args[1]) throw new UsageError('rooms import needs a .yjs file')
+    let update = new Uint8Array(fs.readFileSync(args[1]))
+    let backend = await openRooms(flags, { create: true })
+    try {
+      await backend.import(room, update)
+    } finally {
+      await backend.close()
+    }
+    print(flags, { room, bytes: update.length }, `Imported ${update.length} bytes into "${room}"`)
+    return 0
+  }
+
+  let backend = await openRooms(flags)
+  try {
+    switch (action) {
+      case 'list': {
+        let rooms = await backend.list()
+        print(flags, rooms, rooms.length === 0
+          ? 'No rooms stored'
+          : rooms.map(r => `${r.name}${r.encrypted ? '  (encrypted)' : ''}` +
+            (r.connections ? `  ${r.connections} connection(s)` : '')).join('\n'))
+        return 0
+      }
+      case 'inspect': {
+        let info = await backend.inspect(room)
+        if (!info) {
+          console.error(`Room "${room}" not found`)
+          return 1
+        }
+        console.log(JSON.stringify(info, null, 2))
+        return 0
+      }
+      case 'delete': {
+        if (!flags.yes && !(await confirm(`Delete room "${room}" and all its history?`))) {
+          console.error('Aborted (use --yes to skip confirmation)')
+          return 1
+        }
+        if (!(await backend.delete(room))) {
+          console.error(`Room "${room}" not found`)
+          return 1
+        }
+        print(flags, { room, deleted: true }, `Deleted room "${room}"`)
+        return 0
+      }
+      case 'export': {
+        let format = flags.format
+        if (!['yjs', 'json', 'wadm'].includes(format)) {
+          throw new UsageError('rooms export needs --format yjs, json or wadm')
+        }
+        let data = await backend.export(room, format)
+        let bytes = format === 'yjs' ? Buffer.from(data) : JSON.stringify(data, null, 2) + '\n'
+        let out = flags.out || `${room}.${format === 'wadm' ? 'jsonld' : format}`
+        if (out === '-') {
+          process.stdout.write(bytes)
+        } else {
+          fs.writeFileSync(out, bytes)
+          console.error(`Exported "${room}" to ${out}`)
+        }
+        return 0
+      }
+      default:
+        throw new UsageError(`Unknown rooms command "${action}"`)
+    }
+  } finally {
+    await backend.close()
+  }
+}
+
+async function tokensCommand(action, args, flags) {
+  let file = tokensFile(flags)
+  let store = new TokenStore(file).load()
+  let room = args[0]
+  let access = flags.read ? 'read' : 'write'
+  if (action !== 'list' && !room) throw new UsageError(`tokens ${action} needs a room name`)
+
+  switch (action) {
+    case 'list': {
+      let entries = store.list(room)
+      print(flags, entries, entries.length === 0
+        ? 'No tokens stored'
+        : entries.map(e => `${e.room}  ${e.id}  ${e.access}  ${e.created}` +
+          (e.label ? `  ${e.label}` : '')).join('\n'))
+      return 0
+    }
+    case 'add': {
+      let { id, token } = store.add(room, { access, label: flags.label || '', token: flags.token })
+      store.save()
+      print(flags, { room, id, access, token },
+        `Added ${access} token ${id} for "${room}":\n\n  ${token}\n\n` +
+        'Share it now — only its hash is stored.')
+      return 0
+    }
+    case 'rotate': {
+      let { id, token, removed } = store.rotate(room, { access, label: flags.label || '' })
+      store.save()
+      print(flags, { room, id, access, token, revoked: removed },
+        `Replaced ${removed} ${access} token(s) for "${room}" with ${id}:\n\n  ${token}\n\n` +
+        'Connections using the old token are closed once the server reloads.')
+      return 0
+    }
+    case 'revoke': {
+      let id = args[1]
+      if (!id && !flags.yes && !(await confirm(`Revoke all tokens of "${room}"?`))) {
+        console.error('Aborted (use --yes to skip confirmation)')
+        return 1
+      }
+      let removed = store.revoke(room, id)
+      if (removed === 0) {
+        console.error(id ? `No token ${id} for "${room}"` : `No tokens for "${room}"`)
+        return 1
+      }
+      store.save()
+      print(flags, { room, revoked: removed }, `Revoked ${removed} token(s) for "${room}"`)
+      return 0
+    }
+    default:
+      throw new UsageError(`Unknown tokens command "${action}"`)
+  }
+}
+
+async function run(argv) {
+  try {
+    let { positional, flags } = parseArgs(argv)
+    let [group, action, ...args] = positional
+    if (flags.help || !group) {
+      console.log(USAGE)
+      return flags.help ? 0 : 2
+    }
+    if (!action) throw new UsageError(`${group} needs a subcommand`)
+    if (group === 'rooms') return await roomsCommand(action, args, flags)
+    if (group === 'tokens') return await tokensCommand(action, args, flags)
+    throw new UsageError(`Unknown command "${group}"`)
+  } catch (err) {
+    if (err instanceof UsageError) {
+      console.error(`${err.message}\n\n${USAGE}`)
+      return 2
+    }
+    console.error(`Error: ${err.message}`)
+    return 1
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then((code) => { process.exitCode = code })
+}
+
+module.exports = { run, parseArgs }
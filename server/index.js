@@ -9,22 +9,30 @@
  *
  * Uses y-websocket's sync protocol for Yjs document synchronization,
  * y-leveldb for persistent CRDT state, and adds:
- *   - Room-token authentication (timing-safe comparison)
+ *   - Room-token authentication (timing-safe comparison) with separate
+ *     read-write and read-only tokens
  *   - Per-IP connection rate limiting
  *   - Periodic LevelDB compaction (6h) with time-based tombstone purge
+ *   - Versioned room history (periodic snapshots, diffs, point-in-time restore)
+ *   - End-to-end encrypted rooms (opaque blob relay, client checkpoints)
  *   - Health/status REST endpoints
  *   - SSE live activity streams
  *   - HTML monitor dashboard
  *
  * Usage:
  *   node server/index.js
+ *   troparcel-server --help      (admin CLI, see cli.js)
  *   PORT=2468 AUTH_TOKENS=room1:secret1,room2:secret2 node server/index.js
+ *   AUTH_TOKENS=room1:secret1 READ_TOKENS=room1:viewonly1 node server/index.js
  *
  * Environment variables:
  *   PORT              - Listen port (default: 2468)
  *   HOST              - Bind address (default: 0.0.0.0)
  *   PERSISTENCE_DIR   - LevelDB directory (default: ./data)
- *   AUTH_TOKENS       - Comma-separated room:token pairs
+ *   AUTH_TOKENS       - Comma-separated room:token pairs (read-write access)
+ *   READ_TOKENS       - Comma-separated room:token pairs (read-only access)
+ *   TOKENS_FILE       - Hashed token file managed by `troparcel-server tokens`,
+ *                       hot-reloaded (default: $PERSISTENCE_DIR/tokens.json)
  *   MAX_ROOMS         - Max concurrent rooms (default: 100)
  *   MAX_CONNS_PER_IP  - Max WebSocket connections per IP (default: 10)
  *   MONITOR_ORIGIN    - Allowed CORS origin for monitor API
@@ -33,14 +41,22 @@
  *   MIN_TOKEN_LENGTH  - Minimum token length for security (default: 16)
  *   COMPACTION_HOURS  - Hours between LevelDB compaction runs (default: 6)
  *   TOMBSTONE_MAX_DAYS - Days to keep tombstones before purging (default: 30)
+ *   VERSION_INTERVAL_MINUTES - Minutes between room snapshots; 0 disables
+ *                       scheduled snapshots (default: 60)
+ *   VERSION_RETENTION_DAYS - Days to keep room snapshots (default: 14)
  */
 
 const crypto = require('crypto')
 const http = require('http')
+const path = require('path')
 const WebSocket = require('ws')
 const Y = require('yjs')
-const { setupWSConnection, getYDoc, setPersistence } = require('y-websocket/bin/utils')
+const { setupWSConnection, getYDoc, setPersistence, docs } = require('y-websocket/bin/utils')
 const { LeveldbPersistence } = require('y-leveldb')
+const roomStore = require('./rooms')
+const versionStore = require('./versions')
+const subdocs = require('./subdocs')
+const { TokenStore } = require('./tokens')
 
 // --- Configuration ---
 
@@ -55,12 +71,22 @@ const MAX_ACTIVITY_LOG = parseInt(process.env.MAX_ACTIVITY_LOG, 10) || 200
 const MIN_TOKEN_LENGTH = parseInt(process.env.MIN_TOKEN_LENGTH, 10) || 16
 const COMPACTION_HOURS = parseInt(process.env.COMPACTION_HOURS, 10) || 6
 const TOMBSTONE_MAX_DAYS = parseInt(process.env.TOMBSTONE_MAX_DAYS, 10) || 30
+const VERSION_INTERVAL_MINUTES = parseNonNegative(process.env.VERSION_INTERVAL_MINUTES, 60)
+const VERSION_RETENTION_DAYS = parseNonNegative(process.env.VERSION_RETENTION_DAYS, 14)
+const TOKENS_FILE = process.env.TOKENS_FILE || path.join(PERSISTENCE_DIR, 'tokens.json')
+
+// Like parseInt(…) || default, but 0 is a valid setting and fractions are kept
+function parseNonNegative(value, fallback) {
+  let n = parseFloat(value)
+  return Number.isFinite(n) && n >= 0 ? n : fallback
+}
 
 // --- Auth token parsing ---
 
-const AUTH_TOKENS = new Map()
-if (process.env.AUTH_TOKENS) {
-  for (let pair of process.env.AUTH_TOKENS.split(',')) {
+function parseTokenPairs(value) {
+  let tokens = new Map()
+  if (!value) return tokens
+  for (let pair of value.split(',')) {
     let idx = pair.indexOf(':')
     if (idx > 0) {
       let room = pair.slice(0, idx).trim()
@@ -71,10 +97,30 @@ if (process.env.AUTH_TOKENS) {
             `Warning: token for room "${room}" is shorter than ${MIN_TOKEN_LENGTH} characters`
           )
         }
-        AUTH_TOKENS.set(room, token)
+        tokens.set(room, token)
       }
     }
   }
+  return tokens
+}
+
+// Read-write tokens; a room may additionally have a read-only token
+const AUTH_TOKENS = parseTokenPairs(process.env.AUTH_TOKENS)
+const READ_TOKENS = parseTokenPairs(process.env.READ_TOKENS)
+
+for (let [room, token] of READ_TOKENS) {
+  if (AUTH_TOKENS.get(room) === token) {
+    console.warn(`Warning: room "${room}" uses the same token for read and write access`)
+  }
+}
+
+// Hashed tokens from TOKENS_FILE, in addition to the environment tokens
+const tokenStore = new TokenStore(TOKENS_FILE)
+try {
+  tokenStore.load()
+} catch (e) {
+  console.error(e.message)
+  process.exit(1)
 }
 
 function safeTokenCompare(a, b) {
@@ -88,6 +134,25 @@ function safeTokenCompare(a, b) {
   return crypto.timingSafeEqual(bufA, bufB)
 }
 
+/**
+ * Access level a token grants for a room: 'write', 'read' or null.
+ * Rooms without any configured token are open for writing.
+ */
+function roomAccess(roomName, token) {
+  let writeToken = AUTH_TOKENS.get(roomName)
+  let readToken = READ_TOKENS.get(roomName)
+  if (!writeToken && !readToken && !tokenStore.hasRoom(roomName)) return 'write'
+  if (writeToken && safeTokenCompare(writeToken, token)) return 'write'
+  let stored = tokenStore.access(roomName, token)
+  if (stored === 'write') return 'write'
+  if (readToken && safeTokenCompare(readToken, token)) return 'read'
+  return stored
+}
+
+function roomRequiresAuth(roomName) {
+  return AUTH_TOKENS.has(roomName) || READ_TOKENS.has(roomName) || tokenStore.hasRoom(roomName)
+}
+
 // --- LevelDB persistence ---
 
 const ldb = new LeveldbPersistence(PERSISTENCE_DIR)
@@ -125,6 +190,197 @@ setPersistence({
   }
 })
 
+// --- End-to-end encrypted rooms ---
+//
+// Clients connecting with ?e2e=1 seal every Yjs update and awareness
+// message with a key derived from the room passphrase. For those rooms
+// the server never builds a Y.Doc: it numbers each update frame, stores
+// it as LevelDB document metadata and relays it; awareness frames are
+// relayed only. The server cannot merge ciphertext, so compaction is
+// client-driven — a client uploads an encrypted checkpoint covering
+// seq N, which replaces every stored frame up to N.
+//
+// Wire protocol (see src/adapters/encrypted.js), seq = uint32 BE:
+//   client → server                    server → client
+//   UPDATE     [0][frame]              UPDATE     [0][seq][frame]
+//   AWARENESS  [1][frame]              AWARENESS  [1][frame]
+//   CHECKPOINT [2][coversSeq][frame]   CHECKPOINT [2][seq][frame]
+//                                      SYNCED     [3][lastSeq]
+//                                      CHECKPOINTED [4][seq]
+
+const E2E_MSG_UPDATE = 0
+const E2E_MSG_AWARENESS = 1
+const E2E_MSG_CHECKPOINT = 2
+const E2E_MSG_SYNCED = 3
+const E2E_MSG_CHECKPOINTED = 4
+
+const encryptedRooms = new Set()
+const e2eRooms = new Map() // roomName -> Promise<{ lastSeq, checkpoint, frames, peers }>
+
+async function loadEncryptedRooms() {
+  try {
+    for (let name of await roomStore.listEncryptedRooms(ldb)) encryptedRooms.add(name)
+  } catch (e) {
+    console.error('Failed to load encrypted room registry:', e.message)
+  }
+}
+
+function e2eFrameKey(seq) {
+  return 'e2e:u:' + String(seq).padStart(10, '0')
+}
+
+function loadE2eRoom(roomName) {
+  if (!e2eRooms.has(roomName)) {
+    e2eRooms.set(roomName, (async () => {
+      let metas = await ldb.getMetas(roomName)
+      let frames = new Map()
+      for (let [key, value] of metas) {
+        if (key.startsWith('e2e:u:')) frames.set(Number(key.slice(6)), value)
+      }
+      return {
+        lastSeq: metas.get('e2e:seq') || 0,
+        checkpoint: metas.get('e2e:checkpoint') || null,
+        frames,
+        peers: new Set()
+      }
+    })())
+  }
+  return e2eRooms.get(roomName)
+}
+
+function e2eMessage(type, seq, frame) {
+  let header = seq == null ? 1 : 5
+  let msg = Buffer.alloc(header + (frame ? frame.length : 0))
+  msg[0] = type
+  if (seq != null) msg.writeUInt32BE(seq, 1)
+  if (frame) msg.set(frame, header)
+  return msg
+}
+
+function e2eSend(ws, msg) {
+  if (ws.readyState === WebSocket.OPEN) ws.send(msg)
+}
+
+/**
+ * Serve an e2e connection: replay checkpoint + stored frames, then
+ * relay. Messages arriving before the replay are queued.
+ */
+function setupE2eConnection(ws, roomName, meta) {
+  let state = null
+  let queue = []
+
+  // Keepalive, as y-websocket does for plaintext rooms
+  let alive = true
+  ws.on('pong', () => { alive = true })
+  let pingTimer = setInterval(() => {
+    if (!alive) {
+      ws.terminate()
+      return
+    }
+    alive = false
+    try { ws.ping() } catch { ws.terminate() }
+  }, 30000)
+
+  ws.on('message', (data) => {
+    if (state) handleE2eMessage(ws, roomName, meta, state, data)
+    else queue.push(data)
+  })
+  ws.on('close', () => {
+    clearInterval(pingTimer)
+    if (state) state.peers.delete(ws)
+  })
+
+  ;(async () => {
+    if (!encryptedRooms.has(roomName)) {
+      // Never mix modes: a room with plaintext state stays plaintext
+      let plain = meta.updateHooked || (await ldb.getAllDocNames()).includes(roomName)
+      if (plain) {
+        ws.close(4004, 'Room is not end-to-end encrypted')
+        return
+      }
+      encryptedRooms.add(roomName)
+      await roomStore.saveEncryptedRooms(ldb, encryptedRooms)
+    }
+
+    let room = await loadE2eRoom(roomName)
+    if (ws.readyState !== WebSocket.OPEN) return
+
+    if (room.checkpoint) {
+      e2eSend(ws, e2eMessage(E2E_MSG_CHECKPOINT, room.checkpoint.seq, room.checkpoint.data))
+    }
+    for (let seq of [...room.frames.keys()].sort((a, b) => a - b)) {
+      e2eSend(ws, e2eMessage(E2E_MSG_UPDATE, seq, room.frames.get(seq)))
+    }
+    e2eSend(ws, e2eMessage(E2E_MSG_SYNCED, room.lastSeq))
+
+    state = room
+    state.peers.add(ws)
+    for (let data of queue) handleE2eMessage(ws, roomName, meta, state, data)
+    queue = null
+  })().catch((e) => {
+    console.error(`E2E setup failed for "${roomName}": ${e.message}`)
+    ws.close(1011, 'Internal error')
+  })
+}
+
+function handleE2eMessage(ws, roomName, meta, state, data) {
+  let msg = new Uint8Array(data)
+  if (msg.length < 1) return
+  let type = msg[0]
+
+  if (type === E2E_MSG_UPDATE || type === E2E_MSG_CHECKPOINT) {
+    let info = connInfo.get(ws)
+    if (info && info.access === 'read') {
+      reportBlockedWrite(ws, roomName, type === E2E_MSG_UPDATE ? 'update' : 'checkpoint')
+      return
+    }
+  }
+
+  if (type === E2E_MSG_UPDATE) {
+    let frame = msg.slice(1)
+    let seq = ++state.lastSeq
+    state.frames.set(seq, frame)
+    Promise.all([
+      ldb.setMeta(roomName, e2eFrameKey(seq), frame),
+      ldb.setMeta(roomName, 'e2e:seq', seq)
+    ]).catch((e) => {
+      console.error(`[e2e] Room "${roomName}": could not store frame ${seq}: ${e.message}`)
+    })
+    meta.totalSyncs++
+    meta.lastActivity = new Date()
+    // Echoed to the sender too, so every peer sees the same seq order
+    let out = e2eMessage(E2E_MSG_UPDATE, seq, frame)
+    for (let peer of state.peers) e2eSend(peer, out)
+  } else if (type === E2E_MSG_AWARENESS) {
+    for (let peer of state.peers) {
+      if (peer !== ws) e2eSend(peer, data)
+    }
+  } else if (type === E2E_MSG_CHECKPOINT && msg.length > 5) {
+    let covers = Buffer.from(msg.buffer, msg.byteOffset, msg.length).readUInt32BE(1)
+    // A checkpoint may only replace frames the client has seen, and
+    // must be newer than the one it replaces
+    if (covers > state.lastSeq) return
+    if (state.checkpoint && covers <= state.checkpoint.seq) return
+
+    state.checkpoint = { seq: covers, data: msg.slice(5) }
+    let replaced = [...state.frames.keys()].filter(seq => seq <= covers)
+    for (let seq of replaced) state.frames.delete(seq)
+    let dropped = replaced.length
+    // Stored frames go only once the checkpoint replacing them is stored
+    ldb.setMeta(roomName, 'e2e:checkpoint', state.checkpoint)
+      .then(() => Promise.all(replaced.map(seq => ldb.delMeta(roomName, e2eFrameKey(seq)))))
+      .catch((e) => {
+        console.error(`[e2e] Room "${roomName}": could not store checkpoint ${covers}: ${e.message}`)
+      })
+    let out = e2eMessage(E2E_MSG_CHECKPOINTED, covers)
+    for (let peer of state.peers) {
+      if (peer !== ws) e2eSend(peer, out)
+    }
+    console.log(`[e2e] Room "${roomName}": checkpoint at seq ${covers} replaced ${dropped} frame(s)`)
+    logRoomEvent(roomName, { type: 'checkpoint', seq: covers, dropped })
+  }
+}
+
 // --- Rate limiting ---
 
 const connsByIp = new Map()
@@ -157,6 +413,7 @@ function sanitizeRoomName(raw) {
 
 const roomMeta = new Map()
 const roomConns = new Map() // roomName -> Set<ws>
+const changedRooms = new Set() // rooms updated since the last scheduled snapshot
 
 function getRoomMeta(name) {
   if (!roomMeta.has(name)) {
@@ -237,6 +494,357 @@ function checkMonitorAuth(req, res) {
   return true
 }
 
+// --- Read-only enforcement ---
+
+// Per-connection details for /api/rooms: { ip, access, e2e, connectedAt, blockedWrites }
+const connInfo = new WeakMap()
+
+// Token each connection authenticated with, re-checked when the token
+// file changes. Kept out of connInfo so the API never exposes it.
+const connTokens = new WeakMap()
+
+// y-websocket message framing: varUint message type, then for sync
+// messages a varUint sync type. All values are < 128, so each is one byte.
+const YWS_MESSAGE_SYNC = 0
+const YWS_SYNC_STEP_2 = 1
+const YWS_SYNC_UPDATE = 2
+
+function isYjsWrite(message) {
+  return message.length > 1 &&
+    message[0] === YWS_MESSAGE_SYNC &&
+    (message[1] === YWS_SYNC_STEP_2 || message[1] === YWS_SYNC_UPDATE)
+}
+
+/**
+ * Record a write attempt on a read-only connection. Logged once per
+ * connection; later attempts only bump the counter.
+ */
+function reportBlockedWrite(ws, roomName, kind) {
+  let info = connInfo.get(ws)
+  if (!info) return
+  info.blockedWrites++
+  if (info.blockedWrites === 1) {
+    console.warn(
+      `Dropped ${kind} from read-only connection in "${roomName}" (${info.ip}); ` +
+      'further writes from this connection are dropped silently')
+  }
+  logRoomEvent(roomName, {
+    type: 'blocked-write',
+    ip: info.ip,
+    message: kind,
+    count: info.blockedWrites
+  })
+}
+
+/**
+ * Filter the 'message' listener y-websocket installs on a read-only
+ * connection so sync-step-2 and update messages never reach the doc.
+ * Sync-step-1 (state requests) and awareness still pass, so readers get
+ * the live document and show up as peers.
+ */
+function guardReadOnly(ws, roomName) {
+  let on = ws.on.bind(ws)
+  ws.on = (event, listener) => {
+    if (event !== 'message') return on(event, listener)
+    return on(event, (data, isBinary) => {
+      let message = new Uint8Array(data)
+      if (isYjsWrite(message)) {
+        reportBlockedWrite(ws, roomName,
+          message[1] === YWS_SYNC_STEP_2 ? 'sync-step-2' : 'update')
+        return
+      }
+      listener(data, isBinary)
+    })
+  }
+}
+
+// v5 item subdocs, relayed over the room connections (see subdocs.js).
+// Their writes count as activity of the room.
+const subdocRelay = new subdocs.SubdocRelay(ldb, docs, {
+  onUpdate: (roomName) => {
+    let meta = roomMeta.get(roomName)
+    if (meta) {
+      meta.totalSyncs++
+      meta.lastActivity = new Date()
+    }
+    changedRooms.add(roomName)
+  },
+  onBlockedWrite: reportBlockedWrite
+})
+
+/**
+ * Re-check every open connection after the token file changed. Revoked
+ * tokens are disconnected (4001); connections whose access level changed
+ * are closed with 4006 so the client reconnects with its new level.
+ */
+function enforceTokens() {
+  let closed = 0
+  roomConns.forEach((conns, roomName) => {
+    for (let ws of conns) {
+      let info = connInfo.get(ws)
+      let access = roomAccess(roomName, connTokens.get(ws) || '')
+      if (info && access === info.access) continue
+      if (access) ws.close(4006, 'Access level changed')
+      else ws.close(4001, 'Token revoked')
+      closed++
+    }
+  })
+  return closed
+}
+
+// --- Admin API ---
+//
+// Room lifecycle for the troparcel-server CLI while this process holds
+// the LevelDB lock. Requires MONITOR_TOKEN when set; otherwise only
+// loopback clients are allowed, since these endpoints delete data.
+
+const MAX_IMPORT_BYTES = 100 * 1024 * 1024
+const LOOPBACK_ADDRESSES = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1'])
+
+function checkAdminAuth(req, res) {
+  if (MONITOR_TOKEN) return checkMonitorAuth(req, res)
+  if (LOOPBACK_ADDRESSES.has(req.socket.remoteAddress)) return true
+  res.writeHead(403)
+  jsonReply(res, { error: 'Admin API is only available from localhost unless MONITOR_TOKEN is set' })
+  return false
+}
+
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    let chunks = []
+    let size = 0
+    req.on('data', (chunk) => {
+      size += chunk.length
+      if (size > limit) {
+        reject(Object.assign(new Error(`Body exceeds ${limit} bytes`), { code: 'BAD_INPUT' }))
+        req.destroy()
+        return
+      }
+      chunks.push(chunk)
+    })
+    req.on('end', () => resolve(Buffer.concat(chunks)))
+    req.on('error', reject)
+  })
+}
+
+/**
+ * Close every connection to a room and evict its in-memory doc, so a
+ * delete is not undone by y-websocket flushing the doc afterwards.
+ */
+async function disconnectRoom(roomName, reason) {
+  let conns = roomConns.get(roomName)
+  let count = conns ? conns.size : 0
+  if (conns) {
+    for (let ws of conns) ws.close(4005, reason)
+  }
+  // y-websocket drops the doc once the last connection's state is written
+  for (let i = 0; i < 60 && docs.has(roomName); i++) {
+    await new Promise(resolve => setTimeout(resolve, 50))
+  }
+  let doc = docs.get(roomName)
+  if (doc) {
+    docs.delete(roomName)
+    doc.destroy()
+  }
+  await subdocRelay.settle(roomName)
+  let meta = roomMeta.get(roomName)
+  if (meta) meta.updateHooked = false
+  e2eRooms.delete(roomName)
+  return count
+}
+
+const ROOM_ERROR_STATUS = {
+  ROOM_NOT_FOUND: 404, VERSION_NOT_FOUND: 404, ROOM_ENCRYPTED: 409, BAD_INPUT: 400
+}
+
+async function handleAdmin(req, res, url, roomName, action) {
+  try {
+    if (!roomName && req.method === 'GET') {
+      let list = await roomStore.listRooms(ldb)
+      for (let room of list) {
+        let conns = roomConns.get(room.name)
+        room.connections = conns ? conns.size : 0
+      }
+      jsonReply(res, { rooms: list, count: list.length })
+      return
+    }
+
+    if (roomName && !action && req.method === 'GET') {
+      let info = await roomStore.inspectRoom(ldb, roomName, docs)
+      if (!info) {
+        res.writeHead(404)
+        jsonReply(res, { error: 'Room not found' })
+        return
+      }
+      info.clients = describeConnections(roomConns.get(roomName))
+      jsonReply(res, info)
+      return
+    }
+
+    if (roomName && !action && req.method === 'DELETE') {
+      let disconnected = await disconnectRoom(roomName, 'Room deleted')
+      let existed = await roomStore.deleteRoom(ldb, roomName)
+      encryptedRooms.delete(roomName)
+      if (!existed) {
+        res.writeHead(404)
+        jsonReply(res, { error: 'Room not found' })
+        return
+      }
+      console.log(`[admin] Room "${roomName}" deleted (${disconnected} connection(s) closed)`)
+      jsonReply(res, { status: 'deleted', room: roomName, disconnected })
+      return
+    }
+
+    if (action === 'export' && req.method === 'GET') {
+      let format = url.searchParams.get('format') || 'yjs'
+      let data = await roomStore.exportRoom(ldb, roomName, format, docs)
+      if (format === 'yjs') {
+        res.setHeader('Content-Type', 'application/octet-stream')
+        res.writeHead(200)
+        res.end(Buffer.from(data))
+      } else {
+        jsonReply(res, data)
+      }
+      return
+    }
+
+    if (action === 'import' && req.method === 'POST') {
+      let body = await readBody(req, MAX_IMPORT_BYTES)
+      let result = await roomStore.importRoom(ldb, roomName, new Uint8Array(body), docs)
+      console.log(`[admin] Imported ${result.bytes} byte(s) into "${roomName}"`)
+      jsonReply(res, { status: 'imported', room: roomName, bytes: result.bytes })
+      return
+    }
+
+    res.writeHead(405)
+    jsonReply(res, { error: 'Method not allowed' })
+  } catch (e) {
+    res.writeHead(ROOM_ERROR_STATUS[e.code] || 500)
+    jsonReply(res, { error: e.message })
+  }
+}
+
+// --- Version history API ---
+//
+// Reading versions needs monitor access; restoring rewrites the live
+// room for everyone, so it needs admin access like delete and import.
+// The same goes for a revert: planning one (GET) is a read, applying
+// it (POST) is a write.
+
+async function handleVersions(req, res, url, roomName, action, id) {
+  let restore = action === 'restore'
+  let admin = restore || (action === 'revert' && req.method === 'POST')
+  if (!(admin ? checkAdminAuth(req, res) : checkMonitorAuth(req, res))) return
+  if (encryptedRooms.has(roomName)) {
+    res.writeHead(409)
+    jsonReply(res, {
+      error: 'Room is end-to-end encrypted',
+      message: 'The server cannot read encrypted rooms, so it keeps no versions of them'
+    })
+    return
+  }
+
+  try {
+    // What changed between two versions (or a version and now)
+    if (action === 'diff') {
+      let from = url.searchParams.get('from')
+      if (req.method !== 'GET') {
+        res.writeHead(405)
+        jsonReply(res, { error: 'Method not allowed' })
+        return
+      }
+      if (!from) {
+        res.writeHead(400)
+        jsonReply(res, { error: 'Missing "from" version' })
+        return
+      }
+      jsonReply(res, await versionStore.diffVersions(ldb, roomName, from, url.searchParams.get('to'), docs))
+      return
+    }
+
+    // Undo one collaborator's writes since ?since= (a push sequence
+    // number or a time): GET plans (dry run), POST applies
+    if (action === 'revert') {
+      let author = url.searchParams.get('author')
+      let raw = url.searchParams.get('since') || ''
+      let since = /^\d+$/.test(raw) ? { pushSeq: Number(raw) } : { time: Date.parse(raw) }
+      if (req.method !== 'GET' && req.method !== 'POST') {
+        res.writeHead(405)
+        jsonReply(res, { error: 'Method not allowed' })
+        return
+      }
+      if (!author || Number.isNaN(since.time)) {
+        res.writeHead(400)
+        jsonReply(res, { error: 'Need "author" and "since" (push sequence number or time)' })
+        return
+      }
+      let dryRun = req.method === 'GET'
+      let result = await versionStore.revertAuthor(ldb, roomName, author, since, docs, {
+        dryRun, by: url.searchParams.get('by') || 'operator'
+      })
+      if (!dryRun && result.applied > 0) {
+        changedRooms.add(roomName)
+        console.log(`[versions] Room "${roomName}": reverted ${result.applied} change(s) by ${author} (${result.bytes} byte update)`)
+        logRoomEvent(roomName, { type: 'revert', author, applied: result.applied, bytes: result.bytes })
+      }
+      jsonReply(res, { status: dryRun ? 'planned' : 'reverted', ...result })
+      return
+    }
+
+    if (restore && id && req.method === 'POST') {
+      let result = await versionStore.restoreVersion(ldb, roomName, id, docs)
+      changedRooms.add(roomName)
+      console.log(`[versions] Room "${roomName}" restored to ${id} (${result.bytes} byte update)`)
+      logRoomEvent(roomName, { type: 'restore', version: id, bytes: result.bytes })
+      jsonReply(res, {
+        status: 'restored',
+        room: roomName,
+        version: result.restored,
+        backup: result.backup,
+        bytes: result.bytes
+      })
+      return
+    }
+
+    if (!restore && !id && req.method === 'GET') {
+      let versions = await versionStore.listVersions(ldb, roomName)
+      jsonReply(res, { room: roomName, versions, count: versions.length })
+      return
+    }
+
+    // Manual snapshot, e.g. before a risky bulk edit
+    if (!restore && !id && req.method === 'POST') {
+      let version = await versionStore.createVersion(ldb, roomName, docs, {
+        reason: 'manual', label: url.searchParams.get('label') || '', force: true
+      })
+      jsonReply(res, { status: 'created', room: roomName, version })
+      return
+    }
+
+    if (!restore && id && req.method === 'GET') {
+      let { version, doc } = await versionStore.getVersion(ldb, roomName, id)
+      try {
+        if (url.searchParams.get('format') === 'yjs') {
+          res.setHeader('Content-Type', 'application/octet-stream')
+          res.writeHead(200)
+          res.end(Buffer.from(Y.encodeStateAsUpdate(doc)))
+        } else {
+          jsonReply(res, { room: roomName, version, snapshot: versionStore.snapshotToJSON(doc) })
+        }
+      } finally {
+        doc.destroy()
+      }
+      return
+    }
+
+    res.writeHead(405)
+    jsonReply(res, { error: 'Method not allowed' })
+  } catch (e) {
+    res.writeHead(ROOM_ERROR_STATUS[e.code] || 500)
+    jsonReply(res, { error: e.message })
+  }
+}
+
 // --- WebSocket connection handler ---
 
 function handleConnection(ws, req) {
@@ -252,15 +860,20 @@ function handleConnection(ws, req) {
   let rawRoom = decodeURIComponent(url.pathname.slice(1)) || 'default'
   let roomName = sanitizeRoomName(rawRoom)
   let token = url.searchParams.get('token') || ''
+  let e2e = url.searchParams.get('e2e') === '1'
 
   // Auth check
-  if (AUTH_TOKENS.size > 0) {
-    let expected = AUTH_TOKENS.get(roomName)
-    if (expected && !safeTokenCompare(expected, token)) {
-      console.warn(`Auth failed for room "${roomName}" from ${ip}`)
-      ws.close(4001, 'Unauthorized')
-      return
-    }
+  let access = roomAccess(roomName, token)
+  if (!access) {
+    console.warn(`Auth failed for room "${roomName}" from ${ip}`)
+    ws.close(4001, 'Unauthorized')
+    return
+  }
+
+  // A plaintext client would overwrite ciphertext it cannot read
+  if (!e2e && encryptedRooms.has(roomName)) {
+    ws.close(4004, 'Room is end-to-end encrypted — set the room passphrase')
+    return
   }
 
   // Rate limit check
@@ -282,25 +895,52 @@ function handleConnection(ws, req) {
   let meta = getRoomMeta(roomName)
   let conns = getRoomConns(roomName)
   conns.add(ws)
+  connInfo.set(ws, {
+    ip: maskIp(ip),
+    access,
+    e2e,
+    connectedAt: new Date(),
+    blockedWrites: 0
+  })
+  connTokens.set(ws, token)
 
-  // Hook into doc updates for sync counting (once per room)
-  if (!meta.updateHooked) {
-    meta.updateHooked = true
-    let doc = getYDoc(roomName)
-    doc.on('update', () => {
-      meta.totalSyncs++
-      meta.lastActivity = new Date()
+  console.log(
+    `+conn: "${roomName}" (${conns.size} total) from ${ip} [${access}${e2e ? ', e2e' : ''}]`)
+
+  if (access === 'read' && !e2e) guardReadOnly(ws, roomName)
+
+  if (!e2e) {
+    // Item subdocs of v5 rooms; y-websocket ignores this message type
+    ws.on('message', (data) => {
+      let info = connInfo.get(ws)
+      subdocRelay.handleMessage(ws, roomName, new Uint8Array(data), !info || info.access === 'read')
     })
+    ws.on('close', () => subdocRelay.closeConnection(ws))
   }
 
-  console.log(`+conn: "${roomName}" (${conns.size} total) from ${ip}`)
+  if (e2e) {
+    // Opaque relay — never touches a Y.Doc
+    setupE2eConnection(ws, roomName, meta)
+  } else {
+    // Hook into doc updates for sync counting (once per room)
+    if (!meta.updateHooked) {
+      meta.updateHooked = true
+      let doc = getYDoc(roomName)
+      doc.on('update', () => {
+        meta.totalSyncs++
+        meta.lastActivity = new Date()
+        changedRooms.add(roomName)
+      })
+    }
 
-  // Delegate to y-websocket's Yjs sync protocol
-  setupWSConnection(ws, req, { docName: roomName })
+    // Delegate to y-websocket's Yjs sync protocol
+    setupWSConnection(ws, req, { docName: roomName })
+  }
 
   logRoomEvent(roomName, {
     type: 'connect',
     ip: maskIp(ip),
+    access,
     connections: conns.size
   })
 
@@ -323,6 +963,7 @@ function handleConnection(ws, req) {
         if (c && c.size === 0) {
           roomConns.delete(roomName)
           roomMeta.delete(roomName)
+          e2eRooms.delete(roomName)
           console.log(`Room cleaned up: "${roomName}"`)
         }
       }, 60000)
@@ -349,7 +990,7 @@ async function handleHttp(req, res) {
   if (MONITOR_ORIGIN) {
     res.setHeader('Access-Control-Allow-Origin', MONITOR_ORIGIN)
   }
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS')
   res.setHeader('Content-Type', 'application/json')
 
   if (req.method === 'OPTIONS') {
@@ -375,7 +1016,8 @@ async function handleHttp(req, res) {
       rooms: roomMeta.size,
       connections: totalConnections(),
       persistence: PERSISTENCE_DIR,
-      authEnabled: AUTH_TOKENS.size > 0
+      authEnabled: AUTH_TOKENS.size > 0 || READ_TOKENS.size > 0,
+      encryptedRooms: encryptedRooms.size
     })
     return
   }
@@ -385,19 +1027,34 @@ async function handleHttp(req, res) {
     let list = []
     roomMeta.forEach((meta, name) => {
       let conns = roomConns.get(name)
+      let clients = describeConnections(conns)
       list.push({
         name,
-        connections: conns ? conns.size : 0,
+        connections: clients.length,
+        readers: clients.filter(c => c.access === 'read').length,
+        writers: clients.filter(c => c.access === 'write').length,
+        clients,
         created: meta.created,
         lastActivity: meta.lastActivity,
         totalSyncs: meta.totalSyncs,
-        authRequired: AUTH_TOKENS.has(name)
+        authRequired: roomRequiresAuth(name),
+        readOnlyTokens: READ_TOKENS.has(name),
+        encrypted: encryptedRooms.has(name)
       })
     })
     jsonReply(res, { rooms: list, count: list.length })
     return
   }
 
+  // Admin API: /api/admin/rooms[/:name[/export|/import]]
+  let adminMatch = urlPath.match(/^\/api\/admin\/rooms(?:\/([^/]+)(?:\/(export|import))?)?$/)
+  if (adminMatch) {
+    if (!checkAdminAuth(req, res)) return
+    let name = adminMatch[1] ? sanitizeRoomName(decodeURIComponent(adminMatch[1])) : null
+    await handleAdmin(req, res, url, name, adminMatch[2])
+    return
+  }
+
   // SSE endpoint: /api/rooms/:name/events
   let eventsMatch = urlPath.match(/^\/api\/rooms\/(.+)\/events$/)
   if (eventsMatch) {
@@ -409,14 +1066,12 @@ async function handleHttp(req, res) {
       return
     }
 
+    // Read-only tokens may watch the activity stream too
     let token = url.searchParams.get('token') || ''
-    if (AUTH_TOKENS.size > 0) {
-      let expected = AUTH_TOKENS.get(name)
-      if (expected && !safeTokenCompare(expected, token)) {
-        res.writeHead(401)
-        jsonReply(res, { error: 'Unauthorized' })
-        return
-      }
+    if (!roomAccess(name, token)) {
+      res.writeHead(401)
+      jsonReply(res, { error: 'Unauthorized' })
+      return
     }
 
     res.writeHead(200, {
@@ -451,6 +1106,14 @@ async function handleHttp(req, res) {
   if (compactMatch && req.method === 'POST') {
     if (!checkMonitorAuth(req, res)) return
     let roomName = sanitizeRoomName(decodeURIComponent(compactMatch[1]))
+    if (encryptedRooms.has(roomName)) {
+      res.writeHead(409)
+      jsonReply(res, {
+        error: 'Room is end-to-end encrypted',
+        message: 'Encrypted rooms are compacted by clients uploading checkpoints'
+      })
+      return
+    }
     try {
       let result = await compactAndPurge(roomName)
       jsonReply(res, {
@@ -466,6 +1129,48 @@ async function handleHttp(req, res) {
     return
   }
 
+  // GET /api/rooms/:name/export?format=wadm — room content for collaborators
+  let exportMatch = urlPath.match(/^\/api\/rooms\/([^/]+)\/export$/)
+  if (exportMatch && req.method === 'GET') {
+    let roomName = sanitizeRoomName(decodeURIComponent(exportMatch[1]))
+    // Anyone who may read the room may export it, like the event stream
+    if (!roomAccess(roomName, url.searchParams.get('token') || '')) {
+      res.writeHead(401)
+      jsonReply(res, { error: 'Unauthorized' })
+      return
+    }
+    let format = url.searchParams.get('format') || 'wadm'
+    if (format === 'yjs') {
+      res.writeHead(400)
+      jsonReply(res, { error: 'Use the admin API or troparcel-server for Yjs exports' })
+      return
+    }
+    try {
+      let data = await roomStore.exportRoom(ldb, roomName, format, docs, {
+        sourcePrefix: url.searchParams.get('sourcePrefix') || undefined
+      })
+      if (format === 'wadm') {
+        res.setHeader('Content-Type',
+          'application/ld+json; profile="http://www.w3.org/ns/anno.jsonld"')
+      }
+      jsonReply(res, data)
+    } catch (e) {
+      res.writeHead(ROOM_ERROR_STATUS[e.code] || 500)
+      jsonReply(res, { error: e.message })
+    }
+    return
+  }
+
+  // Version history: /api/rooms/:name/versions[/:id], /api/rooms/:name/restore/:id,
+  // /api/rooms/:name/diff?from=…[&to=…], /api/rooms/:name/revert?author=…&since=…
+  let versionsMatch = urlPath.match(/^\/api\/rooms\/([^/]+)\/(versions|restore|diff|revert)(?:\/([^/]+))?$/)
+  if (versionsMatch) {
+    let roomName = sanitizeRoomName(decodeURIComponent(versionsMatch[1]))
+    let id = versionsMatch[3] ? decodeURIComponent(versionsMatch[3]) : null
+    await handleVersions(req, res, url, roomName, versionsMatch[2], id)
+    return
+  }
+
   // Room detail API: /api/rooms/:name
   if (urlPath.startsWith('/api/rooms/')) {
     if (!checkMonitorAuth(req, res)) return
@@ -480,12 +1185,15 @@ async function handleHttp(req, res) {
     }
 
     let conns = roomConns.get(name)
+    let clients = describeConnections(conns)
     jsonReply(res, {
       name,
-      connections: conns ? conns.size : 0,
+      connections: clients.length,
+      clients,
       created: meta.created,
       lastActivity: meta.lastActivity,
-      totalSyncs: meta.totalSyncs
+      totalSyncs: meta.totalSyncs,
+      encrypted: encryptedRooms.has(name)
     })
     return
   }
@@ -517,6 +1225,16 @@ function jsonReply(res, data) {
   res.end(JSON.stringify(data, null, 2))
 }
 
+function describeConnections(conns) {
+  let clients = []
+  if (!conns) return clients
+  for (let ws of conns) {
+    let info = connInfo.get(ws)
+    if (info) clients.push({ ...info })
+  }
+  return clients
+}
+
 function totalConnections() {
   let total = 0
   roomConns.forEach(c => { total += c.size })
@@ -575,10 +1293,12 @@ function monitorHtml() {
           html += '<div class="room">'
             + '<h4><a href="/monitor/room/' + encodeURIComponent(room.name) + '" style="color:#79b8ff;text-decoration:none;">' + esc(room.name) + '</a></h4>'
             + '<div class="meta">'
-            + room.connections + ' peer(s) &middot; '
+            + room.connections + ' peer(s)'
+            + (room.readers ? ' (' + room.readers + ' read-only)' : '') + ' &middot; '
             + room.totalSyncs + ' sync(s) &middot; '
             + 'active ' + ago(room.lastActivity)
             + (room.authRequired ? ' &middot; <span style="color:#d29922;">auth</span>' : '')
+            + (room.encrypted ? ' &middot; <span style="color:#3fb950;">e2e</span>' : '')
             + '</div></div>';
         }
         document.getElementById('rooms-list').innerHTML = html || '<div class="room"><div class="meta">No active rooms</div></div>';
@@ -632,6 +1352,7 @@ function roomDetailHtml(name) {
     .event .badge { display: inline-block; padding: 0.1rem 0.5rem; border-radius: 3px; font-size: 0.75rem; font-weight: 600; margin-right: 0.5rem; }
     .badge.connect { background: #0d419d; color: #79b8ff; }
     .badge.disconnect { background: #3d1f00; color: #d29922; }
+    .badge.blocked-write { background: #490202; color: #f85149; }
     .status-msg { color: #8b949e; font-size: 0.85rem; margin-bottom: 1rem; }
     .auth-box { background: #1c2028; border: 1px solid #2d333b; border-radius: 8px; padding: 1.5rem; margin-bottom: 1.5rem; max-width: 400px; }
     .auth-box label { display: block; margin-bottom: 0.5rem; color: #8b949e; font-size: 0.9rem; }
@@ -670,7 +1391,8 @@ function roomDetailHtml(name) {
     function renderEvent(ev) {
       let badge = '<span class="badge ' + esc(ev.type) + '">' + esc(ev.type) + '</span>';
       let detail = JSON.stringify(ev);
-      if (ev.type === 'connect') detail = 'Peer connected from ' + esc(ev.ip||'') + ' (' + ev.connections + ' total)';
+      if (ev.type === 'connect') detail = 'Peer connected from ' + esc(ev.ip||'') + (ev.access === 'read' ? ' read-only' : '') + ' (' + ev.connections + ' total)';
+      if (ev.type === 'blocked-write') detail = 'Dropped ' + esc(ev.message||'write') + ' from read-only peer ' + esc(ev.ip||'') + ' (' + ev.count + ' so far)';
       if (ev.type === 'disconnect') detail = 'Peer disconnected (' + ev.connections + ' remaining)';
       return '<div class="event"><span class="time">' + fmtTime(ev.ts) + '</span>' + badge + detail + '</div>';
     }
@@ -756,16 +1478,23 @@ async function compactAndPurge(docName, maxAgeMs) {
   if (maxAgeMs == null) maxAgeMs = TOMBSTONE_MAX_DAYS * 24 * 60 * 60 * 1000
   let cutoff = Date.now() - maxAgeMs
 
-  // Load doc from LevelDB
+  // Load doc from LevelDB — a room, or one item subdoc of a v5 room
   let doc = await ldb.getYDoc(docName)
-  let annotations = doc.getMap('annotations')
+  let itemMaps = []
+  if (subdocs.isSubdocName(docName)) {
+    itemMaps.push(doc.getMap(subdocs.ITEM_DOC_MAP))
+  } else {
+    doc.getMap('annotations').forEach((value) => {
+      if (value instanceof Y.Map) itemMaps.push(value)
+    })
+  }
   let purged = 0
   let uuidsPurged = 0
   let aliasesPurged = 0
-  let tombstoneSections = ['tags', 'notes', 'selections', 'selectionNotes', 'transcriptions', 'lists']
+  let tombstoneSections = ['tags', 'notes', 'selections', 'selectionNotes', 'transcriptions', 'lists', 'comments']
 
   doc.transact(() => {
-    annotations.forEach((itemMap, identity) => {
+    for (let itemMap of itemMaps) {
       for (let section of tombstoneSections) {
         let map = itemMap.get(section)
         if (!map || typeof map.forEach !== 'function') continue
@@ -781,6 +1510,31 @@ async function compactAndPurge(docName, maxAgeMs) {
         }
       }
 
+      // Drop rich-text note content of purged and tombstoned notes
+      let noteContent = itemMap.get('noteContent')
+      if (noteContent && typeof noteContent.forEach === 'function') {
+        let notes = itemMap.get('notes')
+        let selectionNotes = itemMap.get('selectionNotes')
+        let orphaned = []
+        noteContent.forEach((_, k) => {
+          let entry = (notes && notes.get(k)) || (selectionNotes && selectionNotes.get(k))
+          if (!entry || entry.deleted) orphaned.push(k)
+        })
+        for (let k of orphaned) noteContent.delete(k)
+      }
+
+      // ...and the shared text of purged and tombstoned transcriptions
+      let transcriptionText = itemMap.get('transcriptionText')
+      if (transcriptionText && typeof transcriptionText.forEach === 'function') {
+        let transcriptions = itemMap.get('transcriptions')
+        let orphaned = []
+        transcriptionText.forEach((_, k) => {
+          let entry = transcriptions && transcriptions.get(k)
+          if (!entry || entry.deleted) orphaned.push(k)
+        })
+        for (let k of orphaned) transcriptionText.delete(k)
+      }
+
       // Prune orphaned UUID registry entries
       let uuids = itemMap.get('uuids')
       if (uuids && typeof uuids.forEach === 'function') {
@@ -832,6 +1586,8 @@ async function compactAndPurge(docName, maxAgeMs) {
       if (aliases && typeof aliases.forEach === 'function') {
         let toDelete = []
         aliases.forEach((value, key) => {
+          // Links users made by hand do not expire
+          if (value && typeof value === 'object' && value.manual) return
           let createdAt = (value && typeof value === 'object') ? value.createdAt : 0
           if (!createdAt || createdAt < cutoff) {
             toDelete.push(key)
@@ -842,7 +1598,7 @@ async function compactAndPurge(docName, maxAgeMs) {
           aliasesPurged++
         }
       }
-    })
+    }
   })
 
   // Flush compacted state (merges all incremental updates into one)
@@ -854,17 +1610,28 @@ async function compactAndPurge(docName, maxAgeMs) {
 async function runCompaction() {
   try {
     let docNames = await ldb.getAllDocNames()
-    console.log(`[compaction] Starting compaction for ${docNames.length} room(s)`)
+    let itemDocCount = docNames.filter(name => subdocs.isSubdocName(name)).length
+    console.log(`[compaction] Starting compaction for ${docNames.length - itemDocCount} room(s)` +
+      (itemDocCount > 0 ? ` and ${itemDocCount} item subdoc(s)` : ''))
     for (let name of docNames) {
+      // Ciphertext cannot be merged here — clients upload checkpoints
+      if (encryptedRooms.has(name)) continue
       try {
+        // Purged tombstones stay recoverable from the snapshot, which
+        // covers a v5 room's item subdocs too
+        if (!subdocs.isSubdocName(name)) {
+          await versionStore.createVersion(ldb, name, docs, { reason: 'pre-compaction' })
+          await versionStore.pruneVersions(ldb, name, VERSION_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+        }
         let result = await compactAndPurge(name)
         let parts = []
         if (result.purged > 0) parts.push(`${result.purged} tombstone(s)`)
         if (result.uuidsPurged > 0) parts.push(`${result.uuidsPurged} orphaned UUID(s)`)
         if (result.aliasesPurged > 0) parts.push(`${result.aliasesPurged} expired alias(es)`)
+        let label = subdocs.isSubdocName(name) ? 'Item doc' : 'Room'
         if (parts.length > 0) {
-          console.log(`[compaction] Room "${name}": purged ${parts.join(', ')}`)
-        } else {
+          console.log(`[compaction] ${label} "${name}": purged ${parts.join(', ')}`)
+        } else if (label === 'Room') {
           console.log(`[compaction] Room "${name}": compacted (nothing to purge)`)
         }
       } catch (e) {
@@ -876,6 +1643,28 @@ async function runCompaction() {
   }
 }
 
+// --- Scheduled room snapshots ---
+
+async function runVersioning() {
+  let rooms = [...changedRooms]
+  changedRooms.clear()
+  let maxAgeMs = VERSION_RETENTION_DAYS * 24 * 60 * 60 * 1000
+  for (let name of rooms) {
+    if (encryptedRooms.has(name)) continue
+    try {
+      let version = await versionStore.createVersion(ldb, name, docs)
+      let pruned = await versionStore.pruneVersions(ldb, name, maxAgeMs)
+      if (version || pruned > 0) {
+        console.log(`[versions] Room "${name}": ` +
+          (version ? `snapshot ${version.id} (${version.bytes} bytes)` : 'unchanged') +
+          (pruned > 0 ? `, pruned ${pruned} old version(s)` : ''))
+      }
+    } catch (e) {
+      console.error(`[versions] Snapshot failed for "${name}":`, e.message)
+    }
+  }
+}
+
 // --- Server startup ---
 
 const server = http.createServer(handleHttp)
@@ -883,22 +1672,30 @@ const wss = new WebSocket.Server({ server })
 
 wss.on('connection', handleConnection)
 
-server.listen(PORT, HOST, () => {
+loadEncryptedRooms().then(() => server.listen(PORT, HOST, () => {
   console.log(`Troparcel server v4.0 (Yjs + LevelDB) listening on ${HOST}:${PORT}`)
   console.log(`  WebSocket: ws://${HOST}:${PORT}/<room-name>?token=<token>`)
   console.log(`  Monitor:   http://${HOST}:${PORT}/monitor`)
   console.log(`  Health:    http://${HOST}:${PORT}/health`)
   console.log(`  Limits:    ${MAX_ROOMS} rooms, ${MAX_CONNS_PER_IP} conns/IP`)
   console.log(`  Persist:   ${PERSISTENCE_DIR}`)
-  if (AUTH_TOKENS.size > 0) {
-    console.log(`  Auth:      ${AUTH_TOKENS.size} room token(s) configured`)
+  if (AUTH_TOKENS.size > 0 || READ_TOKENS.size > 0) {
+    console.log(
+      `  Auth:      ${AUTH_TOKENS.size} read-write, ${READ_TOKENS.size} read-only room token(s) configured`)
   }
+  if (encryptedRooms.size > 0) {
+    console.log(`  E2E:       ${encryptedRooms.size} end-to-end encrypted room(s)`)
+  }
+  console.log(`  Tokens:    ${TOKENS_FILE} (${tokenStore.list().length} stored, hot-reloaded)`)
   if (MONITOR_TOKEN) {
     console.log(`  Monitor:   protected by MONITOR_TOKEN`)
   } else {
     console.log(`  Monitor:   WARNING — MONITOR_TOKEN not set, monitor endpoints are open`)
   }
   console.log(`  Compact:   every ${COMPACTION_HOURS}h, tombstones older than ${TOMBSTONE_MAX_DAYS}d`)
+  console.log(VERSION_INTERVAL_MINUTES > 0
+    ? `  Versions:  every ${VERSION_INTERVAL_MINUTES}min, kept ${VERSION_RETENTION_DAYS}d`
+    : `  Versions:  scheduled snapshots disabled, kept ${VERSION_RETENTION_DAYS}d`)
   console.log(`  ⚠ Tombstone retention: deletions older than ${TOMBSTONE_MAX_DAYS}d are purged.`)
   console.log(`    Clients offline longer than ${TOMBSTONE_MAX_DAYS}d may resurrect deleted items.`)
   if (HOST === '0.0.0.0' || HOST === '::') {
@@ -907,14 +1704,29 @@ server.listen(PORT, HOST, () => {
     console.log(`    Without TLS, room tokens are sent in cleartext.`)
   }
 
+  tokenStore.watch((err) => {
+    if (err) {
+      console.error(`[tokens] ${err.message} — keeping previous tokens`)
+      return
+    }
+    let closed = enforceTokens()
+    console.log(`[tokens] Reloaded ${TOKENS_FILE}` +
+      (closed > 0 ? `, closed ${closed} connection(s) with revoked or changed tokens` : ''))
+  })
+
   // Start periodic compaction
   let compactionIntervalMs = COMPACTION_HOURS * 60 * 60 * 1000
   setInterval(() => { runCompaction() }, compactionIntervalMs)
-})
+
+  if (VERSION_INTERVAL_MINUTES > 0) {
+    setInterval(() => { runVersioning() }, VERSION_INTERVAL_MINUTES * 60 * 1000)
+  }
+}))
 
 // Graceful shutdown
 process.on('SIGINT', () => {
   console.log('Shutting down...')
+  tokenStore.unwatch()
   wss.clients.forEach(ws => {
     if (ws.readyState === WebSocket.OPEN) ws.close(1001, 'Server shutting down')
   })
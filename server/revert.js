@@ -0,0 +1,166 @@
+'use strict'
+
+/**
+ * Revert everything one collaborator changed in a room since a push
+ * sequence number or a time ("a misconfigured client pushed hundreds of
+ * bad edits").
+ *
+ * Pure planning over plain item snapshots, with no Yjs dependency: the
+ * server's revert endpoint (POST /api/rooms/:name/revert, see
+ * versions.js revertAuthor) and the plugin (SyncEngine.revertAuthor)
+ * both plan with planRevert() and then write the result their own way,
+ * as a new author's forward update.
+ *
+ * Input:
+ *   current   { [identity]: item } as getItemSnapshot() / itemsToJSON()
+ *             with attribution; an item's "metadataHistory" section (raw
+ *             field history entries, see crdt-schema.js) is used when
+ *             present
+ *   author    the collaborator's user id
+ *   since     { pushSeq } — writes with a higher push sequence number,
+ *             or { time } (ms) — writes made after that time
+ *   earlier   earlier states of the room, [{ createdAt, items }] (server
+ *             versions or client snapshots), in any order
+ *
+ * An entry is reverted only while the collaborator is still its last
+ * writer; anything someone else wrote since stays. Its prior value comes
+ * from the field history (metadata in rooms with history on) or else
+ * from the newest earlier state that holds the item and does not carry
+ * one of the collaborator's reverted writes. In time mode the earlier
+ * state is the newest one taken by `since.time`, which also decides what
+ * counts as changed. Entries without a usable prior value are reported
+ * as unresolved rather than guessed.
+ *
+ * Plan:
+ *   {
+ *     author, since,
+ *     changes: [{ identity, section, key, action, current, prior, source }],
+ *     unresolved: [{ identity, section, key, current, reason }],
+ *     summary: { items, restore, remove, unresolved }
+ *   }
+ * action is 'restore' (write `prior` back) or 'remove' (the entry did
+ * not exist before); source is 'history' or 'snapshot'. Keys follow
+ * room-diff.js (photo metadata as "<checksum> <propUri>").
+ */
+
+const { DIFF_SECTIONS, content, sameContent, isLive, authorOf, entries } = require('./room-diff')
+
+function _historyOf(item, propertyUri) {
+  let history = (item && item.metadataHistory) || {}
+  return Object.values(history)
+    .filter(e => e && e.prop === propertyUri)
+    .sort((a, b) => (a.at || 0) - (b.at || 0) || (a.pushSeq || 0) - (b.pushSeq || 0))
+}
+
+/**
+ * Work out what reverting `author`'s writes since `since` would change.
+ */
+function planRevert(current, author, since, earlier = []) {
+  let byTime = since && since.time != null
+  let time = byTime ? Number(since.time) : null
+  let pushSeq = byTime ? null : Number((since && since.pushSeq) || 0)
+  let states = earlier
+    .filter(s => s && s.items && (!byTime || Date.parse(s.createdAt) <= time))
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+
+  // One of the collaborator's writes that is being reverted. Time mode
+  // only asks this of history records: earlier states predate `since`.
+  let reverted = (value, at) => authorOf(value) === author &&
+    (byTime ? at != null && at >= time : (value.pushSeq || 0) > pushSeq)
+
+  let changes = []
+  let unresolved = []
+  for (let identity of Object.keys(current || {}).sort()) {
+    let item = current[identity]
+    let baseline = byTime ? states.find(s => s.items[identity]) : null
+
+    for (let section of DIFF_SECTIONS) {
+      let before = baseline ? entries(baseline.items[identity], section) : null
+      for (let [key, value] of Object.entries(entries(item, section))) {
+        if (authorOf(value) !== author) continue
+
+        let history = section === 'metadata' ? _historyOf(item, key) : []
+        let at = history.findIndex(e => e.author === author && (e.pushSeq || 0) === (value.pushSeq || 0))
+
+        // Touched since `since`?
+        if (byTime) {
+          if (at >= 0) {
+            if (!reverted(value, history[at].at)) continue
+          } else if (before) {
+            let old = before[key]
+            if (isLive(old) === isLive(value) && (!isLive(value) || sameContent(old, value))) continue
+          } else if (states.length === 0) {
+            unresolved.push({ identity, section, key, current: content(value), reason: 'no earlier state before that time' })
+            continue
+          }
+        } else if (!reverted(value)) {
+          continue
+        }
+
+        let prior
+        let source = null
+        for (let i = at - 1; i >= 0; i--) {
+          let e = history[i]
+          if (reverted(e, e.at)) continue
+          prior = { text: e.text, type: e.type, language: e.language, author: e.author, pushSeq: e.pushSeq }
+          source = 'history'
+          break
+        }
+        if (!source) {
+          if (byTime) {
+            if (before) prior = before[key]
+            source = 'snapshot'
+          } else {
+            for (let state of states) {
+              let old = state.items[identity] && entries(state.items[identity], section)[key]
+              if (!state.items[identity] || (old && reverted(old))) continue
+              prior = old
+              source = 'snapshot'
+              break
+            }
+          }
+        }
+        if (!source) {
+          unresolved.push({ identity, section, key, current: content(value), reason: 'no earlier value found' })
+          continue
+        }
+
+        let change = { identity, section, key, current: content(value), prior: isLive(prior) ? content(prior) : null, source }
+        if (isLive(prior)) {
+          if (isLive(value) && sameContent(prior, value)) continue
+          changes.push({ ...change, action: 'restore' })
+        } else if (isLive(value)) {
+          changes.push({ ...change, action: 'remove' })
+        }
+      }
+    }
+  }
+
+  let summary = {
+    items: new Set(changes.map(c => c.identity)).size,
+    restore: changes.filter(c => c.action === 'restore').length,
+    remove: changes.filter(c => c.action === 'remove').length,
+    unresolved: unresolved.length
+  }
+  return { author, since: byTime ? { time: new Date(time).toISOString() } : { pushSeq }, changes, unresolved, summary }
+}
+
+/**
+ * The value a change writes back, attribution not included: the prior
+ * content for a restore, a cleared value or tombstone for a removal.
+ * Shared by both writers so server and plugin reverts look the same.
+ */
+function revertValue(change) {
+  if (change.action === 'restore') return { ...change.prior }
+  if (['metadata', 'photos', 'selectionMeta'].includes(change.section)) {
+    return { ...change.current, text: '' }
+  }
+  let value = { ...change.current, deleted: true, deletedAt: Date.now() }
+  if (change.section === 'lists') value.member = false
+  return value
+}
+
+module.exports = {
+  planRevert,
+  revertValue
+}
@@ -0,0 +1,130 @@
+'use strict'
+
+/**
+ * Diff between two states of a Troparcel room ("what did the team change
+ * this week?").
+ *
+ * Pure comparison of plain item snapshots, with no Yjs dependency. The
+ * server's diff endpoint (GET /api/rooms/:name/diff) and the plugin's
+ * snapshot history (src/room-history.js) both use it; the plugin bundles
+ * this file, the server image only ships server/*.js.
+ *
+ * Input: two { [identity]: item } maps in the shape of getItemSnapshot()
+ * (sections as plain objects, attribution kept). Entries are compared
+ * without their attribution (author, editor, revertedBy, pushSeq, ts,
+ * deletedAt), so a value rewritten unchanged is not a change. A tombstone
+ * counts as a removal by its author, or by the reverter that wrote it.
+ *
+ * Report:
+ *   {
+ *     items: { [identity]: { [section]: { added: [], removed: [], changed: [] } } },
+ *     summary: { items, added, removed, changed, authors: { [author]: count } }
+ *   }
+ * with entries { key, author, value } (added, removed — value as it was)
+ * and { key, author, before, after } (changed). Photo metadata is
+ * reported under "photos" with keys "<checksum> <propUri>".
+ *
+ * The entry helpers (content, isLive, authorOf, entries) are exported
+ * for revert.js, which compares states the same way.
+ */
+
+const DIFF_SECTIONS = [
+  'metadata', 'tags', 'notes', 'photos', 'selections', 'selectionMeta',
+  'selectionNotes', 'transcriptions', 'lists'
+]
+
+const ATTRIBUTION = ['author', 'editor', 'revertedBy', 'pushSeq', 'ts', 'deletedAt']
+
+function content(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value
+  let result = {}
+  for (let key of Object.keys(value).sort()) {
+    if (!ATTRIBUTION.includes(key)) result[key] = value[key]
+  }
+  return result
+}
+
+function sameContent(a, b) {
+  return JSON.stringify(content(a)) === JSON.stringify(content(b))
+}
+
+function isLive(value) {
+  return value != null && !(typeof value === 'object' && value.deleted)
+}
+
+function authorOf(value) {
+  return (value && (value.revertedBy || value.editor || value.author)) || null
+}
+
+// A section as flat { key: entry }; photos → "<checksum> <propUri>"
+function entries(item, section) {
+  let value = (item && item[section]) || {}
+  if (section !== 'photos') return value
+  let flat = {}
+  for (let [checksum, photo] of Object.entries(value)) {
+    for (let [prop, entry] of Object.entries((photo && photo.metadata) || {})) {
+      flat[`${checksum} ${prop}`] = entry
+    }
+  }
+  return flat
+}
+
+function diffSection(before, after) {
+  let result = { added: [], removed: [], changed: [] }
+  let keys = new Set([...Object.keys(before), ...Object.keys(after)])
+  for (let key of [...keys].sort()) {
+    let a = before[key]
+    let b = after[key]
+    if (!isLive(a) && isLive(b)) {
+      result.added.push({ key, author: authorOf(b), value: content(b) })
+    } else if (isLive(a) && !isLive(b)) {
+      result.removed.push({ key, author: b ? authorOf(b) : null, value: content(a) })
+    } else if (isLive(a) && isLive(b) && !sameContent(a, b)) {
+      result.changed.push({ key, author: authorOf(b), before: content(a), after: content(b) })
+    }
+  }
+  return result
+}
+
+/**
+ * Compare two room states. options.sections narrows the sections
+ * compared (default DIFF_SECTIONS).
+ */
+function diffSnapshots(before, after, options = {}) {
+  let sections = options.sections || DIFF_SECTIONS
+  let items = {}
+  let summary = { items: 0, added: 0, removed: 0, changed: 0, authors: {} }
+  let identities = new Set([...Object.keys(before || {}), ...Object.keys(after || {})])
+
+  for (let identity of [...identities].sort()) {
+    let itemDiff = {}
+    for (let section of sections) {
+      let diff = diffSection(entries(before && before[identity], section), entries(after && after[identity], section))
+      let count = diff.added.length + diff.removed.length + diff.changed.length
+      if (count === 0) continue
+      itemDiff[section] = diff
+      for (let kind of ['added', 'removed', 'changed']) {
+        summary[kind] += diff[kind].length
+        for (let change of diff[kind]) {
+          let author = change.author || 'unknown'
+          summary.authors[author] = (summary.authors[author] || 0) + 1
+        }
+      }
+    }
+    if (Object.keys(itemDiff).length > 0) {
+      items[identity] = itemDiff
+      summary.items++
+    }
+  }
+  return { items, summary }
+}
+
+module.exports = {
+  DIFF_SECTIONS,
+  diffSnapshots,
+  content,
+  sameContent,
+  isLive,
+  authorOf,
+  entries
+}
@@ -0,0 +1,260 @@
+'use strict'
+
+/**
+ * Room storage operations over y-leveldb, shared by the server's admin
+ * API and the troparcel-server CLI.
+ *
+ * Every function takes the LeveldbPersistence instance plus an optional
+ * map of live in-memory docs (y-websocket's `docs`). When a room is live,
+ * reads come from and writes go to the live doc so connected peers see
+ * imports immediately and nothing is lost to a later flush.
+ *
+ * v5 rooms keep item contents in subdocs stored next to the room (see
+ * subdocs.js); views of a room's content read its flattened v4 layout.
+ */
+
+const Y = require('yjs')
+const { toAnnotationCollection } = require('./wadm')
+const { isSubdocName, loadFlatRoom } = require('./subdocs')
+
+// Meta-only LevelDB document listing end-to-end encrypted rooms. The
+// leading underscores cannot pass the server's room-name check, so no
+// client can open it.
+const E2E_REGISTRY_DOC = '__troparcel'
+
+// Errors carry a code the admin API maps to an HTTP status
+function roomError(code, message) {
+  return Object.assign(new Error(message), { code })
+}
+
+async function listEncryptedRooms(ldb) {
+  return (await ldb.getMeta(E2E_REGISTRY_DOC, 'rooms')) || []
+}
+
+function saveEncryptedRooms(ldb, names) {
+  return ldb.setMeta(E2E_REGISTRY_DOC, 'rooms', [...names])
+}
+
+/**
+ * Every stored room: plaintext docs plus registered encrypted rooms.
+ * Item subdocs of v5 rooms are not rooms of their own.
+ * @returns {Promise<Array<{ name: string, encrypted: boolean }>>}
+ */
+async function listRooms(ldb) {
+  let plain = await ldb.getAllDocNames()
+  let encrypted = await listEncryptedRooms(ldb)
+  let rooms = plain
+    .filter(name => !encrypted.includes(name) && !isSubdocName(name))
+    .map(name => ({ name, encrypted: false }))
+  for (let name of encrypted) rooms.push({ name, encrypted: true })
+  return rooms.sort((a, b) => a.name.localeCompare(b.name))
+}
+
+async function roomExists(ldb, name) {
+  return (await listRooms(ldb)).some(room => room.name === name)
+}
+
+async function isEncrypted(ldb, name) {
+  return (await listEncryptedRooms(ldb)).includes(name)
+}
+
+async function loadDoc(ldb, name, liveDocs) {
+  if (liveDocs && liveDocs.has(name)) return liveDocs.get(name)
+  return ldb.getYDoc(name)
+}
+
+/**
+ * JSON view of a room. Troparcel rooms only use Y.Map roots
+ * (annotations, room, schema, projectLists), so every root is read as
+ * a map; nested types serialize through their own toJSON().
+ */
+function roomToJSON(doc) {
+  let json = {}
+  for (let name of doc.share.keys()) {
+    json[name] = doc.getMap(name).toJSON()
+  }
+  return json
+}
+
+function stripAttribution(value) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    let { pushSeq, author, ts, ...content } = value
+    return content
+  }
+  return value
+}
+
+/**
+ * Plain JSON of one item section, mirroring crdt-schema's snapshots:
+ * YKeyValue arrays ([{ key, val }]) become objects, nested maps recurse
+ * (photos → checksum → metadata).
+ */
+function sectionToJSON(value, attribution) {
+  let plain = attribution ? v => v : stripAttribution
+  if (value instanceof Y.Array) {
+    let obj = {}
+    for (let entry of value.toArray()) {
+      if (entry && typeof entry === 'object' && 'key' in entry) obj[entry.key] = plain(entry.val)
+    }
+    return obj
+  }
+  if (value instanceof Y.Map) {
+    let obj = {}
+    value.forEach((v, k) => {
+      obj[k] = v instanceof Y.AbstractType ? sectionToJSON(v, attribution) : plain(v)
+    })
+    return obj
+  }
+  if (value instanceof Y.AbstractType) return value.toJSON()
+  return plain(value)
+}
+
+/**
+ * Items of a room keyed by identity, each with its sections as plain
+ * objects. Without `attribution`, author/pushSeq/ts are stripped like
+ * crdt-schema getSnapshot(); with it, entries are kept as stored
+ * (getItemSnapshot()).
+ */
+function itemsToJSON(doc, { attribution = false } = {}) {
+  let items = {}
+  doc.getMap('annotations').forEach((itemMap, identity) => {
+    let item = {}
+    if (itemMap instanceof Y.Map) {
+      itemMap.forEach((section, key) => { item[key] = sectionToJSON(section, attribution) })
+    }
+    items[identity] = item
+  })
+  return items
+}
+
+/**
+ * Summary of a stored room.
+ */
+async function inspectRoom(ldb, name, liveDocs) {
+  if (await isEncrypted(ldb, name)) {
+    let metas = await ldb.getMetas(name)
+    let frames = 0
+    let bytes = 0
+    for (let [key, value] of metas) {
+      if (key.startsWith('e2e:u:')) {
+        frames++
+        bytes += value.length
+      }
+    }
+    let checkpoint = metas.get('e2e:checkpoint')
+    if (checkpoint) bytes += checkpoint.data.length
+    return {
+      name,
+      encrypted: true,
+      lastSeq: metas.get('e2e:seq') || 0,
+      checkpointSeq: checkpoint ? checkpoint.seq : null,
+      frames,
+      bytes
+    }
+  }
+
+  if (!(await roomExists(ldb, name)) && !(liveDocs && liveDocs.has(name))) return null
+
+  let doc = await loadDoc(ldb, name, liveDocs)
+  let roots = {}
+  for (let root of doc.share.keys()) roots[root] = doc.getMap(root).size
+  let room = doc.getMap('room')
+  return {
+    name,
+    encrypted: false,
+    live: !!(liveDocs && liveDocs.has(name)),
+    bytes: Y.encodeStateAsUpdate(doc).length,
+    items: doc.getMap('annotations').size,
+    schemaVersion: room.get('schemaVersion') || null,
+    roots,
+    metas: [...(await ldb.getMetas(name)).keys()]
+  }
+}
+
+const EXPORT_FORMATS = ['yjs', 'json', 'wadm']
+
+/**
+ * Export a room as a Yjs update ('yjs' → Uint8Array), plain JSON
+ * ('json' → object) or a W3C Web Annotation collection ('wadm' →
+ * object, see wadm.js; `options` are passed to toAnnotationCollection).
+ * Encrypted rooms can only be exported by a client that holds the
+ * passphrase. A v5 room exports in v4 layout, so the 'yjs' file is
+ * self-contained; clients with selectiveSync migrate it again once it
+ * is imported into a new room.
+ */
+async function exportRoom(ldb, name, format, liveDocs, options = {}) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw roomError('BAD_INPUT', `Unknown export format "${format}" — expected yjs, json or wadm`)
+  }
+  if (await isEncrypted(ldb, name)) {
+    throw roomError('ROOM_ENCRYPTED', `Room "${name}" is end-to-end encrypted — export it from a client`)
+  }
+  if (!(await roomExists(ldb, name)) && !(liveDocs && liveDocs.has(name))) {
+    throw roomError('ROOM_NOT_FOUND', `Room "${name}" not found`)
+  }
+  let doc = await loadFlatRoom(ldb, name, liveDocs)
+  if (format === 'yjs') return Y.encodeStateAsUpdate(doc)
+  if (format === 'wadm') {
+    return toAnnotationCollection(itemsToJSON(doc, { attribution: true }), { room: name, ...options })
+  }
+  return roomToJSON(doc)
+}
+
+/**
+ * Merge a Yjs update into a room (creating it if needed). Yjs merges
+ * are idempotent, so importing the same file twice is harmless.
+ */
+async function importRoom(ldb, name, update, liveDocs) {
+  if (await isEncrypted(ldb, name)) {
+    throw roomError('ROOM_ENCRYPTED', `Room "${name}" is end-to-end encrypted — import it from a client`)
+  }
+  // Reject garbage before it reaches storage
+  let probe = new Y.Doc()
+  try {
+    Y.applyUpdate(probe, update)
+  } catch (err) {
+    throw roomError('BAD_INPUT', `Not a Yjs update: ${err.message}`)
+  } finally {
+    probe.destroy()
+  }
+
+  if (liveDocs && liveDocs.has(name)) {
+    // Stored by the live doc's persistence handler and relayed to peers
+    Y.applyUpdate(liveDocs.get(name), update)
+  } else {
+    await ldb.storeUpdate(name, update)
+  }
+  return { name, bytes: update.length }
+}
+
+/**
+ * Remove every stored update, state vector and meta entry of a room,
+ * including its item subdocs. The caller must disconnect peers first
+ * when the room is live.
+ */
+async function deleteRoom(ldb, name) {
+  let encrypted = await listEncryptedRooms(ldb)
+  let docNames = await ldb.getAllDocNames()
+  let existed = encrypted.includes(name) || docNames.includes(name)
+  await ldb.clearDocument(name)
+  for (let docName of docNames) {
+    if (docName.startsWith(name + '/')) await ldb.clearDocument(docName)
+  }
+  if (encrypted.includes(name)) {
+    await saveEncryptedRooms(ldb, encrypted.filter(room => room !== name))
+  }
+  return existed
+}
+
+module.exports = {
+  E2E_REGISTRY_DOC,
+  listEncryptedRooms,
+  saveEncryptedRooms,
+  listRooms,
+  inspectRoom,
+  exportRoom,
+  importRoom,
+  deleteRoom,
+  roomToJSON,
+  itemsToJSON
+}
@@ -0,0 +1,301 @@
+'use strict'
+
+/**
+ * Item subdocuments of v5 rooms (see src/crdt-schema.js) — relay and
+ * persistence.
+ *
+ * A v5 room doc only holds references to its items; each item's content
+ * is a separate Y.Doc stored in LevelDB as `<room>/<guid>`. Room names
+ * cannot contain '/', so these names never collide with a room.
+ *
+ * Clients sync subdocs over their room connection (see
+ * src/adapters/websocket.js) with one extra message type:
+ *
+ *   [MESSAGE_SUBDOC][varString guid][y-protocols sync message]
+ *
+ * A connection subscribes to a subdoc by sending its sync-step-1; it
+ * then receives every update of that subdoc until it disconnects. The
+ * server answers writable connections with its own sync-step-1, so
+ * offline edits come back as sync-step-2.
+ */
+
+const Y = require('yjs')
+const encoding = require('lib0/encoding')
+const decoding = require('lib0/decoding')
+const syncProtocol = require('y-protocols/sync')
+
+const MESSAGE_SUBDOC = 100
+const ITEM_DOCS_SCHEMA_VERSION = 5
+const ITEM_DOC_MAP = 'item'
+const GUID_PREFIX = 'troparcel-item:'
+const GUID_PATTERN = /^troparcel-item:[^/]{1,200}$/
+
+const LOAD_ORIGIN = Symbol('subdoc-load')
+
+// Same derivation as crdt-schema itemDocGuid()
+function itemDocGuid(identity) {
+  return GUID_PREFIX + identity
+}
+
+function subdocName(room, guid) {
+  return `${room}/${guid}`
+}
+
+function isSubdocName(name) {
+  return name.includes('/')
+}
+
+// Any subdoc in "annotations" makes the room v5, whatever its stamp says
+function usesItemDocs(doc) {
+  if (doc.getMap('room').get('schemaVersion') === ITEM_DOCS_SCHEMA_VERSION) return true
+  for (let value of doc.getMap('annotations').values()) {
+    if (value instanceof Y.Doc) return true
+  }
+  return false
+}
+
+function subdocEncoder(guid) {
+  let encoder = encoding.createEncoder()
+  encoding.writeVarUint(encoder, MESSAGE_SUBDOC)
+  encoding.writeVarString(encoder, guid)
+  return encoder
+}
+
+function send(ws, encoder) {
+  // 1 = OPEN; a closing socket unsubscribes through its 'close' event
+  if (ws.readyState !== 1) return
+  ws.send(encoding.toUint8Array(encoder), () => {})
+}
+
+class SubdocRelay {
+  /**
+   * @param {LeveldbPersistence} ldb
+   * @param {Map<string, Y.Doc>} liveDocs - y-websocket's docs map; open
+   *   subdocs are registered there so room tools read their live state
+   * @param {object} [hooks]
+   * @param {function(string)} [hooks.onUpdate] - called with the room name
+   * @param {function(WebSocket, string, string)} [hooks.onBlockedWrite]
+   */
+  constructor(ldb, liveDocs, hooks = {}) {
+    this.ldb = ldb
+    this.liveDocs = liveDocs
+    this.hooks = hooks
+    // subdoc name → { name, room, doc, ready, writes, conns }
+    this.open = new Map()
+    // Pending writes of subdocs closed recently, awaited before reopening
+    this.closing = new Map()
+    this.subscriptions = new WeakMap()
+  }
+
+  /**
+   * Handle a message from a plaintext room connection. Returns false
+   * when it is not a subdoc message (y-websocket handles those).
+   */
+  handleMessage(ws, room, message, readOnly) {
+    if (message.length === 0 || message[0] !== MESSAGE_SUBDOC) return false
+
+    let decoder = decoding.createDecoder(message)
+    let guid
+    let syncType
+    try {
+      decoding.readVarUint(decoder)
+      guid = decoding.readVarString(decoder)
+      syncType = decoding.peekVarUint(decoder)
+    } catch {
+      return true
+    }
+    if (!GUID_PATTERN.test(guid)) return true
+
+    if (readOnly && syncType !== syncProtocol.messageYjsSyncStep1) {
+      if (this.hooks.onBlockedWrite) this.hooks.onBlockedWrite(ws, room, 'subdoc update')
+      return true
+    }
+
+    let entry = this._open(room, guid)
+    let subscribed = this._subscribe(ws, entry)
+
+    entry.ready.then(() => {
+      let reply = subdocEncoder(guid)
+      let headerLength = encoding.length(reply)
+      syncProtocol.readSyncMessage(decoder, reply, entry.doc, ws)
+      if (encoding.length(reply) > headerLength) send(ws, reply)
+
+      if (subscribed && !readOnly) {
+        let step1 = subdocEncoder(guid)
+        syncProtocol.writeSyncStep1(step1, entry.doc)
+        send(ws, step1)
+      }
+    }).catch((err) => {
+      console.error(`Subdoc ${entry.name}: ${err.message}`)
+    })
+    return true
+  }
+
+  /**
+   * Drop every subscription of a closed connection; subdocs nobody
+   * subscribes to any more are unloaded.
+   */
+  closeConnection(ws) {
+    let entries = this.subscriptions.get(ws)
+    if (!entries) return
+    this.subscriptions.delete(ws)
+    for (let entry of entries) {
+      entry.conns.delete(ws)
+      if (entry.conns.size === 0) this._close(entry)
+    }
+  }
+
+  /**
+   * Resolves once every subdoc of the room closed so far has written
+   * its pending updates (e.g. before the room is deleted).
+   */
+  settle(room) {
+    let pending = []
+    for (let [name, done] of this.closing) {
+      if (name.startsWith(room + '/')) pending.push(done)
+    }
+    return Promise.all(pending)
+  }
+
+  _open(room, guid) {
+    let name = subdocName(room, guid)
+    let entry = this.open.get(name)
+    if (entry) return entry
+
+    let doc = new Y.Doc({ guid })
+    entry = { name, room, doc, ready: null, writes: Promise.resolve(), conns: new Set() }
+
+    // Updates arriving while the stored state loads are persisted too
+    doc.on('update', (update, origin) => {
+      if (origin === LOAD_ORIGIN) return
+      entry.writes = entry.writes
+        .then(() => this.ldb.storeUpdate(name, update))
+        .catch((err) => console.error(`Subdoc ${name}: store failed: ${err.message}`))
+
+      let encoder = subdocEncoder(guid)
+      syncProtocol.writeUpdate(encoder, update)
+      for (let conn of entry.conns) {
+        if (conn !== origin) send(conn, encoder)
+      }
+      if (this.hooks.onUpdate) this.hooks.onUpdate(room)
+    })
+
+    let previous = this.closing.get(name) || Promise.resolve()
+    entry.ready = previous
+      .then(() => this.ldb.getYDoc(name))
+      .then((stored) => {
+        Y.applyUpdate(doc, Y.encodeStateAsUpdate(stored), LOAD_ORIGIN)
+        stored.destroy()
+      })
+
+    this.open.set(name, entry)
+    this.liveDocs.set(name, doc)
+    return entry
+  }
+
+  _subscribe(ws, entry) {
+    if (entry.conns.has(ws)) return false
+    entry.conns.add(ws)
+    let entries = this.subscriptions.get(ws)
+    if (!entries) {
+      entries = new Set()
+      this.subscriptions.set(ws, entries)
+    }
+    entries.add(entry)
+    return true
+  }
+
+  _close(entry) {
+    this.open.delete(entry.name)
+    if (this.liveDocs.get(entry.name) === entry.doc) this.liveDocs.delete(entry.name)
+    let done = entry.ready.catch(() => {}).then(() => entry.writes)
+    this.closing.set(entry.name, done)
+    done.then(() => {
+      if (this.closing.get(entry.name) === done) this.closing.delete(entry.name)
+      entry.doc.destroy()
+    })
+  }
+}
+
+// --- Stored rooms ---
+
+async function loadDoc(ldb, name, liveDocs) {
+  if (liveDocs && liveDocs.has(name)) return liveDocs.get(name)
+  return ldb.getYDoc(name)
+}
+
+/**
+ * The item subdocs of a v5 room doc, keyed by identity. Empty for a v4
+ * room. Live subdocs come from liveDocs, the rest from storage.
+ * @returns {Promise<Map<string, Y.Doc>>}
+ */
+async function loadItemDocs(ldb, room, doc, liveDocs) {
+  let itemDocs = new Map()
+  if (!usesItemDocs(doc)) return itemDocs
+  for (let [identity, value] of doc.getMap('annotations').entries()) {
+    if (value instanceof Y.Doc) {
+      itemDocs.set(identity, await loadDoc(ldb, subdocName(room, value.guid), liveDocs))
+    }
+  }
+  return itemDocs
+}
+
+function cloneValue(value) {
+  return value instanceof Y.AbstractType ? value.clone() : value
+}
+
+/**
+ * A v4-layout copy of a v5 room: item subdoc contents become nested
+ * maps again and checksums (and match keys) move back into the items. Export, versions
+ * and the JSON views all work on this shape.
+ */
+function flattenDoc(doc, itemDocs) {
+  let flat = new Y.Doc()
+  let checksums = doc.getMap('itemChecksums')
+  let matchKeys = doc.getMap('itemMatchKeys')
+  flat.transact(() => {
+    for (let root of doc.share.keys()) {
+      if (root === 'annotations' || root === 'itemChecksums' || root === 'itemMatchKeys') continue
+      let target = flat.getMap(root)
+      doc.getMap(root).forEach((value, key) => { target.set(key, cloneValue(value)) })
+    }
+    flat.getMap('room').set('schemaVersion', 4)
+
+    let annotations = flat.getMap('annotations')
+    doc.getMap('annotations').forEach((value, identity) => {
+      let source = value instanceof Y.Doc
+        ? (itemDocs.has(identity) ? itemDocs.get(identity).getMap(ITEM_DOC_MAP) : null)
+        : value
+      let itemMap = new Y.Map()
+      if (source) source.forEach((v, key) => { itemMap.set(key, cloneValue(v)) })
+      if (checksums.has(identity)) itemMap.set('checksums', checksums.get(identity))
+      if (matchKeys.has(identity)) itemMap.set('matchKeys', matchKeys.get(identity))
+      annotations.set(identity, itemMap)
+    })
+  })
+  return flat
+}
+
+/**
+ * Load a room in v4 layout: the doc itself for a v4 room, a flattened
+ * copy for a v5 room.
+ */
+async function loadFlatRoom(ldb, room, liveDocs) {
+  let doc = await loadDoc(ldb, room, liveDocs)
+  if (!usesItemDocs(doc)) return doc
+  return flattenDoc(doc, await loadItemDocs(ldb, room, doc, liveDocs))
+}
+
+module.exports = {
+  MESSAGE_SUBDOC,
+  ITEM_DOCS_SCHEMA_VERSION,
+  ITEM_DOC_MAP,
+  SubdocRelay,
+  itemDocGuid,
+  subdocName,
+  isSubdocName,
+  usesItemDocs,
+  loadItemDocs,
+  flattenDoc,
+  loadFlatRoom
+}
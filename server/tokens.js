@@ -0,0 +1,183 @@
+'use strict'
+
+/**
+ * Room token file — hashed tokens managed by `troparcel-server tokens`.
+ *
+ * Format (JSON, written atomically with mode 0600):
+ *   {
+ *     "version": 1,
+ *     "rooms": {
+ *       "my-room": [
+ *         { "id": "3f9a1c", "access": "write", "label": "", "created": "…",
+ *           "salt": "<hex>", "hash": "<hex sha256(salt + token)>" }
+ *       ]
+ *     }
+ *   }
+ *
+ * Only hashes are stored: a leaked file does not reveal working tokens.
+ * Generated tokens are 32 random bytes, so a fast salted hash is enough;
+ * comparison is timing-safe. The server polls the file and reloads it
+ * on change (see TokenStore.watch), so add/rotate/revoke take effect
+ * without a restart.
+ */
+
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+
+const ACCESS_LEVELS = ['write', 'read']
+
+function generateToken() {
+  return crypto.randomBytes(32).toString('base64url')
+}
+
+function hashToken(token, salt) {
+  return crypto.createHash('sha256').update(salt).update(String(token)).digest('hex')
+}
+
+class TokenStore {
+  constructor(file) {
+    this.file = file
+    this.rooms = {}
+    this._watching = false
+  }
+
+  /**
+   * (Re)read the file. A missing file means no stored tokens.
+   */
+  load() {
+    let data
+    try {
+      data = JSON.parse(fs.readFileSync(this.file, 'utf8'))
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        this.rooms = {}
+        return this
+      }
+      throw new Error(`Cannot read token file ${this.file}: ${err.message}`)
+    }
+    this.rooms = (data && typeof data.rooms === 'object' && data.rooms) || {}
+    return this
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true })
+    let tmp = this.file + '.tmp'
+    fs.writeFileSync(tmp, JSON.stringify({ version: 1, rooms: this.rooms }, null, 2), { mode: 0o600 })
+    fs.renameSync(tmp, this.file)
+  }
+
+  /**
+   * True when the file manages the room. A room whose tokens were all
+   * revoked stays listed with no entries, so it is locked rather than
+   * silently reopened to everyone.
+   */
+  hasRoom(room) {
+    return Array.isArray(this.rooms[room])
+  }
+
+  /**
+   * Access level the token grants for the room: 'write', 'read', or
+   * null when it matches no stored token.
+   */
+  access(room, token) {
+    let entries = this.rooms[room]
+    if (!Array.isArray(entries) || typeof token !== 'string' || !token) return null
+    let granted = null
+    for (let entry of entries) {
+      let expected = Buffer.from(entry.hash, 'hex')
+      let actual = Buffer.from(hashToken(token, entry.salt), 'hex')
+      if (expected.length === actual.length && crypto.timingSafeEqual(expected, actual)) {
+        if (entry.access === 'write') return 'write'
+        granted = 'read'
+      }
+    }
+    return granted
+  }
+
+  /**
+   * Store a new token. Returns { id, token } — the only time the
+   * plaintext token is available.
+   */
+  add(room, { access = 'write', label = '', token } = {}) {
+    if (!ACCESS_LEVELS.includes(access)) {
+      throw new Error(`Unknown access level "${access}" — expected write or read`)
+    }
+    token = token || generateToken()
+    let salt = crypto.randomBytes(16).toString('hex')
+    let id = crypto.randomBytes(3).toString('hex')
+    if (!this.rooms[room]) this.rooms[room] = []
+    this.rooms[room].push({
+      id,
+      access,
+      label,
+      created: new Date().toISOString(),
+      salt,
+      hash: hashToken(token, salt)
+    })
+    return { id, token }
+  }
+
+  /**
+   * Replace every token of one access level in a room with a new one.
+   */
+  rotate(room, { access = 'write', label = '' } = {}) {
+    let removed = (this.rooms[room] || []).filter(entry => entry.access === access).length
+    this.rooms[room] = (this.rooms[room] || []).filter(entry => entry.access !== access)
+    return { ...this.add(room, { access, label }), removed }
+  }
+
+  /**
+   * Revoke one token by id, or all tokens of the room when id is omitted.
+   * Returns the number removed. Revoking the last token locks the room
+   * until a new one is added.
+   */
+  revoke(room, id) {
+    let entries = this.rooms[room] || []
+    let kept = id ? entries.filter(entry => entry.id !== id) : []
+    let removed = entries.length - kept.length
+    if (removed > 0) this.rooms[room] = kept
+    return removed
+  }
+
+  /**
+   * Token entries without salts or hashes.
+   */
+  list(room) {
+    let result = []
+    for (let [name, entries] of Object.entries(this.rooms)) {
+      if (room && name !== room) continue
+      for (let { id, access, label, created } of entries) {
+        result.push({ room: name, id, access, label, created })
+      }
+    }
+    return result
+  }
+
+  /**
+   * Reload whenever the file changes. Polls rather than using fs.watch,
+   * which misses atomic renames on some platforms and Docker volumes.
+   */
+  watch(onReload, interval = 2000) {
+    if (this._watching) return
+    this._watching = true
+    fs.watchFile(this.file, { interval }, (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return
+      try {
+        this.load()
+        onReload(null)
+      } catch (err) {
+        // Keep serving the previous tokens
+        onReload(err)
+      }
+    })
+  }
+
+  unwatch() {
+    if (!this._watching) return
+    fs.unwatchFile(this.file)
+    this._watching = false
+  }
+}
+
+module.exports = { TokenStore, generateToken, hashToken, ACCESS_LEVELS }
@@ -0,0 +1,487 @@
+'use strict'
+
+/**
+ * Versioned room history — full Yjs state snapshots kept in LevelDB.
+ *
+ * Storage (y-leveldb document metadata of the room):
+ *   versions          index: [{ id, createdAt, reason, label, bytes, items, hash }]
+ *   version:<id>      Y.encodeStateAsUpdate() of the room at that time
+ *
+ * Snapshots hold the whole state rather than a Y.snapshot() delta: the
+ * server runs with gc enabled, so deleted content is gone from the live
+ * doc and could not be reconstructed from a state vector alone.
+ *
+ * Restore never rewrites history. It computes the changes that turn the
+ * current doc into the snapshot's content and applies them as a normal
+ * forward update, so connected clients converge like after any edit.
+ *
+ * diffVersions() compares two versions, or a version and the current
+ * state, item by item (see room-diff.js). revertAuthor() undoes one
+ * collaborator's writes, with the versions as earlier states (see
+ * revert.js).
+ *
+ * v5 rooms are snapshotted in their flattened v4 layout (item subdocs
+ * folded back in, see subdocs.js); restoring one writes each item's
+ * content back into its subdoc.
+ */
+
+const crypto = require('crypto')
+const Y = require('yjs')
+const { itemsToJSON } = require('./rooms')
+const { diffSnapshots } = require('./room-diff')
+const { planRevert, revertValue } = require('./revert')
+const {
+  ITEM_DOCS_SCHEMA_VERSION,
+  ITEM_DOC_MAP,
+  itemDocGuid,
+  subdocName,
+  usesItemDocs,
+  loadItemDocs,
+  flattenDoc
+} = require('./subdocs')
+
+const INDEX_KEY = 'versions'
+const DATA_PREFIX = 'version:'
+
+function versionError(code, message) {
+  return Object.assign(new Error(message), { code })
+}
+
+async function listVersions(ldb, name) {
+  return (await ldb.getMeta(name, INDEX_KEY)) || []
+}
+
+function newVersionId(index) {
+  let id = 'v' + Date.now()
+  let n = 1
+  while (index.some(v => v.id === id)) id = `v${Date.now()}-${n++}`
+  return id
+}
+
+async function loadDoc(ldb, name, liveDocs) {
+  if (liveDocs && liveDocs.has(name)) return liveDocs.get(name)
+  return ldb.getYDoc(name)
+}
+
+// Destroy a doc loadDoc() read from storage; live docs belong to their
+// connections and stay as they are
+function releaseDoc(doc, name, liveDocs) {
+  if (doc && !(liveDocs && liveDocs.has(name))) doc.destroy()
+}
+
+// Attributed items of a room doc, its item subdocs folded in when v5
+async function currentItems(ldb, name, doc, liveDocs) {
+  if (!usesItemDocs(doc)) return itemsToJSON(doc, { attribution: true })
+  let itemDocs = await loadItemDocs(ldb, name, doc, liveDocs)
+  let flat = flattenDoc(doc, itemDocs)
+  try {
+    return itemsToJSON(flat, { attribution: true })
+  } finally {
+    flat.destroy()
+    releaseItemDocs(name, doc, itemDocs, liveDocs)
+  }
+}
+
+// Release the item docs loadItemDocs() read for a room doc
+function releaseItemDocs(name, doc, itemDocs, liveDocs) {
+  let annotations = doc.getMap('annotations')
+  for (let [identity, itemDoc] of itemDocs) {
+    let ref = annotations.get(identity)
+    releaseDoc(itemDoc, ref instanceof Y.Doc ? subdocName(name, ref.guid) : null, liveDocs)
+  }
+}
+
+/**
+ * Store a snapshot of the room. Returns the new version's summary, or
+ * null when the room is unchanged since the newest stored version
+ * (unless force is set, e.g. for a labelled snapshot).
+ */
+async function createVersion(ldb, name, liveDocs, { reason = 'scheduled', label = '', force = false } = {}) {
+  let doc = await loadDoc(ldb, name, liveDocs)
+  let state, hash, items
+  try {
+    state = Y.encodeStateAsUpdate(doc)
+    let hasher = crypto.createHash('sha256').update(state)
+    let itemDocs = await loadItemDocs(ldb, name, doc, liveDocs)
+    try {
+      if (usesItemDocs(doc)) {
+        // Hash the real docs: a flattened copy gets a new client id each time
+        for (let identity of [...itemDocs.keys()].sort()) {
+          hasher.update(Y.encodeStateAsUpdate(itemDocs.get(identity)))
+        }
+        let flat = flattenDoc(doc, itemDocs)
+        state = Y.encodeStateAsUpdate(flat)
+        flat.destroy()
+      }
+    } finally {
+      releaseItemDocs(name, doc, itemDocs, liveDocs)
+    }
+    hash = hasher.digest('hex')
+    items = doc.getMap('annotations').size
+  } finally {
+    releaseDoc(doc, name, liveDocs)
+  }
+
+  let index = await listVersions(ldb, name)
+  let newest = index[index.length - 1]
+  if (!force && newest && newest.hash === hash) return null
+
+  let version = {
+    id: newVersionId(index),
+    createdAt: new Date().toISOString(),
+    reason,
+    label,
+    bytes: state.length,
+    items,
+    hash
+  }
+  await ldb.setMeta(name, DATA_PREFIX + version.id, state)
+  index.push(version)
+  await ldb.setMeta(name, INDEX_KEY, index)
+  return version
+}
+
+/**
+ * Drop versions older than maxAgeMs. The newest version is always kept
+ * so a quiet room still has one restore point. Returns the number removed.
+ */
+async function pruneVersions(ldb, name, maxAgeMs) {
+  let index = await listVersions(ldb, name)
+  if (index.length <= 1) return 0
+  let cutoff = Date.now() - maxAgeMs
+  let keep = index.filter((v, i) => i === index.length - 1 || Date.parse(v.createdAt) >= cutoff)
+  let removed = index.filter(v => !keep.includes(v))
+  if (removed.length === 0) return 0
+  for (let v of removed) await ldb.delMeta(name, DATA_PREFIX + v.id)
+  await ldb.setMeta(name, INDEX_KEY, keep)
+  return removed.length
+}
+
+/**
+ * Load a version into a fresh Y.Doc. Returns { version, doc }.
+ */
+async function getVersion(ldb, name, id) {
+  let index = await listVersions(ldb, name)
+  let version = index.find(v => v.id === id)
+  if (!version) throw versionError('VERSION_NOT_FOUND', `Version "${id}" not found in room "${name}"`)
+  let state = await ldb.getMeta(name, DATA_PREFIX + id)
+  if (!state) throw versionError('VERSION_NOT_FOUND', `Version "${id}" has no stored state`)
+  let doc = new Y.Doc()
+  Y.applyUpdate(doc, state)
+  return { version, doc }
+}
+
+// --- Diff ---
+
+/**
+ * What changed in a room between version `fromId` and version `toId`
+ * (or the current state when toId is null). Returns the room-diff.js
+ * report with the two versions' summaries as `from` and `to`.
+ */
+async function diffVersions(ldb, name, fromId, toId, liveDocs) {
+  let from = await getVersion(ldb, name, fromId)
+  let to = toId ? await getVersion(ldb, name, toId) : null
+  try {
+    let after
+    if (to) {
+      after = itemsToJSON(to.doc, { attribution: true })
+    } else {
+      let doc = await loadDoc(ldb, name, liveDocs)
+      try {
+        after = await currentItems(ldb, name, doc, liveDocs)
+      } finally {
+        releaseDoc(doc, name, liveDocs)
+      }
+    }
+    let report = diffSnapshots(itemsToJSON(from.doc, { attribution: true }), after)
+    return {
+      room: name,
+      from: from.version,
+      to: to ? to.version : { id: 'current', createdAt: new Date().toISOString() },
+      ...report
+    }
+  } finally {
+    from.doc.destroy()
+    if (to) to.doc.destroy()
+  }
+}
+
+// --- Serialization ---
+
+/**
+ * getSnapshot-style JSON of a room: items keyed by identity (attribution
+ * stripped, see rooms.itemsToJSON), plus the room-level maps (room
+ * config, schema, lists).
+ */
+function snapshotToJSON(doc) {
+  let result = { items: itemsToJSON(doc) }
+  for (let root of doc.share.keys()) {
+    if (root !== 'annotations') result[root] = doc.getMap(root).toJSON()
+  }
+  return result
+}
+
+// --- Restore ---
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b)
+}
+
+function cloneValue(value) {
+  return value instanceof Y.AbstractType ? value.clone() : value
+}
+
+/**
+ * Make map `cur` equal to `target` with the fewest writes: unchanged
+ * keys are left alone so their history (and concurrent edits to other
+ * keys) is untouched. Keys in `skip` are not touched at all.
+ */
+function syncMap(cur, target, skip = []) {
+  let stale = []
+  cur.forEach((_, key) => { if (!target.has(key) && !skip.includes(key)) stale.push(key) })
+  for (let key of stale) cur.delete(key)
+
+  target.forEach((tv, key) => {
+    if (skip.includes(key)) return
+    let cv = cur.get(key)
+    if (tv instanceof Y.Map && cv instanceof Y.Map) {
+      syncMap(cv, tv)
+    } else if (tv instanceof Y.Array && cv instanceof Y.Array) {
+      // In place, so observers of the array (YKeyValue) keep working
+      if (!isEqual(cv.toJSON(), tv.toJSON())) {
+        cv.delete(0, cv.length)
+        cv.insert(0, tv.toArray().map(cloneValue))
+      }
+    } else if (tv instanceof Y.Text && cv instanceof Y.Text) {
+      if (cv.toString() !== tv.toString()) {
+        cv.delete(0, cv.length)
+        cv.insert(0, tv.toString())
+      }
+    } else if (tv instanceof Y.AbstractType) {
+      if (!(cv instanceof Y.AbstractType) || !isEqual(cv.toJSON(), tv.toJSON())) {
+        cur.set(key, tv.clone())
+      }
+    } else if (cv instanceof Y.AbstractType || !isEqual(cv, tv)) {
+      cur.set(key, tv)
+    }
+  })
+}
+
+/**
+ * Bring the room back to a version's content with a forward update.
+ * A 'pre-restore' version of the current state is stored first, so a
+ * restore can itself be undone. Returns { restored, backup, bytes }.
+ */
+async function restoreVersion(ldb, name, id, liveDocs) {
+  let { version, doc: target } = await getVersion(ldb, name, id)
+  let backup = await createVersion(ldb, name, liveDocs, {
+    reason: 'pre-restore', label: `before restoring ${id}`, force: true
+  })
+
+  let bytes = 0
+  let doc = null
+  try {
+    doc = await loadDoc(ldb, name, liveDocs)
+    if (usesItemDocs(doc)) {
+      bytes = await restoreItemDocs(ldb, name, doc, target, liveDocs)
+    } else {
+      bytes = await applyRestore(ldb, name, doc, liveDocs, () => {
+        let roots = new Set([...doc.share.keys(), ...target.share.keys()])
+        for (let root of roots) syncMap(doc.getMap(root), target.getMap(root))
+      })
+    }
+  } finally {
+    releaseDoc(doc, name, liveDocs)
+    target.destroy()
+  }
+  return { restored: version, backup, bytes }
+}
+
+/**
+ * Run fn in one restore transaction on doc and persist the resulting
+ * update. Returns its size in bytes (0 when nothing changed).
+ */
+async function applyRestore(ldb, docName, doc, liveDocs, fn) {
+  let updates = []
+  let capture = (update) => { updates.push(update) }
+  doc.on('update', capture)
+  try {
+    doc.transact(fn, 'troparcel-restore')
+  } finally {
+    doc.off('update', capture)
+  }
+
+  let update = updates.length > 0 ? Y.mergeUpdates(updates) : null
+  // A live doc persists and broadcasts through y-websocket (or the
+  // subdoc relay); a stored-only doc gets the update written directly.
+  if (update && !(liveDocs && liveDocs.has(docName))) await ldb.storeUpdate(docName, update)
+  return update ? update.length : 0
+}
+
+/**
+ * Restore a v4-layout snapshot into a v5 room: root maps and item
+ * references first, then every item's content into its subdoc. The
+ * room stays at v5 whatever layout the snapshot was taken in.
+ */
+async function restoreItemDocs(ldb, name, doc, target, liveDocs) {
+  let targetItems = target.getMap('annotations')
+  let bytes = await applyRestore(ldb, name, doc, liveDocs, () => {
+    for (let root of new Set([...doc.share.keys(), ...target.share.keys()])) {
+      if (root === 'annotations' || root === 'itemChecksums' || root === 'itemMatchKeys') continue
+      syncMap(doc.getMap(root), target.getMap(root), root === 'room' ? ['schemaVersion'] : [])
+    }
+    if (!usesItemDocs(doc)) doc.getMap('room').set('schemaVersion', ITEM_DOCS_SCHEMA_VERSION)
+
+    let annotations = doc.getMap('annotations')
+    let checksums = doc.getMap('itemChecksums')
+    let matchKeys = doc.getMap('itemMatchKeys')
+    let stale = []
+    annotations.forEach((_, identity) => { if (!targetItems.has(identity)) stale.push(identity) })
+    for (let identity of stale) {
+      annotations.delete(identity)
+      checksums.delete(identity)
+      matchKeys.delete(identity)
+    }
+    targetItems.forEach((itemMap, identity) => {
+      if (!(annotations.get(identity) instanceof Y.Doc)) {
+        annotations.set(identity, new Y.Doc({ guid: itemDocGuid(identity) }))
+      }
+      let str = itemMap.get('checksums')
+      if (str && checksums.get(identity) !== str) checksums.set(identity, str)
+      else if (!str && checksums.has(identity)) checksums.delete(identity)
+      let keys = itemMap.get('matchKeys')
+      if (keys && !isEqual(matchKeys.get(identity), keys)) matchKeys.set(identity, keys)
+      else if (!keys && matchKeys.has(identity)) matchKeys.delete(identity)
+    })
+  })
+
+  for (let [identity, itemMap] of targetItems.entries()) {
+    let docName = subdocName(name, doc.getMap('annotations').get(identity).guid)
+    let itemDoc = await loadDoc(ldb, docName, liveDocs)
+    try {
+      bytes += await applyRestore(ldb, docName, itemDoc, liveDocs, () => {
+        syncMap(itemDoc.getMap(ITEM_DOC_MAP), itemMap, ['checksums', 'matchKeys'])
+      })
+    } finally {
+      releaseDoc(itemDoc, docName, liveDocs)
+    }
+  }
+  return bytes
+}
+
+// --- Revert ---
+
+function ensureSection(parent, key, Type) {
+  let section = parent.get(key)
+  if (!(section instanceof Type)) {
+    section = new Type()
+    parent.set(key, section)
+  }
+  return section
+}
+
+// Replace a YKeyValue entry ([{ key, val }]) the way YKeyValue.set does
+function setKeyValue(arr, key, val) {
+  let entries = arr.toArray()
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (entries[i] && entries[i].key === key) arr.delete(i, 1)
+  }
+  arr.push([{ key, val }])
+}
+
+/**
+ * Write one planned revert change into an item map. Note fragments and
+ * transcription texts are left alone: without the richText/sharedText
+ * flags clients read the entry's html and text and re-seed them, as
+ * after a write by an older client. Removals keep the entry's author
+ * and name the reverter as `revertedBy`.
+ */
+function writeRevertChange(itemMap, change, author, pushSeq) {
+  let { richText, sharedText, ...value } = revertValue(change)
+  value = { ...value, author, pushSeq }
+  let { section, key } = change
+  if (change.action === 'remove' && value.deleted) {
+    // Tombstones keep the entry's author, see crdt-schema.js revertRemoval()
+    let existing = ensureSection(itemMap, section, Y.Map).get(key)
+    value = { ...value, author: (existing && existing.author) || author, revertedBy: author }
+  }
+  if (section === 'metadata' || section === 'selectionMeta') {
+    setKeyValue(ensureSection(itemMap, section, Y.Array), key, value)
+  } else if (section === 'photos') {
+    let split = key.indexOf(' ')
+    let photo = ensureSection(ensureSection(itemMap, 'photos', Y.Map), key.slice(0, split), Y.Map)
+    setKeyValue(ensureSection(photo, 'metadata', Y.Array), key.slice(split + 1), value)
+  } else {
+    ensureSection(itemMap, section, Y.Map).set(key, value)
+  }
+}
+
+/**
+ * Revert what `author` wrote in the room since `since` ({ pushSeq } or
+ * { time }, see revert.js), taking prior values from the field history
+ * and the stored versions. With dryRun only the plan is returned;
+ * otherwise a 'pre-revert' version is stored first and the changes are
+ * written as a forward update by "revert:<by>". Returns the plan with
+ * `applied` (changes written), `backup` and `bytes`.
+ */
+async function revertAuthor(ldb, name, author, since, liveDocs, options = {}) {
+  let doc = await loadDoc(ldb, name, liveDocs)
+  try {
+    return await revertDoc(ldb, name, doc, author, since, liveDocs, options)
+  } finally {
+    releaseDoc(doc, name, liveDocs)
+  }
+}
+
+async function revertDoc(ldb, name, doc, author, since, liveDocs, { dryRun = true, by = 'operator' }) {
+  let subdocs = usesItemDocs(doc)
+  let current = await currentItems(ldb, name, doc, liveDocs)
+
+  let earlier = []
+  for (let v of await listVersions(ldb, name)) {
+    if (since.time != null && Date.parse(v.createdAt) > since.time) continue
+    let { doc: state } = await getVersion(ldb, name, v.id)
+    earlier.push({ createdAt: v.createdAt, items: itemsToJSON(state, { attribution: true }) })
+    state.destroy()
+  }
+
+  let plan = planRevert(current, author, since, earlier)
+  if (dryRun || plan.changes.length === 0) return { room: name, ...plan, applied: 0 }
+
+  let backup = await createVersion(ldb, name, liveDocs, {
+    reason: 'pre-revert', label: `before reverting ${author}`, force: true
+  })
+  let byItem = new Map()
+  for (let change of plan.changes) {
+    if (!byItem.has(change.identity)) byItem.set(change.identity, [])
+    byItem.get(change.identity).push(change)
+  }
+
+  let writer = `revert:${by}`
+  let pushSeq = Date.now()
+  let bytes = 0
+  for (let [identity, changes] of byItem) {
+    let docName = subdocs ? subdocName(name, doc.getMap('annotations').get(identity).guid) : name
+    let target = subdocs ? await loadDoc(ldb, docName, liveDocs) : doc
+    try {
+      bytes += await applyRestore(ldb, docName, target, liveDocs, () => {
+        let itemMap = subdocs ? target.getMap(ITEM_DOC_MAP) : target.getMap('annotations').get(identity)
+        for (let change of changes) writeRevertChange(itemMap, change, writer, pushSeq)
+      })
+    } finally {
+      if (subdocs) releaseDoc(target, docName, liveDocs)
+    }
+  }
+  return { room: name, ...plan, applied: plan.changes.length, backup, bytes }
+}
+
+module.exports = {
+  listVersions,
+  createVersion,
+  pruneVersions,
+  getVersion,
+  restoreVersion,
+  diffVersions,
+  revertAuthor,
+  snapshotToJSON
+}
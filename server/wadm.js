@@ -0,0 +1,175 @@
+'use strict'
+
+/**
+ * W3C Web Annotation (WADM) export of Troparcel room content.
+ *
+ * Pure conversion from plain item snapshots to an AnnotationCollection,
+ * with no Yjs dependency. The server's export endpoint and the plugin's
+ * exporter (src/wadm.js) both use it; the plugin bundles this file, the
+ * server image only ships server/*.js.
+ *
+ * Input: { [identity]: item } where item has the crdt-schema sections as
+ * plain objects with attribution kept (author, pushSeq) — the shape of
+ * getItemSnapshot() — plus `checksums` (array or comma-separated string).
+ *
+ * Mapping:
+ *   notes, selectionNotes → motivation "commenting", TextualBody (HTML)
+ *   transcriptions        → motivation "describing", TextualBody (plain text)
+ *   tags                  → motivation "tagging", TextualBody purpose "tagging"
+ *   photo                 → target source `${sourcePrefix}${checksum}`
+ *   selection             → FragmentSelector xywh= on that photo
+ *   author                → creator, named by its display name if known,
+ *                           else by the author id without its @host:port
+ *
+ * Annotations without a photo (item-level notes, tags) target every photo
+ * of the item. Tombstoned entries are left out.
+ */
+
+const WADM_CONTEXT = 'http://www.w3.org/ns/anno.jsonld'
+const DEFAULT_SOURCE_PREFIX = 'urn:troparcel:photo:'
+
+function itemChecksums(item) {
+  let checksums = item.checksums
+  if (typeof checksums === 'string') checksums = checksums.split(',')
+  if (!Array.isArray(checksums) || checksums.length === 0) {
+    checksums = Object.keys(item.photos || {})
+  }
+  return checksums.filter(Boolean)
+}
+
+function live(section) {
+  return Object.entries(section || {}).filter(([, value]) => value && !value.deleted)
+}
+
+// Author ids default to user@host:port; the host says nothing about the person
+function personName(author, displayName) {
+  let name = displayName && displayName(author)
+  if (name) return String(name)
+  return String(author).split('@')[0] || String(author)
+}
+
+function textBody(value, format, language, purpose) {
+  let body = { type: 'TextualBody', value, format }
+  if (language) body.language = language
+  if (purpose) body.purpose = purpose
+  return body
+}
+
+/**
+ * Build annotations for one item as [{ key, annotation }]; the caller
+ * turns the keys into ids within the collection.
+ */
+function itemAnnotations(identity, item, sourcePrefix, displayName) {
+  let checksums = itemChecksums(item)
+  let selections = item.selections || {}
+
+  let photoSource = (checksum) => ({ id: sourcePrefix + checksum, type: 'Image' })
+
+  let photoTarget = (checksum) => checksum
+    ? photoSource(checksum)
+    : checksums.map(photoSource)
+
+  let selectionTarget = (selUUID, fallbackPhoto) => {
+    let sel = selections[selUUID]
+    if (!sel || sel.deleted) return photoTarget(fallbackPhoto)
+    let checksum = sel.photo || fallbackPhoto
+    if (!checksum) return photoTarget(null)
+    let xywh = [sel.x, sel.y, sel.w, sel.h].map(n => Math.round(n)).join(',')
+    return {
+      type: 'SpecificResource',
+      source: photoSource(checksum),
+      selector: {
+        type: 'FragmentSelector',
+        conformsTo: 'http://www.w3.org/TR/media-frags/',
+        value: `xywh=${xywh}`
+      }
+    }
+  }
+
+  let annotations = []
+  let add = (key, motivation, body, target, author) => {
+    // A photo-less item has nothing a repository could resolve
+    if (Array.isArray(target) && target.length === 0) return
+    let annotation = { type: 'Annotation', motivation }
+    if (author) annotation.creator = { type: 'Person', nickname: personName(author, displayName) }
+    annotation.body = body
+    annotation.target = target
+    annotations.push({ key: `${identity}:${key}`, annotation })
+  }
+
+  for (let [uuid, note] of live(item.notes)) {
+    let body = note.html
+      ? textBody(note.html, 'text/html', note.language)
+      : textBody(note.text || '', 'text/plain', note.language)
+    let target = note.selection
+      ? selectionTarget(note.selection, note.photo)
+      : photoTarget(note.photo)
+    add(`note:${uuid}`, 'commenting', body, target, note.author)
+  }
+
+  for (let [key, note] of live(item.selectionNotes)) {
+    let selUUID = note.selUUID || key.slice(0, key.indexOf(':'))
+    let body = note.html
+      ? textBody(note.html, 'text/html', note.language)
+      : textBody(note.text || '', 'text/plain', note.language)
+    add(`note:${note.noteUUID || key}`, 'commenting', body, selectionTarget(selUUID, null), note.author)
+  }
+
+  for (let [uuid, tx] of live(item.transcriptions)) {
+    let target = tx.selection
+      ? selectionTarget(tx.selection, tx.photo)
+      : photoTarget(tx.photo)
+    add(`transcription:${uuid}`, 'describing', textBody(tx.text || '', 'text/plain'), target, tx.author)
+  }
+
+  for (let [key, tag] of live(item.tags)) {
+    add(`tag:${key}`, 'tagging', textBody(tag.name || key, 'text/plain', null, 'tagging'),
+      photoTarget(null), tag.author)
+  }
+
+  return annotations
+}
+
+/**
+ * Convert item snapshots to a W3C AnnotationCollection with all
+ * annotations embedded in its first page.
+ *
+ * @param {Object} items - { [identity]: item snapshot }
+ * @param {Object} [options]
+ * @param {string} [options.room] - Room name, used in the default ids and label
+ * @param {string} [options.id] - Collection IRI (default urn:troparcel:room:<room>)
+ * @param {string} [options.sourcePrefix] - Prefix turning a photo checksum into a target IRI
+ * @param {Function} [options.displayName] - author id → display name, or null if unknown
+ * @returns {Object} AnnotationCollection (JSON-LD)
+ */
+function toAnnotationCollection(items, options = {}) {
+  let room = options.room || 'room'
+  let id = options.id || `urn:troparcel:room:${encodeURIComponent(room)}`
+  let sourcePrefix = options.sourcePrefix || DEFAULT_SOURCE_PREFIX
+
+  let annotations = []
+  let identities = Object.keys(items || {}).sort()
+  for (let identity of identities) {
+    for (let { key, annotation } of itemAnnotations(identity, items[identity] || {}, sourcePrefix, options.displayName)) {
+      annotations.push({ id: `${id}#${encodeURIComponent(key)}`, ...annotation })
+    }
+  }
+
+  return {
+    '@context': WADM_CONTEXT,
+    id,
+    type: 'AnnotationCollection',
+    label: `Troparcel room "${room}"`,
+    total: annotations.length,
+    generator: { type: 'Software', name: 'Troparcel' },
+    generated: new Date().toISOString(),
+    first: {
+      id: `${id}#page-0`,
+      type: 'AnnotationPage',
+      startIndex: 0,
+      items: annotations
+    }
+  }
+}
+
+module.exports = { toAnnotationCollection, WADM_CONTEXT, DEFAULT_SOURCE_PREFIX }
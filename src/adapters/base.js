@@ -8,6 +8,9 @@ const { EventEmitter } = require('events')
  * Subclasses must implement: connect(), disconnect(), destroy(),
  * isConnected(), transportName, displayAddress.
  *
+ * Transports that can sync v5 item subdocs (see crdt-schema) override
+ * supportsSubdocs, syncSubdoc() and unsyncSubdoc().
+ *
  * Events emitted:
  *   'status'  — { status: 'connected' | 'disconnected' }
  *   'error'   — { message: string }
@@ -46,6 +49,25 @@ class SyncAdapter extends EventEmitter {
     return 0
   }
 
+  /** @returns {boolean} — true when syncSubdoc() is implemented */
+  get supportsSubdocs() {
+    return false
+  }
+
+  /**
+   * Start syncing a loaded subdoc of the room doc. Resolves true once
+   * the peers' state is merged, false when that did not happen within
+   * the transport's wait (offline) — the subdoc keeps syncing anyway.
+   * @param {Y.Doc} subdoc
+   * @returns {Promise<boolean>}
+   */
+  async syncSubdoc(subdoc) {
+    throw new Error(`${this.transportName} transport cannot sync subdocuments`)
+  }
+
+  /** Stop syncing a subdoc (unloaded or removed from the room). */
+  unsyncSubdoc(subdoc) {}
+
   /** Clean up all resources. */
   async destroy() {
     await this.disconnect()
@@ -0,0 +1,360 @@
+'use strict'
+
+const WS = require('ws')
+const Y = require('yjs')
+const {
+  Awareness,
+  encodeAwarenessUpdate,
+  applyAwarenessUpdate,
+  removeAwarenessStates
+} = require('y-protocols/awareness')
+const { SyncAdapter } = require('./base')
+const { deriveRoomKey, sealFrame, openFrame } = require('../room-crypto')
+
+// Wire protocol shared with server/index.js (e2e rooms). Every message
+// starts with a type byte; seq numbers are uint32 big-endian.
+//
+//   client → server                    server → client
+//   UPDATE     [0][frame]              UPDATE     [0][seq][frame]
+//   AWARENESS  [1][frame]              AWARENESS  [1][frame]
+//   CHECKPOINT [2][coversSeq][frame]   CHECKPOINT [2][seq][frame]
+//                                      SYNCED     [3][lastSeq]
+//                                      CHECKPOINTED [4][seq]
+const MSG_UPDATE = 0
+const MSG_AWARENESS = 1
+const MSG_CHECKPOINT = 2
+const MSG_SYNCED = 3
+const MSG_CHECKPOINTED = 4
+
+// Close codes after which retrying cannot help
+const FATAL_CLOSE_CODES = new Set([4001, 4004])
+
+const MAX_BACKOFF = 10000
+
+/**
+ * End-to-end encrypted WebSocket transport.
+ *
+ * Used instead of WebSocketAdapter when a room passphrase is configured.
+ * Every Yjs update and awareness message is sealed with the room key
+ * (see room-crypto.js) before it leaves this adapter; the server stores
+ * and relays the frames without being able to read or merge them.
+ *
+ * Sync: on connect the server replays the latest checkpoint and every
+ * update frame stored after it, then sends SYNCED. The adapter applies
+ * them to the doc and to a scratch "server view" doc; the difference
+ * between the two is what the server has never seen (offline edits) and
+ * is sent as one update.
+ *
+ * Compaction: the server cannot merge ciphertext, so clients do it.
+ * Once more than e2eCheckpointThreshold update frames have piled up
+ * after the last checkpoint, the adapter uploads its full state as a new
+ * checkpoint covering every seq it has applied; the server then drops
+ * the frames it replaces. A client that failed to decrypt any frame
+ * never uploads a checkpoint, so undecryptable data is never discarded.
+ */
+class EncryptedWebSocketAdapter extends SyncAdapter {
+  constructor(doc, options, logger) {
+    super(doc, options, logger)
+    this._key = deriveRoomKey(options.roomPassphrase, options.room)
+    this._checkpointThreshold = Number(options.e2eCheckpointThreshold) || 100
+
+    this.ws = null
+    this.awareness = new Awareness(doc)
+    this._shouldConnect = false
+    this._connected = false
+    this._reconnectTimer = null
+    this._attempts = 0
+    this._fatal = null
+    this._waiters = []
+
+    this._lastSeq = 0
+    this._sinceCheckpoint = 0
+    this._view = null
+    this._undecryptable = false
+
+    this._updateHandler = (update, origin) => {
+      if (origin !== this) this._sendUpdate(update)
+    }
+    this._awarenessHandler = ({ added, updated, removed }, origin) => {
+      if (origin === this) return
+      let changed = added.concat(updated, removed)
+      this._send(MSG_AWARENESS, null, sealFrame(
+        this._key, 'awareness', encodeAwarenessUpdate(this.awareness, changed)))
+    }
+    doc.on('update', this._updateHandler)
+    this.awareness.on('update', this._awarenessHandler)
+  }
+
+  async connect() {
+    this._shouldConnect = true
+    this._fatal = null
+    // Called again by the engine while it runs offline; a pending
+    // reconnect attempt is simply brought forward.
+    if (!this.ws) {
+      clearTimeout(this._reconnectTimer)
+      this._reconnectTimer = null
+      this._open()
+    }
+    await this._waitForSync()
+  }
+
+  _url() {
+    let base = this.options.serverUrl.replace(/\/+$/, '')
+    let params = new URLSearchParams({ e2e: '1' })
+    if (this.options.roomToken) params.set('token', this.options.roomToken)
+    return `${base}/${encodeURIComponent(this.options.room)}?${params}`
+  }
+
+  _open() {
+    let ws = new WS(this._url())
+    this.ws = ws
+    this._view = new Y.Doc()
+    this._lastSeq = 0
+    this._sinceCheckpoint = 0
+    this._undecryptable = false
+
+    ws.on('message', (data) => {
+      try {
+        this._onMessage(new Uint8Array(data))
+      } catch (err) {
+        this.logger.warn(`[troparcel:e2e] bad message from server: ${err.message}`)
+      }
+    })
+    ws.on('error', (err) => {
+      this.logger.warn(
+        `[troparcel] connection error: ${err.message} — ` +
+        'check that the Troparcel server is running')
+      this.emit('error', { message: err.message })
+    })
+    ws.on('close', (code, reason) => this._onClose(ws, code, String(reason || '')))
+  }
+
+  _onClose(ws, code, reason) {
+    if (this.ws !== ws) return
+    this.ws = null
+    let wasConnected = this._connected
+    this._connected = false
+    if (this._view) {
+      this._view.destroy()
+      this._view = null
+    }
+    this._dropRemoteAwareness()
+
+    if (FATAL_CLOSE_CODES.has(code)) {
+      this._fatal = new Error(reason || `server closed connection (code ${code})`)
+      this.logger.warn(`[troparcel:e2e] server refused the room: ${this._fatal.message}`)
+      this.emit('error', { message: this._fatal.message })
+      this._settleWaiters(this._fatal)
+    } else if (code !== 1000 && this._shouldConnect) {
+      this.logger.info(
+        `[troparcel] connection closed (code: ${code}` +
+        `${reason ? ', ' + reason : ''}), reconnecting...`)
+    }
+
+    if (wasConnected) this.emit('status', { status: 'disconnected' })
+
+    if (this._shouldConnect && !this._fatal) {
+      let delay = Math.min(100 * Math.pow(2, this._attempts++), MAX_BACKOFF)
+      this._reconnectTimer = setTimeout(() => {
+        this._reconnectTimer = null
+        if (this._shouldConnect && !this.ws) this._open()
+      }, delay)
+    }
+  }
+
+  _onMessage(data) {
+    let type = data[0]
+    let view = new DataView(data.buffer, data.byteOffset, data.length)
+
+    switch (type) {
+      case MSG_UPDATE:
+      case MSG_CHECKPOINT: {
+        let seq = view.getUint32(1)
+        let kind = type === MSG_UPDATE ? 'update' : 'checkpoint'
+        let update = this._decrypt(kind, data.subarray(5))
+        if (update) {
+          Y.applyUpdate(this.doc, update, this)
+          if (this._view) Y.applyUpdate(this._view, update)
+        }
+        this._lastSeq = Math.max(this._lastSeq, seq)
+        if (type === MSG_CHECKPOINT) this._sinceCheckpoint = 0
+        else this._sinceCheckpoint++
+        if (this._connected) this._maybeCheckpoint()
+        break
+      }
+      case MSG_AWARENESS: {
+        let update = this._decrypt('awareness', data.subarray(1))
+        if (update) applyAwarenessUpdate(this.awareness, update, this)
+        break
+      }
+      case MSG_SYNCED:
+        this._lastSeq = Math.max(this._lastSeq, view.getUint32(1))
+        this._onSynced()
+        break
+      case MSG_CHECKPOINTED:
+        this._sinceCheckpoint = Math.max(0, this._lastSeq - view.getUint32(1))
+        break
+      default:
+        this.logger.warn(`[troparcel:e2e] ignoring unknown message type ${type}`)
+    }
+  }
+
+  /**
+   * Decrypt a frame; null (and no more checkpoint uploads this session)
+   * when it does not authenticate.
+   */
+  _decrypt(kind, frame) {
+    try {
+      return openFrame(this._key, kind, frame)
+    } catch (err) {
+      if (!this._undecryptable) {
+        this.logger.warn(
+          `[troparcel:e2e] ${err.message} — check that every collaborator ` +
+          'uses the same room passphrase')
+        this.emit('error', { message: err.message })
+      }
+      this._undecryptable = true
+      return null
+    }
+  }
+
+  /**
+   * Backlog replayed: send what the server has not seen, then go live.
+   */
+  _onSynced() {
+    if (this._view) {
+      let missing = Y.encodeStateAsUpdate(this.doc, Y.encodeStateVector(this._view))
+      this._view.destroy()
+      this._view = null
+      this._connected = true
+      // An empty update encodes as two zero bytes
+      if (missing.length > 2) this._sendUpdate(missing)
+    }
+    this._attempts = 0
+
+    if (this.awareness.getLocalState() !== null) {
+      this._send(MSG_AWARENESS, null, sealFrame(
+        this._key, 'awareness',
+        encodeAwarenessUpdate(this.awareness, [this.doc.clientID])))
+    }
+
+    this.emit('status', { status: 'connected' })
+    this.emit('sync', { synced: true })
+    this._settleWaiters(null)
+    this._maybeCheckpoint()
+  }
+
+  _sendUpdate(update) {
+    if (!this._connected) return   // reconciled from the server view on connect
+    this._send(MSG_UPDATE, null, sealFrame(this._key, 'update', update))
+  }
+
+  /**
+   * Upload our full state as a checkpoint once the server holds more
+   * than the threshold of update frames after the last one.
+   */
+  _maybeCheckpoint() {
+    if (this._undecryptable || this._sinceCheckpoint < this._checkpointThreshold) return
+    let state = Y.encodeStateAsUpdate(this.doc)
+    this._send(MSG_CHECKPOINT, this._lastSeq, sealFrame(this._key, 'checkpoint', state))
+    this.logger.info(
+      `[troparcel:e2e] uploaded checkpoint covering ${this._sinceCheckpoint} ` +
+      `update(s) (seq ${this._lastSeq})`)
+    this._sinceCheckpoint = 0
+  }
+
+  _send(type, seq, frame) {
+    if (!this.ws || this.ws.readyState !== WS.OPEN) return
+    let header = seq == null ? 1 : 5
+    let msg = new Uint8Array(header + frame.length)
+    msg[0] = type
+    if (seq != null) new DataView(msg.buffer).setUint32(1, seq)
+    msg.set(frame, header)
+    this.ws.send(msg)
+  }
+
+  _dropRemoteAwareness() {
+    let remote = []
+    this.awareness.getStates().forEach((_, clientId) => {
+      if (clientId !== this.doc.clientID) remote.push(clientId)
+    })
+    if (remote.length > 0) removeAwarenessStates(this.awareness, remote, this)
+  }
+
+  _waitForSync() {
+    if (this._connected) return Promise.resolve()
+    if (this._fatal) return Promise.reject(this._fatal)
+    return new Promise((resolve, reject) => {
+      let waiter = (err) => {
+        clearTimeout(timeout)
+        if (err) reject(err)
+        else resolve()
+      }
+      let timeout = setTimeout(() => {
+        this._waiters = this._waiters.filter(w => w !== waiter)
+        reject(new Error('Connection timeout (15s)'))
+      }, 15000)
+      this._waiters.push(waiter)
+    })
+  }
+
+  _settleWaiters(err) {
+    let waiters = this._waiters
+    this._waiters = []
+    for (let waiter of waiters) waiter(err)
+  }
+
+  async disconnect() {
+    this._shouldConnect = false
+    clearTimeout(this._reconnectTimer)
+    this._reconnectTimer = null
+    let ws = this.ws
+    if (!ws) return
+    if (this._connected) {
+      removeAwarenessStates(this.awareness, [this.doc.clientID], 'local')
+    }
+    ws.close(1000)
+    this._onClose(ws, 1000, '')
+  }
+
+  isConnected() {
+    return this._connected
+  }
+
+  getAwareness() {
+    return this.awareness
+  }
+
+  getPeerCount() {
+    let count = 0
+    this.awareness.getStates().forEach((state, clientId) => {
+      if (clientId !== this.doc.clientID && state.user) count++
+    })
+    return count
+  }
+
+  async destroy() {
+    await this.disconnect()
+    this.doc.off('update', this._updateHandler)
+    this.awareness.off('update', this._awarenessHandler)
+    this.awareness.destroy()
+    this.removeAllListeners()
+  }
+
+  get transportName() {
+    return 'websocket'
+  }
+
+  get displayAddress() {
+    return `${this.options.serverUrl} (end-to-end encrypted)`
+  }
+}
+
+module.exports = {
+  EncryptedWebSocketAdapter,
+  MSG_UPDATE,
+  MSG_AWARENESS,
+  MSG_CHECKPOINT,
+  MSG_SYNCED,
+  MSG_CHECKPOINTED
+}
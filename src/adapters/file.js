@@ -5,11 +5,36 @@ const path = require('path')
 const Y = require('yjs')
 const { SyncAdapter } = require('./base')
 
+const UPDATE_EXT = '.update'
+const CHECKPOINT_EXT = '.checkpoint'
+
 /**
  * File-based transport adapter — sync via a shared folder.
  *
- * Write: Y.encodeStateAsUpdate(doc) → {syncDir}/{room}.yjs (atomic: .tmp + rename)
- * Read: poll every filePollInterval ms, apply any new updates.
+ * Log-structured layout, so file-sync tools (Dropbox, Nextcloud, Syncthing)
+ * never see two machines write the same file:
+ *
+ *   {syncDir}/{room}/{clientID}-{seq}.update      incremental local updates
+ *   {syncDir}/{room}/{clientID}-{seq}.checkpoint  full state, written by compaction
+ *
+ * Every file has exactly one writer and is immutable once renamed into
+ * place, so "conflicted copy" files cannot happen and no writer can lose
+ * another's updates. Readers apply every file they have not seen yet —
+ * Yjs updates are idempotent, so re-reading or overlapping files is safe.
+ *
+ * Compaction: once the room folder holds more than fileCompactThreshold
+ * log files, the adapter writes a checkpoint of its whole doc and deletes
+ * the files it has already applied. Content is only deleted by a client
+ * whose newer checkpoint contains it, so every update survives in at
+ * least one file.
+ *
+ * A legacy single-file `{room}.yjs` from older versions is read once on
+ * connect and left untouched.
+ *
+ * Item subdocs (schema v5) get the same log layout in their own folder,
+ * `{syncDir}/{room}/items/{guid}/`, handled by a nested FileAdapter that
+ * this one polls — one timer per room, however many items are loaded.
+ *
  * No awareness protocol — peerCount is always 0.
  */
 class FileAdapter extends SyncAdapter {
@@ -17,21 +42,29 @@ class FileAdapter extends SyncAdapter {
     super(doc, options, logger)
     this._connected = false
     this._pollTimer = null
-    this._lastMtime = 0
     this._writing = false
 
     this._syncDir = options.syncDir
     this._room = options.room || 'troparcel-default'
     this._pollInterval = Number(options.filePollInterval) || 5000
-    this._filePath = path.join(this._syncDir, `${this._room}.yjs`)
-    this._tmpPath = this._filePath + '.tmp'
-    this._lockPath = this._filePath + '.lock'
+    this._compactThreshold = Number(options.fileCompactThreshold) || 50
+    this._roomDir = this._syncDir ? path.join(this._syncDir, this._room) : null
+    this._legacyPath = this._syncDir ? path.join(this._syncDir, `${this._room}.yjs`) : null
+
+    // Files already merged into the doc (by name — files are immutable),
+    // forgotten once compaction removes them from the folder
+    this._seen = new Set()
+    this._seq = 0
+
+    // Nested adapters of loaded item subdocs, polled by their parent
+    this._nested = options.nested === true
+    this._subdocs = new Map()
 
-    // Track local doc updates so we know when to write
-    this._pendingWrite = false
+    // Local updates not yet written to our log
+    this._pendingUpdates = []
     this._updateHandler = (update, origin) => {
       if (origin !== 'file-adapter-remote') {
-        this._pendingWrite = true
+        this._pendingUpdates.push(update)
       }
     }
   }
@@ -54,23 +87,38 @@ class FileAdapter extends SyncAdapter {
       throw err
     }
 
-    // Load existing file if present
-    if (fs.existsSync(this._filePath)) {
+    fs.mkdirSync(this._roomDir, { recursive: true })
+
+    // State recorded before connecting (offline edits restored from the
+    // local doc store) has never been written to the folder — log it once.
+    if (Y.encodeStateVector(this.doc).length > 1) {
+      this._pendingUpdates.push(Y.encodeStateAsUpdate(this.doc))
+    }
+
+    // Load the pre-log single-file state if a peer still has one around
+    if (fs.existsSync(this._legacyPath)) {
       try {
-        let data = fs.readFileSync(this._filePath)
+        let data = fs.readFileSync(this._legacyPath)
         Y.applyUpdate(this.doc, new Uint8Array(data), 'file-adapter-remote')
-        this._lastMtime = fs.statSync(this._filePath).mtimeMs
-        this.logger.info(`[troparcel:file] loaded existing state from ${this._filePath}`)
+        this.logger.info(`[troparcel:file] loaded legacy state from ${this._legacyPath}`)
       } catch (err) {
-        this.logger.warn(`[troparcel:file] failed to load ${this._filePath}: ${err.message}`)
+        this.logger.warn(`[troparcel:file] failed to load ${this._legacyPath}: ${err.message}`)
       }
     }
 
+    // Merge every log file present before we start writing
+    let loaded = this._readNewFiles()
+    if (loaded > 0) {
+      this.logger.info(`[troparcel:file] loaded ${loaded} log file(s) from ${this._roomDir}`)
+    }
+
     // Listen for local doc changes
     this.doc.on('update', this._updateHandler)
 
     // Start polling for remote changes
-    this._pollTimer = setInterval(() => this._poll(), this._pollInterval)
+    if (!this._nested) {
+      this._pollTimer = setInterval(() => this._poll(), this._pollInterval)
+    }
 
     this._connected = true
     this.emit('status', { status: 'connected' })
@@ -80,43 +128,150 @@ class FileAdapter extends SyncAdapter {
   _poll() {
     try {
       // Write pending local changes first
-      if (this._pendingWrite) {
-        this._writeState()
-        this._pendingWrite = false
-      }
-
-      // Check for remote changes
-      if (!fs.existsSync(this._filePath)) return
+      this._writeUpdate()
 
-      let stat = fs.statSync(this._filePath)
-      if (stat.mtimeMs <= this._lastMtime) return
-
-      // File has been modified by another instance
-      let data = fs.readFileSync(this._filePath)
-      this._lastMtime = stat.mtimeMs
+      // Merge files written by other clients
+      let applied = this._readNewFiles()
+      if (applied > 0) {
+        this.logger.info(`[troparcel:file] applied ${applied} remote log file(s)`)
+      }
 
-      Y.applyUpdate(this.doc, new Uint8Array(data), 'file-adapter-remote')
-      this.logger.info('[troparcel:file] applied remote update from file')
+      this._maybeCompact()
     } catch (err) {
       this.logger.warn(`[troparcel:file] poll error: ${err.message}`)
       this.emit('error', { message: err.message })
     }
+
+    for (let subdoc of this._subdocs.values()) subdoc._poll()
   }
 
-  _writeState() {
-    if (this._writing) return
-    this._writing = true
+  // --- Item subdocs ---
 
+  get supportsSubdocs() {
+    return true
+  }
+
+  async syncSubdoc(subdoc) {
+    if (this._subdocs.has(subdoc.guid)) return true
+    let folder = subdoc.guid.replace(/[^a-zA-Z0-9_-]/g, '_')
+    let adapter = new FileAdapter(subdoc, {
+      ...this.options,
+      room: path.join(this._room, 'items', folder),
+      nested: true
+    }, this.logger)
+    // Folder-level failures surface through the room's own poll
+    adapter.on('error', () => {})
+    await adapter.connect()
+    this._subdocs.set(subdoc.guid, adapter)
+    return true
+  }
+
+  unsyncSubdoc(subdoc) {
+    let adapter = this._subdocs.get(subdoc.guid)
+    if (!adapter || adapter.doc !== subdoc) return
+    this._subdocs.delete(subdoc.guid)
+    adapter.destroy()
+  }
+
+  /**
+   * Parse a log file name. Returns { clientId, seq, checkpoint } or null
+   * for anything that is not ours (temp files, sync-tool conflict copies).
+   */
+  _parseName(name) {
+    let match = name.match(/^(\d+)-(\d+)\.(update|checkpoint)$/)
+    if (!match) return null
+    return {
+      clientId: Number(match[1]),
+      seq: Number(match[2]),
+      checkpoint: match[3] === 'checkpoint'
+    }
+  }
+
+  _listLogFiles() {
+    let names
     try {
-      let state = Y.encodeStateAsUpdate(this.doc)
-      let buf = Buffer.from(state)
+      names = fs.readdirSync(this._roomDir)
+    } catch (err) {
+      if (err.code === 'ENOENT') return []
+      throw err
+    }
+    let files = []
+    for (let name of names) {
+      let parsed = this._parseName(name)
+      if (parsed) files.push({ name, ...parsed })
+    }
+    // Checkpoints first — later updates then apply on top of a full base
+    files.sort((a, b) => (b.checkpoint - a.checkpoint) || (a.seq - b.seq))
+    return files
+  }
+
+  /**
+   * Apply every log file not seen yet. Returns the number applied.
+   */
+  _readNewFiles() {
+    let applied = 0
+    let files = this._listLogFiles()
+    this._forgetRemoved(files)
+    for (let file of files) {
+      if (this._seen.has(file.name)) continue
+      // Our own files only ever contain our own updates
+      if (file.clientId === this.doc.clientID) {
+        this._seen.add(file.name)
+        continue
+      }
+
+      let data
+      try {
+        data = fs.readFileSync(path.join(this._roomDir, file.name))
+      } catch (err) {
+        // Deleted by a compacting peer between readdir and read — its
+        // content lives on in that peer's checkpoint.
+        if (err.code === 'ENOENT') continue
+        throw err
+      }
+
+      try {
+        Y.applyUpdate(this.doc, new Uint8Array(data), 'file-adapter-remote')
+        this._seen.add(file.name)
+        applied++
+      } catch (err) {
+        // Likely a partially synced file — retry on the next poll
+        this.logger.warn(`[troparcel:file] skipping unreadable ${file.name}: ${err.message}`)
+      }
+    }
+    return applied
+  }
+
+  /**
+   * Drop the names of files no longer in the folder (compacted by us or
+   * a peer), so the set stays as small as the log. A name never comes
+   * back, and should a sync tool restore the file, applying it again
+   * is harmless.
+   */
+  _forgetRemoved(files) {
+    let present = new Set(files.map(f => f.name))
+    for (let name of this._seen) {
+      if (!present.has(name)) this._seen.delete(name)
+    }
+  }
 
-      // Atomic write: write to .tmp then rename
-      fs.writeFileSync(this._tmpPath, buf)
-      fs.renameSync(this._tmpPath, this._filePath)
+  /**
+   * Write buffered local updates as one new immutable log file.
+   */
+  _writeUpdate() {
+    if (this._writing || this._pendingUpdates.length === 0) return
+    this._writing = true
+
+    let updates = this._pendingUpdates
+    this._pendingUpdates = []
 
-      this._lastMtime = fs.statSync(this._filePath).mtimeMs
+    try {
+      let merged = updates.length === 1 ? updates[0] : Y.mergeUpdates(updates)
+      let name = this._writeFile(UPDATE_EXT, merged)
+      this._seen.add(name)
     } catch (err) {
+      // Keep the updates for the next attempt
+      this._pendingUpdates = updates.concat(this._pendingUpdates)
       this.logger.warn(`[troparcel:file] write error: ${err.message}`)
       this.emit('error', { message: err.message })
     } finally {
@@ -124,6 +279,55 @@ class FileAdapter extends SyncAdapter {
     }
   }
 
+  /**
+   * Atomically write a new log file: .tmp then rename. Returns its name.
+   */
+  _writeFile(ext, data) {
+    let name = `${this.doc.clientID}-${this._seq++}${ext}`
+    let filePath = path.join(this._roomDir, name)
+    let tmpPath = filePath + '.tmp'
+    fs.writeFileSync(tmpPath, Buffer.from(data))
+    fs.renameSync(tmpPath, filePath)
+    return name
+  }
+
+  /**
+   * Fold the log into a checkpoint once it grows past the threshold.
+   *
+   * The checkpoint holds our full doc, which includes every file in
+   * this._seen — so exactly those files may be deleted afterwards.
+   * Files we have not applied yet are never touched.
+   */
+  _maybeCompact() {
+    let files = this._listLogFiles()
+    if (files.length <= this._compactThreshold) return
+    this._compact(files)
+  }
+
+  _compact(files = this._listLogFiles()) {
+    // Never fold in a state that still has unwritten local updates
+    if (this._pendingUpdates.length > 0) return 0
+
+    let checkpoint = this._writeFile(CHECKPOINT_EXT, Y.encodeStateAsUpdate(this.doc))
+    this._seen.add(checkpoint)
+
+    let removed = 0
+    for (let file of files) {
+      if (file.name === checkpoint || !this._seen.has(file.name)) continue
+      try {
+        fs.unlinkSync(path.join(this._roomDir, file.name))
+        this._seen.delete(file.name)
+        removed++
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          this.logger.warn(`[troparcel:file] could not remove ${file.name}: ${err.message}`)
+        }
+      }
+    }
+    this.logger.info(`[troparcel:file] compacted ${removed} log file(s) into ${checkpoint}`)
+    return removed
+  }
+
   async disconnect() {
     if (this._pollTimer) {
       clearInterval(this._pollTimer)
@@ -131,10 +335,10 @@ class FileAdapter extends SyncAdapter {
     }
 
     // Write any pending changes before disconnecting
-    if (this._pendingWrite) {
-      this._writeState()
-      this._pendingWrite = false
-    }
+    if (this._connected) this._writeUpdate()
+
+    for (let adapter of this._subdocs.values()) await adapter.destroy()
+    this._subdocs.clear()
 
     this.doc.off('update', this._updateHandler)
 
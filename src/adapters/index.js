@@ -0,0 +1,70 @@
+'use strict'
+
+const { SyncAdapter } = require('./base')
+const { WebSocketAdapter } = require('./websocket')
+const { FileAdapter } = require('./file')
+const { SnapshotAdapter } = require('./snapshot')
+const { EncryptedWebSocketAdapter } = require('./encrypted')
+
+const TRANSPORTS = {
+  websocket: WebSocketAdapter,
+  file: FileAdapter,
+  snapshot: SnapshotAdapter
+}
+
+/**
+ * Create the transport adapter named by options.transport.
+ *
+ * Defaults to 'websocket' so configurations from before connection
+ * strings existed keep working unchanged. A room passphrase switches
+ * the websocket transport to its end-to-end encrypted variant; the other
+ * transports cannot encrypt, so they refuse to start rather than sync
+ * material the user expects to be protected in cleartext.
+ *
+ * @param {Y.Doc} doc
+ * @param {object} options — merged plugin options
+ * @param {object} logger
+ * @returns {SyncAdapter}
+ */
+function createAdapter(doc, options, logger) {
+  let name = (options.transport || 'websocket').toLowerCase()
+  let Adapter = TRANSPORTS[name]
+  if (!Adapter) {
+    throw new Error(
+      `Unknown transport "${options.transport}" — ` +
+      `expected one of: ${Object.keys(TRANSPORTS).join(', ')}`)
+  }
+  if (options.roomPassphrase) {
+    if (name !== 'websocket') {
+      throw new Error(
+        `Room passphrase (end-to-end encryption) is not supported by the ${name} transport`)
+    }
+    Adapter = EncryptedWebSocketAdapter
+  }
+  return new Adapter(doc, options, logger)
+}
+
+/**
+ * The address options.transport is configured with, usable before the
+ * adapter exists (startup logs, the key of the room's local state).
+ *
+ * @param {object} options — merged plugin options
+ * @returns {string}
+ */
+function transportAddress(options) {
+  let name = (options.transport || 'websocket').toLowerCase()
+  if (name === 'file') return options.syncDir
+  if (name === 'snapshot') return options.snapshotUrl
+  return options.serverUrl
+}
+
+module.exports = {
+  createAdapter,
+  transportAddress,
+  TRANSPORTS,
+  SyncAdapter,
+  WebSocketAdapter,
+  FileAdapter,
+  SnapshotAdapter,
+  EncryptedWebSocketAdapter
+}
@@ -12,6 +12,17 @@ const { SyncAdapter } = require('./base')
  * Push: HTTP PUT Y.encodeStateAsUpdate(doc) to snapshotUrl
  * Poll every snapshotPollInterval ms (default 30000).
  * Pull-only if no snapshotAuth provided.
+ *
+ * Pushes are conditional so two collaborators pushing between each
+ * other's polls cannot overwrite one another:
+ *   - The validator from the last GET/PUT is sent as If-Match (ETag) or,
+ *     for static hosts without ETags, If-Unmodified-Since (Last-Modified).
+ *   - When the object did not exist yet, If-None-Match: * makes the first
+ *     PUT create-only.
+ *   - On 412 Precondition Failed the adapter re-pulls, merges the remote
+ *     state with Y.applyUpdate and retries with bounded exponential
+ *     backoff (snapshotMaxRetries attempts).
+ * GETs send If-None-Match / If-Modified-Since so unchanged state costs a 304.
  */
 class SnapshotAdapter extends SyncAdapter {
   constructor(doc, options, logger) {
@@ -22,8 +33,16 @@ class SnapshotAdapter extends SyncAdapter {
     this._url = options.snapshotUrl
     this._auth = options.snapshotAuth || ''
     this._pollInterval = Number(options.snapshotPollInterval) || 30000
+    this._maxRetries = Number(options.snapshotMaxRetries) || 5
+    this._retryBaseDelay = Number(options.snapshotRetryDelay) || 500
     this._canPush = !!this._auth
 
+    // Validators of the server copy we last merged. _exists is null until
+    // the first GET answers, false after a 404.
+    this._etag = null
+    this._lastModified = null
+    this._exists = null
+
     // Track local doc updates so we know when to push
     this._pendingPush = false
     this._updateHandler = (update, origin) => {
@@ -45,6 +64,12 @@ class SnapshotAdapter extends SyncAdapter {
       throw new Error(`Invalid snapshotUrl: "${this._url}"`)
     }
 
+    // State recorded before connecting (offline edits restored from the
+    // local doc store) must reach the server even if nothing changes later
+    if (Y.encodeStateVector(this.doc).length > 1) {
+      this._pendingPush = true
+    }
+
     // Initial pull
     try {
       await this._pull()
@@ -70,8 +95,7 @@ class SnapshotAdapter extends SyncAdapter {
     try {
       // Push pending local changes first
       if (this._pendingPush && this._canPush) {
-        await this._push()
-        this._pendingPush = false
+        await this._pushWithRetry()
       }
 
       // Pull remote changes
@@ -82,6 +106,14 @@ class SnapshotAdapter extends SyncAdapter {
     }
   }
 
+  /**
+   * Remember the validators the server sent with its current copy.
+   */
+  _recordValidators(res) {
+    this._etag = res.headers['etag'] || null
+    this._lastModified = res.headers['last-modified'] || null
+  }
+
   _pull() {
     return new Promise((resolve, reject) => {
       let parsed = new URL(this._url)
@@ -89,14 +121,30 @@ class SnapshotAdapter extends SyncAdapter {
 
       let headers = {}
       if (this._auth) headers['Authorization'] = this._auth
+      if (this._etag) {
+        headers['If-None-Match'] = this._etag
+      } else if (this._lastModified) {
+        headers['If-Modified-Since'] = this._lastModified
+      }
 
       let req = mod.get(this._url, { headers }, (res) => {
+        if (res.statusCode === 304) {
+          // Unchanged since our last GET/PUT
+          res.resume()
+          resolve()
+          return
+        }
         if (res.statusCode === 404) {
           // No state yet — not an error
+          res.resume()
+          this._exists = false
+          this._etag = null
+          this._lastModified = null
           resolve()
           return
         }
         if (res.statusCode < 200 || res.statusCode >= 300) {
+          res.resume()
           let err = new Error(`HTTP ${res.statusCode} from GET ${this._url}`)
           err.statusCode = res.statusCode
           reject(err)
@@ -111,6 +159,9 @@ class SnapshotAdapter extends SyncAdapter {
             if (data.length > 0) {
               Y.applyUpdate(this.doc, new Uint8Array(data), 'snapshot-adapter-remote')
             }
+            // Only trust the validators once the body is merged
+            this._exists = true
+            this._recordValidators(res)
             resolve()
           } catch (err) {
             reject(err)
@@ -126,6 +177,37 @@ class SnapshotAdapter extends SyncAdapter {
     })
   }
 
+  /**
+   * Push with optimistic concurrency: on 412, re-pull + merge and retry
+   * with exponential backoff (base snapshotRetryDelay, ±50% jitter).
+   */
+  async _pushWithRetry() {
+    for (let attempt = 0; ; attempt++) {
+      // Cleared before the PUT encodes the doc: edits made while the
+      // request is in flight flag the next cycle again.
+      this._pendingPush = false
+      try {
+        await this._push()
+        return
+      } catch (err) {
+        if (err.statusCode !== 412 || attempt + 1 >= this._maxRetries) {
+          this._pendingPush = true
+          throw err
+        }
+      }
+
+      this.logger.info(
+        `[troparcel:snapshot] remote changed since last pull — merging, attempt ${attempt + 2}/${this._maxRetries}`)
+      let delay = this._retryBaseDelay * Math.pow(2, attempt)
+      await new Promise(r => setTimeout(r, delay * (0.5 + Math.random())))
+      // Drop validators that just failed, so a server without
+      // If-None-Match support still sends us its full copy
+      this._etag = null
+      this._lastModified = null
+      await this._pull()
+    }
+  }
+
   _push() {
     return new Promise((resolve, reject) => {
       let state = Y.encodeStateAsUpdate(this.doc)
@@ -145,14 +227,27 @@ class SnapshotAdapter extends SyncAdapter {
         }
       }
       if (this._auth) reqOpts.headers['Authorization'] = this._auth
+      if (this._etag) {
+        reqOpts.headers['If-Match'] = this._etag
+      } else if (this._lastModified) {
+        reqOpts.headers['If-Unmodified-Since'] = this._lastModified
+      } else if (this._exists === false) {
+        reqOpts.headers['If-None-Match'] = '*'
+      }
 
       let req = mod.request(reqOpts, (res) => {
         // Drain response
         res.resume()
         if (res.statusCode < 200 || res.statusCode >= 300) {
-          reject(new Error(`HTTP ${res.statusCode} from PUT ${this._url}`))
+          let err = new Error(`HTTP ${res.statusCode} from PUT ${this._url}`)
+          err.statusCode = res.statusCode
+          reject(err)
           return
         }
+        // Hosts that do not return validators on PUT get revalidated by
+        // the GET that follows every push in _pollCycle.
+        this._exists = true
+        this._recordValidators(res)
         this.logger.info('[troparcel:snapshot] pushed state to server')
         resolve()
       })
@@ -175,7 +270,7 @@ class SnapshotAdapter extends SyncAdapter {
     // Push any pending changes before disconnecting
     if (this._pendingPush && this._canPush) {
       try {
-        await this._push()
+        await this._pushWithRetry()
       } catch (err) {
         this.logger.warn(`[troparcel:snapshot] final push failed: ${err.message}`)
       }
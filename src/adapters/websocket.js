@@ -2,21 +2,51 @@
 
 const { WebsocketProvider } = require('y-websocket')
 const WS = require('ws')
+const encoding = require('lib0/encoding')
+const decoding = require('lib0/decoding')
+const syncProtocol = require('y-protocols/sync')
 const { SyncAdapter } = require('./base')
 
+// Subdoc sync message, shared with server/subdocs.js:
+//   [MESSAGE_SUBDOC][varString guid][y-protocols sync message]
+// y-websocket's own types are 0-3; unknown types are ignored by peers.
+const MESSAGE_SUBDOC = 100
+
+// How long syncSubdoc() waits for the server's state
+const SUBDOC_SYNC_TIMEOUT = 10000
+
 /**
  * WebSocket transport adapter — wraps y-websocket's WebsocketProvider.
  *
  * This is the original real-time transport extracted from sync-engine.js.
  * Supports awareness protocol for peer presence.
+ *
+ * Item subdocs (schema v5) are multiplexed over the room's socket as
+ * MESSAGE_SUBDOC messages instead of opening one provider per subdoc:
+ * a client with thousands of loaded items would otherwise exhaust the
+ * server's per-IP connection limit. Each subdoc runs the standard
+ * sync-step-1/2 exchange on load and after every reconnect, then
+ * streams its updates.
  */
 class WebSocketAdapter extends SyncAdapter {
   constructor(doc, options, logger) {
     super(doc, options, logger)
     this.provider = null
+
+    // guid → { doc, synced, waiters, updateHandler }
+    this._subdocs = new Map()
   }
 
   async connect() {
+    // Called again by the engine while it runs offline; the provider
+    // keeps reconnecting on its own, so only wait for it again.
+    if (!this.provider) this._createProvider()
+
+    // Wait for initial connection
+    await this._waitForConnection()
+  }
+
+  _createProvider() {
     // Always use Node.js ws module — browser WebSocket is blocked by Tropy's CSP
     this.provider = new WebsocketProvider(
       this.options.serverUrl,
@@ -33,8 +63,17 @@ class WebSocketAdapter extends SyncAdapter {
       }
     )
 
+    this.provider.messageHandlers[MESSAGE_SUBDOC] = (encoder, decoder) => {
+      this._readSubdocMessage(encoder, decoder)
+    }
+
     // Forward connection lifecycle events
     this.provider.on('status', (e) => {
+      if (e.status === 'connected') {
+        for (let entry of this._subdocs.values()) this._sendSubdocStep1(entry)
+      } else if (e.status === 'disconnected') {
+        for (let entry of this._subdocs.values()) entry.synced = false
+      }
       this.emit('status', e)
     })
     this.provider.on('connection-error', (e) => {
@@ -50,9 +89,6 @@ class WebSocketAdapter extends SyncAdapter {
           `${e.reason ? ', ' + e.reason : ''}), reconnecting...`)
       }
     })
-
-    // Wait for initial connection
-    await this._waitForConnection()
   }
 
   _waitForConnection() {
@@ -79,6 +115,92 @@ class WebSocketAdapter extends SyncAdapter {
     })
   }
 
+  // --- Item subdocs ---
+
+  get supportsSubdocs() {
+    return true
+  }
+
+  syncSubdoc(subdoc) {
+    let entry = this._subdocs.get(subdoc.guid)
+    if (!entry) {
+      entry = { doc: subdoc, synced: false, waiters: [], updateHandler: null }
+      entry.updateHandler = (update, origin) => {
+        if (origin === this) return
+        let encoder = this._subdocEncoder(subdoc.guid)
+        syncProtocol.writeUpdate(encoder, update)
+        this._send(encoder)
+      }
+      subdoc.on('update', entry.updateHandler)
+      this._subdocs.set(subdoc.guid, entry)
+      this._sendSubdocStep1(entry)
+    }
+    if (entry.synced) return Promise.resolve(true)
+
+    return new Promise(resolve => {
+      let timer = setTimeout(() => {
+        entry.waiters = entry.waiters.filter(w => w !== waiter)
+        resolve(false)
+      }, SUBDOC_SYNC_TIMEOUT)
+      let waiter = () => {
+        clearTimeout(timer)
+        resolve(true)
+      }
+      entry.waiters.push(waiter)
+    })
+  }
+
+  unsyncSubdoc(subdoc) {
+    let entry = this._subdocs.get(subdoc.guid)
+    if (!entry || entry.doc !== subdoc) return
+    subdoc.off('update', entry.updateHandler)
+    this._subdocs.delete(subdoc.guid)
+    for (let waiter of entry.waiters) waiter()
+  }
+
+  _subdocEncoder(guid) {
+    let encoder = encoding.createEncoder()
+    encoding.writeVarUint(encoder, MESSAGE_SUBDOC)
+    encoding.writeVarString(encoder, guid)
+    return encoder
+  }
+
+  _send(encoder) {
+    if (!this.provider || !this.provider.wsconnected) return
+    this.provider.ws.send(encoding.toUint8Array(encoder))
+  }
+
+  _sendSubdocStep1(entry) {
+    let encoder = this._subdocEncoder(entry.doc.guid)
+    syncProtocol.writeSyncStep1(encoder, entry.doc)
+    this._send(encoder)
+  }
+
+  /**
+   * Handle a MESSAGE_SUBDOC from the server. Replies go into the
+   * provider's encoder, which it sends when anything was written.
+   */
+  _readSubdocMessage(encoder, decoder) {
+    let guid = decoding.readVarString(decoder)
+    let entry = this._subdocs.get(guid)
+    // Unloaded since the request went out
+    if (!entry) return
+
+    let reply = this._subdocEncoder(guid)
+    let headerLength = encoding.length(reply)
+    let type = syncProtocol.readSyncMessage(decoder, reply, entry.doc, this)
+    if (encoding.length(reply) > headerLength) {
+      encoding.writeUint8Array(encoder, encoding.toUint8Array(reply))
+    }
+
+    if (type === syncProtocol.messageYjsSyncStep2 && !entry.synced) {
+      entry.synced = true
+      let waiters = entry.waiters
+      entry.waiters = []
+      for (let waiter of waiters) waiter()
+    }
+  }
+
   async disconnect() {
     if (!this.provider) return
 
@@ -104,6 +226,7 @@ class WebSocketAdapter extends SyncAdapter {
   }
 
   async destroy() {
+    for (let entry of [...this._subdocs.values()]) this.unsyncSubdoc(entry.doc)
     await this.disconnect()
     this.removeAllListeners()
   }
@@ -117,4 +240,4 @@ class WebSocketAdapter extends SyncAdapter {
   }
 }
 
-module.exports = { WebSocketAdapter }
+module.exports = { WebSocketAdapter, MESSAGE_SUBDOC }
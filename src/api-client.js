@@ -1,6 +1,8 @@
 'use strict'
 
+const fs = require('fs')
 const http = require('http')
+const { isInside } = require('./bootstrap')
 
 /**
  * API Client — talks to Tropy's localhost HTTP API.
@@ -307,6 +309,28 @@ class ApiClient {
     })
   }
 
+  /**
+   * Import photo files the user picked, as JSON-LD items whose photos
+   * carry a `path` (see bootstrap.js importData()). Unlike importItems()
+   * this reads local files, so every path must resolve, symbolic links
+   * included, to a file inside `folder` — the folder the user chose, never
+   * one named by room data.
+   * @param {Object} data - JSON-LD document with '@graph' items
+   * @param {string} folder - The folder the files were scanned from
+   * @param {Object} [options] - { list: list id }
+   */
+  async importLocalFiles(data, folder, options = {}) {
+    let root = fs.realpathSync(folder)
+    for (let item of (data && data['@graph']) || []) {
+      for (let photo of item.photo || []) {
+        if (!photo.path || !isInside(root, fs.realpathSync(photo.path))) {
+          throw new Error(`Refusing to import ${photo.path}: not inside ${root}`)
+        }
+      }
+    }
+    return this.importItems({ data, list: options.list })
+  }
+
   /**
    * Get project version info.
    */
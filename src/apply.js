@@ -4,6 +4,10 @@ const crypto = require('crypto')
 const identity = require('./identity')
 const schema = require('./crdt-schema')
 const { sanitizeHtml, escapeHtml } = require('./sanitize')
+const { htmlToDoc, renderDoc, sameDoc, mergeDocs } = require('./note-content')
+const { mergeText } = require('./diff3')
+const { renderThread, parseThreadNote, parseCommentNote } = require('./comments')
+const { reviewKey } = require('./review-queue')
 const { TAG, ITEM, METADATA, ONTOLOGY, LIST } = require('./tropy-action-types')
 
 const ATTRIBUTION_PALETTE = [
@@ -98,6 +102,9 @@ module.exports = {
     }
 
     await this.applyTranscriptions(itemIdentity, local, userId)
+    await this._writeDelay()
+
+    await this.applyComments(itemIdentity, local, userId)
 
     if (this.options.syncLists) {
       await this._writeDelay()
@@ -118,6 +125,18 @@ module.exports = {
     }
   },
 
+  /**
+   * Review mode: an entry whose change is waiting in the review queue,
+   * or was rejected (until its author writes it again), is held back.
+   * Keys as in review-queue.js.
+   */
+  _reviewHolds(itemIdentity, section, key, value) {
+    if (this.options.syncMode !== 'review' || !this.reviewQueue) return false
+    if (this.reviewQueue.isPending(itemIdentity, section, key)) return true
+    return this.vault.isDismissed(reviewKey(itemIdentity, section, key, value.editor || value.author),
+      value.pushSeq || 0)
+  },
+
   /**
    * V3: Resolve a peer userId to its human-readable display name.
    * Reads from vault.userDisplayNames (populated by awareness handler in
@@ -237,9 +256,14 @@ module.exports = {
   async applyMetadata(itemIdentity, localId, userId, localItem) {
     if (!this.options.syncMetadata) return
     let remoteMeta = schema.getMetadata(this.doc, itemIdentity)
+    let conflicts = schema.getMetadataConflicts(this.doc, itemIdentity)
     let batch = {}
     for (let [prop, value] of Object.entries(remoteMeta)) {
       if (value.author === userId) continue
+      if (this._reviewHolds(itemIdentity, 'metadata', prop, value)) continue
+      // Open conflict: nothing applies until it is resolved
+      if (conflicts[prop]) continue
+      let remoteHash = this.vault._fastHash(`${value.text || ''}|${value.type || ''}`)
 
       // Diff: skip if local already has same value
       let localVal = localItem[prop]
@@ -247,16 +271,39 @@ module.exports = {
         let localText = typeof localVal === 'object'
           ? (localVal['@value'] || localVal.text || '')
           : String(localVal)
-        if (localText === (value.text || '')) continue
-        // Logic-based: skip if we have a local edit for this field
+        if (localText === (value.text || '')) {
+          this.vault.markMetadataBase(itemIdentity, prop, remoteHash)
+          continue
+        }
         let valueHash = this.vault._fastHash(`${localText}|${value.type || ''}`)
-        if (this.vault.hasLocalEdit(itemIdentity, prop, valueHash)) {
-          this._logConflict('metadata-apply', itemIdentity, prop, {
-            localValue: localText?.slice(0, 50),
-            remoteValue: (value.text || '').slice(0, 50),
-            remoteAuthor: value.author,
-            resolution: 'local-wins'
-          })
+        let base = this.vault.getMetadataBase(itemIdentity, prop)
+        let resolved = Array.isArray(value.resolves) && value.resolves.includes(localText)
+
+        let conflict = false
+        if (resolved) {
+          // A resolved conflict over our value: take the resolution
+        } else if (base != null) {
+          // Remote unchanged since we agreed: our edit goes out on push
+          if (base === remoteHash) continue
+          conflict = base !== valueHash
+        } else {
+          // Logic-based: no agreed value to compare with, so a local edit
+          // since the last push makes it a conflict
+          conflict = this.vault.hasLocalEdit(itemIdentity, prop, valueHash)
+        }
+        if (conflict) {
+          // Read-only (see SyncEngine._negotiateSchema): keep the local
+          // value without recording the conflict in the room
+          if (!this.readOnly) {
+            this.doc.transact(() => {
+              this._recordMetadataConflict(itemIdentity, prop, {
+                text: localText,
+                type: value.type,
+                author: userId,
+                pushSeq: this.vault.nextPushSeq()
+              }, value)
+            }, this.LOCAL_ORIGIN)
+          }
           continue
         }
       }
@@ -268,6 +315,10 @@ module.exports = {
     if (batchKeys.length > 0) {
       try {
         await this.api.saveMetadata(localId, batch)
+        for (let prop of batchKeys) {
+          this.vault.markMetadataBase(itemIdentity, prop,
+            this.vault._fastHash(`${batch[prop].text || ''}|${batch[prop].type || ''}`))
+        }
         if (this._applyStats) this._applyStats.metadataUpdated += batchKeys.length
         this._debug(`metadata: ${batchKeys.length} field(s) on item ${localId}`)
       } catch (err) {
@@ -292,6 +343,7 @@ module.exports = {
 
     for (let tag of activeTags) {
       if (tag.author === userId) continue
+      if (this._reviewHolds(itemIdentity, 'tags', tag.name.toLowerCase(), tag)) continue
 
       // Diff: skip if item already has this tag (case-insensitive)
       if (localTagNames.has(tag.name.toLowerCase())) continue
@@ -329,7 +381,8 @@ module.exports = {
     let deletedTags = schema.getDeletedTags(this.doc, itemIdentity)
     // Tags: no ownership guard — accept all tombstones (add-wins recovers)
     for (let tag of deletedTags) {
-      if (tag.author === userId) continue
+      if (tag.author === userId && !tag.revertedBy) continue
+      if (this._reviewHolds(itemIdentity, 'tags', tag.name.toLowerCase(), tag)) continue
 
       // Diff: skip if item doesn't have this tag anyway (case-insensitive)
       if (!localTagNames.has(tag.name.toLowerCase())) continue
@@ -395,10 +448,11 @@ module.exports = {
    *
    * The footer uses <sub> to minimize visual impact while staying within
    * ProseMirror's supported node types. Users are told it's safe to delete
-   * (the vault mapping takes over once established).
+   * (the vault mapping takes over once established). Edits above the
+   * footer merge back into rich-text notes (see pushNotes).
    */
   _makeFooter(noteKey, authorLabel) {
-    return `<p><sub>[troparcel:${escapeHtml(noteKey)} from ${authorLabel} — safe to delete, do not edit]</sub></p>`
+    return `<p><sub>[troparcel:${escapeHtml(noteKey)} from ${authorLabel} — safe to delete]</sub></p>`
   },
 
   _extractNoteKey(html) {
@@ -406,6 +460,62 @@ module.exports = {
     return m ? m[1] : null
   },
 
+  // Note HTML without the footer added by _makeFooter
+  _stripNoteFooter(html) {
+    return (html || '').replace(/<p><sub>\[troparcel:[^\]]*\]<\/sub><\/p>\s*$/, '')
+  },
+
+  /**
+   * What a remote rich-text note brings to its local copy, decided three-
+   * way against the content both last agreed on (the vault's note base):
+   * remote-only changes are taken, local-only changes are left for push,
+   * and when both changed the merge is written to the CRDT as well, so
+   * peers get the local half. Returns the document to write locally, or
+   * null to leave the local note alone.
+   */
+  _mergeRemoteNote(noteKey, remote, localHtml, target, userId, remoteAuthor) {
+    let local = htmlToDoc(this._stripNoteFooter(localHtml))
+    if (sameDoc(local, remote)) {
+      this.vault.markNoteBase(noteKey, renderDoc(remote))
+      return null
+    }
+
+    let base = this.vault.getNoteBase(noteKey)
+    if (base == null) {
+      // Applied before rich text, nothing to merge against: the whole-
+      // note rule of plain notes (local edits win). Own notes always keep
+      // the local version; push records it as the base.
+      if (remoteAuthor === userId || this.vault.hasLocalNoteEdit(noteKey, localHtml)) {
+        this._logConflict('note-apply', target.identity, `note:${noteKey}`, {
+          remoteAuthor,
+          resolution: 'local-wins'
+        })
+        return null
+      }
+      return remote
+    }
+
+    let baseDoc = htmlToDoc(base)
+    if (sameDoc(remote, baseDoc)) return null
+    if (sameDoc(local, baseDoc)) return remote
+
+    let { doc: merged, conflicts } = mergeDocs(baseDoc, local, remote)
+    if (conflicts > 0) {
+      this._logConflict('note-merge', target.identity, `note:${noteKey}`, {
+        conflicts,
+        remoteAuthor,
+        resolution: 'local-wins'
+      })
+    }
+    if (!this.readOnly) {
+      this.doc.transact(() => {
+        schema.setNoteContent(this.doc, target.identity, target.section, noteKey,
+          merged, userId, this.vault.nextPushSeq())
+      }, this.LOCAL_ORIGIN)
+    }
+    return merged
+  },
+
   /**
    * Scan all local notes to find one whose content embeds the given CRDT UUID.
    * Returns the local note ID or null.
@@ -424,29 +534,60 @@ module.exports = {
     return null
   },
 
-  async _applyRemoteNote(noteKey, note, parent, existingTexts, userId, label) {
-    let safeHtml = note.html
-      ? sanitizeHtml(note.html)
-      : `<p>${escapeHtml(note.text)}</p>`
-
-    let authorLabel = escapeHtml(note.author || 'unknown')
-    safeHtml = `${safeHtml}${this._makeFooter(noteKey, authorLabel)}`
+  /**
+   * target: { identity, section } of the CRDT entry ('notes' or
+   * 'selectionNotes'), where rich-text merges are written back.
+   */
+  async _applyRemoteNote(noteKey, note, parent, existingTexts, userId, label, target) {
+    // Own notes come back only with edits to their rich text, to the
+    // local note they came from (no footer)
+    let own = note.author === userId
+    let content = note.richText ? schema.getNoteContent(this.doc, target.identity, noteKey) : null
+    // The vault maps own selection notes by note UUID (see pushNotes)
+    let localKey = own && note.noteUUID ? note.noteUUID : noteKey
 
     // Find existing local note by UUID (embedded in footer)
     let existingLocalId = this._findLocalNoteByUUID(noteKey)
 
     // Fast-path: vault hint (may be stale, but check anyway)
     if (!existingLocalId) {
-      let vaultId = this.vault.getLocalNoteId(noteKey)
+      let vaultId = this.vault.getLocalNoteId(localKey)
       if (vaultId && this.adapter) {
         let state = this.adapter._getState()
         if (state.notes[vaultId]) existingLocalId = vaultId
       }
     }
 
+    if (own && (!existingLocalId || !content)) return false
+
+    if (existingLocalId && content && this.adapter) {
+      let localNote = this.adapter._getState().notes[existingLocalId]
+      if (localNote) {
+        content = this._mergeRemoteNote(noteKey, content,
+          this.adapter._noteStateToHtml(localNote), target, userId, note.author)
+        if (!content) {
+          this.vault.appliedNoteKeys.add(noteKey)
+          if (this._applyStats) this._applyStats.notesSkipped = (this._applyStats.notesSkipped || 0) + 1
+          return false
+        }
+      }
+    }
+
+    let bodyHtml = content ? renderDoc(content) : note.html
+    let safeHtml = bodyHtml
+      ? sanitizeHtml(bodyHtml)
+      : `<p>${escapeHtml(note.text)}</p>`
+    let baseHtml = content ? renderDoc(content) : null
+
+    if (!own) {
+      let authorLabel = escapeHtml(note.author || 'unknown')
+      safeHtml = `${safeHtml}${this._makeFooter(noteKey, authorLabel)}`
+    }
+
     if (existingLocalId) {
       // Check if user has locally edited the note since last apply
-      if (this.adapter) {
+      // (rich-text notes were merged above)
+      if (this.adapter && !content) {
         let state = this.adapter._getState()
         let localNote = state.notes[existingLocalId]
         if (localNote) {
@@ -471,14 +612,16 @@ module.exports = {
           let result = await this.adapter.updateNote(existingLocalId, { html: safeHtml })
           if (result && (result.id || result['@id'])) {
             let newId = result.id || result['@id']
-            this.vault.mapAppliedNote(noteKey, newId)
+            this.vault.mapAppliedNote(localKey, newId)
             this.vault.appliedNoteKeys.add(noteKey)
             this.vault.markNoteApplied(noteKey, safeHtml)
+            if (baseHtml != null) this.vault.markNoteBase(noteKey, baseHtml)
           }
         } else {
           await this.api.updateNote(existingLocalId, { html: safeHtml })
           this.vault.appliedNoteKeys.add(noteKey)
           this.vault.markNoteApplied(noteKey, safeHtml)
+          if (baseHtml != null) this.vault.markNoteBase(noteKey, baseHtml)
         }
         if (this._applyStats) this._applyStats.notesUpdated++
         this._debug(`${label} updated: ${noteKey.slice(0, 8)}`)
@@ -509,9 +652,10 @@ module.exports = {
         created = await this.api.createNote(payload)
       }
       if (created && (created.id || created['@id'])) {
-        this.vault.mapAppliedNote(noteKey, created.id || created['@id'])
+        this.vault.mapAppliedNote(localKey, created.id || created['@id'])
         this.vault.appliedNoteKeys.add(noteKey)
         this.vault.markNoteApplied(noteKey, safeHtml)
+        if (baseHtml != null) this.vault.markNoteBase(noteKey, baseHtml)
         existingTexts.add(safeHtml.trim())
         if (this._applyStats) this._applyStats.notesCreated++
         this._debug(`${label} created: ${noteKey.slice(0, 8)} by ${note.author}`)
@@ -562,8 +706,9 @@ module.exports = {
     }
 
     for (let [noteKey, note] of Object.entries(remoteNotes)) {
-      if (note.author === userId) continue
+      if (note.author === userId && !note.richText) continue
       if (!note.html && !note.text) continue
+      if (this._reviewHolds(itemIdentity, 'notes', noteKey, note)) continue
 
       // UUID scan: check if a local note already has this UUID in its footer.
       // If found, _applyRemoteNote will update it in place (no duplicate).
@@ -580,7 +725,8 @@ module.exports = {
           let remoteText = note.text || ''
           let remoteHtml = note.html || ''
           // Quick check: if the remote content is already in the local note, skip
-          if (localText.includes(remoteText) && remoteText.length > 0 &&
+          // (rich-text notes compare whole documents in _applyRemoteNote)
+          if (!note.richText && localText.includes(remoteText) && remoteText.length > 0 &&
               !localText.includes('[retracted')) {
             this.vault.appliedNoteKeys.add(noteKey)
             continue
@@ -608,13 +754,16 @@ module.exports = {
       await this._applyRemoteNote(
         noteKey, note,
         { photo: Number(photoId) || null },
-        existingNoteTexts, userId, 'note'
+        existingNoteTexts, userId, 'note',
+        { identity: itemIdentity, section: 'notes' }
       )
     }
 
     // Handle tombstoned notes: apply strikethrough to show retracted content
     for (let [noteKey, note] of Object.entries(tombstonedNotes)) {
-      if (note.author === userId) continue
+      // A revert's tombstone keeps the author's name: apply it here too
+      if (note.author === userId && !note.revertedBy) continue
+      if (this._reviewHolds(itemIdentity, 'notes', noteKey, note)) continue
 
       // Defense-in-depth: reject tombstones from non-original-authors
       let originalAuthor = this.vault.getOriginalAuthor(noteKey)
@@ -642,7 +791,7 @@ module.exports = {
         }
       }
 
-      let authorLabel = escapeHtml(note.author || 'unknown')
+      let authorLabel = escapeHtml(note.revertedBy || note.author || 'unknown')
       let contentHtml = note.html
         ? sanitizeHtml(note.html)
         : (note.text ? `<p>${escapeHtml(note.text)}</p>` : '')
@@ -697,6 +846,7 @@ module.exports = {
       let batch = {}
       for (let [prop, value] of Object.entries(remoteMeta)) {
         if (value.author === userId) continue
+        if (this._reviewHolds(itemIdentity, 'photos', `${checksum} ${prop}`, value)) continue
 
         // Diff: skip if local already has same value
         let localVal = localMeta[prop]
@@ -759,6 +909,7 @@ module.exports = {
 
     for (let [selUUID, sel] of Object.entries(remoteSelections)) {
       if (sel.author === userId) continue
+      if (this._reviewHolds(itemIdentity, 'selections', selUUID, sel)) continue
       if (this.vault.appliedSelectionKeys.has(selUUID)) continue
 
       let x = Number(sel.x)
@@ -886,8 +1037,9 @@ module.exports = {
         let remoteNotes = schema.getSelectionNotes(this.doc, itemIdentity, selUUID)
 
         for (let [compositeKey, note] of Object.entries(remoteNotes)) {
-          if (note.author === userId) continue
+          if (note.author === userId && !note.richText) continue
           if (!note.html && !note.text) continue
+          if (this._reviewHolds(itemIdentity, 'selectionNotes', compositeKey, note)) continue
 
           // UUID scan: find local note by embedded UUID
           let localSelNoteId = this._findLocalNoteByUUID(compositeKey)
@@ -897,7 +1049,7 @@ module.exports = {
             if (localNote) {
               let localText = localNote.text || ''
               let remoteText = note.text || ''
-              if (localText.includes(remoteText) && remoteText.length > 0 &&
+              if (!note.richText && localText.includes(remoteText) && remoteText.length > 0 &&
                   !localText.includes('[retracted')) {
                 this.vault.appliedNoteKeys.add(compositeKey)
                 continue
@@ -910,14 +1062,16 @@ module.exports = {
           await this._applyRemoteNote(
             compositeKey, note,
             { selection: Number(localSelId) || null },
-            existingTexts, userId, 'sel note'
+            existingTexts, userId, 'sel note',
+            { identity: itemIdentity, section: 'selectionNotes' }
           )
         }
 
         // Handle tombstoned selection notes: apply strikethrough
         let selTombstones = tombstonesBySelUUID.get(selUUID) || []
         for (let [compositeKey, note] of selTombstones) {
-          if (note.author === userId) continue
+          if (note.author === userId && !note.revertedBy) continue
+          if (this._reviewHolds(itemIdentity, 'selectionNotes', compositeKey, note)) continue
 
           // Defense-in-depth: reject tombstones from non-original-authors
           let originalAuthor = this.vault.getOriginalAuthor(compositeKey)
@@ -943,7 +1097,7 @@ module.exports = {
             }
           }
 
-          let authorLabel = escapeHtml(note.author || 'unknown')
+          let authorLabel = escapeHtml(note.revertedBy || note.author || 'unknown')
           let contentHtml = note.html
             ? sanitizeHtml(note.html)
             : (note.text ? `<p>${escapeHtml(note.text)}</p>` : '')
@@ -1012,6 +1166,7 @@ module.exports = {
         let batch = {}
         for (let [prop, value] of Object.entries(remoteMeta)) {
           if (value.author === userId) continue
+          if (this._reviewHolds(itemIdentity, 'selectionMeta', `${selUUID}:${prop}`, value)) continue
 
           // Diff: skip if local already has same value
           let localVal = localMeta[prop]
@@ -1082,7 +1237,23 @@ module.exports = {
       }
     }
 
+    // Local transcriptions by id, for in-place updates of shared text
+    let localTxs = new Map()
+    for (let p of photos) {
+      let txs = [].concat(p.transcription || [])
+      for (let s of [].concat(p.selection || [])) {
+        if (s) txs = txs.concat(s.transcription || [])
+      }
+      for (let t of txs) {
+        if (t && (t['@id'] || t.id)) localTxs.set(String(t['@id'] || t.id), t)
+      }
+    }
+
     for (let [txKey, tx] of Object.entries(remoteTranscriptions)) {
+      if (tx.author !== userId && this._reviewHolds(itemIdentity, 'transcriptions', txKey, tx)) continue
+      if (tx.sharedText && await this._applySharedTranscription(itemIdentity, txKey, tx, localTxs, userId)) {
+        continue
+      }
       if (tx.author === userId) continue
       if (!tx.text && !tx.data) continue
       if (this.vault.appliedTranscriptionKeys.has(txKey)) continue
@@ -1111,6 +1282,7 @@ module.exports = {
           if (created && (created.id || created['@id'])) {
             this.vault.mapAppliedTranscription(txKey, created.id || created['@id'])
             this.vault.appliedTranscriptionKeys.add(txKey)
+            if (tx.sharedText) this.vault.markTranscriptionBase(txKey, tx.text || '')
           } else if (originalTx) {
             this.logger.warn(`Transcription update returned null for ${txKey.slice(0, 8)}, restoring original`)
             try {
@@ -1143,6 +1315,7 @@ module.exports = {
         if (created && (created.id || created['@id'])) {
           this.vault.mapAppliedTranscription(txKey, created.id || created['@id'])
           this.vault.appliedTranscriptionKeys.add(txKey)
+          if (tx.sharedText) this.vault.markTranscriptionBase(txKey, tx.text || '')
           if (this._applyStats) this._applyStats.transcriptionsCreated++
           this._debug(`transcription created: ${txKey.slice(0, 8)} by ${tx.author}`)
         }
@@ -1154,6 +1327,215 @@ module.exports = {
     }
   },
 
+  /**
+   * Bring a shared-text transcription into its local counterpart in place
+   * (transcription.save), merging three-way when both sides changed.
+   * Own transcriptions too: others may have corrected them.
+   * Returns false when there is no local counterpart to update — the
+   * caller falls back to creating one.
+   */
+  async _applySharedTranscription(itemIdentity, txKey, tx, localTxs, userId) {
+    let localId = this.vault.getLocalTxId(txKey)
+    let localTx = localId ? localTxs.get(String(localId)) : null
+    if (!localTx || !this.adapter) return false
+
+    let text = this._mergeRemoteTranscription(itemIdentity, txKey, tx, localTx.text || '', userId)
+    if (text == null) return true
+    try {
+      await this.adapter.updateTranscription(Number(localId), { text, data: tx.data })
+      this.vault.markTranscriptionBase(txKey, text)
+      this.vault.appliedTranscriptionKeys.add(txKey)
+      if (this._applyStats) this._applyStats.transcriptionsUpdated++
+      this._debug(`transcription updated: ${txKey.slice(0, 8)}`)
+    } catch (err) {
+      this.logger.warn({ error: String(err.message || err) }, `Failed to update transcription ${txKey.slice(0, 8)}`)
+    }
+    return true
+  },
+
+  /**
+   * The text a local transcription should take from its shared text, or
+   * null to keep the local one. Same rules as _mergeRemoteNote: a base
+   * (the text both last agreed on) tells which side changed; when both
+   * did, mergeText combines them and the result is written back.
+   */
+  _mergeRemoteTranscription(itemIdentity, txKey, tx, localText, userId) {
+    let remote = tx.text || ''
+    if (localText === remote) {
+      this.vault.markTranscriptionBase(txKey, remote)
+      return null
+    }
+
+    let base = this.vault.getTranscriptionBase(txKey)
+    if (base == null) {
+      // Nothing to merge against: whole-value rules, local edits win
+      let valueHash = this.vault._fastHash(`tx:${localText}`)
+      if (tx.author === userId || this.vault.hasLocalEdit(itemIdentity, `tx:${txKey}`, valueHash)) {
+        this._logConflict('transcription-apply', itemIdentity, `tx:${txKey}`, {
+          remoteAuthor: tx.author,
+          resolution: 'local-wins'
+        })
+        return null
+      }
+      return remote
+    }
+
+    if (remote === base) return null
+    if (localText === base) return remote
+
+    let { text: merged, conflicts } = mergeText(base, localText, remote)
+    if (conflicts > 0) {
+      this._logConflict('transcription-merge', itemIdentity, `tx:${txKey}`, {
+        conflicts,
+        remoteAuthor: tx.author,
+        resolution: 'local-wins'
+      })
+    }
+    if (!this.readOnly) {
+      this.doc.transact(() => {
+        schema.setTranscriptionText(this.doc, itemIdentity, txKey, merged, userId, this.vault.nextPushSeq())
+      }, this.LOCAL_ORIGIN)
+    }
+    return merged
+  },
+
+  /**
+   * Render the item's comment threads into local thread notes (one per
+   * discussed parent, see comments.js). The parent itself is never
+   * touched. Entries changed by anyone but their original author are
+   * ignored: only authors edit or retract their comments.
+   */
+  async applyComments(itemIdentity, local, userId) {
+    if (!this.options.syncNotes) return
+
+    let byParent = new Map()
+    let all = schema.getComments(this.doc, itemIdentity)
+    for (let [key, comment] of Object.entries(all)) {
+      let original = this.vault.getOriginalAuthor(key)
+      if (original && comment.author !== original) {
+        this._logConflict('comment-retract', itemIdentity, key, {
+          author: comment.author,
+          original,
+          resolution: 'rejected'
+        })
+        continue
+      }
+      if (comment.author) this.vault.trackOriginalAuthor(key, comment.author)
+      let parent = comment.parent || itemIdentity
+      if (!byParent.has(parent)) byParent.set(parent, [])
+      byParent.get(parent).push(comment)
+    }
+
+    for (let [parent, comments] of byParent) {
+      let thread = this.vault.getCommentThread(itemIdentity, parent)
+      if (!thread && comments.every(c => c.deleted)) continue
+
+      let html = renderThread(parent, comments, id => this._resolveDisplayName(id))
+      let hash = this.vault._fastHash(html)
+      if (thread && thread.hash === hash) continue
+
+      if (!this.adapter) {
+        this._debug(`comment thread skipped (no adapter) for ${parent.slice(0, 8)}`)
+        continue
+      }
+      let state = this.adapter._getState()
+      let existing = thread && state.notes[thread.noteId]
+
+      // Reply text typed into the note goes out with the next push first
+      if (existing && this._hasUnpushedComment(itemIdentity, thread.noteId, existing)) continue
+
+      try {
+        let result
+        if (existing) {
+          result = await this.adapter.updateNote(thread.noteId, { html })
+        } else {
+          let target = this._commentTarget(itemIdentity, parent, local)
+          if (!target) continue
+          result = await this.adapter.createNote({ ...target, html })
+        }
+        let noteId = result && (result.id || result['@id'])
+        if (!noteId) continue
+        this.vault.setCommentThread(itemIdentity, parent, noteId, hash)
+        // The reply typed into the note is shown as a comment now: the
+        // next one typed there is a new comment with its own UUID
+        if (existing) this.vault.releaseNoteKey(`${thread.noteId}:reply`)
+        if (this._applyStats) this._applyStats.commentThreadsUpdated++
+        this._debug(`comment thread ${existing ? 'updated' : 'created'}: ${parent.slice(0, 8)}`)
+
+        await this._removeCommentSources(comments, noteId, userId)
+      } catch (err) {
+        this.logger.warn({ error: String(err.message || err) }, `Failed to render comment thread ${parent.slice(0, 8)}`)
+      }
+    }
+  },
+
+  /**
+   * Whether a thread note holds a reply, or a "Comment:" note a comment,
+   * that the CRDT does not have yet.
+   */
+  _hasUnpushedComment(itemIdentity, noteId, note) {
+    let html = this.adapter._noteStateToHtml(note)
+    let thread = parseThreadNote(html)
+    let pending = thread ? thread.reply : (parseCommentNote(note.text || '') || {}).body
+    if (!pending) return false
+    let key = this.vault.noteIdToCrdtKey.get(thread ? `${noteId}:reply` : String(noteId))
+    let pushed = key && schema.getComments(this.doc, itemIdentity)[key]
+    return !pushed || pushed.body !== pending
+  },
+
+  /**
+   * Where a parent's thread note goes: next to the note or selection
+   * discussed, or on the item's first photo.
+   */
+  _commentTarget(itemIdentity, parent, local) {
+    let photos = local.item.photo || []
+    if (!Array.isArray(photos)) photos = [photos]
+    let photoOf = (checksum) => {
+      let photo = checksum ? photos.find(p => p.checksum === checksum) : photos[0]
+      let id = photo && (photo['@id'] || photo.id)
+      return id ? { photo: Number(id) } : null
+    }
+
+    if (parent.startsWith('s_')) {
+      let selId = this.vault.getLocalSelId(parent)
+      return selId ? { selection: Number(selId) } : null
+    }
+    if (parent.startsWith('n_')) {
+      let localNoteId = this.vault.getLocalNoteId(parent)
+      let localNote = localNoteId && this.adapter._getState().notes[localNoteId]
+      if (localNote) {
+        return localNote.selection ? { selection: localNote.selection } : { photo: localNote.photo }
+      }
+      let note = schema.getNotes(this.doc, itemIdentity)[parent]
+      if (!note) return null
+      if (note.selection) {
+        let selId = this.vault.getLocalSelId(note.selection)
+        return selId ? { selection: Number(selId) } : null
+      }
+      return photoOf(note.photo)
+    }
+    return photoOf(null)
+  },
+
+  /**
+   * Delete own "Comment:" notes whose comment the thread note now shows.
+   */
+  async _removeCommentSources(comments, threadNoteId, userId) {
+    let state = this.adapter._getState()
+    for (let comment of comments) {
+      if (comment.author !== userId || comment.deleted) continue
+      let sourceId = this.vault.getLocalNoteId(comment.uuid)
+      if (!sourceId || String(sourceId) === String(threadNoteId)) continue
+      let source = state.notes[sourceId]
+      if (!source || !parseCommentNote(source.text || '')) continue
+      try {
+        await this.adapter.deleteNote(Number(sourceId))
+      } catch (err) {
+        this._debug(`could not remove comment note ${sourceId}: ${err.message}`)
+      }
+    }
+  },
+
   // UUID-based list matching with name field (schema v4)
   async applyLists(itemIdentity, local, userId, listMap) {
     let remoteLists = schema.getActiveLists(this.doc, itemIdentity)
@@ -1168,6 +1550,7 @@ module.exports = {
 
     for (let [listUUID, list] of Object.entries(remoteLists)) {
       if (list.author === userId) continue
+      if (this._reviewHolds(itemIdentity, 'lists', listUUID, list)) continue
       // v4: Lists carry name field
       let listName = list.name || listUUID
       if (localListNames.has(listName)) continue  // Already in list
@@ -1198,7 +1581,8 @@ module.exports = {
       for (let [listUUID, list] of Object.entries(allLists)) {
         if (!list.deleted) continue
         // Lists: no ownership guard — accept all tombstones (add-wins recovers)
-        if (list.author === userId) continue
+        if (list.author === userId && !list.revertedBy) continue
+        if (this._reviewHolds(itemIdentity, 'lists', listUUID, list)) continue
 
         let listName = list.name || listUUID
         let localList = listMap.get(listName)
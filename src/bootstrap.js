@@ -0,0 +1,145 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+
+/**
+ * Bootstrap a project from a room and a local photo folder.
+ *
+ * A collaborator joining a room has the room's annotations but none of
+ * its items: those only exist once the right photos are in Tropy. The
+ * room knows every item's photo checksums (setItemChecksums()), so
+ * SyncEngine.bootstrapFromFolder() hashes the photos in a folder the
+ * user picked, matches them against the room and imports the matching
+ * files, grouped into items as the room has them. The next sync cycle
+ * then finds the new local identities and applies their annotations.
+ *
+ * Files are read from the chosen folder only: the scan does not follow
+ * symbolic links, and the import paths are the scanned ones, never
+ * anything taken from the room (see ApiClient.importLocalFiles()).
+ */
+
+// Image formats Tropy imports
+const PHOTO_EXTENSIONS = new Set([
+  '.jpg', '.jpeg', '.png', '.gif', '.webp', '.tif', '.tiff',
+  '.svg', '.heic', '.heif', '.avif', '.jp2', '.pdf'
+])
+
+/**
+ * Photo files under `folder`, recursively unless `recursive` is false.
+ * Hidden entries and symbolic links are skipped. Paths are absolute and
+ * sorted.
+ */
+async function scanFolder(folder, { recursive = true } = {}) {
+  let root = await fs.promises.realpath(folder)
+  let files = []
+  let walk = async (dir) => {
+    let entries = await fs.promises.readdir(dir, { withFileTypes: true })
+    for (let entry of entries) {
+      if (entry.name.startsWith('.') || entry.isSymbolicLink()) continue
+      let file = path.join(dir, entry.name)
+      if (entry.isDirectory()) {
+        if (recursive) await walk(file)
+      } else if (entry.isFile() && PHOTO_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) {
+        files.push(file)
+      }
+    }
+  }
+  await walk(root)
+  return files.sort()
+}
+
+/**
+ * Checksum of a photo file as Tropy records it: the SHA-256 hex digest
+ * of the file's bytes.
+ */
+function checksumFile(file) {
+  return new Promise((resolve, reject) => {
+    let hash = crypto.createHash('sha256')
+    fs.createReadStream(file)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+  })
+}
+
+/**
+ * True when `file` resolves to a path inside `folder`.
+ */
+function isInside(folder, file) {
+  let relative = path.relative(path.resolve(folder), path.resolve(file))
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative)
+}
+
+/**
+ * Work out which room items the scanned files can bring in.
+ *
+ *   room     [{ identity, checksums }] — every room item's photo checksums
+ *            (getItemChecksums()), in photo order
+ *   files    Map checksum -> file path, from the scan
+ *   local    Set of checksums already in the project
+ *   partial  also import items with only some of their photos found
+ *
+ * Returns
+ *   {
+ *     items:    [{ identity, photos: [{ checksum, path }], missing }],
+ *     partial:  [{ identity, found, missing }],   items left out
+ *     present:  [identity],                       already in the project
+ *     unmatched: [path]                           files no item uses
+ *   }
+ * An item is present as soon as one of its photos is in the project, so
+ * a bootstrap never creates duplicates of items Tropy already has.
+ */
+function planBootstrap(room, files, local = new Set(), { partial = false } = {}) {
+  let items = []
+  let left = []
+  let present = []
+  let used = new Set()
+
+  for (let { identity, checksums } of room) {
+    if (!checksums || checksums.length === 0) continue
+    if (checksums.some(c => local.has(c))) {
+      present.push(identity)
+      continue
+    }
+    let found = checksums.filter(c => files.has(c))
+    if (found.length === 0) continue
+    let missing = checksums.filter(c => !files.has(c))
+    if (missing.length > 0 && !partial) {
+      left.push({ identity, found: found.length, missing: missing.length })
+      continue
+    }
+    for (let c of found) used.add(c)
+    items.push({ identity, photos: found.map(checksum => ({ checksum, path: files.get(checksum) })), missing: missing.length })
+  }
+
+  let unmatched = []
+  for (let [checksum, file] of files) {
+    if (!used.has(checksum) && !local.has(checksum)) unmatched.push(file)
+  }
+  return { items, partial: left, present, unmatched: unmatched.sort() }
+}
+
+/**
+ * JSON-LD import document for planned items: one Tropy item per room
+ * item, its photos in room order.
+ */
+function importData(items) {
+  return {
+    '@context': { '@vocab': 'https://tropy.org/v1/tropy#' },
+    '@graph': items.map(item => ({
+      '@type': 'Item',
+      photo: item.photos.map(p => ({ '@type': 'Photo', path: p.path, checksum: p.checksum }))
+    }))
+  }
+}
+
+module.exports = {
+  PHOTO_EXTENSIONS,
+  scanFolder,
+  checksumFile,
+  isInside,
+  planBootstrap,
+  importData
+}
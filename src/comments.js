@@ -0,0 +1,149 @@
+'use strict'
+
+const { escapeHtml } = require('./sanitize')
+const { htmlToDoc, docToText } = require('./note-content')
+
+/**
+ * Threaded comments in Tropy.
+ *
+ * Comments live in the item's "comments" CRDT section (see crdt-schema.js)
+ * and discuss a note, a selection or the item itself (`parent`), never
+ * changing it. Tropy has no comments, so every discussed parent gets one
+ * local "thread note" next to it, rendered here: a header naming the
+ * parent, then one blockquote per comment with its replies nested inside.
+ *
+ *   <p><strong>Discussion</strong> <sub>[troparcel:thread n_…]</sub></p>
+ *   <blockquote>
+ *     <p><strong>alice</strong>: Is this date right?</p>
+ *     <p><sub>[troparcel:comment c_…]</sub></p>
+ *     <blockquote>…reply…</blockquote>
+ *   </blockquote>
+ *
+ * Paragraphs typed below the quotes of a thread note are a reply to its
+ * last thread; a note starting with "Comment:" opens a new thread (see
+ * parseThreadNote and parseCommentNote).
+ */
+
+const THREAD_RE = /\[troparcel:thread ([^\]\s]+)\]/
+const COMMENT_RE = /\[troparcel:comment (c_[\w-]+)\]/
+const NEW_COMMENT_RE = /^\s*comment:\s*/i
+const NOTE_REF_RE = /troparcel:(n_[\w-]+)/
+
+function _byCreation(a, b) {
+  return (a.createdAt || 0) - (b.createdAt || 0) || (a.uuid < b.uuid ? -1 : a.uuid > b.uuid ? 1 : 0)
+}
+
+/**
+ * Comments of one parent as a forest: [{ comment, replies: [...] }], each
+ * level in creation order. Retracted comments are kept as placeholders
+ * while they have replies, so the replies stay in place.
+ */
+function buildThreads(comments) {
+  let nodes = new Map()
+  for (let c of comments) nodes.set(c.uuid, { comment: c, replies: [] })
+  let roots = []
+  for (let node of nodes.values()) {
+    let parent = node.comment.replyTo && nodes.get(node.comment.replyTo)
+    if (parent) parent.replies.push(node)
+    else roots.push(node)
+  }
+  let prune = (list) => list
+    .map(n => ({ ...n, replies: prune(n.replies) }))
+    .filter(n => !n.comment.deleted || n.replies.length > 0)
+    .sort((a, b) => _byCreation(a.comment, b.comment))
+  return prune(roots)
+}
+
+function _renderNode(node, name) {
+  let c = node.comment
+  let html = '<blockquote>'
+  if (c.deleted) {
+    html += '<p><em>(retracted)</em></p>'
+  } else {
+    let lines = String(c.body || '').split('\n')
+    html += `<p><strong>${escapeHtml(name(c.author))}</strong>: ${escapeHtml(lines[0])}</p>`
+    for (let line of lines.slice(1)) html += `<p>${escapeHtml(line)}</p>`
+  }
+  let status = c.resolved ? ` resolved by ${escapeHtml(name(c.resolvedBy || c.author))}` : ''
+  html += `<p><sub>[troparcel:comment ${escapeHtml(c.uuid)}]${status}</sub></p>`
+  for (let reply of node.replies) html += _renderNode(reply, name)
+  return html + '</blockquote>'
+}
+
+/**
+ * Thread note HTML for the comments of one parent. `name` maps an author
+ * id to a display name.
+ */
+function renderThread(parent, comments, name = id => id) {
+  let html = `<p><strong>Discussion</strong> <sub>[troparcel:thread ${escapeHtml(parent)}]</sub></p>`
+  for (let node of buildThreads(comments)) html += _renderNode(node, name)
+  return html
+}
+
+function isThreadNote(text, html) {
+  return THREAD_RE.test(html || '') || THREAD_RE.test(text || '')
+}
+
+// The comment uuid a rendered blockquote stands for
+function _quoteComment(node) {
+  for (let child of node.content || []) {
+    if (child.type !== 'paragraph') continue
+    let m = COMMENT_RE.exec(docToText({ type: 'doc', content: [child] }))
+    if (m) return m[1]
+  }
+  return null
+}
+
+/**
+ * Read a local thread note: its parent, the comments it shows and the
+ * text typed below them (a reply to the last thread, or a first comment
+ * when the thread is empty). Returns null for other notes.
+ */
+function parseThreadNote(html) {
+  let doc = htmlToDoc(html || '')
+  let blocks = doc.content || []
+  let parent = null
+  let lastThread = null
+  let reply = []
+  let shown = new Set()
+  for (let block of blocks) {
+    let text = docToText({ type: 'doc', content: [block] })
+    if (!parent) {
+      let m = THREAD_RE.exec(text)
+      if (m) parent = m[1]
+      continue
+    }
+    if (block.type === 'blockquote') {
+      let uuid = _quoteComment(block)
+      if (uuid) lastThread = uuid
+      for (let m of text.matchAll(new RegExp(COMMENT_RE.source, 'g'))) shown.add(m[1])
+      continue
+    }
+    if (text.trim()) reply.push(text)
+  }
+  if (!parent) return null
+  return { parent, lastThread, shown, reply: reply.join('\n').trim() }
+}
+
+/**
+ * Read a note written to start a thread ("Comment: …"). A reference to a
+ * synced note (its troparcel:n_… footer id) makes that note the parent.
+ * Returns { body, noteRef } or null.
+ */
+function parseCommentNote(text) {
+  if (!NEW_COMMENT_RE.test(text || '')) return null
+  let body = text.replace(NEW_COMMENT_RE, '')
+  let ref = NOTE_REF_RE.exec(body)
+  if (ref) body = body.replace(/\[troparcel:n_[^\]\n]*\]|troparcel:n_[\w-]+/, '').replace(/[ \t]{2,}/g, ' ')
+  body = body.trim()
+  if (!body) return null
+  return { body, noteRef: ref ? ref[1] : null }
+}
+
+module.exports = {
+  buildThreads,
+  renderThread,
+  isThreadNote,
+  parseThreadNote,
+  parseCommentNote
+}
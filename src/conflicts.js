@@ -0,0 +1,148 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const os = require('os')
+
+/**
+ * Open metadata conflicts of a room, as seen by this client.
+ *
+ * The CRDT keeps the competing values of a property in the item's
+ * "metadataConflicts" section (see crdt-schema.js) until someone picks a
+ * winner with SyncEngine.resolveConflict(). This list mirrors the open
+ * ones for the local project, keyed to local item ids, and is kept in
+ * ~/.troparcel/conflicts/<room>_<userId>.json (named like the vault, so
+ * projects sharing a room name keep their own) so they survive restarts
+ * and can be read without Tropy running.
+ *
+ * In Tropy, items with open conflicts are put in the CONFLICT_LIST_NAME
+ * list and carry a CONFLICT_URI metadata field describing them. Neither
+ * is synced.
+ */
+
+const CONFLICT_URI = 'https://troparcel.org/ns/conflict'
+const CONFLICT_LIST_NAME = 'Troparcel conflicts'
+
+// Short property label: the part after the last '#' or '/'
+function propertyLabel(uri) {
+  let m = /[#/]([^#/]+)$/.exec(uri)
+  return m ? m[1] : uri
+}
+
+/**
+ * Human-readable summary of an item's open conflicts, for the
+ * CONFLICT_URI field. `name` maps an author id to a display name.
+ */
+function describeConflicts(entries, name = id => id) {
+  return entries.map(e => {
+    let values = e.candidates.map(c => `"${c.text}" (${name(c.author)})`)
+    return `${propertyLabel(e.field)}: ${values.join(' / ')}`
+  }).join('; ')
+}
+
+class ConflictList {
+  constructor(room, logger, options = {}) {
+    this.room = room
+    this.logger = logger
+    let dir = options.dir || path.join(os.homedir(), '.troparcel', 'conflicts')
+    let suffix = options.userId ? '_' + this._sanitizeRoom(options.userId) : ''
+    this.file = path.join(dir, this._sanitizeRoom(room) + suffix + '.json')
+    this.entries = new Map()  // `${identity} ${field}` -> entry
+  }
+
+  _sanitizeRoom(name) {
+    return String(name || '').replace(/[^a-zA-Z0-9_.-]/g, '_').slice(0, 128) || 'default'
+  }
+
+  load() {
+    let raw
+    try {
+      raw = fs.readFileSync(this.file, 'utf8')
+    } catch {
+      return false
+    }
+    try {
+      let data = JSON.parse(raw)
+      for (let e of (Array.isArray(data.conflicts) ? data.conflicts : [])) {
+        if (e && e.identity && e.field) this.entries.set(`${e.identity} ${e.field}`, e)
+      }
+      return true
+    } catch (err) {
+      this.logger.warn(`[troparcel:conflicts] could not read ${this.file}: ${err.message}`)
+      return false
+    }
+  }
+
+  async persist() {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true })
+    let tmpFile = this.file + '.tmp'
+    let data = {
+      room: this.room,
+      timestamp: new Date().toISOString(),
+      conflicts: this.list()
+    }
+    await fs.promises.writeFile(tmpFile, JSON.stringify(data, null, 2))
+    await fs.promises.rename(tmpFile, this.file)
+  }
+
+  /**
+   * All open conflicts: { identity, localId, field, candidates, detectedAt }
+   */
+  list() {
+    return Array.from(this.entries.values())
+  }
+
+  forItem(identity) {
+    return this.list().filter(e => e.identity === identity)
+  }
+
+  /**
+   * Replace the list with the conflicts currently open in the CRDT
+   * ({ identity, localId, field, candidates }) and persist it if it
+   * changed. Returns the identities whose conflicts changed, split into
+   * those that still have open conflicts and those that have none left.
+   */
+  async update(open) {
+    let next = new Map()
+    for (let c of open) {
+      let key = `${c.identity} ${c.field}`
+      let prev = this.entries.get(key)
+      next.set(key, {
+        identity: c.identity,
+        localId: c.localId,
+        field: c.field,
+        candidates: c.candidates,
+        detectedAt: prev ? prev.detectedAt : new Date().toISOString()
+      })
+    }
+
+    let touched = new Set()
+    for (let [key, entry] of next) {
+      let prev = this.entries.get(key)
+      if (!prev || JSON.stringify(prev.candidates) !== JSON.stringify(entry.candidates)) {
+        touched.add(entry.identity)
+      }
+    }
+    for (let [key, entry] of this.entries) {
+      if (!next.has(key)) touched.add(entry.identity)
+    }
+
+    this.entries = next
+    let opened = []
+    let closed = []
+    for (let id of touched) {
+      if (this.forItem(id).length > 0) opened.push(id)
+      else closed.push(id)
+    }
+    if (touched.size > 0) await this.persist()
+    return { opened, closed }
+  }
+}
+
+module.exports = {
+  CONFLICT_URI,
+  CONFLICT_LIST_NAME,
+  ConflictList,
+  describeConflicts,
+  propertyLabel
+}
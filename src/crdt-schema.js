@@ -1,12 +1,30 @@
 'use strict'
 
+const crypto = require('crypto')
 const Y = require('yjs')
 const { YKeyValue } = require('y-utility/y-keyvalue')
+const noteContent = require('./note-content')
+const { diff } = require('./diff3')
 
 /**
- * CRDT Schema v4 — defines how collaborative annotations are structured
+ * CRDT Schema v4/v5 — defines how collaborative annotations are structured
  * inside a Yjs document.
  *
+ * v5 (selective sync): each item is a Yjs subdocument instead of a nested
+ * Y.Map, so a client only loads the items it works on. The value under
+ * "annotations"[identity] is a Y.Doc whose guid is derived from the
+ * identity (itemDocGuid) and whose Y.Map "item" holds the same sections
+ * as a v4 item map. Deterministic guids make concurrent creation of the
+ * same item — or two clients migrating at once — converge on one
+ * document. Item checksums move to the root "itemChecksums" map so fuzzy
+ * matching works without loading the item. Every accessor below handles
+ * both layouts; readers only see items whose subdoc is loaded, while
+ * getIdentities() lists every item.
+ *
+ * Older rooms are upgraded step by step by the migrations registered
+ * below (migrateRoom()); a client meeting a room newer than it knows
+ * stays read-only (checkSchemaVersion()).
+ *
  * Breaking change from v3:
  *   - Notes, selections, transcriptions, lists keyed by UUID (not content-addressed)
  *   - Metadata stored via YKeyValue (Y.Array) — no historical value retention
@@ -22,23 +40,32 @@ const { YKeyValue } = require('y-utility/y-keyvalue')
  *   Y.Doc
  *   ├── Y.Map "annotations"                  keyed by item identity hash
  *   │   └── Y.Map per item
- *   │       ├── Y.Array "metadata" (YKeyValue)   {[propUri]: {text, type, lang, author, pushSeq}}
+ *   │       ├── Y.Array "metadata" (YKeyValue)   {[propUri]: {text, type, lang, author, pushSeq, resolves?}}
+ *   │       ├── Y.Map "metadataConflicts"        {[propUri author]: {prop, text, type, lang, author, pushSeq}}
+ *   │       ├── Y.Map "metadataHistory"          {[propUri author:pushSeq]: {prop, text, type, lang, author, pushSeq, at}}
  *   │       ├── Y.Map "tags"                     {[tagName]: {color, author, pushSeq, deleted?}}
  *   │       ├── Y.Map "notes"                    {[uuid]: {html, text, lang, photo, sel, author, pushSeq, deleted?}}
  *   │       ├── Y.Map "photos"                   {[checksum]: Y.Map with Y.Array "metadata" (YKeyValue)}
  *   │       ├── Y.Map "selections"               {[uuid]: {x, y, w, h, angle, photo, author, pushSeq, deleted?}}
  *   │       ├── Y.Array "selectionMeta" (YKeyValue) {[selUUID:propUri]: {text, type, lang, author, pushSeq}}
  *   │       ├── Y.Map "selectionNotes"           {[selUUID:noteUUID]: {html, text, lang, author, pushSeq, deleted?}}
+ *   │       ├── Y.Map "noteContent"              {[uuid | selUUID:noteUUID]: Y.XmlFragment}
  *   │       ├── Y.Map "transcriptions"           {[uuid]: {text, data, photo, sel, author, pushSeq, deleted?}}
+ *   │       ├── Y.Map "transcriptionText"        {[uuid]: Y.Text}
  *   │       ├── Y.Map "lists"                    {[uuid]: {name, member, author, pushSeq, deleted?}}
+ *   │       ├── Y.Map "comments"                 {[uuid]: {parent, replyTo, body, resolved, resolvedBy, author, createdAt, pushSeq, deleted?}}
+ *   │       ├── Y.Map "status"                   {[id]: {id, from, to, after, author, at, pushSeq}}
  *   │       ├── Y.Map "uuids"                    {[uuid]: {type, localRef, author}}
- *   │       ├── Y.Map "aliases"                  {[oldIdentity]: targetIdentity}
- *   │       └── "checksums"                      string (comma-separated)
+ *   │       ├── Y.Map "aliases"                  {[oldIdentity]: {target, createdAt, author?, manual?}}
+ *   │       ├── "checksums"                      string (comma-separated)
+ *   │       └── "matchKeys"                      {[matcher]: key} (see matchers.js)
  *   ├── Y.Map "schema"                           keyed by template URI (v6)
  *   │   └── {uri, name, type, version, creator, description, fields:[], author, pushSeq}
  *   ├── Y.Map "projectLists"                     keyed by UUID (v6)
  *   │   └── {uuid, name, parent, children:[], author, pushSeq}
- *   ├── Y.Map "room"                             {schemaVersion: 4}
+ *   ├── Y.Map "itemChecksums"                    {[identity]: "c1,c2"} (v5 only)
+ *   ├── Y.Map "itemMatchKeys"                    {[identity]: {[matcher]: key}} (v5 only)
+ *   ├── Y.Map "room"                             {schemaVersion: 4 | 5, workflow?, history?}
  *   └── (Awareness protocol for presence — NOT persisted in Y.Doc)
  *
  * pushSeq: Monotonic per-author counter stored in every entry for diagnostic
@@ -47,17 +74,63 @@ const { YKeyValue } = require('y-utility/y-keyvalue')
  *
  * Tombstones: deleted entries carry { deleted: true, author, pushSeq, deletedAt }
  * where deletedAt is wall-clock (only for GC purging, not conflict resolution).
+ * A tombstone written by a revert keeps the entry's author, so ownership
+ * checks still pass, and names the reverter in `revertedBy`.
+ *
+ * Rich-text notes: a note or selection note entry with richText: true has
+ * its content in "noteContent" under the same key, a Y.XmlFragment in
+ * Tropy's ProseMirror schema (see note-content.js), so concurrent edits
+ * merge character by character. The entry's html/text are a cache of the
+ * last writer's version for clients and tools that predate the fragment;
+ * readers below derive them from the fragment. `author` stays the note's
+ * creator, `editor` names the last writer of its content. Entries written
+ * by older clients (no richText) are wrapped by migrateNoteContent().
+ *
+ * Transcriptions work the same way with plain text: an entry with
+ * sharedText: true has its text in "transcriptionText" as a Y.Text,
+ * `text` in the entry caches it, `data` (Tropy's structured form) stays
+ * last-writer-wins. Older entries are wrapped by migrateTranscriptionText().
+ *
+ * Metadata conflicts: when two people changed the same property since they
+ * last agreed on it, their values are kept side by side in
+ * "metadataConflicts" (one entry per property and author) instead of one
+ * silently winning. resolveMetadataConflict() writes the chosen value with
+ * `resolves` listing the losing texts, so peers still holding one of them
+ * take the resolution over their own value.
+ *
+ * Metadata history: YKeyValue keeps no earlier values, so rooms that turn
+ * on field history ("history" room config) also log every metadata
+ * write in "metadataHistory", bounded per property by count and age
+ * (getFieldHistory).
+ *
+ * Comments: "comments" holds discussion threads about the item, one of its
+ * notes or selections (`parent`: the item identity or a note/selection
+ * UUID); `replyTo` names the comment answered. Comments never touch their
+ * parent. Only a comment's author edits or retracts it — others may only
+ * change its resolved state (removeComment, setCommentResolved).
+ *
+ * Review status: "status" logs the workflow transitions made on the item
+ * (see workflow.js); the current status is derived from them.
  */
 
 const ITEM_SECTIONS = [
   'metadata', 'tags', 'notes', 'photos', 'selections',
   'selectionMeta', 'selectionNotes', 'transcriptions', 'lists',
-  'uuids', 'aliases'
+  'comments', 'status', 'uuids', 'aliases'
 ]
 
 // Sections that use YKeyValue (Y.Array) instead of Y.Map
 const YKV_SECTIONS = ['metadata', 'selectionMeta']
 
+const SCHEMA_VERSION = 4
+const SUBDOC_SCHEMA_VERSION = 5
+const SUPPORTED_SCHEMA_VERSIONS = [SCHEMA_VERSION, SUBDOC_SCHEMA_VERSION]
+// Newest layout this client knows; rooms stamped newer are read-only here
+const LATEST_SCHEMA_VERSION = SUBDOC_SCHEMA_VERSION
+
+// Root map inside each v5 item subdoc
+const ITEM_DOC_MAP = 'item'
+
 // Tag keys are normalized to lowercase to avoid collisions with Tropy's
 // COLLATE NOCASE unique constraint. Display case is preserved in the value's
 // `name` field.
@@ -79,21 +152,102 @@ function _cachedYKV(yarray) {
 
 // --- Internal helpers ---
 
+function itemDocGuid(identity) {
+  return `troparcel-item:${identity}`
+}
+
+// Annotations maps seen holding an item subdoc, and those still being
+// watched for one (see _holdsItemDocs)
+const _itemDocRooms = new WeakMap()
+
+// A room is v5 once it holds item subdocs, whatever its stamp says: a
+// peer that stamps 4 over it must not make everyone read subdocs as maps.
+function usesItemDocs(doc) {
+  return doc.getMap('room').get('schemaVersion') === SUBDOC_SCHEMA_VERSION ||
+    _holdsItemDocs(doc)
+}
+
+// Whether any "annotations" value is a Y.Doc. The map is scanned once and
+// then watched, so rooms stamped below v5 do not pay a scan per call.
+function _holdsItemDocs(doc) {
+  let annotations = doc.getMap('annotations')
+  let known = _itemDocRooms.get(annotations)
+  if (known) return known.found
+
+  known = { found: false }
+  _itemDocRooms.set(annotations, known)
+  for (let value of annotations.values()) {
+    if (value instanceof Y.Doc) {
+      known.found = true
+      return true
+    }
+  }
+  let observer = (event) => {
+    for (let key of event.keysChanged) {
+      if (annotations.get(key) instanceof Y.Doc) {
+        known.found = true
+        annotations.unobserve(observer)
+        return
+      }
+    }
+  }
+  annotations.observe(observer)
+  return false
+}
+
+// Item map behind an "annotations" value: the Y.Map itself (v4) or the
+// "item" map of the subdoc (v5). Unloaded subdocs read as missing.
+function _itemMapOf(value) {
+  if (value instanceof Y.Doc) {
+    return value.shouldLoad ? value.getMap(ITEM_DOC_MAP) : null
+  }
+  return value || null
+}
+
 function _getItemMap(doc, identity) {
   let annotations = doc.getMap('annotations')
-  return annotations.get(identity) || null
+  return _itemMapOf(annotations.get(identity))
 }
 
 function _ensureItemMap(doc, identity) {
   let annotations = doc.getMap('annotations')
-  let itemMap = annotations.get(identity)
-  if (!itemMap) {
-    itemMap = new Y.Map()
-    annotations.set(identity, itemMap)
+  let existing = annotations.get(identity)
+  if (existing instanceof Y.Doc) {
+    // Writing to an item loads it; the transport merges what peers have
+    if (!existing.shouldLoad) existing.load()
+    return existing.getMap(ITEM_DOC_MAP)
+  }
+  if (existing) return existing
+
+  if (usesItemDocs(doc)) {
+    let itemDoc = new Y.Doc({ guid: itemDocGuid(identity) })
+    annotations.set(identity, itemDoc)
+    return itemDoc.getMap(ITEM_DOC_MAP)
   }
+  let itemMap = new Y.Map()
+  annotations.set(identity, itemMap)
   return itemMap
 }
 
+/**
+ * Call fn(itemMap, identity) for every item whose content is available
+ * (all items in v4, loaded subdocs in v5).
+ */
+function forEachItem(doc, fn) {
+  doc.getMap('annotations').forEach((value, identity) => {
+    let itemMap = _itemMapOf(value)
+    if (itemMap) fn(itemMap, identity)
+  })
+}
+
+/**
+ * The subdoc of an item in a v5 room, or null (v4 room, unknown item).
+ */
+function getItemDoc(doc, identity) {
+  let value = doc.getMap('annotations').get(identity)
+  return value instanceof Y.Doc ? value : null
+}
+
 /**
  * Get or create a section within an item map.
  * YKV_SECTIONS use Y.Array (for YKeyValue), others use Y.Map.
@@ -123,14 +277,7 @@ function _getSection(doc, identity, section) {
  * Lazily initializes the nested structure.
  */
 function getItemAnnotations(doc, identity) {
-  let annotations = doc.getMap('annotations')
-  let itemMap = annotations.get(identity)
-
-  let isNew = !itemMap
-  if (isNew) {
-    itemMap = new Y.Map()
-    annotations.set(identity, itemMap)
-  }
+  let itemMap = _ensureItemMap(doc, identity)
 
   let result = {}
   for (let section of ITEM_SECTIONS) {
@@ -158,13 +305,17 @@ function getItemAnnotations(doc, identity) {
 
 function setMetadata(doc, identity, propertyUri, value, author, pushSeq) {
   let ykv = _getSection(doc, identity, 'metadata')
-  ykv.set(propertyUri, {
+  let entry = {
     text: value.text || '',
     type: value.type || 'http://www.w3.org/2001/XMLSchema#string',
     language: value.language || null,
     author,
     pushSeq: pushSeq || 0
-  })
+  }
+  if (Array.isArray(value.resolves)) entry.resolves = value.resolves
+  let retention = getHistoryRetention(doc)
+  if (retention.enabled) _recordFieldHistory(doc, identity, propertyUri, ykv.get(propertyUri), entry, retention)
+  ykv.set(propertyUri, entry)
 }
 
 function getMetadata(doc, identity) {
@@ -180,6 +331,192 @@ function getMetadata(doc, identity) {
   return result
 }
 
+// --- Metadata conflicts (Y.Map, key: "propUri author") ---
+
+// Property URIs contain no spaces, so the first space ends the URI
+function _candidateKey(propertyUri, author) {
+  return `${propertyUri} ${author}`
+}
+
+/**
+ * Record competing values of a property, one per author
+ * ({ text, type, language, author, pushSeq }). An author's earlier
+ * candidate is replaced. Returns the number of entries written.
+ */
+function addMetadataConflict(doc, identity, propertyUri, candidates) {
+  let conflicts = _getSection(doc, identity, 'metadataConflicts')
+  let written = 0
+  for (let c of candidates) {
+    let key = _candidateKey(propertyUri, c.author)
+    let entry = {
+      prop: propertyUri,
+      text: c.text || '',
+      type: c.type || 'http://www.w3.org/2001/XMLSchema#string',
+      language: c.language || null,
+      author: c.author,
+      pushSeq: c.pushSeq || 0
+    }
+    let existing = conflicts.get(key)
+    if (existing && existing.text === entry.text && existing.type === entry.type) continue
+    conflicts.set(key, entry)
+    written++
+  }
+  return written
+}
+
+/**
+ * Open conflicts of an item: {[propUri]: [candidate]} sorted by author.
+ * Properties whose candidates no longer differ are left out.
+ */
+function getMetadataConflicts(doc, identity) {
+  let itemMap = _getItemMap(doc, identity)
+  let conflicts = itemMap && itemMap.get('metadataConflicts')
+  if (!conflicts || typeof conflicts.forEach !== 'function') return {}
+
+  let byProp = {}
+  conflicts.forEach((entry) => {
+    if (!entry || !entry.prop) return
+    if (!byProp[entry.prop]) byProp[entry.prop] = []
+    byProp[entry.prop].push(entry)
+  })
+  let result = {}
+  for (let [prop, candidates] of Object.entries(byProp)) {
+    let values = new Set(candidates.map(c => `${c.text}|${c.type}`))
+    if (values.size < 2) continue
+    result[prop] = candidates.sort((a, b) => a.author < b.author ? -1 : a.author > b.author ? 1 : 0)
+  }
+  return result
+}
+
+/**
+ * Close a property's conflict: write `value` as its metadata, listing
+ * the other candidates' texts in `resolves`, and drop the candidates.
+ * Returns the number of candidates dropped.
+ */
+function resolveMetadataConflict(doc, identity, propertyUri, value, author, pushSeq) {
+  let itemMap = _getItemMap(doc, identity)
+  let conflicts = itemMap && itemMap.get('metadataConflicts')
+  let keys = []
+  let resolves = new Set()
+  if (conflicts && typeof conflicts.forEach === 'function') {
+    conflicts.forEach((entry, key) => {
+      if (!entry || entry.prop !== propertyUri) return
+      keys.push(key)
+      if (entry.text !== (value.text || '')) resolves.add(entry.text)
+    })
+  }
+  for (let key of keys) conflicts.delete(key)
+  setMetadata(doc, identity, propertyUri, { ...value, resolves: Array.from(resolves) }, author, pushSeq)
+  return keys.length
+}
+
+// --- Metadata history (Y.Map, key: "propUri author:pushSeq") ---
+
+const HISTORY_DEFAULTS = { enabled: false, maxEntries: 20, maxAgeDays: 365 }
+
+/**
+ * Field history settings of the room ("history" in the room map):
+ * { enabled, maxEntries (per property), maxAgeDays }. Off unless a room
+ * turns it on.
+ */
+function getHistoryRetention(doc) {
+  let config = doc.getMap('room').get('history') || {}
+  let positive = (n, fallback) => Number.isFinite(n) && n > 0 ? Math.floor(n) : fallback
+  return {
+    enabled: config.enabled === true,
+    maxEntries: positive(config.maxEntries, HISTORY_DEFAULTS.maxEntries),
+    maxAgeDays: positive(config.maxAgeDays, HISTORY_DEFAULTS.maxAgeDays)
+  }
+}
+
+function setHistoryRetention(doc, config) {
+  let retention = { ...getHistoryRetention(doc), ...config }
+  doc.getMap('room').set('history', retention)
+  return getHistoryRetention(doc)
+}
+
+function _historyKey(propertyUri, entry) {
+  return `${propertyUri} ${entry.author}:${entry.pushSeq || 0}`
+}
+
+function _byHistoryTime(a, b) {
+  return (a.at || 0) - (b.at || 0) || (a.pushSeq || 0) - (b.pushSeq || 0)
+}
+
+// Log a metadata write in "metadataHistory". The value it replaces is
+// logged too (without a time) when the property has no history yet, so
+// the first change after turning history on keeps what was there before.
+function _recordFieldHistory(doc, identity, propertyUri, previous, entry, retention) {
+  if (previous && previous.text === entry.text && previous.type === entry.type &&
+      (previous.language || null) === entry.language) return
+
+  let history = _getSection(doc, identity, 'metadataHistory')
+  let record = (value, at) => {
+    history.set(_historyKey(propertyUri, value), {
+      prop: propertyUri,
+      text: value.text || '',
+      type: value.type || null,
+      language: value.language || null,
+      author: value.author || null,
+      pushSeq: value.pushSeq || 0,
+      at
+    })
+  }
+
+  let entries = []
+  history.forEach((value, key) => { if (value && value.prop === propertyUri) entries.push([key, value]) })
+  if (previous && entries.length === 0) {
+    let key = _historyKey(propertyUri, previous)
+    record(previous, null)
+    entries.push([key, history.get(key)])
+  }
+  let key = _historyKey(propertyUri, entry)
+  let now = Date.now()
+  record(entry, now)
+  entries = entries.filter(([k]) => k !== key)
+  entries.push([key, history.get(key)])
+
+  // Retention: newest maxEntries, none older than maxAgeDays (the value
+  // just written always stays)
+  let cutoff = now - retention.maxAgeDays * 86400000
+  entries.sort((a, b) => _byHistoryTime(a[1], b[1]))
+  let excess = entries.length - retention.maxEntries
+  entries.forEach(([k, value], i) => {
+    if (k === key) return
+    if (i < excess || (value.at && value.at < cutoff)) history.delete(k)
+  })
+}
+
+/**
+ * Earlier and current values of an item property, newest first:
+ * [{ text, type, language, author, pushSeq, at }]. `at` is null for a
+ * value written before the room kept history.
+ */
+function getFieldHistory(doc, identity, propertyUri) {
+  let itemMap = _getItemMap(doc, identity)
+  let history = itemMap && itemMap.get('metadataHistory')
+  if (!history || typeof history.forEach !== 'function') return []
+
+  let result = []
+  history.forEach((value) => {
+    if (!value || value.prop !== propertyUri) return
+    let { prop, ...entry } = value
+    result.push(entry)
+  })
+  return result.sort(_byHistoryTime).reverse()
+}
+
+/**
+ * An item's raw field history ({ key: entry }, entries with their
+ * `prop`), for planning reverts (server/revert.js).
+ */
+function getMetadataHistory(doc, identity) {
+  let itemMap = _getItemMap(doc, identity)
+  let history = itemMap && itemMap.get('metadataHistory')
+  if (!history || typeof history.toJSON !== 'function') return {}
+  return history.toJSON()
+}
+
 // --- Tags ---
 
 function setTag(doc, identity, tag, author, pushSeq) {
@@ -238,13 +575,15 @@ function getDeletedTags(doc, identity) {
 
 function setNote(doc, identity, uuid, note, author, pushSeq) {
   let notes = _getSection(doc, identity, 'notes')
+  let content = _writeNoteContent(doc, identity, uuid, note, notes.get(uuid))
   notes.set(uuid, {
     uuid,
-    text: note.text || '',
-    html: note.html || '',
+    text: noteContent.docToText(content),
+    html: note.html ? noteContent.renderDoc(content) : '',
     language: note.language || null,
     photo: note.photo || null,
     selection: note.selection || null,
+    richText: true,
     author,
     pushSeq: pushSeq || 0
   })
@@ -274,7 +613,7 @@ function getNotes(doc, identity) {
 
   let result = {}
   notes.forEach((value, key) => {
-    result[key] = value
+    result[key] = _noteValue(itemMap, key, value)
   })
   return result
 }
@@ -298,6 +637,119 @@ function deleteNoteEntry(doc, identity, noteKey) {
   let notes = itemMap.get('notes')
   if (!notes) return
   notes.delete(noteKey)
+  _deleteNoteContent(itemMap, noteKey)
+}
+
+// --- Note content (rich text) ---
+
+function _textToHtml(text) {
+  return text ? `<p>${noteContent.escapeText(text)}</p>` : ''
+}
+
+// Write a note's content into its fragment and return the document
+// written. An existing rich-text note is updated in place (only what
+// changed), anything else starts a fresh fragment.
+function _writeNoteContent(doc, identity, key, note, existing) {
+  let content = noteContent.normalizeDoc(note.content ||
+    noteContent.htmlToDoc(note.html || _textToHtml(note.text)))
+  let contents = _getSection(doc, identity, 'noteContent')
+  let fragment = contents.get(key)
+  if (!(fragment instanceof Y.XmlFragment) || !existing || !existing.richText || existing.deleted) {
+    fragment = new Y.XmlFragment()
+    contents.set(key, fragment)
+  }
+  noteContent.writeFragment(fragment, content)
+  return content
+}
+
+function _deleteNoteContent(itemMap, key) {
+  let contents = itemMap.get('noteContent')
+  if (contents && contents.has(key)) contents.delete(key)
+}
+
+// A note entry as readers see it: html/text of a rich-text note come
+// from its fragment, not from the cached copy. Plain-text notes (no
+// html) stay plain until someone edits their rich text.
+function _noteValue(itemMap, key, value) {
+  if (!value || !value.richText || value.deleted) return value
+  let contents = itemMap.get('noteContent')
+  let fragment = contents && contents.get(key)
+  if (!(fragment instanceof Y.XmlFragment)) return value
+  let content = noteContent.readFragment(fragment)
+  return {
+    ...value,
+    html: value.html ? noteContent.renderDoc(content) : '',
+    text: noteContent.docToText(content)
+  }
+}
+
+/**
+ * Rich-text content of a note or selection note (ProseMirror JSON), or
+ * null when the note has none (unknown key, tombstone, older client).
+ */
+function getNoteContent(doc, identity, key) {
+  let itemMap = _getItemMap(doc, identity)
+  if (!itemMap) return null
+  let contents = itemMap.get('noteContent')
+  let fragment = contents && contents.get(key)
+  if (!(fragment instanceof Y.XmlFragment)) return null
+  for (let section of ['notes', 'selectionNotes']) {
+    let entries = itemMap.get(section)
+    let entry = entries && entries.get(key)
+    if (entry) return entry.richText && !entry.deleted ? noteContent.readFragment(fragment) : null
+  }
+  return null
+}
+
+/**
+ * Edit an existing rich-text note: only the changed parts of its
+ * fragment are rewritten, so concurrent edits elsewhere in the note
+ * survive. The note keeps its author; `editor` records who wrote this
+ * version. section is 'notes' or 'selectionNotes'. Returns false when
+ * there is no such rich-text note.
+ */
+function setNoteContent(doc, identity, section, key, content, editor, pushSeq) {
+  let itemMap = _getItemMap(doc, identity)
+  let entries = itemMap && itemMap.get(section)
+  let entry = entries && entries.get(key)
+  if (!entry || !entry.richText || entry.deleted) return false
+  let written = _writeNoteContent(doc, identity, key, { content }, entry)
+  entries.set(key, {
+    ...entry,
+    text: noteContent.docToText(written),
+    html: noteContent.renderDoc(written),
+    editor,
+    pushSeq: pushSeq || 0
+  })
+  return true
+}
+
+/**
+ * Give every live note and selection note without rich-text content a
+ * fragment built from its HTML: notes from before rich text, and notes
+ * last written by an older client (whose write replaced the entry and
+ * left the fragment stale). Each gets a fresh fragment, so peers
+ * migrating at the same time converge on one of them instead of merging
+ * duplicate content. Returns the number of notes migrated.
+ */
+function migrateNoteContent(doc) {
+  let migrated = 0
+  forEachItem(doc, (itemMap, identity) => {
+    for (let section of ['notes', 'selectionNotes']) {
+      let entries = itemMap.get(section)
+      if (!entries) continue
+      let pending = []
+      entries.forEach((value, key) => {
+        if (value && !value.deleted && !value.richText) pending.push([key, value])
+      })
+      for (let [key, value] of pending) {
+        _writeNoteContent(doc, identity, key, value, null)
+        entries.set(key, { ...value, richText: true })
+        migrated++
+      }
+    }
+  })
+  return migrated
 }
 
 // --- Photos (checksum-keyed with YKeyValue metadata) ---
@@ -462,12 +914,14 @@ function getSelectionMeta(doc, identity, selUUID) {
 function setSelectionNote(doc, identity, selUUID, noteUUID, note, author, pushSeq) {
   let selectionNotes = _getSection(doc, identity, 'selectionNotes')
   let key = `${selUUID}:${noteUUID}`
+  let content = _writeNoteContent(doc, identity, key, note, selectionNotes.get(key))
   selectionNotes.set(key, {
     noteUUID,
     selUUID,
-    text: note.text || '',
-    html: note.html || '',
+    text: noteContent.docToText(content),
+    html: note.html ? noteContent.renderDoc(content) : '',
     language: note.language || null,
+    richText: true,
     author,
     pushSeq: pushSeq || 0
   })
@@ -500,7 +954,7 @@ function getSelectionNotes(doc, identity, selUUID) {
   let result = {}
   selectionNotes.forEach((value, key) => {
     if (key.startsWith(prefix)) {
-      if (!value.deleted) result[key] = value
+      if (!value.deleted) result[key] = _noteValue(itemMap, key, value)
     }
   })
   return result
@@ -515,7 +969,7 @@ function getAllSelectionNotes(doc, identity) {
 
   let result = {}
   selectionNotes.forEach((value, key) => {
-    result[key] = value
+    result[key] = _noteValue(itemMap, key, value)
   })
   return result
 }
@@ -526,18 +980,22 @@ function deleteSelectionNoteEntry(doc, identity, compositeKey) {
   let selectionNotes = itemMap.get('selectionNotes')
   if (!selectionNotes) return
   selectionNotes.delete(compositeKey)
+  _deleteNoteContent(itemMap, compositeKey)
 }
 
 // --- Transcriptions (UUID-keyed) ---
 
 function setTranscription(doc, identity, uuid, transcription, author, pushSeq) {
   let transcriptions = _getSection(doc, identity, 'transcriptions')
+  let text = transcription.text || ''
+  _writeTranscriptionText(doc, identity, uuid, text, transcriptions.get(uuid))
   transcriptions.set(uuid, {
     uuid,
-    text: transcription.text || '',
+    text,
     data: transcription.data || null,
     photo: transcription.photo || null,
     selection: transcription.selection || null,
+    sharedText: true,
     author,
     pushSeq: pushSeq || 0
   })
@@ -567,7 +1025,7 @@ function getTranscriptions(doc, identity) {
 
   let result = {}
   transcriptions.forEach((value, key) => {
-    result[key] = value
+    result[key] = _transcriptionValue(itemMap, key, value)
   })
   return result
 }
@@ -581,6 +1039,98 @@ function getActiveTranscriptions(doc, identity) {
   return result
 }
 
+// --- Transcription text (Y.Text) ---
+
+// Make a Y.Text hold the given text with one edit per changed range.
+// Diffs code points (never splits a surrogate pair), edits UTF-16 offsets.
+function _updateYText(ytext, text) {
+  let current = [...ytext.toString()]
+  let target = [...text]
+  for (let h of diff(current, target).reverse()) {
+    let index = current.slice(0, h.aStart).join('').length
+    let removed = current.slice(h.aStart, h.aEnd).join('').length
+    if (removed > 0) ytext.delete(index, removed)
+    if (h.bEnd > h.bStart) ytext.insert(index, target.slice(h.bStart, h.bEnd).join(''))
+  }
+}
+
+// Write a transcription's text into its Y.Text: in place for an existing
+// shared-text entry, into a fresh Y.Text otherwise (see _writeNoteContent)
+function _writeTranscriptionText(doc, identity, uuid, text, existing) {
+  let texts = _getSection(doc, identity, 'transcriptionText')
+  let ytext = texts.get(uuid)
+  if (!(ytext instanceof Y.Text) || !existing || !existing.sharedText || existing.deleted) {
+    ytext = new Y.Text()
+    texts.set(uuid, ytext)
+  }
+  _updateYText(ytext, text)
+}
+
+function _transcriptionValue(itemMap, key, value) {
+  if (!value || !value.sharedText || value.deleted) return value
+  let texts = itemMap.get('transcriptionText')
+  let ytext = texts && texts.get(key)
+  if (!(ytext instanceof Y.Text)) return value
+  return { ...value, text: ytext.toString() }
+}
+
+/**
+ * Current text of a shared-text transcription, or null (unknown,
+ * tombstoned or written by an older client).
+ */
+function getTranscriptionText(doc, identity, uuid) {
+  let itemMap = _getItemMap(doc, identity)
+  if (!itemMap) return null
+  let transcriptions = itemMap.get('transcriptions')
+  let entry = transcriptions && transcriptions.get(uuid)
+  if (!entry || !entry.sharedText || entry.deleted) return null
+  let texts = itemMap.get('transcriptionText')
+  let ytext = texts && texts.get(uuid)
+  return ytext instanceof Y.Text ? ytext.toString() : null
+}
+
+/**
+ * Edit the text of an existing shared-text transcription in place (only
+ * the changed ranges), keeping its author; `editor` records who wrote
+ * this version. `data` replaces the stored data unless undefined.
+ * Returns false when there is no such transcription.
+ */
+function setTranscriptionText(doc, identity, uuid, text, editor, pushSeq, data) {
+  let itemMap = _getItemMap(doc, identity)
+  let transcriptions = itemMap && itemMap.get('transcriptions')
+  let entry = transcriptions && transcriptions.get(uuid)
+  if (!entry || !entry.sharedText || entry.deleted) return false
+  _writeTranscriptionText(doc, identity, uuid, text, entry)
+  let next = { ...entry, text, editor, pushSeq: pushSeq || 0 }
+  if (data !== undefined) next.data = data
+  transcriptions.set(uuid, next)
+  return true
+}
+
+/**
+ * Give every live transcription without shared text a Y.Text holding
+ * its text (older rooms and entries last written by older clients).
+ * Fresh Y.Texts, so concurrent migrations converge on one of them.
+ * Returns the number of transcriptions migrated.
+ */
+function migrateTranscriptionText(doc) {
+  let migrated = 0
+  forEachItem(doc, (itemMap, identity) => {
+    let transcriptions = itemMap.get('transcriptions')
+    if (!transcriptions) return
+    let pending = []
+    transcriptions.forEach((value, key) => {
+      if (value && !value.deleted && !value.sharedText) pending.push([key, value])
+    })
+    for (let [key, value] of pending) {
+      _writeTranscriptionText(doc, identity, key, value.text || '', null)
+      transcriptions.set(key, { ...value, sharedText: true })
+      migrated++
+    }
+  })
+  return migrated
+}
+
 // --- Lists (UUID-keyed with name field) ---
 
 function setListMembership(doc, identity, listUUID, listName, author, pushSeq) {
@@ -610,6 +1160,27 @@ function removeListMembership(doc, identity, listUUID, author, pushSeq) {
   }
 }
 
+/**
+ * Tombstone an entry of a keyed section (tags, notes, selections,
+ * selectionNotes, transcriptions, lists) on behalf of a revert. Unlike
+ * the remove* setters it keeps the entry's author and records the
+ * reverter as `revertedBy`.
+ */
+function revertRemoval(doc, identity, section, key, revertedBy, pushSeq) {
+  let entries = _getSection(doc, identity, section)
+  let existing = entries.get(key)
+  if (!existing || existing.deleted) return
+  let value = {
+    ...existing,
+    deleted: true,
+    revertedBy,
+    pushSeq: pushSeq || 0,
+    deletedAt: Date.now()
+  }
+  if (section === 'lists') value.member = false
+  entries.set(key, value)
+}
+
 function getLists(doc, identity) {
   let itemMap = _getItemMap(doc, identity)
   if (!itemMap) return {}
@@ -633,6 +1204,116 @@ function getActiveLists(doc, identity) {
   return result
 }
 
+// --- Comments (UUID-keyed, author-owned) ---
+
+function setComment(doc, identity, uuid, comment, author, pushSeq) {
+  let comments = _getSection(doc, identity, 'comments')
+  let existing = comments.get(uuid)
+  if (existing && existing.author !== author) return false
+  comments.set(uuid, {
+    uuid,
+    parent: comment.parent || identity,
+    replyTo: comment.replyTo || null,
+    body: comment.body || '',
+    resolved: !!comment.resolved,
+    resolvedBy: comment.resolved ? (comment.resolvedBy || author) : null,
+    author,
+    createdAt: existing ? existing.createdAt : (comment.createdAt || Date.now()),
+    pushSeq: pushSeq || 0
+  })
+  _registerUUID(doc, identity, uuid, 'comment', comment.parent || identity)
+  return true
+}
+
+/**
+ * Retract a comment. Only its author may; returns false otherwise (or if
+ * it is unknown or already retracted).
+ */
+function removeComment(doc, identity, uuid, author, pushSeq) {
+  let comments = _getSection(doc, identity, 'comments')
+  let existing = comments.get(uuid)
+  if (!existing || existing.deleted || existing.author !== author) return false
+  comments.set(uuid, {
+    ...existing,
+    deleted: true,
+    pushSeq: pushSeq || 0,
+    deletedAt: Date.now()
+  })
+  return true
+}
+
+/**
+ * Mark a comment (thread) resolved or reopen it. Anyone may; the entry
+ * keeps its author.
+ */
+function setCommentResolved(doc, identity, uuid, resolved, by, pushSeq) {
+  let comments = _getSection(doc, identity, 'comments')
+  let existing = comments.get(uuid)
+  if (!existing || existing.deleted) return false
+  if (!!existing.resolved === !!resolved) return false
+  comments.set(uuid, {
+    ...existing,
+    resolved: !!resolved,
+    resolvedBy: resolved ? by : null,
+    pushSeq: pushSeq || 0
+  })
+  return true
+}
+
+function getComments(doc, identity) {
+  let itemMap = _getItemMap(doc, identity)
+  if (!itemMap) return {}
+
+  let comments = itemMap.get('comments')
+  if (!comments) return {}
+
+  let result = {}
+  comments.forEach((value, key) => {
+    result[key] = value
+  })
+  return result
+}
+
+function getActiveComments(doc, identity) {
+  let all = getComments(doc, identity)
+  let result = {}
+  for (let [key, val] of Object.entries(all)) {
+    if (!val.deleted) result[key] = val
+  }
+  return result
+}
+
+// --- Review status (transition log) ---
+
+/**
+ * Log a transition under a random key: pushSeq restarts after a vault
+ * reset and runs separately on each of a user's machines, so it cannot
+ * tell transitions apart. `after` is the id of the last transition the
+ * writer saw accepted (null from the initial state); replay follows these
+ * links rather than clocks (see workflow.js resolveStatus).
+ */
+function addStatusTransition(doc, identity, from, to, author, pushSeq, after) {
+  let status = _getSection(doc, identity, 'status')
+  let id = 'st_' + crypto.randomUUID()
+  let entry = { id, from, to, after: after || null, author, at: Date.now(), pushSeq: pushSeq || 0 }
+  status.set(id, entry)
+  return entry
+}
+
+function getStatusTransitions(doc, identity) {
+  let itemMap = _getItemMap(doc, identity)
+  if (!itemMap) return []
+
+  let status = itemMap.get('status')
+  if (!status) return []
+
+  let result = []
+  status.forEach((value) => {
+    result.push(value)
+  })
+  return result
+}
+
 // --- UUID Registry ---
 
 function _registerUUID(doc, identity, uuid, type, localRef) {
@@ -654,7 +1335,12 @@ function getUUIDRegistry(doc, identity) {
 
 // --- Alias Map ---
 
-function setAlias(doc, oldIdentity, newIdentity) {
+/**
+ * Record that `oldIdentity` is now `newIdentity`. A manual alias (a link
+ * a user made, see item-links.js) names its author and is never purged
+ * as expired.
+ */
+function setAlias(doc, oldIdentity, newIdentity, { manual = false, author = null } = {}) {
   let itemMap = _getItemMap(doc, newIdentity)
   if (!itemMap) {
     // Item may not exist yet — ensure it does
@@ -666,27 +1352,170 @@ function setAlias(doc, oldIdentity, newIdentity) {
     aliases = new Y.Map()
     itemMap.set('aliases', aliases)
   }
-  aliases.set(oldIdentity, { target: newIdentity, createdAt: Date.now() })
+  let entry = { target: newIdentity, createdAt: Date.now() }
+  if (manual) Object.assign(entry, { manual: true, author })
+  aliases.set(oldIdentity, entry)
 }
 
-function resolveAlias(doc, identity) {
-  let annotations = doc.getMap('annotations')
-  // Check if any item's aliases map contains this identity
-  let resolved = null
-  annotations.forEach((itemMap, itemIdentity) => {
-    if (resolved) return
+/**
+ * Identities aliased to `identity`: [{ identity, manual, author }].
+ */
+function getAliases(doc, identity) {
+  let itemMap = _getItemMap(doc, identity)
+  let aliases = itemMap && itemMap.get('aliases')
+  if (!aliases) return []
+  let result = []
+  aliases.forEach((entry, oldIdentity) => {
+    let manual = !!(entry && typeof entry === 'object' && entry.manual)
+    result.push({ identity: oldIdentity, manual, author: manual ? entry.author : null })
+  })
+  return result.sort((a, b) => a.identity.localeCompare(b.identity))
+}
+
+/**
+ * Drop the alias of `oldIdentity` from `newIdentity`. Returns true when
+ * there was one.
+ */
+function removeAlias(doc, oldIdentity, newIdentity) {
+  let itemMap = _getItemMap(doc, newIdentity)
+  let aliases = itemMap && itemMap.get('aliases')
+  if (!aliases || !aliases.has(oldIdentity)) return false
+  aliases.delete(oldIdentity)
+  return true
+}
+
+// Longest alias chain followed (an item that changed photos repeatedly)
+const MAX_ALIAS_HOPS = 8
+
+/**
+ * The alias of `identity`: { target, createdAt, manual, author }, or
+ * null. Items can hold an alias of the same identity at once (an item
+ * split by two collaborators, a manual link); every peer picks the same
+ * one: manual aliases first, then the newest, then the smaller target.
+ * In a v5 room only loaded items are searched.
+ */
+function getAlias(doc, identity) {
+  let found = []
+  forEachItem(doc, (itemMap, holder) => {
     let aliases = itemMap.get('aliases')
-    if (aliases) {
-      let entry = aliases.get(identity)
-      if (entry) {
-        // Backward compat: handle both old string-only and new object format
-        resolved = typeof entry === 'string' ? entry : entry.target
-      }
-    }
+    let entry = aliases && aliases.get(identity)
+    if (!entry) return
+    // Backward compat: handle both old string-only and new object format.
+    // setAlias() keeps an alias with its target, so that is the holder.
+    if (typeof entry === 'string') entry = {}
+    found.push({
+      target: holder,
+      createdAt: entry.createdAt || 0,
+      manual: !!entry.manual,
+      author: entry.author || null
+    })
   })
+  found.sort((a, b) => (b.manual - a.manual) || (b.createdAt - a.createdAt) ||
+    (a.target < b.target ? -1 : a.target > b.target ? 1 : 0))
+  return found[0] || null
+}
+
+/**
+ * The identity `identity` ended up as, following aliases, or null when
+ * it has none.
+ */
+function resolveAlias(doc, identity) {
+  let resolved = null
+  let seen = new Set([identity])
+  for (let hop = 0; hop < MAX_ALIAS_HOPS; hop++) {
+    let alias = getAlias(doc, resolved || identity)
+    if (!alias || seen.has(alias.target)) break
+    seen.add(alias.target)
+    resolved = alias.target
+  }
   return resolved
 }
 
+// Sections whose entries belong to a photo (`photo`: its checksum) or a
+// selection (`selection`: its UUID); selections first, so the entries
+// on a selection follow it
+const PHOTO_SECTIONS = ['selections', 'notes', 'transcriptions']
+
+/**
+ * Copy what an item knows about some of its photos to another item, for
+ * photos that moved there (merge, split): notes, selections and
+ * transcriptions on the photos in `checksums` with their rich-text
+ * content, the selections' metadata and notes, the photos' metadata and
+ * UUID registry entries. With `itemLevel`, the item's metadata, tags,
+ * lists and notes on no photo go too. Entries `toIdentity` has already
+ * are left as they are. Returns the number of entries copied.
+ */
+function copyItemContent(doc, fromIdentity, toIdentity, { checksums = [], itemLevel = false } = {}) {
+  let from = _getItemMap(doc, fromIdentity)
+  if (!from || fromIdentity === toIdentity) return 0
+  let photos = new Set(checksums)
+  let selections = new Set()
+  let uuids = new Set()
+  let copied = 0
+
+  let copyKey = (section, key) => {
+    let source = from.get(section)
+    if (!(source instanceof Y.Map) || !source.has(key)) return
+    let target = _getSection(doc, toIdentity, section)
+    if (target.has(key)) return
+    target.set(key, _cloneValue(source.get(key)))
+    copied++
+  }
+  let copyAll = (section, wanted) => {
+    let source = from.get(section)
+    if (source instanceof Y.Map) {
+      for (let key of Array.from(source.keys())) if (wanted(key)) copyKey(section, key)
+      return
+    }
+    if (!(source instanceof Y.Array)) return
+    let entries = []
+    _cachedYKV(source).map.forEach((entry, key) => { if (wanted(key)) entries.push([key, entry.val ?? entry]) })
+    if (entries.length === 0) return
+    let target = _getSection(doc, toIdentity, section)
+    for (let [key, value] of entries) {
+      if (target.has(key)) continue
+      target.set(key, value)
+      copied++
+    }
+  }
+
+  for (let section of PHOTO_SECTIONS) {
+    let source = from.get(section)
+    if (!(source instanceof Y.Map)) continue
+    for (let [key, entry] of Array.from(source.entries())) {
+      if (!entry) continue
+      let moves = entry.photo ? photos.has(entry.photo)
+        : entry.selection ? selections.has(entry.selection)
+          : itemLevel && section === 'notes'
+      if (!moves) continue
+      if (section === 'selections') selections.add(key)
+      uuids.add(key)
+      copyKey(section, key)
+      if (section === 'notes') copyKey('noteContent', key)
+      if (section === 'transcriptions') copyKey('transcriptionText', key)
+    }
+  }
+  let selectionOf = (key) => key.slice(0, key.indexOf(':'))
+  copyAll('selectionMeta', key => selections.has(selectionOf(key)))
+  let selectionNotes = from.get('selectionNotes')
+  if (selectionNotes instanceof Y.Map) {
+    for (let key of Array.from(selectionNotes.keys())) {
+      if (!selections.has(selectionOf(key))) continue
+      copyKey('selectionNotes', key)
+      copyKey('noteContent', key)
+      uuids.add(key.slice(key.indexOf(':') + 1))
+    }
+  }
+  copyAll('photos', key => photos.has(key))
+  copyAll('uuids', key => uuids.has(key))
+  if (itemLevel) {
+    copyAll('metadata', () => true)
+    copyAll('tags', () => true)
+    copyAll('lists', () => true)
+  }
+  return copied
+}
+
 // --- Tombstone purge ---
 
 /**
@@ -695,8 +1524,7 @@ function resolveAlias(doc, identity) {
  * Falls back to unconditional purge when deletedAt is missing.
  */
 function purgeTombstones(doc, maxAgeMs) {
-  let annotations = doc.getMap('annotations')
-  let tombstoneSections = ['tags', 'notes', 'selections', 'selectionNotes', 'transcriptions', 'lists']
+  let tombstoneSections = ['tags', 'notes', 'selections', 'selectionNotes', 'transcriptions', 'lists', 'comments']
   let purged = 0
   let uuidsPurged = 0
   let aliasesPurged = 0
@@ -704,7 +1532,7 @@ function purgeTombstones(doc, maxAgeMs) {
 
   let cutoff = maxAgeMs ? Date.now() - maxAgeMs : null
 
-  annotations.forEach((itemMap) => {
+  forEachItem(doc, (itemMap) => {
     items++
     for (let section of tombstoneSections) {
       let map = itemMap.get(section)
@@ -725,6 +1553,31 @@ function purgeTombstones(doc, maxAgeMs) {
       }
     }
 
+    // Drop note content whose note is gone or tombstoned
+    let contents = itemMap.get('noteContent')
+    if (contents && typeof contents.forEach === 'function') {
+      let notes = itemMap.get('notes')
+      let selectionNotes = itemMap.get('selectionNotes')
+      let orphaned = []
+      contents.forEach((_, k) => {
+        let entry = (notes && notes.get(k)) || (selectionNotes && selectionNotes.get(k))
+        if (!entry || entry.deleted) orphaned.push(k)
+      })
+      for (let k of orphaned) contents.delete(k)
+    }
+
+    // Same for transcription text
+    let texts = itemMap.get('transcriptionText')
+    if (texts && typeof texts.forEach === 'function') {
+      let transcriptions = itemMap.get('transcriptions')
+      let orphaned = []
+      texts.forEach((_, k) => {
+        let entry = transcriptions && transcriptions.get(k)
+        if (!entry || entry.deleted) orphaned.push(k)
+      })
+      for (let k of orphaned) texts.delete(k)
+    }
+
     // Prune orphaned UUID registry entries — collect live UUIDs from all sections
     let uuids = itemMap.get('uuids')
     if (uuids && typeof uuids.forEach === 'function') {
@@ -764,11 +1617,12 @@ function purgeTombstones(doc, maxAgeMs) {
       }
     }
 
-    // Purge expired aliases
+    // Purge expired aliases; manual ones (links users made) do not expire
     let aliases = itemMap.get('aliases')
     if (aliases && typeof aliases.forEach === 'function') {
       let toDelete = []
       aliases.forEach((value, key) => {
+        if (value && typeof value === 'object' && value.manual) return
         let createdAt = (value && typeof value === 'object') ? value.createdAt : 0
         if (!cutoff || !createdAt || createdAt < cutoff) {
           toDelete.push(key)
@@ -789,29 +1643,373 @@ function purgeTombstones(doc, maxAgeMs) {
 function setItemChecksums(doc, identity, checksums) {
   let itemMap = _ensureItemMap(doc, identity)
   let str = checksums.join(',')
-  if (itemMap.get('checksums') !== str) {
+  if (usesItemDocs(doc)) {
+    // v5 keeps checksums in the root doc so unloaded items can be matched
+    let rootChecksums = doc.getMap('itemChecksums')
+    if (rootChecksums.get(identity) !== str) rootChecksums.set(identity, str)
+  } else if (itemMap.get('checksums') !== str) {
     itemMap.set('checksums', str)
   }
 }
 
 function getItemChecksums(doc, identity) {
-  let itemMap = _getItemMap(doc, identity)
-  if (!itemMap) return []
-  let str = itemMap.get('checksums')
+  let str = null
+  if (usesItemDocs(doc)) str = doc.getMap('itemChecksums').get(identity)
+  if (!str) {
+    // v4 items, and v5 items not migrated yet
+    let itemMap = _getItemMap(doc, identity)
+    str = itemMap ? itemMap.get('checksums') : null
+  }
   if (!str) return []
   return str.split(',').filter(Boolean)
 }
 
+/**
+ * Keys the weaker item matchers (matchers.js) compare, one per matcher:
+ * { metadata: 'ms 12/4', phash: 'h1,h2' }. Like checksums they live in
+ * the root doc in v5 rooms, so unloaded items can be matched. Matchers
+ * without a key are left out.
+ */
+function setItemMatchKeys(doc, identity, keys) {
+  let value = {}
+  for (let name of Object.keys(keys).sort()) {
+    if (keys[name]) value[name] = String(keys[name])
+  }
+  let itemMap = _ensureItemMap(doc, identity)
+  let target = usesItemDocs(doc) ? doc.getMap('itemMatchKeys') : itemMap
+  let key = usesItemDocs(doc) ? identity : 'matchKeys'
+  if (JSON.stringify(target.get(key) || {}) !== JSON.stringify(value)) target.set(key, value)
+}
+
+function getItemMatchKeys(doc, identity) {
+  let keys = null
+  if (usesItemDocs(doc)) keys = doc.getMap('itemMatchKeys').get(identity)
+  if (!keys) {
+    let itemMap = _getItemMap(doc, identity)
+    keys = itemMap ? itemMap.get('matchKeys') : null
+  }
+  return keys ? { ...keys } : {}
+}
+
 // --- Schema version ---
 
+/**
+ * Version of a room: its stamp, or 3 for an unstamped room in the v3
+ * layout (Y.Map metadata, content-addressed keys, "users" map), or null
+ * for a new room.
+ */
+function _roomVersion(doc) {
+  let version = doc.getMap('room').get('schemaVersion')
+  if (_holdsItemDocs(doc) && !(version > SUBDOC_SCHEMA_VERSION)) return SUBDOC_SCHEMA_VERSION
+  if (version) return version
+  if (doc.share.has('users') && doc.getMap('users').size > 0) return 3
+  let v3 = false
+  forEachItem(doc, (itemMap) => {
+    if (!v3 && _isV3Item(itemMap)) v3 = true
+  })
+  return v3 ? 3 : null
+}
+
+/**
+ * Version negotiation for a room doc. A client reads and writes the
+ * versions in SUPPORTED_SCHEMA_VERSIONS; older rooms are `upgradable`
+ * through the migrations registered below (`pending` lists the versions
+ * they start from), and a room stamped with a version newer than
+ * LATEST_SCHEMA_VERSION can only be read by newer clients — this one must
+ * stay `readOnly` rather than write shapes they no longer expect.
+ * `migratable` tells whether the room can move to item subdocs (v5).
+ * @returns {{ version: number|null, compatible: boolean, readOnly: boolean,
+ *   upgradable: boolean, pending: number[], itemDocs: boolean, migratable: boolean }}
+ */
 function checkSchemaVersion(doc) {
+  let version = _roomVersion(doc)
+  let compatible = !version || SUPPORTED_SCHEMA_VERSIONS.includes(version)
+  let pending = []
+  if (version && version < SCHEMA_VERSION) {
+    for (let v = version; v < SCHEMA_VERSION && MIGRATIONS.has(v); v++) pending.push(v)
+  }
+  let upgradable = pending.length > 0 && pending.length === SCHEMA_VERSION - version
+  return {
+    version: version || null,
+    compatible,
+    readOnly: !compatible,
+    upgradable,
+    pending,
+    itemDocs: version === SUBDOC_SCHEMA_VERSION,
+    migratable: !version || version === SCHEMA_VERSION
+  }
+}
+
+/**
+ * Stamp the schema version of a new or current room. Without an explicit
+ * version the room keeps v5 once migrated — a v4 stamp would make every
+ * client read item subdocs as v4 maps. Rooms in an older or newer layout
+ * are left alone: they change version only through migrateRoom().
+ */
+function setSchemaVersion(doc, version) {
   let room = doc.getMap('room')
-  let version = room.get('schemaVersion')
-  return { version: version || null, compatible: !version || version === 4 }
+  let current = _roomVersion(doc)
+  if (!version && current && !SUPPORTED_SCHEMA_VERSIONS.includes(current)) return
+  let target = version || (current === SUBDOC_SCHEMA_VERSION
+    ? SUBDOC_SCHEMA_VERSION
+    : SCHEMA_VERSION)
+  if (room.get('schemaVersion') !== target) room.set('schemaVersion', target)
+}
+
+// --- Schema migrations ---
+
+/**
+ * Registry of room migrations, keyed by the version they start from. A
+ * step moves a room from `from` to `from + 1`; migrateRoom() runs the
+ * steps a room needs in one transaction, so peers see the old layout or
+ * the new one, never a mix.
+ *
+ * Yjs has no locks, so two upgraded clients may migrate the same room at
+ * once. Steps must therefore be idempotent and deterministic: re-running
+ * one on its own output changes nothing, and keys, guids and values
+ * derive only from the old content (_derivedUUID), so concurrent runs
+ * write the same entries and converge.
+ */
+const MIGRATIONS = new Map()
+
+function registerMigration(step) {
+  if (!step || typeof step.migrate !== 'function') throw new Error('Migration needs a migrate(doc) function')
+  if (step.to !== step.from + 1) throw new Error(`Migration must go from vN to vN+1, got v${step.from} → v${step.to}`)
+  if (MIGRATIONS.has(step.from)) throw new Error(`Migration from v${step.from} already registered`)
+  MIGRATIONS.set(step.from, step)
+}
+
+function getMigrations() {
+  return Array.from(MIGRATIONS.values()).sort((a, b) => a.from - b.from)
+}
+
+/**
+ * Bring a room up to `target` (default SCHEMA_VERSION) by running the
+ * registered steps in order. Never downgrades. Returns the steps run as
+ * [{ from, to, count }] (count: what the step reports, e.g. items moved).
+ */
+function migrateRoom(doc, options = {}) {
+  let target = options.target || SCHEMA_VERSION
+  let results = []
+
+  doc.transact(() => {
+    let version = _roomVersion(doc) || SCHEMA_VERSION
+    if (version >= target) return
+    for (let v = version; v < target; v++) {
+      if (!MIGRATIONS.has(v)) throw new Error(`No migration from schema v${v}`)
+    }
+    let room = doc.getMap('room')
+    for (let v = version; v < target; v++) {
+      let step = MIGRATIONS.get(v)
+      let count = step.migrate(doc) || 0
+      room.set('schemaVersion', step.to)
+      results.push({ from: step.from, to: step.to, count })
+    }
+    room.set('lastMigration', {
+      from: version,
+      to: target,
+      by: options.by || null,
+      at: Date.now()
+    })
+  }, options.origin || null)
+
+  return results
 }
 
-function setSchemaVersion(doc) {
-  doc.getMap('room').set('schemaVersion', 4)
+// Deterministic UUID-shaped key for migrated entries (same on every client)
+function _derivedUUID(prefix, ...parts) {
+  let hex = crypto.createHash('sha256').update(parts.join('\u0000')).digest('hex')
+  return `${prefix}${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`
+}
+
+function _isV3Item(itemMap) {
+  let metadata = itemMap.get('metadata')
+  if (metadata instanceof Y.Map) return true
+  for (let [section, prefix] of [['notes', 'n_'], ['selections', 's_'], ['transcriptions', 't_'], ['lists', 'l_']]) {
+    let map = itemMap.get(section)
+    if (!(map instanceof Y.Map)) continue
+    for (let key of map.keys()) {
+      if (!key.startsWith(prefix)) return true
+    }
+  }
+  return false
+}
+
+// A v3 entry as v4 writes it: wall-clock `ts` gives way to pushSeq and,
+// on tombstones, deletedAt
+function _v4Entry(value) {
+  let { ts, ...rest } = value || {}
+  let entry = { ...rest, pushSeq: rest.pushSeq || 0 }
+  if (entry.deleted && !entry.deletedAt) entry.deletedAt = ts || Date.now()
+  return entry
+}
+
+// Y.Map metadata (v3) → YKeyValue array (v4), replacing parent[key]
+function _v4Metadata(parent, key, rename = k => k) {
+  let entries = []
+  parent.get(key).forEach((value, field) => entries.push([rename(field), _v4Entry(value)]))
+  let arr = new Y.Array()
+  parent.set(key, arr)
+  let ykv = new YKeyValue(arr)
+  for (let [field, entry] of entries) ykv.set(field, entry)
+}
+
+/**
+ * v3 → v4: UUID keys for notes, selections, transcriptions and lists,
+ * YKeyValue metadata, lowercase tag keys, no "users" map. Returns the
+ * number of items changed.
+ */
+function _migrateV3ToV4(doc) {
+  let migrated = 0
+  let items = []
+  forEachItem(doc, (itemMap, identity) => {
+    if (_isV3Item(itemMap)) items.push([identity, itemMap])
+  })
+
+  for (let [identity, itemMap] of items) {
+    let selKeys = new Map()
+    let selKey = (old) => {
+      if (old.startsWith('s_')) return old
+      if (!selKeys.has(old)) selKeys.set(old, _derivedUUID('s_', identity, 'selection', old))
+      return selKeys.get(old)
+    }
+    let noteKey = (old) => old.startsWith('n_') ? old : _derivedUUID('n_', identity, 'note', old)
+    // v3 selection keys contain colons themselves ("photo:x:y:w:h"), so
+    // compound keys are split after the longest known selection key
+    let oldSelections = itemMap.get('selections')
+      ? Array.from(itemMap.get('selections').keys()).sort((a, b) => b.length - a.length)
+      : []
+    let splitSel = (key) => {
+      let sel = oldSelections.find(k => key.startsWith(k + ':'))
+      if (sel) return [sel, key.slice(sel.length + 1)]
+      let i = key.indexOf(':')
+      return i < 0 ? null : [key.slice(0, i), key.slice(i + 1)]
+    }
+
+    let metadata = itemMap.get('metadata')
+    if (metadata instanceof Y.Map) _v4Metadata(itemMap, 'metadata')
+
+    let photos = itemMap.get('photos')
+    if (photos) {
+      photos.forEach((photoMap) => {
+        let meta = photoMap.get('metadata')
+        if (meta instanceof Y.Map) _v4Metadata(photoMap, 'metadata')
+      })
+    }
+
+    let tags = itemMap.get('tags')
+    if (tags) {
+      let entries = []
+      tags.forEach((value, key) => entries.push([key, value]))
+      for (let [key, value] of entries) {
+        let lower = _normalizeTagKey(key)
+        let entry = _v4Entry({ name: key, ...value })
+        if (lower !== key) tags.delete(key)
+        let existing = lower !== key ? tags.get(lower) : null
+        if (!existing || existing.deleted) tags.set(lower, entry)
+      }
+    }
+
+    let rekey = (section, newKey, fix = v => v, type = null) => {
+      let map = itemMap.get(section)
+      if (!map) return
+      let entries = []
+      map.forEach((value, key) => entries.push([key, value]))
+      for (let [key, value] of entries) {
+        let next = newKey(key, value)
+        let entry = fix(_v4Entry(value), key)
+        if (next !== key) map.delete(key)
+        map.set(next, { ...entry, ...(type ? { uuid: next } : {}) })
+        if (type && !entry.deleted) _registerUUID(doc, identity, next, type, entry.photo || entry.selection || entry.name || null)
+      }
+    }
+
+    rekey('selections', selKey, v => v, 'selection')
+    rekey('notes', noteKey, v => v, 'note')
+    rekey('selectionNotes', (key) => {
+      let parts = splitSel(key)
+      return parts ? `${selKey(parts[0])}:${noteKey(parts[1])}` : key
+    })
+    rekey('transcriptions',
+      (key) => key.startsWith('t_') ? key : _derivedUUID('t_', identity, 'transcription', key),
+      (v) => v.sel ? { ...v, sel: selKey(v.sel) } : v, 'transcription')
+    rekey('lists',
+      (key, value) => key.startsWith('l_') ? key : _derivedUUID('l_', 'list', (value && value.name) || key),
+      (v, key) => v.name ? v : { ...v, name: key }, 'list')
+
+    let selectionMeta = itemMap.get('selectionMeta')
+    if (selectionMeta instanceof Y.Map) {
+      _v4Metadata(itemMap, 'selectionMeta', (key) => {
+        let parts = splitSel(key)
+        return parts ? `${selKey(parts[0])}:${parts[1]}` : key
+      })
+    }
+    migrated++
+  }
+
+  // Presence moved to the awareness protocol
+  if (doc.share.has('users')) {
+    let users = doc.getMap('users')
+    for (let key of Array.from(users.keys())) users.delete(key)
+  }
+  return migrated
+}
+
+/**
+ * v4 → v5: every Y.Map item becomes a subdoc with the same sections,
+ * checksums move to the root "itemChecksums" map. Items that already
+ * are subdocs are left alone. Returns the number of items migrated.
+ */
+function _migrateV4ToV5(doc) {
+  let annotations = doc.getMap('annotations')
+  let checksums = doc.getMap('itemChecksums')
+  let items = []
+  annotations.forEach((value, identity) => {
+    if (value instanceof Y.Map) items.push([identity, value])
+  })
+  for (let [identity, itemMap] of items) {
+    let itemDoc = new Y.Doc({ guid: itemDocGuid(identity) })
+    let target = itemDoc.getMap(ITEM_DOC_MAP)
+    itemDoc.transact(() => {
+      itemMap.forEach((value, key) => {
+        if (key === 'checksums') {
+          if (value) checksums.set(identity, value)
+        } else {
+          target.set(key, _cloneValue(value))
+        }
+      })
+    })
+    annotations.set(identity, itemDoc)
+  }
+  return items.length
+}
+
+registerMigration({
+  from: 3,
+  to: 4,
+  description: 'UUID keys, YKeyValue metadata, lowercase tag keys, awareness presence',
+  migrate: _migrateV3ToV4
+})
+
+registerMigration({
+  from: 4,
+  to: 5,
+  description: 'per-item subdocuments',
+  migrate: _migrateV4ToV5
+})
+
+function _cloneValue(value) {
+  return value instanceof Y.AbstractType ? value.clone() : value
+}
+
+/**
+ * Migrate a room to v5 (item subdocs), through v4 first if needed.
+ * Returns the number of items moved into subdocs.
+ */
+function migrateToV5(doc, origin = null) {
+  let steps = migrateRoom(doc, { target: SUBDOC_SCHEMA_VERSION, origin })
+  let step = steps.find(s => s.to === SUBDOC_SCHEMA_VERSION)
+  return step ? step.count : 0
 }
 
 // --- Snapshot ---
@@ -857,13 +2055,21 @@ function getItemSnapshot(doc, identity) {
         continue
       }
       let obj = {}
-      map.forEach((v, k) => { obj[k] = v })
+      map.forEach((v, k) => { obj[k] = _derivedValue(itemMap, section, k, v) })
       item[section] = obj
     }
   }
   return item
 }
 
+// Entries of rich-text notes and shared-text transcriptions as readers
+// see them (content from their Yjs types)
+function _derivedValue(itemMap, section, key, value) {
+  if (section === 'notes' || section === 'selectionNotes') return _noteValue(itemMap, key, value)
+  if (section === 'transcriptions') return _transcriptionValue(itemMap, key, value)
+  return value
+}
+
 function getIdentities(doc) {
   let annotations = doc.getMap('annotations')
   let result = []
@@ -880,10 +2086,9 @@ function _stripMeta(v) {
 }
 
 function getSnapshot(doc) {
-  let annotations = doc.getMap('annotations')
   let result = {}
 
-  annotations.forEach((itemMap, identity) => {
+  forEachItem(doc, (itemMap, identity) => {
     let item = {}
     for (let section of ITEM_SECTIONS) {
       if (YKV_SECTIONS.includes(section)) {
@@ -920,7 +2125,7 @@ function getSnapshot(doc) {
           continue
         }
         let obj = {}
-        map.forEach((v, k) => { obj[k] = _stripMeta(v) })
+        map.forEach((v, k) => { obj[k] = _stripMeta(_derivedValue(itemMap, section, k, v)) })
         item[section] = obj
       }
     }
@@ -1110,12 +2315,52 @@ function observeAnnotationsDeep(doc, callback, skipOrigin) {
   return () => annotations.unobserveDeep(handler)
 }
 
+/**
+ * Observe one v5 item subdoc, reporting changes in the shape of
+ * observeAnnotationsDeep(). Writes through this module run in the item
+ * doc's own transactions (the root doc's origin does not carry over),
+ * so local changes are recognised by transaction.local instead.
+ */
+function observeItemDoc(itemDoc, identity, callback) {
+  let itemMap = itemDoc.getMap(ITEM_DOC_MAP)
+
+  let handler = (events, transaction) => {
+    if (transaction.local) return
+
+    let changes = []
+    for (let event of events) {
+      if (event.path.length >= 1) {
+        changes.push({ identity, type: event.path[0], event })
+      } else {
+        event.changes.keys.forEach((change, key) => {
+          changes.push({ identity, type: key, event })
+        })
+      }
+    }
+
+    if (changes.length > 0) callback(changes)
+  }
+
+  itemMap.observeDeep(handler)
+  return () => itemMap.unobserveDeep(handler)
+}
+
 module.exports = {
   ITEM_SECTIONS,
+  SCHEMA_VERSION,
+  SUBDOC_SCHEMA_VERSION,
+  LATEST_SCHEMA_VERSION,
   getItemAnnotations,
   // Metadata (YKeyValue)
   setMetadata,
   getMetadata,
+  addMetadataConflict,
+  getMetadataConflicts,
+  resolveMetadataConflict,
+  getHistoryRetention,
+  setHistoryRetention,
+  getFieldHistory,
+  getMetadataHistory,
   // Tags
   setTag,
   removeTag,
@@ -1128,6 +2373,10 @@ module.exports = {
   deleteNoteEntry,
   getNotes,
   getActiveNotes,
+
+  getNoteContent,
+  setNoteContent,
+  migrateNoteContent,
   // Photos (YKeyValue metadata)
   setPhotoMetadata,
   getPhotoMetadata,
@@ -1151,22 +2400,48 @@ module.exports = {
   removeTranscription,
   getTranscriptions,
   getActiveTranscriptions,
+  getTranscriptionText,
+  setTranscriptionText,
+  migrateTranscriptionText,
   // Lists (UUID-keyed)
   setListMembership,
   removeListMembership,
+  revertRemoval,
   getLists,
   getActiveLists,
+  setComment,
+  removeComment,
+  setCommentResolved,
+  getComments,
+  getActiveComments,
+  addStatusTransition,
+  getStatusTransitions,
   // UUID registry
   getUUIDRegistry,
   // Aliases
   setAlias,
+  getAlias,
   resolveAlias,
+  getAliases,
+  removeAlias,
+  copyItemContent,
   // Item checksums (fuzzy matching)
   setItemChecksums,
+  setItemMatchKeys,
+  getItemMatchKeys,
   getItemChecksums,
   // Schema version
   checkSchemaVersion,
   setSchemaVersion,
+  migrateToV5,
+  migrateRoom,
+  registerMigration,
+  getMigrations,
+  // Item subdocs (v5)
+  itemDocGuid,
+  usesItemDocs,
+  getItemDoc,
+  forEachItem,
   // Snapshot
   getSnapshot,
   getItemSnapshot,
@@ -1187,6 +2462,7 @@ module.exports = {
   // Observers
   observeAnnotations,
   observeAnnotationsDeep,
+  observeItemDoc,
   observeSchema,
   observeProjectLists
 }
@@ -0,0 +1,192 @@
+'use strict'
+
+/**
+ * Sequence diff and three-way merge for the CRDT text types.
+ *
+ * Tropy's editors are not bound to Yjs: the engine only sees a note's or
+ * transcription's whole content before and after the user changed it.
+ * diff() turns that into changed ranges, so only those reach the shared
+ * Yjs type. merge3() combines a local and a remote edit of the same
+ * base (the version both sides last agreed on) when both changed.
+ *
+ * Both work on arrays of anything; callers pass a key function (or
+ * strings) so equal elements compare equal.
+ */
+
+// Diffs beyond this many edits fall back to one changed range
+const MAX_EDITS = 1000
+
+/**
+ * Changed ranges between two key lists (Myers' O(ND) diff), as hunks
+ * { aStart, aEnd, bStart, bEnd }: a[aStart, aEnd) became b[bStart, bEnd).
+ */
+function diff(a, b, maxEdits = MAX_EDITS) {
+  let start = 0
+  while (start < a.length && start < b.length && a[start] === b[start]) start++
+  let endA = a.length
+  let endB = b.length
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--
+    endB--
+  }
+  let n = endA - start
+  let m = endB - start
+  if (n === 0 && m === 0) return []
+  if (n === 0 || m === 0) return [{ aStart: start, aEnd: endA, bStart: start, bEnd: endB }]
+
+  let max = Math.min(n + m, maxEdits)
+  let offset = max + 1
+  let v = new Int32Array(2 * max + 3)
+  let trace = []
+  let found = false
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice())
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1
+      let y = x - k
+      while (x < n && y < m && a[start + x] === b[start + y]) {
+        x++
+        y++
+      }
+      v[offset + k] = x
+      if (x >= n && y >= m) {
+        found = true
+        break
+      }
+    }
+  }
+  // Too different: one hunk for the whole changed range
+  if (!found) return [{ aStart: start, aEnd: endA, bStart: start, bEnd: endB }]
+
+  // Walk the trace back into a list of matched and changed positions
+  let edits = []
+  let x = n
+  let y = m
+  for (let d = trace.length - 1; d > 0; d--) {
+    let vd = trace[d]
+    let k = x - y
+    let prevK = (k === -d || (k !== d && vd[offset + k - 1] < vd[offset + k + 1])) ? k + 1 : k - 1
+    let prevX = vd[offset + prevK]
+    let prevY = prevX - prevK
+    while (x > prevX && y > prevY) {
+      x--
+      y--
+    }
+    edits.push({ x: prevX, y: prevY, toX: x, toY: y })
+    x = prevX
+    y = prevY
+  }
+  edits.reverse()
+
+  let hunks = []
+  for (let e of edits) {
+    let aS = start + e.x
+    let aE = start + e.toX
+    let bS = start + e.y
+    let bE = start + e.toY
+    let last = hunks[hunks.length - 1]
+    if (last && last.aEnd === aS && last.bEnd === bS) {
+      last.aEnd = aE
+      last.bEnd = bE
+    } else {
+      hunks.push({ aStart: aS, aEnd: aE, bStart: bS, bEnd: bE })
+    }
+  }
+  return hunks
+}
+
+// The elements one side has in place of base[from, to)
+function _sideRegion(base, side, hunks, from, to) {
+  let out = []
+  let pos = from
+  for (let h of hunks) {
+    for (let i = pos; i < h.aStart; i++) out.push(base[i])
+    for (let i = h.bStart; i < h.bEnd; i++) out.push(side[i])
+    pos = h.aEnd
+  }
+  for (let i = pos; i < to; i++) out.push(base[i])
+  return out
+}
+
+/**
+ * Three-way merge: local and remote edits of base are combined where they
+ * touch different ranges. Where both changed overlapping or adjacent
+ * ranges differently, the local version wins — the engine's rule
+ * everywhere else — and the range counts as a conflict.
+ * @param {Array} base
+ * @param {Array} local
+ * @param {Array} remote
+ * @param {function(*): string} [key] - identity of an element
+ * @returns {{ result: Array, conflicts: number }}
+ */
+function merge3(base, local, remote, key = x => x) {
+  let baseKeys = base.map(key)
+  let localHunks = diff(baseKeys, local.map(key))
+  let remoteHunks = diff(baseKeys, remote.map(key))
+
+  let result = []
+  let conflicts = 0
+  let pos = 0
+  let li = 0
+  let ri = 0
+  while (li < localHunks.length || ri < remoteHunks.length) {
+    // A cluster of hunks whose base ranges overlap or touch
+    let first = ri >= remoteHunks.length ||
+      (li < localHunks.length && localHunks[li].aStart <= remoteHunks[ri].aStart)
+      ? localHunks[li]
+      : remoteHunks[ri]
+    let from = first.aStart
+    let to = first.aEnd
+    let locals = []
+    let remotes = []
+    let grew = true
+    while (grew) {
+      grew = false
+      while (li < localHunks.length && localHunks[li].aStart <= to) {
+        to = Math.max(to, localHunks[li].aEnd)
+        locals.push(localHunks[li++])
+        grew = true
+      }
+      while (ri < remoteHunks.length && remoteHunks[ri].aStart <= to) {
+        to = Math.max(to, remoteHunks[ri].aEnd)
+        remotes.push(remoteHunks[ri++])
+        grew = true
+      }
+    }
+
+    for (let i = pos; i < from; i++) result.push(base[i])
+    let localRegion = _sideRegion(base, local, locals, from, to)
+    if (remotes.length === 0) {
+      result.push(...localRegion)
+    } else {
+      let remoteRegion = _sideRegion(base, remote, remotes, from, to)
+      if (locals.length === 0) {
+        result.push(...remoteRegion)
+      } else {
+        result.push(...localRegion)
+        if (localRegion.map(key).join('\u0001') !== remoteRegion.map(key).join('\u0001')) conflicts++
+      }
+    }
+    pos = to
+  }
+  for (let i = pos; i < base.length; i++) result.push(base[i])
+  return { result, conflicts }
+}
+
+/**
+ * merge3() over the characters of three strings.
+ * @returns {{ text: string, conflicts: number }}
+ */
+function mergeText(base, local, remote) {
+  let { result, conflicts } = merge3([...base], [...local], [...remote])
+  return { text: result.join(''), conflicts }
+}
+
+module.exports = {
+  MAX_EDITS,
+  diff,
+  merge3,
+  mergeText
+}
@@ -0,0 +1,202 @@
+'use strict'
+
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const os = require('os')
+const Y = require('yjs')
+
+/**
+ * Local Y.Doc persistence — offline-first replica of the room.
+ *
+ * Layout under ~/.troparcel/docs/<key>/, with <key> from replicaKey():
+ *   snapshot.yjs  full state, rewritten on compaction (atomic .tmp + rename)
+ *   updates.log   append-only frames: uint32 LE length + Yjs update bytes
+ *
+ * load() runs before the transport connects, so the engine starts from
+ * everything recorded locally — including edits made while no transport
+ * was reachable. Every doc update (local or remote) is appended after a
+ * short batching delay; once the log exceeds compactBytes it is folded
+ * into the snapshot. When a transport connects later, its state-vector
+ * exchange reconciles whatever the peers have not seen yet.
+ *
+ * A crash between snapshot rename and log truncation only leaves
+ * duplicate updates behind, which Yjs applies idempotently. A torn final
+ * frame (crash mid-append) is dropped on load.
+ */
+
+const DEFAULT_OPTIONS = {
+  flushDelay: 500,
+  compactBytes: 1024 * 1024   // 1 MB of log before folding into snapshot
+}
+
+const LOAD_ORIGIN = 'troparcel-doc-store'
+
+class LocalDocStore {
+  constructor(room, logger, options = {}) {
+    this.room = room
+    this.logger = logger
+    this.options = { ...DEFAULT_OPTIONS, ...options }
+    let baseDir = this.options.dir || path.join(os.homedir(), '.troparcel', 'docs')
+    this.dir = path.join(baseDir, this.options.key || this.sanitizeDir(room))
+    this.snapshotPath = path.join(this.dir, 'snapshot.yjs')
+    this.logPath = path.join(this.dir, 'updates.log')
+
+    this.doc = null
+    this._pending = []
+    this._flushTimer = null
+    this._logBytes = 0
+    this._updateHandler = (update) => {
+      this._pending.push(update)
+      this._scheduleFlush()
+    }
+  }
+
+  /**
+   * Sanitize a room name for use as a directory name.
+   */
+  sanitizeDir(name) {
+    return String(name || '').replace(/[^a-zA-Z0-9_.-]/g, '_').slice(0, 128) || 'default'
+  }
+
+  /**
+   * Apply the persisted snapshot + log to doc, then start recording
+   * its updates. Returns the number of stored updates applied.
+   */
+  load(doc) {
+    this.doc = doc
+    fs.mkdirSync(this.dir, { recursive: true })
+
+    let applied = 0
+    let updates = []
+    try {
+      updates.push(new Uint8Array(fs.readFileSync(this.snapshotPath)))
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        this.logger.warn(`[troparcel:store] could not read ${this.snapshotPath}: ${err.message}`)
+      }
+    }
+    updates.push(...this._readLog())
+
+    doc.transact(() => {
+      for (let update of updates) {
+        try {
+          Y.applyUpdate(doc, update, LOAD_ORIGIN)
+          applied++
+        } catch (err) {
+          this.logger.warn(`[troparcel:store] skipping corrupt stored update: ${err.message}`)
+        }
+      }
+    }, LOAD_ORIGIN)
+
+    doc.on('update', this._updateHandler)
+    return applied
+  }
+
+  _readLog() {
+    let buf
+    try {
+      buf = fs.readFileSync(this.logPath)
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        this.logger.warn(`[troparcel:store] could not read ${this.logPath}: ${err.message}`)
+      }
+      this._logBytes = 0
+      return []
+    }
+
+    let frames = []
+    let offset = 0
+    while (offset + 4 <= buf.length) {
+      let len = buf.readUInt32LE(offset)
+      if (offset + 4 + len > buf.length) break
+      frames.push(new Uint8Array(buf.subarray(offset + 4, offset + 4 + len)))
+      offset += 4 + len
+    }
+    if (offset < buf.length) {
+      this.logger.warn(`[troparcel:store] dropped torn frame at end of ${this.logPath}`)
+    }
+    this._logBytes = offset
+    return frames
+  }
+
+  _scheduleFlush() {
+    if (this._flushTimer) return
+    this._flushTimer = setTimeout(() => {
+      this._flushTimer = null
+      this.flush()
+    }, this.options.flushDelay)
+  }
+
+  /**
+   * Append buffered updates to the log; compact once it is large.
+   */
+  flush() {
+    if (this._flushTimer) {
+      clearTimeout(this._flushTimer)
+      this._flushTimer = null
+    }
+    if (this._pending.length === 0) return
+
+    let updates = this._pending
+    this._pending = []
+    let update = updates.length === 1 ? updates[0] : Y.mergeUpdates(updates)
+    let frame = Buffer.alloc(4 + update.length)
+    frame.writeUInt32LE(update.length, 0)
+    frame.set(update, 4)
+
+    try {
+      fs.appendFileSync(this.logPath, frame)
+      this._logBytes += frame.length
+    } catch (err) {
+      this._pending = updates.concat(this._pending)
+      this.logger.warn(`[troparcel:store] append failed: ${err.message}`)
+      return
+    }
+
+    if (this._logBytes > this.options.compactBytes) this.compact()
+  }
+
+  /**
+   * Fold the log into a fresh snapshot of the doc.
+   */
+  compact() {
+    if (!this.doc) return
+    try {
+      let tmpPath = this.snapshotPath + '.tmp'
+      fs.writeFileSync(tmpPath, Buffer.from(Y.encodeStateAsUpdate(this.doc)))
+      fs.renameSync(tmpPath, this.snapshotPath)
+      fs.writeFileSync(this.logPath, Buffer.alloc(0))
+      this._logBytes = 0
+    } catch (err) {
+      this.logger.warn(`[troparcel:store] compaction failed: ${err.message}`)
+    }
+  }
+
+  /**
+   * Flush outstanding updates and stop recording.
+   */
+  close() {
+    if (!this.doc) return
+    this.flush()
+    this.doc.off('update', this._updateHandler)
+    this.doc = null
+  }
+}
+
+/**
+ * Directory name of a room's local state: the room name and a hash of
+ * the transport, its address, the room and the id of the e2e room key
+ * (room-crypto.js roomKeyId(), none for plain rooms). Rooms of the same
+ * name on two servers, or under two passphrases, are different rooms
+ * and never share a replica.
+ */
+function replicaKey({ transport = 'websocket', address = '', room = '', keyId = '' }) {
+  let hash = crypto.createHash('sha256')
+    .update([transport, address, room, keyId].join('\n'))
+    .digest('hex')
+    .slice(0, 16)
+  return `${LocalDocStore.prototype.sanitizeDir(room).slice(0, 64)}-${hash}`
+}
+
+module.exports = { LocalDocStore, LOAD_ORIGIN, replicaKey }
@@ -0,0 +1,56 @@
+'use strict'
+
+const { escapeHtml } = require('./sanitize')
+const { propertyLabel } = require('./conflicts')
+
+/**
+ * Readable field history ("blame") for Tropy.
+ *
+ * Rooms that turn on field history keep earlier metadata values in the
+ * item's "metadataHistory" CRDT section (see crdt-schema.js
+ * getFieldHistory). SyncEngine.showFieldHistory() writes a summary of one
+ * property either into the item's HISTORY_URI metadata field or into a
+ * history note, rendered here. Neither is synced: the field is skipped on
+ * push and the note carries a [troparcel:history …] marker.
+ */
+
+const HISTORY_URI = 'https://troparcel.org/ns/history'
+
+function _when(at) {
+  return at ? new Date(at).toISOString().slice(0, 16).replace('T', ' ') : 'before history'
+}
+
+/**
+ * One line per value, newest first: `"1890" — alice, 2026-03-01 14:02`.
+ * `name` maps an author id to a display name.
+ */
+function describeHistory(entries, name = id => id) {
+  return entries.map(e =>
+    `"${e.text}" — ${e.author ? name(e.author) : 'unknown'}, ${_when(e.at)}`)
+}
+
+/**
+ * One-line summary of a property's history for the HISTORY_URI field.
+ */
+function summarizeHistory(propertyUri, entries, name = id => id) {
+  let values = entries.length > 0 ? describeHistory(entries, name).join('; ') : 'no earlier values'
+  return `${propertyLabel(propertyUri)}: ${values}`
+}
+
+/**
+ * Note HTML for the history of one property: a header naming it, then
+ * one paragraph per value, newest first.
+ */
+function renderHistoryNote(propertyUri, entries, name = id => id) {
+  let html = `<p><strong>History of ${escapeHtml(propertyLabel(propertyUri))}</strong> ` +
+    `<sub>[troparcel:history ${escapeHtml(propertyUri)}]</sub></p>`
+  for (let line of describeHistory(entries, name)) html += `<p>${escapeHtml(line)}</p>`
+  return html
+}
+
+module.exports = {
+  HISTORY_URI,
+  describeHistory,
+  summarizeHistory,
+  renderHistoryNote
+}
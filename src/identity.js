@@ -13,7 +13,9 @@ const crypto = require('crypto')
  * For items with multiple photos, we sort the checksums and
  * hash the concatenation.  Items with no photos return null
  * (photo-less items are not syncable — their identity would
- * change whenever metadata is edited, causing data forks).
+ * change whenever metadata is edited, causing data forks) unless
+ * a match property is configured (matchers.js): then a photo-less
+ * item is identified by that one value, e.g. its call number.
  *
  * Sub-resource keys (notes, selections, transcriptions) use FNV-1a
  * for speed — they only need to be unique within a CRDT room,
@@ -42,19 +44,49 @@ function fnv1a(input, hexLen = 24) {
  * Compute a stable identity hash for a Tropy item.
  *
  * @param {Object} item  - JSON-LD item from the Tropy API
+ * @param {Object} [options] - { matchProperty: property URI identifying
+ *   photo-less items }
  * @returns {string|null} hex identity hash, or null if unidentifiable
  */
-function computeIdentity(item) {
+function computeIdentity(item, options = {}) {
   let checksums = extractChecksums(item)
 
   if (checksums.length > 0) {
     return hashChecksums(checksums)
   }
 
-  // Photo-less items are not syncable
+  // Photo-less items are only syncable by their match property
+  if (options.matchProperty) {
+    let key = metadataKey(item, options.matchProperty)
+    if (key) return hashMetadataKey(options.matchProperty, key)
+  }
   return null
 }
 
+/**
+ * Normalized value of one metadata property of a JSON-LD item, for
+ * matching: trimmed, whitespace collapsed, lower case. Null when empty.
+ */
+function metadataKey(item, propertyUri) {
+  let value = item && item[propertyUri]
+  if (Array.isArray(value)) value = value[0]
+  if (value && typeof value === 'object') value = value['@value'] || value.text
+  if (value == null) return null
+  let key = String(value).normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase()
+  return key || null
+}
+
+/**
+ * Identity of a photo-less item from its match property value.
+ */
+function hashMetadataKey(propertyUri, key) {
+  return crypto
+    .createHash('sha256')
+    .update(`key:${propertyUri}:${key}`)
+    .digest('hex')
+    .slice(0, 32)
+}
+
 /**
  * Extract photo checksums from a JSON-LD item.
  * Handles both expanded and compacted JSON-LD forms.
@@ -166,13 +198,14 @@ function computeTranscriptionKey(photoChecksum, idx, selKey) {
  * Build a lookup table mapping identity hashes to local item IDs.
  *
  * @param {Array} items - Array of JSON-LD items from the Tropy API
+ * @param {Object} [options] - as computeIdentity()
  * @returns {Map<string, Object>} identity → { localId, item }
  */
-function buildIdentityIndex(items) {
+function buildIdentityIndex(items, options = {}) {
   let index = new Map()
 
   for (let item of items) {
-    let id = computeIdentity(item)
+    let id = computeIdentity(item, options)
     if (id) {
       index.set(id, {
         localId: item['@id'] || item.id,
@@ -215,6 +248,73 @@ function buildPhotoChecksumMap(item) {
   return map
 }
 
+/**
+ * Work out where the photos of items went between two states of a
+ * project, for identities that changed because photos were added or
+ * removed, items merged or an item split. `before` and `after` map a
+ * local item id to its photo checksums. Returns, per identity that is
+ * gone:
+ *
+ *   { kind: 'photos' | 'merge' | 'split', from, alias,
+ *     moves: [{ to, checksums, itemLevel }] }
+ *
+ * `alias` is the identity `from` becomes: the same local item's new
+ * identity when it kept some of the photos, otherwise the item that
+ * took most of them (ties go to the smaller identity). `moves` lists
+ * every new identity with the photos it took; the item-level data goes
+ * with the alias.
+ */
+function diffPhotoSets(before, after) {
+  let identityOf = (checksums) => computeIdentity({ photo: checksums.map(checksum => ({ checksum })) })
+  let oldIds = new Map()
+  for (let [localId, checksums] of before) {
+    let id = checksums.length > 0 ? identityOf(checksums) : null
+    if (id) oldIds.set(localId, { id, checksums })
+  }
+  let newIds = new Map()
+  let holder = new Map()  // checksum -> new identity
+  for (let [localId, checksums] of after) {
+    let id = checksums.length > 0 ? identityOf(checksums) : null
+    if (!id) continue
+    newIds.set(localId, { id, checksums })
+    for (let c of checksums) holder.set(c, id)
+  }
+  let current = new Set(Array.from(newIds.values(), n => n.id))
+  let gone = Array.from(oldIds).filter(([, o]) => !current.has(o.id))
+
+  // New identities that took photos from more than one gone identity
+  let sources = new Map()
+  for (let [, o] of gone) {
+    for (let to of new Set(o.checksums.map(c => holder.get(c)).filter(Boolean))) {
+      sources.set(to, (sources.get(to) || 0) + 1)
+    }
+  }
+
+  let changes = []
+  for (let [localId, o] of gone) {
+    let taken = new Map()  // new identity -> checksums
+    for (let c of o.checksums) {
+      let to = holder.get(c)
+      if (!to) continue
+      if (!taken.has(to)) taken.set(to, [])
+      taken.get(to).push(c)
+    }
+    if (taken.size === 0) continue
+    let same = newIds.get(localId)
+    let alias = same && taken.has(same.id)
+      ? same.id
+      : Array.from(taken).sort((a, b) => b[1].length - a[1].length || (a[0] < b[0] ? -1 : 1))[0][0]
+    let kind = taken.size > 1 ? 'split' : sources.get(alias) > 1 ? 'merge' : 'photos'
+    changes.push({
+      kind,
+      from: o.id,
+      alias,
+      moves: Array.from(taken, ([to, checksums]) => ({ to, checksums, itemLevel: to === alias }))
+    })
+  }
+  return changes
+}
+
 // --- UUID generators (schema v4) ---
 
 function generateNoteUUID() {
@@ -233,6 +333,10 @@ function generateListUUID() {
   return 'l_' + crypto.randomUUID()
 }
 
+function generateCommentUUID() {
+  return 'c_' + crypto.randomUUID()
+}
+
 /**
  * Compute a fingerprint for matching remote selections to local ones.
  * Same logic as old computeSelectionKey but used only for matching, not as CRDT key.
@@ -248,8 +352,11 @@ function computeSelectionFingerprint(photoChecksum, sel) {
 module.exports = {
   computeIdentity,
   extractChecksums,
+  metadataKey,
+  hashMetadataKey,
   buildIdentityIndex,
   findLocalMatch,
+  diffPhotoSets,
   // Legacy content-addressed functions (kept for migration/matching)
   computeSelectionKey,
   computeNoteKey,
@@ -259,6 +366,7 @@ module.exports = {
   generateSelectionUUID,
   generateTranscriptionUUID,
   generateListUUID,
+  generateCommentUUID,
   computeSelectionFingerprint,
   buildPhotoChecksumMap
 }
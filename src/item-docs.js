@@ -0,0 +1,167 @@
+'use strict'
+
+const Y = require('yjs')
+const schema = require('./crdt-schema')
+const { LocalDocStore } = require('./doc-store')
+
+const GUID_PREFIX = schema.itemDocGuid('')
+
+/**
+ * Item subdoc lifecycle for v5 rooms (see crdt-schema.js).
+ *
+ * The room doc holds one subdoc reference per item; remote references
+ * arrive unloaded. ItemDocs loads every item, or with selectiveSync only
+ * the ones the engine asks for (load()). Each loaded subdoc is restored
+ * from its local replica under <docStore>/items/, synced through the
+ * transport and observed for remote changes, which are reported through
+ * onChange in observeAnnotationsDeep()'s shape.
+ *
+ * Items written locally load themselves (crdt-schema _ensureItemMap) and
+ * are picked up from the room doc's 'subdocs' event like any other.
+ * Yjs cannot unload a subdoc in place, so loaded items stay loaded until
+ * the engine stops.
+ */
+class ItemDocs {
+  /**
+   * @param {Y.Doc} doc - room doc
+   * @param {SyncAdapter} transport
+   * @param {object} logger
+   * @param {object} options
+   * @param {boolean} [options.loadAll] - load every item (no selectiveSync)
+   * @param {string|null} [options.storeDir] - local replica dir, null for none
+   * @param {function(Array)} [options.onChange] - remote item changes
+   */
+  constructor(doc, transport, logger, { loadAll = true, storeDir = null, onChange = () => {} } = {}) {
+    this.doc = doc
+    this.transport = transport
+    this.logger = logger
+    this.loadAll = loadAll
+    this.storeDir = storeDir
+    this.onChange = onChange
+
+    // guid → { doc, identity, store, unobserve, synced }
+    this._entries = new Map()
+    this._subdocsHandler = (event) => this._onSubdocs(event)
+  }
+
+  start() {
+    this.doc.on('subdocs', this._subdocsHandler)
+    for (let subdoc of this.doc.getSubdocs()) {
+      if (subdoc.shouldLoad) this._attach(subdoc)
+      else if (this.loadAll) subdoc.load()
+    }
+  }
+
+  get loadedCount() {
+    return this._entries.size
+  }
+
+  isLoaded(identity) {
+    return this._entries.has(schema.itemDocGuid(identity))
+  }
+
+  /**
+   * Load the subdocs of the given items. Unknown items and items that
+   * are already loaded are skipped. Returns the identities loaded now.
+   */
+  load(identities) {
+    let loaded = []
+    for (let identity of identities) {
+      let subdoc = schema.getItemDoc(this.doc, identity)
+      if (!subdoc || subdoc.shouldLoad) continue
+      // Attached synchronously through the 'subdocs' event
+      subdoc.load()
+      loaded.push(identity)
+    }
+    return loaded
+  }
+
+  /**
+   * Resolves when the transport has merged the peers' state of the given
+   * items (or gave up waiting). Resolves to the number synced.
+   */
+  async whenSynced(identities) {
+    let pending = []
+    for (let identity of identities) {
+      let entry = this._entries.get(schema.itemDocGuid(identity))
+      if (entry) pending.push(entry.synced)
+    }
+    let results = await Promise.all(pending)
+    return results.filter(Boolean).length
+  }
+
+  destroy() {
+    this.doc.off('subdocs', this._subdocsHandler)
+    for (let entry of [...this._entries.values()]) this._detach(entry.doc)
+  }
+
+  _onSubdocs({ added, removed, loaded }) {
+    for (let subdoc of removed) {
+      let wasLoaded = this._detach(subdoc)
+      // Two clients created the same item concurrently and the other
+      // reference won: keep the item loaded under the surviving instance
+      if (wasLoaded) {
+        let replacement = this._replacementOf(subdoc)
+        if (replacement && !replacement.shouldLoad) replacement.load()
+      }
+    }
+    for (let subdoc of loaded) this._attach(subdoc)
+    if (this.loadAll) {
+      for (let subdoc of added) {
+        if (!subdoc.shouldLoad) subdoc.load()
+      }
+    }
+  }
+
+  _replacementOf(subdoc) {
+    let identity = subdoc.guid.slice(GUID_PREFIX.length)
+    let current = schema.getItemDoc(this.doc, identity)
+    return current && current !== subdoc && current.guid === subdoc.guid ? current : null
+  }
+
+  _attach(subdoc) {
+    if (!subdoc.guid.startsWith(GUID_PREFIX)) return
+    let existing = this._entries.get(subdoc.guid)
+    if (existing && existing.doc === subdoc) return
+    if (existing) this._detach(existing.doc)
+
+    let identity = subdoc.guid.slice(GUID_PREFIX.length)
+    let store = null
+    let restored = 0
+    if (this.storeDir) {
+      // Content written before the subdoc was attached (a new item, a
+      // migration) has not been recorded yet
+      let unrecorded = Y.encodeStateVector(subdoc).length > 1
+      store = new LocalDocStore(subdoc.guid, this.logger, { dir: this.storeDir })
+      restored = store.load(subdoc)
+      if (unrecorded) store.compact()
+    }
+
+    let unobserve = schema.observeItemDoc(subdoc, identity, this.onChange)
+
+    let synced = Promise.resolve(false)
+    if (this.transport && this.transport.supportsSubdocs) {
+      synced = this.transport.syncSubdoc(subdoc).catch((err) => {
+        this.logger.warn(`[troparcel:items] cannot sync item ${identity.slice(0, 8)}: ${err.message}`)
+        return false
+      })
+    }
+
+    this._entries.set(subdoc.guid, { doc: subdoc, identity, store, unobserve, synced })
+
+    // Restored content may hold remote changes not applied locally yet
+    if (restored > 0) this.onChange([{ identity, type: 'item', event: null }])
+  }
+
+  _detach(subdoc) {
+    let entry = this._entries.get(subdoc.guid)
+    if (!entry || entry.doc !== subdoc) return false
+    this._entries.delete(subdoc.guid)
+    entry.unobserve()
+    if (this.transport && this.transport.supportsSubdocs) this.transport.unsyncSubdoc(subdoc)
+    if (entry.store) entry.store.close()
+    return true
+  }
+}
+
+module.exports = { ItemDocs }
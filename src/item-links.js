@@ -0,0 +1,161 @@
+'use strict'
+
+const { escapeHtml } = require('./sanitize')
+const { htmlToDoc, docToText } = require('./note-content')
+const { phashScore } = require('./matchers')
+
+/**
+ * Links users make by hand between a local item and a room identity.
+ *
+ * Matching (exact, alias, fuzzy, the weak matchers) can miss an item or
+ * pick the wrong one. A user can override it:
+ *
+ *   local   the link is kept in this project's vault
+ *           (SyncVault.linkItem(), matcher 'manual')
+ *   shared  the link is a manual room alias (setAlias()), so every
+ *           collaborator whose item has the same photos follows it
+ *
+ * Apply honors links after exact and alias matches and before fuzzy ones,
+ * even for a local item that already matches its own identity.
+ * Unlinking an item drops its links and manual aliases and turns down
+ * the fuzzy matches that picked it (SyncVault.rejectMatch()).
+ *
+ * In Tropy, putting items in the LINK_LIST_NAME list asks for a link:
+ * the engine writes a note (LINK_MARKER) listing the room items that
+ * resemble each one, and the user answers on a new line of that note:
+ *
+ *   link 2          link to the second room item listed
+ *   link 2 shared   the same, as a room alias
+ *   unlink          undo the item's links
+ *
+ * The next sync cycle carries the answer out, deletes the note and takes
+ * the item off the list. Neither the list nor the note is synced.
+ */
+
+const LINK_LIST_NAME = 'Link to room item'
+const LINK_MARKER = '[troparcel:link]'
+const LINK_CANDIDATE_LIMIT = 10
+
+const CANDIDATE_RE = /^(\d+)\.\s.*\b([0-9a-f]{32})\s*$/
+const LINK_RE = /^\s*link\s+(\d+)(\s+shared)?\s*$/i
+const UNLINK_RE = /^\s*unlink\s*$/i
+
+// Jaccard similarity of two checksum lists
+function checksumScore(a, b) {
+  let set = new Set(a)
+  let shared = b.filter(c => set.has(c)).length
+  if (shared === 0) return 0
+  return shared / new Set([...a, ...b]).size
+}
+
+/**
+ * Room items a local item could be linked to, most alike first.
+ *
+ *   room   [{ identity, checksums, keys, title, identifier, unmatched }]
+ *          with keys the room item's match keys (getItemMatchKeys())
+ *          and unmatched true when no local item has its identity or
+ *          an alias of it (it is missing, or matched fuzzily at best)
+ *   local  { identity, checksums, keys } of the local item
+ *
+ * Each room item scores by its best matcher: shared photo checksums
+ * (Jaccard), the same metadata key, or perceptual hashes. Items scoring
+ * nothing are only listed when they are unmatched. Returns up to `limit`
+ * of [{ identity, title, identifier, photos, matcher, score, unmatched }].
+ */
+function rankLinkCandidates(room, local, { limit = LINK_CANDIDATE_LIMIT } = {}) {
+  let candidates = []
+  for (let r of room) {
+    if (r.identity === local.identity) continue
+    let keys = r.keys || {}
+    let best = { matcher: null, score: 0 }
+    let consider = (matcher, score) => {
+      if (score > best.score) best = { matcher, score }
+    }
+    consider('checksum', checksumScore(r.checksums || [], local.checksums || []))
+    if (keys.metadata && keys.metadata === local.keys.metadata) consider('metadata', 1)
+    if (keys.phash && local.keys.phash) consider('phash', phashScore(keys.phash.split(','), local.keys.phash.split(',')))
+    if (best.score === 0 && !r.unmatched) continue
+    candidates.push({
+      identity: r.identity,
+      title: r.title || null,
+      identifier: r.identifier || null,
+      photos: (r.checksums || []).length,
+      matcher: best.matcher,
+      score: best.score,
+      unmatched: !!r.unmatched
+    })
+  }
+  return candidates
+    .sort((a, b) => b.score - a.score ||
+      (a.title || '').localeCompare(b.title || '') ||
+      a.identity.localeCompare(b.identity))
+    .slice(0, limit)
+}
+
+function _describe(c) {
+  let parts = [c.title || 'Untitled']
+  if (c.identifier) parts.push(c.identifier)
+  parts.push(`${c.photos} photo(s)`)
+  if (c.matcher) parts.push(`${c.matcher} ${Math.round(c.score * 100)}%`)
+  if (c.unmatched) parts.push('no local item of its own')
+  return parts.join(' · ')
+}
+
+/**
+ * The link note of a local item: its current links ([{ identity, title,
+ * shared }]) and the numbered candidates, each ending in its identity.
+ */
+function renderLinkNote(candidates, links = []) {
+  let html = `<p><strong>Link to a room item</strong> <sub>${LINK_MARKER}</sub></p>`
+  for (let l of links) {
+    html += `<p>Linked now${l.shared ? ' (shared)' : ''}: ${escapeHtml(l.title || 'Untitled')} <sub>${escapeHtml(l.identity)}</sub></p>`
+  }
+  if (candidates.length === 0) html += '<p>No room item resembles this one.</p>'
+  candidates.forEach((c, i) => {
+    html += `<p>${i + 1}. ${escapeHtml(_describe(c))} <sub>${escapeHtml(c.identity)}</sub></p>`
+  })
+  html += '<p><em>Type "link 1" on a new line to link this item to room item 1, ' +
+    '"link 1 shared" to share the link with the room, or "unlink" to undo ' +
+    'its links. It is carried out at the next sync.</em></p>'
+  return html
+}
+
+/**
+ * Read a link note. Returns { candidates: [identity], command } where
+ * command is { action: 'link', choice, identity, shared },
+ * { action: 'unlink' } or null while the user has not answered; the
+ * identity is null when the choice is not listed. Returns null for
+ * other notes.
+ */
+function parseLinkNote(html) {
+  let doc = htmlToDoc(html || '')
+  let lines = (doc.content || []).map(block => docToText({ type: 'doc', content: [block] }))
+  if (!lines.some(line => line.includes(LINK_MARKER))) return null
+
+  let candidates = []
+  let command = null
+  for (let line of lines) {
+    let m = CANDIDATE_RE.exec(line.trim())
+    if (m) {
+      candidates[Number(m[1]) - 1] = m[2]
+      continue
+    }
+    if (command) continue
+    if ((m = LINK_RE.exec(line))) {
+      command = { action: 'link', choice: Number(m[1]), identity: null, shared: !!m[2] }
+    } else if (UNLINK_RE.test(line)) {
+      command = { action: 'unlink' }
+    }
+  }
+  if (command && command.action === 'link') command.identity = candidates[command.choice - 1] || null
+  return { candidates: candidates.filter(Boolean), command }
+}
+
+module.exports = {
+  LINK_LIST_NAME,
+  LINK_MARKER,
+  LINK_CANDIDATE_LIMIT,
+  rankLinkCandidates,
+  renderLinkNote,
+  parseLinkNote
+}
@@ -0,0 +1,143 @@
+'use strict'
+
+const identity = require('./identity')
+
+/**
+ * Item matchers — how a room item finds its local item when their
+ * identities (photo checksums, see identity.js) differ.
+ *
+ * The chain is set by the itemMatchers option and always starts with
+ * 'checksum': exact checksums, then aliases and the Jaccard fuzzy match
+ * on checksums, all applied directly. The weaker matchers after it only
+ * propose a match, which waits for the user to confirm it
+ * (SyncEngine.confirmMatch()):
+ *
+ *   metadata  the value of one property (matchProperty, default
+ *             dc:identifier — a call number or shelfmark), normalized.
+ *             It also identifies photo-less items, which have no
+ *             checksums (identity.computeIdentity()).
+ *   phash     a perceptual hash (dHash) of each photo, computed with the
+ *             plugin context's sharp, so re-encoded copies of the same
+ *             scans still match.
+ *
+ * Each matcher keeps its key in the room item (setItemMatchKeys()):
+ * { metadata: 'ms 12/4', phash: 'h1,h2' }. A weak match is proposed only
+ * when exactly one local item fits.
+ */
+
+const MATCHERS = ['checksum', 'metadata', 'phash']
+const DEFAULT_MATCH_PROPERTY = 'http://purl.org/dc/elements/1.1/identifier'
+
+// dHash bits (of 64) two images may differ in and count as the same
+const PHASH_MAX_DISTANCE = 10
+// Share of photos that must match for two items to match by phash
+const PHASH_MIN_SCORE = 0.5
+
+/**
+ * The matcher chain from the itemMatchers option (comma-separated names
+ * or an array); unknown names are dropped, 'checksum' always comes first.
+ */
+function parseMatchers(value) {
+  let names = Array.isArray(value) ? value : String(value || '').split(',')
+  let chain = ['checksum']
+  for (let name of names.map(n => String(n).trim().toLowerCase())) {
+    if (MATCHERS.includes(name) && !chain.includes(name)) chain.push(name)
+  }
+  return chain
+}
+
+/**
+ * Perceptual hash of an image file: 16 hex digits, one bit per pair of
+ * neighbouring pixels in a 9×8 greyscale thumbnail (dHash). Survives
+ * re-encoding and resizing, not cropping.
+ */
+async function perceptualHash(sharp, file) {
+  let { data, info } = await sharp(file)
+    .removeAlpha()
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer({ resolveWithObject: true })
+  let px = (x, y) => data[(y * 9 + x) * info.channels]
+  let hash = 0n
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) hash = (hash << 1n) | (px(x, y) > px(x + 1, y) ? 1n : 0n)
+  }
+  return hash.toString(16).padStart(16, '0')
+}
+
+function hammingDistance(a, b) {
+  let x = BigInt('0x' + a) ^ BigInt('0x' + b)
+  let bits = 0
+  for (; x > 0n; x >>= 1n) bits += Number(x & 1n)
+  return bits
+}
+
+/**
+ * Share of photos two items have in common by perceptual hash (lists of
+ * hashes), relative to the larger item.
+ */
+function phashScore(a, b) {
+  if (a.length === 0 || b.length === 0) return 0
+  let matched = a.filter(h => b.some(other => hammingDistance(h, other) <= PHASH_MAX_DISTANCE)).length
+  return matched / Math.max(a.length, b.length)
+}
+
+/**
+ * The weak matchers' keys for a local item. `photoHashes` maps a photo
+ * checksum to its perceptual hash.
+ */
+function localMatchKeys(item, { chain, matchProperty = DEFAULT_MATCH_PROPERTY, photoHashes = new Map() }) {
+  let keys = {}
+  if (chain.includes('metadata')) {
+    let key = identity.metadataKey(item, matchProperty)
+    if (key) keys.metadata = key
+  }
+  if (chain.includes('phash')) {
+    let hashes = Array.from(identity.buildPhotoChecksumMap(item).values(), c => photoHashes.get(c)).filter(Boolean)
+    if (hashes.length > 0) keys.phash = hashes.join(',')
+  }
+  return keys
+}
+
+/**
+ * The first weak matcher in `chain` that finds exactly one local item
+ * for a room item's keys. `locals` is [{ localIdentity, local, keys }].
+ * Returns { matcher, localIdentity, local, score } or null.
+ */
+function findWeakMatch(roomKeys, locals, chain) {
+  for (let matcher of chain) {
+    if (matcher === 'checksum' || !roomKeys[matcher]) continue
+    let hits = []
+    if (matcher === 'metadata') {
+      hits = locals.filter(l => l.keys.metadata === roomKeys.metadata).map(l => ({ ...l, score: 1 }))
+    } else if (matcher === 'phash') {
+      let hashes = roomKeys.phash.split(',')
+      let best = 0
+      for (let l of locals) {
+        if (!l.keys.phash) continue
+        let score = phashScore(hashes, l.keys.phash.split(','))
+        if (score < PHASH_MIN_SCORE || score < best) continue
+        if (score > best) hits = []
+        best = score
+        hits.push({ ...l, score })
+      }
+    }
+    if (hits.length === 1) {
+      let { localIdentity, local, score } = hits[0]
+      return { matcher, localIdentity, local, score }
+    }
+  }
+  return null
+}
+
+module.exports = {
+  MATCHERS,
+  DEFAULT_MATCH_PROPERTY,
+  parseMatchers,
+  perceptualHash,
+  hammingDistance,
+  phashScore,
+  localMatchKeys,
+  findWeakMatch
+}
@@ -0,0 +1,92 @@
+'use strict'
+
+const schema = require('./crdt-schema')
+const { propertyLabel } = require('./conflicts')
+const { DIFF_SECTIONS, authorOf, entries } = require('../server/room-diff')
+
+/**
+ * Room items this project has no photos for.
+ *
+ * Apply skips a room item that has no exact, alias or fuzzy local match.
+ * The engine records each one in the vault's missing queue (see
+ * SyncVault.markMissing()) with what it takes to find the scans:
+ *   { identity, checksums, title, identifier, authors,
+ *     firstSeen, lastChecked, checks }
+ * Queued items are checked again every sync cycle and leave the queue
+ * once they match (or leave the room). SyncEngine.exportMissingItems()
+ * writes the queue as a CSV or JSON report.
+ */
+
+// Metadata properties (by label) taken as an item's shelf mark
+const IDENTIFIER_LABELS = ['identifier', 'callNumber']
+
+/**
+ * What the room knows about a missing item: its photo checksums, title,
+ * identifier and the collaborators who wrote anything on it. Items whose
+ * subdoc is not loaded (schema v5) only have their checksums.
+ */
+function missingItemInfo(doc, identity) {
+  let info = {
+    checksums: schema.getItemChecksums(doc, identity),
+    title: null,
+    identifier: null,
+    authors: []
+  }
+  let item = schema.getItemSnapshot(doc, identity)
+  if (!item) return info
+
+  for (let [prop, value] of Object.entries(item.metadata || {})) {
+    let label = propertyLabel(prop)
+    let text = value && value.text
+    if (!text) continue
+    if (label === 'title' && !info.title) info.title = text
+    if (IDENTIFIER_LABELS.includes(label) && !info.identifier) info.identifier = text
+  }
+  let authors = new Set()
+  for (let section of DIFF_SECTIONS) {
+    for (let value of Object.values(entries(item, section))) {
+      let author = authorOf(value)
+      if (author) authors.add(author)
+    }
+  }
+  info.authors = Array.from(authors).sort()
+  return info
+}
+
+function _csvField(value) {
+  let text = value == null ? '' : String(value)
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * The missing queue as a report: 'json' (pretty-printed array) or 'csv'
+ * (one row per item, checksums and authors separated by spaces). `name`
+ * maps an author id to a display name.
+ */
+function formatMissingItems(items, format = 'json', name = id => id) {
+  let rows = items.map(m => ({
+    identity: m.identity,
+    title: m.title || '',
+    identifier: m.identifier || '',
+    photos: (m.checksums || []).length,
+    checksums: m.checksums || [],
+    authors: (m.authors || []).map(name),
+    firstSeen: m.firstSeen,
+    lastChecked: m.lastChecked,
+    checks: m.checks
+  }))
+  if (format === 'json') return JSON.stringify(rows, null, 2)
+  if (format !== 'csv') throw new Error(`Unknown report format: ${format}`)
+
+  let columns = ['identity', 'title', 'identifier', 'photos', 'checksums', 'authors', 'firstSeen', 'lastChecked', 'checks']
+  let lines = [columns.join(',')]
+  for (let row of rows) {
+    lines.push(columns.map(c => _csvField(Array.isArray(row[c]) ? row[c].join(' ') : row[c])).join(','))
+  }
+  return lines.join('\n') + '\n'
+}
+
+module.exports = {
+  missingItemInfo,
+  formatMissingItems
+}
@@ -0,0 +1,694 @@
+'use strict'
+
+const Y = require('yjs')
+const { parseTag, decodeEntities, sanitizeUrl, sanitizeStyle } = require('./sanitize')
+const { diff, merge3 } = require('./diff3')
+
+/**
+ * Rich-text note content — Tropy's ProseMirror note schema as a Yjs
+ * Y.XmlFragment, so concurrent edits to one note merge instead of one
+ * version replacing the other.
+ *
+ * Three representations meet here:
+ *
+ *   HTML            what Tropy's note.create takes and what the store
+ *                   adapter reads back (renderDoc)
+ *   ProseMirror     { type: 'doc', content: [...] } JSON — the shape of
+ *   JSON            Tropy's note.state.doc
+ *   Y.XmlFragment   the shared content in the CRDT, in y-prosemirror's
+ *                   layout: one Y.XmlElement per node (attrs as XML
+ *                   attributes), text runs as Y.XmlText with marks as
+ *                   formatting attributes ({ bold: {}, link: { href } })
+ *
+ * Tropy's editor is not bound to Yjs, so a local edit only reaches the
+ * fragment when the engine pushes. writeFragment() turns the difference
+ * into minimal Yjs edits (changed characters, not whole blocks), and
+ * mergeDocs() merges a local edit with remote changes Tropy has not
+ * shown yet, three-way against the content both last agreed on.
+ */
+
+// Tropy's note schema (tropy/src/editor/schema.js)
+const CONTAINER_NODES = new Set(['doc', 'blockquote', 'ordered_list', 'bullet_list', 'list_item'])
+const TEXTBLOCK_NODES = new Set(['paragraph'])
+const LEAF_BLOCK_NODES = new Set(['horizontal_rule'])
+const INLINE_LEAF_NODES = new Set(['hard_break'])
+const MARK_ORDER = ['link', 'bold', 'italic', 'underline', 'strikethrough', 'overline', 'superscript', 'subscript']
+
+const BLOCK_TAGS = {
+  p: 'paragraph',
+  blockquote: 'blockquote',
+  ol: 'ordered_list',
+  ul: 'bullet_list',
+  li: 'list_item'
+}
+// Tags outside the schema that Tropy reads as paragraphs (see
+// normalize-on-push.js)
+const PARAGRAPH_TAGS = new Set(['div', 'pre', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'])
+// Content that is not note text
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'template'])
+const MARK_TAGS = {
+  strong: 'bold',
+  b: 'bold',
+  em: 'italic',
+  i: 'italic',
+  u: 'underline',
+  s: 'strikethrough',
+  strike: 'strikethrough',
+  sup: 'superscript',
+  sub: 'subscript'
+}
+const DECORATION_MARKS = {
+  underline: 'underline',
+  'line-through': 'strikethrough',
+  overline: 'overline'
+}
+
+// --- HTML → ProseMirror JSON ---
+
+function _styleValue(attrs, property) {
+  let style = attrs.find(a => a.name === 'style')
+  if (!style) return null
+  for (let part of sanitizeStyle(decodeEntities(style.value)).split(';')) {
+    let [prop, value] = part.split(':').map(s => s && s.trim())
+    if (prop === property) return value
+  }
+  return null
+}
+
+function _sortMarks(marks) {
+  return marks.slice().sort((a, b) => MARK_ORDER.indexOf(a.type) - MARK_ORDER.indexOf(b.type))
+}
+
+/**
+ * Parse note HTML into Tropy's ProseMirror JSON. Only the schema's
+ * nodes and marks survive; other tags keep their text. Link targets go
+ * through the sanitizer's URL check.
+ */
+function htmlToDoc(html) {
+  let root = { type: 'doc', content: [] }
+  let blocks = [root]      // open block nodes, innermost last
+  let implicit = new Set() // blocks opened for stray inline content
+  let inline = []          // open inline tags: { tag, mark }
+
+  let top = () => blocks[blocks.length - 1]
+
+  let openBlock = (type, attrs) => {
+    let node = { type, content: [] }
+    if (attrs) node.attrs = attrs
+    top().content.push(node)
+    blocks.push(node)
+    return node
+  }
+
+  let closeImplicit = () => {
+    while (implicit.has(top())) {
+      implicit.delete(blocks.pop())
+    }
+  }
+
+  // The textblock inline content goes into, opened when missing
+  let textblock = () => {
+    let node = top()
+    if (TEXTBLOCK_NODES.has(node.type)) return node
+    if (node.type === 'ordered_list' || node.type === 'bullet_list') {
+      implicit.add(openBlock('list_item'))
+    }
+    let p = openBlock('paragraph')
+    implicit.add(p)
+    return p
+  }
+
+  let marks = () => _sortMarks(inline.filter(o => o.mark).map(o => o.mark))
+
+  let addText = (text) => {
+    if (!text) return
+    if (!TEXTBLOCK_NODES.has(top().type) && !text.trim()) return
+    let node = { type: 'text', text }
+    let m = marks()
+    if (m.length > 0) node.marks = m
+    textblock().content.push(node)
+  }
+
+  let i = 0
+  let src = String(html || '')
+  while (i < src.length) {
+    let lt = src.indexOf('<', i)
+    if (lt === -1) {
+      addText(decodeEntities(src.slice(i)))
+      break
+    }
+    if (lt > i) addText(decodeEntities(src.slice(i, lt)))
+
+    if (src.startsWith('<!--', lt)) {
+      let end = src.indexOf('-->', lt + 4)
+      i = end === -1 ? src.length : end + 3
+      continue
+    }
+
+    let tag = parseTag(src, lt)
+    if (!tag) {
+      addText('<')
+      i = lt + 1
+      continue
+    }
+    i = tag.end
+    let name = tag.tagName
+    if (RAW_TEXT_TAGS.has(name)) {
+      if (!tag.isClosing && !tag.isSelfClosing) {
+        let end = src.toLowerCase().indexOf(`</${name}`, i)
+        i = end === -1 ? src.length : (src.indexOf('>', end) + 1 || src.length)
+      }
+      continue
+    }
+    let blockType = BLOCK_TAGS[name] || (PARAGRAPH_TAGS.has(name) ? 'paragraph' : null)
+
+    if (blockType) {
+      if (tag.isClosing) {
+        let at = blocks.map(b => b.type).lastIndexOf(blockType)
+        if (at > 0) {
+          while (blocks.length > at) implicit.delete(blocks.pop())
+        }
+        continue
+      }
+      closeImplicit()
+      // A paragraph cannot hold blocks: close it first
+      while (TEXTBLOCK_NODES.has(top().type)) blocks.pop()
+      if (blockType === 'list_item' && top().type !== 'ordered_list' && top().type !== 'bullet_list') {
+        implicit.add(openBlock('bullet_list'))
+      }
+      let attrs = null
+      if (blockType === 'paragraph') {
+        let align = _styleValue(tag.attrs, 'text-align')
+        if (align === 'end') align = 'right'
+        if (align === 'start') align = 'left'
+        if (align && align !== 'left') attrs = { align }
+      }
+      let node = openBlock(blockType, attrs)
+      if (tag.isSelfClosing) blocks.pop()
+      else if (blockType === 'list_item') {
+        // list items hold blocks, their text goes into a paragraph
+        node.content = []
+      }
+      continue
+    }
+
+    if (name === 'hr') {
+      if (tag.isClosing) continue
+      closeImplicit()
+      while (TEXTBLOCK_NODES.has(top().type)) blocks.pop()
+      top().content.push({ type: 'horizontal_rule' })
+      continue
+    }
+
+    if (name === 'br') {
+      if (!tag.isClosing) textblock().content.push({ type: 'hard_break' })
+      continue
+    }
+
+    if (tag.isClosing) {
+      for (let k = inline.length - 1; k >= 0; k--) {
+        if (inline[k].tag === name) {
+          inline.splice(k, 1)
+          break
+        }
+      }
+      continue
+    }
+    if (tag.isSelfClosing) continue
+
+    let mark = null
+    if (MARK_TAGS[name]) {
+      mark = { type: MARK_TAGS[name] }
+    } else if (name === 'a') {
+      let href = tag.attrs.find(a => a.name === 'href')
+      let url = href ? sanitizeUrl(decodeEntities(href.value)) : ''
+      if (url) mark = { type: 'link', attrs: { href: url } }
+    } else if (name === 'span') {
+      let decoration = DECORATION_MARKS[_styleValue(tag.attrs, 'text-decoration')]
+      if (decoration) mark = { type: decoration }
+    }
+    inline.push({ tag: name, mark })
+  }
+
+  return normalizeDoc(root)
+}
+
+// --- ProseMirror JSON → HTML / text ---
+
+function escapeText(str) {
+  let s = String(str)
+  let out = ''
+  for (let i = 0; i < s.length; i++) {
+    let c = s[i]
+    switch (c) {
+      case '&': out += '&amp;'; break
+      case '<': out += '&lt;'; break
+      case '>': out += '&gt;'; break
+      case '"': out += '&quot;'; break
+      case "'": out += '&#x27;'; break
+      default: out += c
+    }
+  }
+  return out
+}
+
+/**
+ * Render ProseMirror JSON (or a live ProseMirror node) as HTML in the
+ * form Tropy's note.create parses back to the same document.
+ */
+function renderDoc(doc) {
+  if (!doc || !doc.content) return ''
+  // Handle live ProseMirror Node (doc.content is a Fragment, not an array)
+  if (typeof doc.toJSON === 'function') doc = doc.toJSON()
+  if (!doc.content) return ''
+  let content = doc.content
+  if (!Array.isArray(content)) {
+    if (Array.isArray(content.content)) content = content.content
+    else return ''
+  }
+  return content.map(n => renderNode(n)).join('')
+}
+
+function renderNode(node) {
+  if (!node) return ''
+  // Handle live ProseMirror Node objects (content is Fragment, type is NodeType)
+  if (typeof node.toJSON === 'function') node = node.toJSON()
+  let children = ''
+  if (node.content) {
+    let c = node.content
+    if (!Array.isArray(c)) {
+      if (Array.isArray(c.content)) c = c.content
+      else c = []
+    }
+    children = c.map(n => renderNode(n)).join('')
+  }
+
+  let type = typeof node.type === 'string' ? node.type : (node.type && node.type.name) || ''
+  switch (type) {
+    case 'paragraph': {
+      // Tropy: 'left' → no style, 'right' → 'text-align: end', others → direct
+      let align = node.attrs && node.attrs.align
+      if (align && align !== 'left') {
+        let ta = align === 'right' ? 'end' : align
+        return `<p style="text-align: ${ta}">${children}</p>`
+      }
+      return `<p>${children}</p>`
+    }
+    case 'blockquote':
+      return `<blockquote>${children}</blockquote>`
+    case 'ordered_list':
+      return `<ol>${children}</ol>`
+    case 'bullet_list':
+      return `<ul>${children}</ul>`
+    case 'list_item':
+      return `<li>${children}</li>`
+    case 'heading': {
+      let l = (node.attrs && node.attrs.level) || 1
+      return `<h${l}>${children}</h${l}>`
+    }
+    case 'horizontal_rule':
+      return '<hr>'
+    case 'code_block':
+      return `<pre><code>${children}</code></pre>`
+    case 'hard_break':
+      return '<span class="line-break"><br></span>'
+    case 'text': {
+      let t = escapeText(node.text || '')
+      if (node.marks) {
+        for (let m of node.marks) {
+          let mtype = typeof m.type === 'string' ? m.type : (m.type && m.type.name) || ''
+          switch (mtype) {
+            case 'bold':
+            case 'strong':
+              t = `<strong>${t}</strong>`; break
+            case 'italic':
+            case 'em':
+              t = `<em>${t}</em>`; break
+            case 'link':
+              t = `<a href="${escapeText((m.attrs && m.attrs.href) || '')}">${t}</a>`; break
+            case 'superscript':
+            case 'sup':
+              t = `<sup>${t}</sup>`; break
+            case 'subscript':
+            case 'sub':
+              t = `<sub>${t}</sub>`; break
+            case 'strikethrough':
+              t = `<span style="text-decoration: line-through">${t}</span>`; break
+            case 'underline':
+              t = `<span style="text-decoration: underline">${t}</span>`; break
+            case 'overline':
+              t = `<span style="text-decoration: overline">${t}</span>`; break
+          }
+        }
+      }
+      return t
+    }
+    default:
+      return children
+  }
+}
+
+/**
+ * Plain text of a document: one line per textblock, hard breaks as
+ * newlines (the `text` field of a note entry).
+ */
+function docToText(doc) {
+  let lines = []
+  let walk = (node) => {
+    if (TEXTBLOCK_NODES.has(node.type)) {
+      lines.push((node.content || [])
+        .map(n => n.type === 'text' ? n.text : (n.type === 'hard_break' ? '\n' : ''))
+        .join(''))
+    } else if (node.content) {
+      node.content.forEach(walk)
+    }
+  }
+  walk(doc)
+  return lines.join('\n')
+}
+
+// --- Normal form ---
+
+function _marksKey(marks) {
+  if (!marks || marks.length === 0) return ''
+  return JSON.stringify(_sortMarks(marks).map(m => m.attrs ? [m.type, m.attrs] : [m.type]))
+}
+
+/**
+ * Canonical copy of a document: sorted marks, adjacent text nodes with
+ * the same marks joined, empty text nodes and empty content dropped.
+ */
+function normalizeDoc(node) {
+  let out = { type: node.type }
+  if (node.attrs && Object.keys(node.attrs).length > 0) out.attrs = { ...node.attrs }
+  if (node.type === 'text') {
+    out.text = node.text
+    if (node.marks && node.marks.length > 0) {
+      out.marks = _sortMarks(node.marks).map(m => m.attrs && Object.keys(m.attrs).length > 0
+        ? { type: m.type, attrs: { ...m.attrs } }
+        : { type: m.type })
+    }
+    return out
+  }
+  let content = []
+  for (let child of node.content || []) {
+    if (child.type === 'text') {
+      if (!child.text) continue
+      let prev = content[content.length - 1]
+      let text = normalizeDoc(child)
+      if (prev && prev.type === 'text' && _marksKey(prev.marks) === _marksKey(text.marks)) {
+        prev.text += text.text
+        continue
+      }
+      content.push(text)
+    } else {
+      content.push(normalizeDoc(child))
+    }
+  }
+  if (content.length > 0) out.content = content
+  return out
+}
+
+// --- Token stream (diff and merge) ---
+
+// A document as a flat token list: one token per character, inline
+// leaf and block boundary, each with a key that is equal for equal
+// content.
+function _toTokens(doc) {
+  let tokens = []
+  let walk = (node) => {
+    if (node.type === 'text') {
+      let mk = _marksKey(node.marks)
+      for (let ch of node.text) {
+        tokens.push({ key: `t${mk}\u0000${ch}`, ch, marks: node.marks || null })
+      }
+      return
+    }
+    let attrs = node.attrs ? JSON.stringify(node.attrs) : ''
+    if (LEAF_BLOCK_NODES.has(node.type) || INLINE_LEAF_NODES.has(node.type)) {
+      tokens.push({ key: `l${node.type}${attrs}`, leaf: node })
+      return
+    }
+    tokens.push({ key: `o${node.type}${attrs}`, open: node })
+    for (let child of node.content || []) walk(child)
+    tokens.push({ key: `c${node.type}`, close: node.type })
+  }
+  for (let child of normalizeDoc(doc).content || []) walk(child)
+  return tokens
+}
+
+// Rebuild a document from tokens. Returns null when the tokens do not
+// nest into a valid document.
+function _fromTokens(tokens) {
+  let root = { type: 'doc', content: [] }
+  let stack = [root]
+  for (let token of tokens) {
+    let top = stack[stack.length - 1]
+    if (token.open) {
+      if (TEXTBLOCK_NODES.has(top.type)) return null
+      let node = { type: token.open.type, content: [] }
+      if (token.open.attrs) node.attrs = { ...token.open.attrs }
+      top.content.push(node)
+      stack.push(node)
+    } else if (token.close) {
+      if (stack.length === 1 || top.type !== token.close) return null
+      stack.pop()
+    } else if (token.leaf) {
+      let inline = INLINE_LEAF_NODES.has(token.leaf.type)
+      if (inline !== TEXTBLOCK_NODES.has(top.type)) return null
+      top.content.push({ ...token.leaf })
+    } else {
+      if (!TEXTBLOCK_NODES.has(top.type)) return null
+      let node = { type: 'text', text: token.ch }
+      if (token.marks) node.marks = token.marks
+      top.content.push(node)
+    }
+  }
+  if (stack.length !== 1) return null
+  return normalizeDoc(root)
+}
+
+/**
+ * True when two documents have the same content.
+ */
+function sameDoc(a, b) {
+  return JSON.stringify(normalizeDoc(a)) === JSON.stringify(normalizeDoc(b))
+}
+
+/**
+ * Three-way merge of note documents: local and remote edits of base are
+ * combined where they touch different parts of the note. Where both
+ * changed the same range differently, the local version wins — the same
+ * rule as the rest of the engine — and the range counts as a conflict.
+ * @returns {{ doc: object, conflicts: number }}
+ */
+function mergeDocs(base, local, remote) {
+  let { result, conflicts } = merge3(_toTokens(base), _toTokens(local), _toTokens(remote), t => t.key)
+
+  let doc = _fromTokens(result)
+  // Edits that only make sense together (a block split against a block
+  // merge): keep the local document whole
+  if (!doc) return { doc: normalizeDoc(local), conflicts: Math.max(conflicts, 1) }
+  return { doc, conflicts }
+}
+
+// --- Y.XmlFragment ---
+
+function _marksToAttributes(marks) {
+  let attributes = {}
+  for (let mark of marks || []) attributes[mark.type] = mark.attrs ? { ...mark.attrs } : {}
+  return attributes
+}
+
+function _attributesToMarks(attributes) {
+  let marks = []
+  for (let [type, attrs] of Object.entries(attributes || {})) {
+    if (attrs == null) continue
+    let mark = { type }
+    if (attrs && typeof attrs === 'object' && Object.keys(attrs).length > 0) mark.attrs = { ...attrs }
+    marks.push(mark)
+  }
+  return _sortMarks(marks)
+}
+
+// Children of a node as written to Yjs: a textblock's runs of text
+// nodes become one { text: [...] } entry (one Y.XmlText)
+function _childSpecs(node) {
+  let specs = []
+  for (let child of node.content || []) {
+    if (child.type === 'text') {
+      let last = specs[specs.length - 1]
+      if (last && last.text) last.text.push(child)
+      else specs.push({ text: [child] })
+    } else {
+      specs.push(child)
+    }
+  }
+  return specs
+}
+
+function _readChildren(yParent) {
+  let content = []
+  for (let child of yParent.toArray()) {
+    if (child instanceof Y.XmlText) {
+      for (let op of child.toDelta()) {
+        if (typeof op.insert !== 'string') continue
+        let text = { type: 'text', text: op.insert }
+        let marks = _attributesToMarks(op.attributes)
+        if (marks.length > 0) text.marks = marks
+        content.push(text)
+      }
+    } else if (child instanceof Y.XmlElement) {
+      let node = { type: child.nodeName }
+      let attrs = child.getAttributes()
+      if (Object.keys(attrs).length > 0) node.attrs = attrs
+      let children = _readChildren(child)
+      if (children.length > 0) node.content = children
+      content.push(node)
+    }
+  }
+  return content
+}
+
+/**
+ * ProseMirror JSON of a note fragment.
+ */
+function readFragment(fragment) {
+  return normalizeDoc({ type: 'doc', content: _readChildren(fragment) })
+}
+
+function _createY(spec) {
+  if (spec.text) {
+    let ytext = new Y.XmlText()
+    let offset = 0
+    for (let node of spec.text) {
+      ytext.insert(offset, node.text, _marksToAttributes(node.marks))
+      offset += node.text.length
+    }
+    return ytext
+  }
+  let element = new Y.XmlElement(spec.type)
+  for (let [k, v] of Object.entries(spec.attrs || {})) element.setAttribute(k, v)
+  element.insert(0, _childSpecs(spec).map(_createY))
+  return element
+}
+
+function _specKey(spec) {
+  if (spec.text) return JSON.stringify(normalizeDoc({ type: 'paragraph', content: spec.text }))
+  return JSON.stringify(normalizeDoc(spec))
+}
+
+function _yKey(y) {
+  if (y instanceof Y.XmlText) {
+    return JSON.stringify(normalizeDoc({ type: 'paragraph', content: _readChildren({ toArray: () => [y] }) }))
+  }
+  return JSON.stringify(normalizeDoc(_readChildren({ toArray: () => [y] })[0]))
+}
+
+function _sameKind(y, spec) {
+  if (spec.text) return y instanceof Y.XmlText
+  return y instanceof Y.XmlElement && y.nodeName === spec.type
+}
+
+function _chars(nodes) {
+  let chars = []
+  for (let node of nodes) {
+    let mk = _marksKey(node.marks)
+    for (let ch of node.text) chars.push({ ch, mk, marks: node.marks || null })
+  }
+  return chars
+}
+
+// Turn a Y.XmlText into the given text nodes with one Yjs edit per
+// changed range
+function _updateText(ytext, nodes) {
+  let current = _chars(_readChildren({ toArray: () => [ytext] }))
+  let target = _chars(nodes)
+  let key = c => c.mk + '\u0000' + c.ch
+  let hunks = diff(current.map(key), target.map(key))
+  // Y.Text indexes UTF-16 code units, the char lists code points; later
+  // hunks first, so earlier indexes stay valid
+  for (let h of hunks.reverse()) {
+    let index = current.slice(0, h.aStart).reduce((n, c) => n + c.ch.length, 0)
+    let removed = current.slice(h.aStart, h.aEnd).reduce((n, c) => n + c.ch.length, 0)
+    if (removed > 0) ytext.delete(index, removed)
+    let run = null
+    let flush = () => {
+      if (!run) return
+      ytext.insert(index, run.text, _marksToAttributes(run.marks))
+      index += run.text.length
+      run = null
+    }
+    for (let c of target.slice(h.bStart, h.bEnd)) {
+      if (run && run.mk === c.mk) {
+        run.text += c.ch
+      } else {
+        flush()
+        run = { text: c.ch, mk: c.mk, marks: c.marks }
+      }
+    }
+    flush()
+  }
+}
+
+function _updateChildren(yParent, specs) {
+  let current = yParent.toArray()
+  let start = 0
+  while (start < current.length && start < specs.length &&
+         _yKey(current[start]) === _specKey(specs[start])) start++
+  let endC = current.length
+  let endS = specs.length
+  while (endC > start && endS > start &&
+         _yKey(current[endC - 1]) === _specKey(specs[endS - 1])) {
+    endC--
+    endS--
+  }
+  // Changed nodes of the same type are edited in place, so concurrent
+  // edits elsewhere in them survive
+  let c = start
+  let s = start
+  while (c < endC && s < endS && _sameKind(current[c], specs[s])) {
+    _updateNode(current[c], specs[s])
+    c++
+    s++
+  }
+  if (c < endC) yParent.delete(c, endC - c)
+  if (s < endS) yParent.insert(c, specs.slice(s, endS).map(_createY))
+}
+
+function _updateNode(y, spec) {
+  if (spec.text) {
+    _updateText(y, spec.text)
+    return
+  }
+  let attrs = spec.attrs || {}
+  for (let k of Object.keys(y.getAttributes())) {
+    if (!(k in attrs)) y.removeAttribute(k)
+  }
+  for (let [k, v] of Object.entries(attrs)) {
+    if (JSON.stringify(y.getAttribute(k)) !== JSON.stringify(v)) y.setAttribute(k, v)
+  }
+  _updateChildren(y, _childSpecs(spec))
+}
+
+/**
+ * Make a fragment hold the given document, changing only what differs.
+ * The fragment must be part of a Y.Doc; call inside a transaction to
+ * publish the change as one update.
+ */
+function writeFragment(fragment, doc) {
+  _updateChildren(fragment, _childSpecs(normalizeDoc(doc)))
+}
+
+module.exports = {
+  htmlToDoc,
+  renderDoc,
+  renderNode,
+  escapeText,
+  docToText,
+  normalizeDoc,
+  sameDoc,
+  mergeDocs,
+  readFragment,
+  writeFragment
+}
@@ -7,7 +7,8 @@
  * between Tropy instances through CRDTs (Yjs). Items are matched
  * across instances by photo checksum, so each researcher keeps their
  * own photos locally while sharing interpretations through a
- * lightweight WebSocket relay.
+ * lightweight WebSocket relay, a shared folder, or an HTTP snapshot URL
+ * (chosen by the `connectionString` option).
  *
  * Sync modes:
  *   - "auto"   — push and apply changes in near-real-time
@@ -17,7 +18,10 @@
  */
 
 const { SyncEngine } = require('./sync-engine')
+const { transportAddress } = require('./adapters')
 const identity = require('./identity')
+const { parseConnectionString } = require('./connection-string')
+const { DEFAULT_MATCH_PROPERTY, parseMatchers } = require('./matchers')
 
 const VALID_SYNC_MODES = new Set(['auto', 'review', 'push', 'pull'])
 
@@ -35,7 +39,7 @@ class TroparcelPlugin {
     }
 
     this.context.logger.info(
-      `Troparcel v5.0 — server: ${this.options.serverUrl}, ` +
+      `Troparcel v5.0 — ${this.options.transport}: ${transportAddress(this.options)}, ` +
       `mode: ${this.options.syncMode}, ` +
       `user: ${this.options.userId || '(anonymous)'}`)
 
@@ -104,6 +108,36 @@ class TroparcelPlugin {
     } catch { /* ignore */ }
   }
 
+  // Tell the user when the room's schema is too new for this version
+  _watchReadOnly(engine) {
+    engine.onReadOnly = ({ version, supported }) => {
+      this.notify('plugin.troparcel.sync.readonly', {
+        room: this.options.room,
+        version,
+        supported
+      })
+    }
+  }
+
+  // Tell the user when room items turn up whose photos they do not
+  // have, or that only a weak matcher found a local item for
+  _watchMissingItems(engine) {
+    engine.onMissingItems = ({ count, added }) => {
+      this.notify('plugin.troparcel.sync.missing', {
+        room: this.options.room,
+        count,
+        added
+      })
+    }
+    engine.onMatchCandidates = ({ count, added }) => {
+      this.notify('plugin.troparcel.sync.match', {
+        room: this.options.room,
+        count,
+        added
+      })
+    }
+  }
+
   /**
    * Wait for the Redux store and project state before starting sync.
    *
@@ -171,11 +205,42 @@ class TroparcelPlugin {
     await this.startBackgroundSync()
   }
 
+  /**
+   * Expand a connectionString into transport fields.
+   *
+   * The connection string supplies the transport and its address fields.
+   * Individual fields still override it when the user set them explicitly,
+   * i.e. when they differ from the package.json default ('' or the stock
+   * serverUrl) — so an explicit Room or Room Password always wins.
+   */
+  _applyConnectionString(options) {
+    let parsed = parseConnectionString(options.connectionString)
+    if (!parsed) {
+      if (options.connectionString && this.context && this.context.logger) {
+        this.context.logger.warn(
+          `Troparcel: ignoring unrecognized connection string "${options.connectionString}"`)
+      }
+      return options
+    }
+
+    let defaults = { serverUrl: 'ws://localhost:2468' }
+    let merged = { ...options }
+    for (let [key, value] of Object.entries(parsed)) {
+      let current = options[key]
+      if (!current || current === defaults[key]) merged[key] = value
+    }
+    // The connection string names exactly one transport
+    merged.transport = parsed.transport
+    return merged
+  }
+
   mergeOptions(options) {
     // Project name is read later from store.getState().project
     // after the store has loaded — not available at construction time
     let projectName = ''
 
+    options = this._applyConnectionString(options)
+
     let syncMode = (options.syncMode || 'auto').trim().toLowerCase()
     if (!VALID_SYNC_MODES.has(syncMode)) {
       syncMode = 'auto'
@@ -183,14 +248,33 @@ class TroparcelPlugin {
 
     let roomExplicit = !!options.room
 
+    let transport = (options.transport || 'websocket').trim().toLowerCase()
+
+    let roomSnapshots = String(options.roomSnapshots || 'off').trim().toLowerCase()
+    if (!['off', 'sync', 'daily'].includes(roomSnapshots)) roomSnapshots = 'off'
+
     return {
       // Connection
+      connectionString: options.connectionString || '',
+      transport,
       serverUrl: options.serverUrl || 'ws://localhost:2468',
       room: options.room || projectName || 'troparcel-default',
       userId: options.userId || '',
       roomToken: options.roomToken || '',
+      // End-to-end encryption: key derived locally, never sent anywhere
+      roomPassphrase: options.roomPassphrase || '',
+      e2eCheckpointThreshold: Number(options.e2eCheckpointThreshold) || 100,
       apiPort: Number(options.apiPort) || 2019,
 
+      // Non-realtime transports
+      syncDir: options.syncDir || '',
+      filePollInterval: Number(options.filePollInterval) || 5000,
+      fileCompactThreshold: Number(options.fileCompactThreshold) || 50,
+      snapshotUrl: options.snapshotUrl || '',
+      snapshotAuth: options.snapshotAuth || '',
+      snapshotPollInterval: Number(options.snapshotPollInterval) || 30000,
+      snapshotMaxRetries: Number(options.snapshotMaxRetries) || 5,
+
       // Sync behavior
       autoSync: options.autoSync !== false,
       syncMode,
@@ -213,8 +297,14 @@ class TroparcelPlugin {
 
       // Safety limits
       maxBackups: Number(options.maxBackups) || 10,
+      roomSnapshots,
+      roomSnapshotRetentionDays: Number(options.roomSnapshotRetentionDays) || 30,
       maxNoteSize: Number(options.maxNoteSize) || 1048576,
       maxMetadataSize: Number(options.maxMetadataSize) || 65536,
+      offlinePersistence: options.offlinePersistence !== false && options.offlinePersistence !== 'false',
+      selectiveSync: options.selectiveSync === true || options.selectiveSync === 'true',
+      itemMatchers: parseMatchers(options.itemMatchers),
+      matchProperty: String(options.matchProperty || DEFAULT_MATCH_PROPERTY).trim(),
       tombstoneFloodThreshold: Number(options.tombstoneFloodThreshold) || 0.5,
 
       // Debug
@@ -234,22 +324,37 @@ class TroparcelPlugin {
     } catch { /* ignore */ }
 
     this.engine = new SyncEngine(this.options, this.context.logger, store)
+    this._watchReadOnly(this.engine)
+    this._watchMissingItems(this.engine)
+    this.engine.sharp = this.context.sharp || null
 
     try {
       await this.engine.start()
-      this.context.logger.info(
-        `Troparcel: connected to room "${this.options.room}" ` +
-        `(${store ? 'store' : 'API'} mode, sync: ${this.options.syncMode})`)
-      this.notify('plugin.troparcel.sync.started', {
-        room: this.options.room,
-        mode: this.options.syncMode
-      })
+      if (this.engine.online) {
+        this.context.logger.info(
+          `Troparcel: connected to room "${this.options.room}" ` +
+          `(${store ? 'store' : 'API'} mode, sync: ${this.options.syncMode})`)
+        this.notify('plugin.troparcel.sync.started', {
+          room: this.options.room,
+          mode: this.options.syncMode
+        })
+      } else {
+        // Offline-first: the engine records changes locally and keeps
+        // retrying the transport itself — no plugin-level retry needed.
+        this.context.logger.info(
+          `Troparcel: working offline in room "${this.options.room}" — ` +
+          `changes will sync once ${transportAddress(this.options)} is reachable`)
+        this.notify('plugin.troparcel.sync.offline', {
+          room: this.options.room,
+          mode: this.options.syncMode
+        })
+      }
     } catch (err) {
       let msg = err.message || String(err)
       let isConnError = msg.includes('timeout') || msg.includes('ECONNREFUSED')
       if (isConnError) {
         this.context.logger.warn(
-          `Troparcel: could not reach server at ${this.options.serverUrl} — ` +
+          `Troparcel: could not reach ${transportAddress(this.options)} — ` +
           'will retry with exponential backoff')
       } else {
         this.context.logger.warn(
@@ -273,6 +378,9 @@ class TroparcelPlugin {
             if (this.engine || this._unloading) return
             try {
               this.engine = new SyncEngine(this.options, this.context.logger, store)
+              this._watchReadOnly(this.engine)
+              this._watchMissingItems(this.engine)
+              this.engine.sharp = this.context.sharp || null
               await this.engine.start()
               this.context.logger.info(
                 `Troparcel: connected to room "${this.options.room}" (after retry)`)
@@ -341,7 +449,7 @@ class TroparcelPlugin {
         return
       }
 
-      this.context.logger.info('Troparcel Export: connecting to server (no background sync active)...')
+      this.context.logger.info(`Troparcel Export: connecting to ${transportAddress(this.options)} (no background sync active)...`)
       let tempEngine = new SyncEngine(this.options, this.context.logger)
       await tempEngine.start()
       tempEngine.pushItems(items, jsonLdContext)
@@ -360,7 +468,7 @@ class TroparcelPlugin {
       let msg = err.message || String(err)
       if (msg.includes('timeout') || msg.includes('ECONNREFUSED')) {
         this.context.logger.error(
-          `Troparcel Export: could not reach server at ${this.options.serverUrl} — ` +
+          `Troparcel Export: could not reach ${transportAddress(this.options)} — ` +
           'is the Troparcel server running?')
       } else {
         this.context.logger.error(`Troparcel Export: failed — ${msg}`)
@@ -419,8 +527,8 @@ class TroparcelPlugin {
       if (engine.localIndex.size === 0) {
         if (engine.adapter) {
           let items = engine.readAllItemsFull()
-            .filter(item => (item.photo || []).some(p => p.checksum))
-          engine.localIndex = identity.buildIdentityIndex(items)
+            .filter(item => engine._isSyncable(item))
+          engine.localIndex = identity.buildIdentityIndex(items, engine._identityOptions())
         } else {
           let localItems = await engine.api.getItems()
           if (localItems && Array.isArray(localItems)) {
@@ -428,7 +536,7 @@ class TroparcelPlugin {
             for (let s of localItems) {
               try { items.push(await engine.enrichItem(s)) } catch {}
             }
-            engine.localIndex = identity.buildIdentityIndex(items)
+            engine.localIndex = identity.buildIdentityIndex(items, engine._identityOptions())
           }
         }
       }
@@ -460,7 +568,7 @@ class TroparcelPlugin {
       let msg = err.message || String(err)
       if (msg.includes('timeout') || msg.includes('ECONNREFUSED')) {
         this.context.logger.error(
-          `Troparcel Import: could not reach server at ${this.options.serverUrl} — ` +
+          `Troparcel Import: could not reach ${transportAddress(this.options)} — ` +
           'is the Troparcel server running?')
       } else {
         this.context.logger.error(`Troparcel Import: failed — ${msg}`)
@@ -478,6 +586,10 @@ class TroparcelPlugin {
   getStatus() {
     let safeOptions = { ...this.options }
     if (safeOptions.roomToken) safeOptions.roomToken = '***'
+    if (safeOptions.roomPassphrase) safeOptions.roomPassphrase = '***'
+    if (safeOptions.snapshotAuth) safeOptions.snapshotAuth = '***'
+    // The connection string can embed the token or auth header
+    if (safeOptions.connectionString) safeOptions.connectionString = '***'
     delete safeOptions._roomExplicit
 
     return {
@@ -4,6 +4,14 @@ const crypto = require('crypto')
 const identity = require('./identity')
 const schema = require('./crdt-schema')
 const { normalizeNoteHtml } = require('./normalize-on-push')
+const { htmlToDoc, renderDoc, sameDoc, mergeDocs } = require('./note-content')
+const { mergeText } = require('./diff3')
+const { CONFLICT_URI, CONFLICT_LIST_NAME } = require('./conflicts')
+const { REVIEW_LIST_NAME } = require('./review-queue')
+const { LINK_LIST_NAME } = require('./item-links')
+const { isThreadNote, parseThreadNote, parseCommentNote } = require('./comments')
+const { getWorkflow, managedNames } = require('./workflow')
+const { HISTORY_URI } = require('./field-history')
 
 // V5 push helpers (W2.T6/T7) — internal, not exported
 
@@ -58,7 +66,7 @@ module.exports = {
     // flip-flops between item hashes, causing infinite re-pushes.
     let deduped = new Map()
     for (let item of items) {
-      let id = identity.computeIdentity(item)
+      let id = identity.computeIdentity(item, this._identityOptions())
       if (!id) continue
       deduped.set(id, item)
     }
@@ -90,6 +98,7 @@ module.exports = {
           this.pushPhotoMetadata(item, id, userId, pushSeq)
           collectedKeys.selectionKeys = this.pushSelections(item, id, userId, checksumMap, pushSeq)
           collectedKeys.transcriptionKeys = this.pushTranscriptions(item, id, userId, checksumMap, pushSeq)
+          this.pushComments(item, id, userId, pushSeq)
           if (this.options.syncLists) {
             this.pushLists(item, id, userId, pushSeq)
           }
@@ -116,6 +125,14 @@ module.exports = {
       }
     }
 
+    // Weak matcher keys (matchers.js) every cycle: a perceptual hash may
+    // be computed after the item itself was pushed
+    if (this.matchers.length > 1) {
+      this.doc.transact(() => {
+        for (let [id, item] of deduped) schema.setItemMatchKeys(this.doc, id, this._localMatchKeys(item))
+      }, this.LOCAL_ORIGIN)
+    }
+
     if (pushed > 0) {
       this._log(`pushed ${pushed} item(s) to CRDT`)
     } else {
@@ -126,11 +143,13 @@ module.exports = {
   pushMetadata(item, itemIdentity, userId, pushSeq) {
     if (!this.options.syncMetadata) return
     let existing = schema.getMetadata(this.doc, itemIdentity)
+    let conflicts = schema.getMetadataConflicts(this.doc, itemIdentity)
 
     for (let [key, value] of Object.entries(item)) {
       if (key.startsWith('@') || key.startsWith('_')) continue
       if (['photo', 'template', 'list', 'lists', 'tag'].includes(key)) continue
       if (!key.includes(':') && !key.includes('/')) continue
+      if (key === CONFLICT_URI || key === HISTORY_URI) continue
 
       let text = ''
       let type = 'http://www.w3.org/2001/XMLSchema#string'
@@ -150,28 +169,64 @@ module.exports = {
       // Only skip if we have no text AND there's no existing CRDT value to clear
       let current = existing[key]
       if (!text && !current) continue
+      let valueHash = this.vault._fastHash(`${text}|${type}`)
+
+      // Open conflict: our value only updates our candidate
+      if (conflicts[key]) {
+        schema.addMetadataConflict(this.doc, itemIdentity, key, [{ text, type, language, author: userId, pushSeq }])
+        continue
+      }
 
       if (current) {
-        if (current.text === text && current.type === type) continue
-        // Logic-based: skip if remote author differs AND we haven't edited this field
+        if (current.text === text && current.type === type) {
+          this.vault.markMetadataBase(itemIdentity, key, valueHash)
+          continue
+        }
         if (current.author !== userId) {
-          let valueHash = this.vault._fastHash(`${text}|${type}`)
-          if (!this.vault.hasLocalEdit(itemIdentity, key, valueHash)) {
-            this._logConflict('metadata', itemIdentity, key, {
-              local: text?.slice(0, 50),
-              remote: current.text?.slice(0, 50),
-              remoteAuthor: current.author
-            })
+          let base = this.vault.getMetadataBase(itemIdentity, key)
+          if (base == null) {
+            // Logic-based: skip if remote author differs AND we haven't edited this field
+            if (!this.vault.hasLocalEdit(itemIdentity, key, valueHash)) {
+              this._logConflict('metadata', itemIdentity, key, {
+                local: text?.slice(0, 50),
+                remote: current.text?.slice(0, 50),
+                remoteAuthor: current.author
+              })
+              continue
+            }
+          } else if (base === valueHash) {
+            // No local edit: the remote value is apply's to bring in
+            continue
+          } else if (base !== this.vault._fastHash(`${current.text}|${current.type}`)) {
+            // Both changed since the last agreed value
+            this._recordMetadataConflict(itemIdentity, key, { text, type, language, author: userId, pushSeq }, current)
             continue
           }
         }
       }
 
       schema.setMetadata(this.doc, itemIdentity, key, { text, type, language }, userId, pushSeq)
-      this.vault.markFieldPushed(itemIdentity, key, this.vault._fastHash(`${text}|${type}`))
+      this.vault.markFieldPushed(itemIdentity, key, valueHash)
+      this.vault.markMetadataBase(itemIdentity, key, valueHash)
     }
   },
 
+  /**
+   * Keep both values of a field changed on both sides as conflict
+   * candidates instead of letting one silently win. The CRDT value stays
+   * as it is until SyncEngine.resolveConflict() picks a winner.
+   */
+  _recordMetadataConflict(itemIdentity, key, local, remote) {
+    let written = schema.addMetadataConflict(this.doc, itemIdentity, key, [local, remote])
+    if (written === 0) return
+    this._logConflict('metadata', itemIdentity, key, {
+      local: (local.text || '').slice(0, 50),
+      remote: (remote.text || '').slice(0, 50),
+      remoteAuthor: remote.author,
+      resolution: 'recorded'
+    })
+  },
+
   pushTags(item, itemIdentity, userId, pushSeq) {
     if (!this.options.syncTags) return
     let tags = item.tag || item['https://tropy.org/v1/tropy#tag'] || []
@@ -179,12 +234,15 @@ module.exports = {
 
     let existingTagsList = schema.getTags(this.doc, itemIdentity)
     let existingTags = new Map(existingTagsList.map(t => [t.name.toLowerCase(), t]))
+    let statusTags = managedNames(getWorkflow(this.doc)).tags
 
     for (let tag of tags) {
       let name = typeof tag === 'string' ? tag : (tag.name || tag['@value'] || '')
       let color = typeof tag === 'object' ? tag.color : null
 
       if (!name) continue
+      // Review status is shared through the item's transitions
+      if (statusTags.has(name.toLowerCase())) continue
 
       let existing = existingTags.get(name.toLowerCase())
       if (existing && !existing.deleted) {
@@ -232,8 +290,19 @@ module.exports = {
         if (typeof text === 'object') text = text['@value'] || ''
         if (typeof html === 'object') html = html['@value'] || ''
 
-        // Skip notes applied by troparcel (have [author] prefix from sync)
-        if (this._isSyncedNote(text, html)) continue
+        // Comments are pushed by pushComments
+        if (parseCommentNote(text)) continue
+
+        // Notes applied by troparcel are not pushed as our own; edits to
+        // rich-text ones merge back into the shared note
+        if (this._isSyncedNote(text, html)) {
+          let key = this._extractNoteKey(html)
+          if (key && existingNotes[key] && existingNotes[key].richText) {
+            this._pushNoteEdit(itemIdentity, 'notes', key,
+              normalizeNoteHtml(this._stripNoteFooter(html)), userId, pushSeq)
+          }
+          continue
+        }
 
         // Normalize non-canonical/dropped HTML tags (u, s, h1-h6, code, pre, div)
         // into Tropy editor schema canonical form BEFORE hashing or CRDT write,
@@ -256,6 +325,11 @@ module.exports = {
             this.vault.appliedNoteKeys.add(noteUUID)
             continue
           }
+          if (existingNote && !existingNote.deleted && existingNote.richText &&
+              this._pushNoteEdit(itemIdentity, 'notes', noteUUID, html, userId, pushSeq)) {
+            this.vault.appliedNoteKeys.add(noteUUID)
+            continue
+          }
           // Logic-based conflict: skip if remote author differs and we haven't edited
           if (existingNote && !existingNote.deleted && existingNote.author !== userId) {
             let valueHash = this.vault._fastHash(`note:${html || text}`)
@@ -270,6 +344,7 @@ module.exports = {
             language: note.language || null,
             photo: photoChecksum || null
           }, userId, pushSeq)
+          this.vault.markNoteBase(noteUUID, renderDoc(htmlToDoc(html)))
           this.vault.appliedNoteKeys.add(noteUUID)
           this.vault.markFieldPushed(itemIdentity, `note:${noteUUID}`, this.vault._fastHash(`note:${html || text}`))
         }
@@ -300,8 +375,15 @@ module.exports = {
           if (typeof text === 'object') text = text['@value'] || ''
           if (typeof html === 'object') html = html['@value'] || ''
 
-          // Skip notes applied by troparcel (have [author] prefix from sync)
-          if (this._isSyncedNote(text, html)) continue
+          if (parseCommentNote(text)) continue
+          if (this._isSyncedNote(text, html)) {
+            let key = this._extractNoteKey(html)
+            if (key && existingSelNotes[key] && existingSelNotes[key].richText) {
+              this._pushNoteEdit(itemIdentity, 'selectionNotes', key,
+                normalizeNoteHtml(this._stripNoteFooter(html)), userId, pushSeq)
+            }
+            continue
+          }
 
           // Normalize non-canonical/dropped HTML tags into Tropy editor schema
           // canonical form BEFORE hashing or CRDT write. See normalize-on-push.js.
@@ -322,6 +404,11 @@ module.exports = {
               this.vault.appliedNoteKeys.add(compositeKey)
               continue
             }
+            if (existingSelNote && existingSelNote.richText &&
+                this._pushNoteEdit(itemIdentity, 'selectionNotes', compositeKey, html, userId, pushSeq)) {
+              this.vault.appliedNoteKeys.add(compositeKey)
+              continue
+            }
             if (existingSelNote && !existingSelNote.deleted && existingSelNote.author !== userId) {
               let valueHash = this.vault._fastHash(`selnote:${html || text}`)
               if (!this.vault.hasLocalEdit(itemIdentity, `selnote:${compositeKey}`, valueHash)) {
@@ -334,6 +421,7 @@ module.exports = {
               html,
               language: note.language || null
             }, userId, pushSeq)
+            this.vault.markNoteBase(compositeKey, renderDoc(htmlToDoc(html)))
             this.vault.appliedNoteKeys.add(compositeKey)
           }
         }
@@ -346,6 +434,41 @@ module.exports = {
     return { noteKeys: pushedNoteKeys, selectionNoteKeys: pushedSelNoteKeys }
   },
 
+  /**
+   * Push a local edit of a rich-text note: merged three-way with the
+   * note's current content, against the vault's note base, and written as
+   * a fragment edit so concurrent remote edits survive. The merge reaches
+   * the local note on the next apply (local now equals the base).
+   * Returns false when there is no base to merge against — the caller
+   * falls back to the whole-note rules.
+   */
+  _pushNoteEdit(itemIdentity, section, key, html, userId, pushSeq) {
+    let remote = schema.getNoteContent(this.doc, itemIdentity, key)
+    if (!remote) return false
+    let local = htmlToDoc(html)
+    if (sameDoc(local, remote)) {
+      this.vault.markNoteBase(key, renderDoc(local))
+      return true
+    }
+
+    let base = this.vault.getNoteBase(key)
+    if (base == null) return false
+    let baseDoc = htmlToDoc(base)
+    // No local edit: the remote changes are apply's to bring in
+    if (sameDoc(local, baseDoc)) return true
+
+    let { doc: merged, conflicts } = mergeDocs(baseDoc, local, remote)
+    if (conflicts > 0) {
+      this._logConflict('note-merge', itemIdentity, `note:${key}`, {
+        conflicts,
+        resolution: 'local-wins'
+      })
+    }
+    schema.setNoteContent(this.doc, itemIdentity, section, key, merged, userId, pushSeq)
+    this.vault.markNoteBase(key, renderDoc(local))
+    return true
+  },
+
   /**
    * Remove stale CRDT note/selectionNote entries authored by this user
    * that are no longer in the current local note set.
@@ -529,6 +652,73 @@ module.exports = {
     return pushedSelectionKeys
   },
 
+  /**
+   * Comments written in Tropy: a note starting with "Comment:" opens a
+   * thread on the item, its selection or a referenced note; text typed
+   * below a thread note replies to it (see comments.js). Both keep one
+   * comment UUID per local note, so re-pushing an edited note edits the
+   * comment instead of adding one; a thread note's reply key is released
+   * once the thread shows the reply (see applyComments).
+   */
+  pushComments(item, itemIdentity, userId, pushSeq) {
+    if (!this.options.syncNotes) return 0
+    let photos = item.photo || item['https://tropy.org/v1/tropy#photo'] || []
+    if (!Array.isArray(photos)) photos = [photos]
+
+    let existing = schema.getComments(this.doc, itemIdentity)
+    let written = 0
+    let visit = (notes, defaultParent) => {
+      if (!Array.isArray(notes)) notes = [notes]
+      for (let note of notes) {
+        let localNoteId = note && (note['@id'] || note.id)
+        if (!localNoteId) continue
+        let text = note['@value'] || note.text || note['https://schema.org/text'] || ''
+        let html = note.html || note['https://tropy.org/v1/tropy#html'] || ''
+        if (typeof text === 'object') text = text['@value'] || ''
+        if (typeof html === 'object') html = html['@value'] || ''
+
+        let uuid
+        let comment
+        if (isThreadNote(text, html)) {
+          let thread = parseThreadNote(html)
+          if (!thread || !thread.reply) continue
+          uuid = this.vault.getNoteKey(`${localNoteId}:reply`, identity.generateCommentUUID())
+          comment = { parent: thread.parent, replyTo: thread.lastThread, body: thread.reply }
+        } else {
+          let parsed = parseCommentNote(text)
+          if (!parsed) continue
+          uuid = this.vault.getNoteKey(localNoteId, identity.generateCommentUUID())
+          comment = { parent: parsed.noteRef || defaultParent, replyTo: null, body: parsed.body }
+          // Until a thread note exists, this note becomes it
+          if (!this.vault.getCommentThread(itemIdentity, comment.parent)) {
+            this.vault.setCommentThread(itemIdentity, comment.parent, localNoteId, null)
+          }
+        }
+
+        let prev = existing[uuid]
+        if (prev && (prev.deleted || (prev.body === comment.body &&
+            prev.parent === comment.parent && prev.replyTo === comment.replyTo))) continue
+        if (schema.setComment(this.doc, itemIdentity, uuid, comment, userId, pushSeq)) written++
+      }
+    }
+
+    for (let photo of photos) {
+      visit(photo.note || photo['https://tropy.org/v1/tropy#note'] || [], itemIdentity)
+      let selections = photo.selection || photo['https://tropy.org/v1/tropy#selection'] || []
+      if (!Array.isArray(selections)) selections = [selections]
+      for (let sel of selections) {
+        let localSelId = sel && (sel['@id'] || sel.id)
+        if (!localSelId) continue
+        let selUUID = this.vault.getSelectionKey(localSelId, identity.generateSelectionUUID())
+        visit(sel.note || sel['https://tropy.org/v1/tropy#note'] || [], selUUID)
+      }
+    }
+
+    // Own comments are rendered into thread notes by the next apply
+    if (written > 0) this._remoteAnnotationsDirty = true
+    return written
+  },
+
   // UUID-based transcription keying (schema v4)
   pushTranscriptions(item, itemIdentity, userId, checksumMap, pushSeq) {
     if (!this.options.syncTranscriptions) return new Set()
@@ -566,6 +756,10 @@ module.exports = {
         this.vault.appliedTranscriptionKeys.add(txUUID)
 
         let existingTx = existingTranscriptions[txUUID]
+        if (existingTx && !existingTx.deleted && existingTx.sharedText &&
+            this._pushTranscriptionEdit(itemIdentity, txUUID, tx, userId, pushSeq)) {
+          return
+        }
         if (existingTx && !existingTx.deleted && existingTx.text === (tx.text || '')) {
           return
         }
@@ -582,6 +776,7 @@ module.exports = {
           photo: photoChecksum
         }, userId, pushSeq)
         this.vault.markFieldPushed(itemIdentity, `tx:${txUUID}`, this.vault._fastHash(`tx:${tx.text || ''}`))
+        this.vault.markTranscriptionBase(txUUID, tx.text || '')
       })
 
       // Selection-level transcriptions
@@ -618,6 +813,10 @@ module.exports = {
           this.vault.appliedTranscriptionKeys.add(txUUID)
 
           let existingTx = existingTranscriptions[txUUID]
+          if (existingTx && !existingTx.deleted && existingTx.sharedText &&
+              this._pushTranscriptionEdit(itemIdentity, txUUID, tx, userId, pushSeq)) {
+            return
+          }
           if (existingTx && !existingTx.deleted && existingTx.text === (tx.text || '')) {
             return
           }
@@ -635,18 +834,55 @@ module.exports = {
             selection: selUUID
           }, userId, pushSeq)
           this.vault.markFieldPushed(itemIdentity, `tx:${txUUID}`, this.vault._fastHash(`tx:${tx.text || ''}`))
+          this.vault.markTranscriptionBase(txUUID, tx.text || '')
         })
       }
     }
     return pushedTranscriptionKeys
   },
 
+  /**
+   * Push a local edit of a shared-text transcription: merged three-way
+   * (diff3 over characters) with the current shared text, against the
+   * vault's transcription base, and written as Y.Text edits so concurrent
+   * corrections elsewhere in the text survive. `data` is last-writer-wins.
+   * Returns false when there is no base — the caller falls back to
+   * whole-value rules.
+   */
+  _pushTranscriptionEdit(itemIdentity, txUUID, tx, userId, pushSeq) {
+    let remote = schema.getTranscriptionText(this.doc, itemIdentity, txUUID)
+    if (remote == null) return false
+    let local = tx.text || ''
+    if (local === remote) {
+      this.vault.markTranscriptionBase(txUUID, local)
+      return true
+    }
+
+    let base = this.vault.getTranscriptionBase(txUUID)
+    if (base == null) return false
+    // No local edit: the remote changes are apply's to bring in
+    if (local === base) return true
+
+    let { text: merged, conflicts } = mergeText(base, local, remote)
+    if (conflicts > 0) {
+      this._logConflict('transcription-merge', itemIdentity, `tx:${txUUID}`, {
+        conflicts,
+        resolution: 'local-wins'
+      })
+    }
+    schema.setTranscriptionText(this.doc, itemIdentity, txUUID, merged, userId, pushSeq, tx.data || null)
+    this.vault.markFieldPushed(itemIdentity, `tx:${txUUID}`, this.vault._fastHash(`tx:${local}`))
+    this.vault.markTranscriptionBase(txUUID, local)
+    return true
+  },
+
   // UUID-based list keying (schema v4)
   pushLists(item, itemIdentity, userId, pushSeq) {
     let listIds = item.lists || []
     if (!Array.isArray(listIds)) return
 
     let existingLists = schema.getLists(this.doc, itemIdentity)
+    let statusLists = managedNames(getWorkflow(this.doc)).lists
 
     for (let listId of listIds) {
       // C2: Use list name (not local ID) for cross-instance matching
@@ -655,6 +891,9 @@ module.exports = {
         this._debug(`pushLists: skipping list ${listId} (name not in cache)`)
         continue
       }
+      // Local bookkeeping of open conflicts, pending review and link
+      // requests, not shared lists
+      if (listName === CONFLICT_LIST_NAME || listName === REVIEW_LIST_NAME || listName === LINK_LIST_NAME || statusLists.has(listName)) continue
 
       // v4: UUID-based key with name field
       let listUUID = this.vault.getListKey(listName)
@@ -1016,7 +1255,7 @@ module.exports = {
     this.doc.transact(() => {
       for (let item of items) {
         let normalized = context ? this._expandJsonLdItem(item, context) : item
-        let id = identity.computeIdentity(normalized)
+        let id = identity.computeIdentity(normalized, this._identityOptions())
         if (!id) {
           this._debug(`pushItems: skipped photo-less item ${(normalized['@id'] || normalized.id || '?').toString().slice(0, 20)}`)
           continue
@@ -1126,12 +1365,14 @@ module.exports = {
       }
     }
 
+    let statusLists = managedNames(getWorkflow(this.doc)).lists
     this.doc.transact(() => {
       for (let id of Object.keys(local)) {
         let nid = Number(id)
         if (nid === 0) continue  // skip synthetic root
         let list = local[id]
         if (!list || !list.name) continue
+        if (list.name === CONFLICT_LIST_NAME || list.name === REVIEW_LIST_NAME || list.name === LINK_LIST_NAME || statusLists.has(list.name)) continue
 
         let uuid = this.vault.listIdToCrdtUuid.get(nid)
         let parentUuid = null
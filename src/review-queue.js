@@ -0,0 +1,283 @@
+'use strict'
+
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const os = require('os')
+const { escapeHtml } = require('./sanitize')
+const { htmlToDoc, docToText } = require('./note-content')
+const { describeItemChanges } = require('./room-history')
+const { content, sameContent, isLive, authorOf, entries } = require('../server/room-diff')
+
+/**
+ * Remote changes waiting for review (syncMode 'review').
+ *
+ * In review mode nothing another collaborator writes reaches Tropy by
+ * itself. SyncEngine.handleRemoteChanges() compares each changed local
+ * item with the state last reviewed and queues one change record per
+ * entry:
+ *   { id, identity, section, key, kind, old, new, author, pushSeq, detectedAt }
+ * with kind 'added', 'changed' or 'removed', values without attribution
+ * and keys as in server/room-diff.js (photo metadata "<checksum> <propUri>").
+ * Apply holds back queued entries. Accepting a change lets apply write
+ * it; rejecting it adds a vault dismissal (reviewKey()) so it stays out
+ * until its author writes the entry again. Either way it becomes part
+ * of the reviewed state, so it is not queued twice. The first time a
+ * room is reviewed, its current state is taken as reviewed (seed()):
+ * only what changes after review mode is turned on is queued.
+ *
+ * The queue and the reviewed state are kept in
+ * ~/.troparcel/review/<room>_<userId>.json, named like the vault. In
+ * Tropy, items with pending changes are in the REVIEW_LIST_NAME list and
+ * carry a note listing them, numbered (REVIEW_MARKER); neither is synced.
+ * The user answers on new lines of that note:
+ *
+ *   accept 1 3      accept the first and third change listed
+ *   reject 2        reject the second one
+ *   accept all      accept (or "reject all") every change listed
+ *
+ * The next sync cycle, or Import, carries the answers out; changes left
+ * unanswered stay pending.
+ */
+
+const REVIEW_LIST_NAME = 'Pending review'
+const REVIEW_MARKER = '[troparcel:review]'
+
+const CHANGE_RE = /^(\d+)\.\s.*\b([0-9a-f]{12})\s*$/
+const DECISION_RE = /^\s*(accept|reject)\s+(all|\d+(?:[\s,]+\d+)*)\s*$/i
+
+/**
+ * Vault dismissal key of a rejected change. One per entry and author:
+ * push sequence numbers only order one author's writes.
+ */
+function reviewKey(identity, section, key, author) {
+  return `review:${identity} ${section} ${key} ${author}`
+}
+
+/**
+ * Short reference of a pending change in its review note. It covers the
+ * author's write, so an answer to one version of a change is not taken
+ * for a later one.
+ */
+function reviewRef(change) {
+  return crypto.createHash('sha256')
+    .update(`${change.id} ${change.author} ${change.pushSeq}`)
+    .digest('hex').slice(0, 12)
+}
+
+function _matches(value, wanted) {
+  if (wanted == null) return true
+  return Array.isArray(wanted) ? wanted.includes(value) : value === wanted
+}
+
+class ReviewQueue {
+  constructor(room, logger, options = {}) {
+    this.room = room
+    this.logger = logger
+    let dir = options.dir || path.join(os.homedir(), '.troparcel', 'review')
+    let suffix = options.userId ? '_' + this._sanitizeRoom(options.userId) : ''
+    this.file = path.join(dir, this._sanitizeRoom(room) + suffix + '.json')
+    this.pending = new Map()   // change id -> change
+    this.reviewed = {}         // identity -> section -> key -> entry
+    this.seeded = false
+  }
+
+  _sanitizeRoom(name) {
+    return String(name || '').replace(/[^a-zA-Z0-9_.-]/g, '_').slice(0, 128) || 'default'
+  }
+
+  load() {
+    let raw
+    try {
+      raw = fs.readFileSync(this.file, 'utf8')
+    } catch {
+      return false
+    }
+    try {
+      let data = JSON.parse(raw)
+      for (let c of (Array.isArray(data.pending) ? data.pending : [])) {
+        if (c && c.id) this.pending.set(c.id, c)
+      }
+      this.reviewed = (data.reviewed && typeof data.reviewed === 'object') ? data.reviewed : {}
+      this.seeded = !!data.seeded || Object.keys(this.reviewed).length > 0
+      return true
+    } catch (err) {
+      this.logger.warn(`[troparcel:review] could not read ${this.file}: ${err.message}`)
+      return false
+    }
+  }
+
+  async persist() {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true })
+    let tmpFile = this.file + '.tmp'
+    let data = {
+      room: this.room,
+      timestamp: new Date().toISOString(),
+      seeded: this.seeded,
+      pending: this.list(),
+      reviewed: this.reviewed
+    }
+    await fs.promises.writeFile(tmpFile, JSON.stringify(data))
+    await fs.promises.rename(tmpFile, this.file)
+  }
+
+  /**
+   * Pending changes, oldest first. `filter` narrows them by id,
+   * identity, author or section (each a value or an array of values).
+   */
+  list(filter = {}) {
+    return Array.from(this.pending.values())
+      .filter(c => _matches(c.id, filter.id) && _matches(c.identity, filter.identity) &&
+        _matches(c.author, filter.author) && _matches(c.section, filter.section))
+      .sort((a, b) => a.detectedAt.localeCompare(b.detectedAt) || a.id.localeCompare(b.id))
+  }
+
+  forItem(identity) {
+    return this.list({ identity })
+  }
+
+  isPending(identity, section, key) {
+    return this.pending.has(`${identity} ${section} ${key}`)
+  }
+
+  /**
+   * Take the current state of the given items ([identity, item] pairs,
+   * getItemSnapshot() shape) as reviewed, without queueing anything.
+   */
+  seed(items, sections) {
+    for (let [identity, item] of items) {
+      let base = this.reviewed[identity] || (this.reviewed[identity] = {})
+      for (let section of sections) base[section] = entries(item, section)
+    }
+    this.seeded = true
+  }
+
+  /**
+   * Queue the changes of one item (getItemSnapshot() shape) since it was
+   * last reviewed. Writes by `userId` are taken as reviewed, and a queued
+   * change whose entry is back to its reviewed value is dropped. Returns
+   * true when the queue changed.
+   */
+  collect(identity, item, userId, sections) {
+    let base = this.reviewed[identity] || (this.reviewed[identity] = {})
+    let changed = false
+    for (let section of sections) {
+      let before = base[section] || (base[section] = {})
+      let after = entries(item, section)
+      for (let key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        let a = before[key]
+        let b = after[key]
+        let id = `${identity} ${section} ${key}`
+        let kind = null
+        if (!isLive(a) && isLive(b)) kind = 'added'
+        else if (isLive(a) && !isLive(b)) kind = 'removed'
+        else if (isLive(a) && isLive(b) && !sameContent(a, b)) kind = 'changed'
+
+        let author = b ? authorOf(b) : null
+        if (!kind || !author || author === userId) {
+          if (this.pending.delete(id)) changed = true
+          if (kind && author === userId) before[key] = b
+          continue
+        }
+        let prev = this.pending.get(id)
+        if (prev && prev.author === author && prev.pushSeq === (b.pushSeq || 0)) continue
+        this.pending.set(id, {
+          id,
+          identity,
+          section,
+          key,
+          kind,
+          old: isLive(a) ? content(a) : null,
+          new: isLive(b) ? content(b) : null,
+          author,
+          pushSeq: b.pushSeq || 0,
+          detectedAt: new Date().toISOString()
+        })
+        changed = true
+      }
+    }
+    return changed
+  }
+
+  /**
+   * Take the pending changes matching `filter` (see list()) off the
+   * queue and record them as reviewed. Returns them.
+   */
+  take(filter = {}) {
+    let taken = this.list(filter)
+    for (let c of taken) {
+      this.pending.delete(c.id)
+      let base = this.reviewed[c.identity] || (this.reviewed[c.identity] = {})
+      let section = base[c.section] || (base[c.section] = {})
+      section[c.key] = c.new
+        ? { ...c.new, author: c.author, pushSeq: c.pushSeq }
+        : { deleted: true, author: c.author, pushSeq: c.pushSeq }
+    }
+    return taken
+  }
+}
+
+/**
+ * Note HTML listing an item's pending changes, one numbered paragraph
+ * each ending in its reviewRef(). `name` maps an author id to a display
+ * name.
+ */
+function renderReviewNote(changes, name = id => id) {
+  let html = `<p><strong>${changes.length} change(s) pending review</strong> ` +
+    `<sub>${REVIEW_MARKER}</sub></p>`
+  changes.forEach((c, i) => {
+    let diff = { added: [], removed: [], changed: [] }
+    if (c.kind === 'changed') diff.changed.push({ key: c.key, author: c.author, before: c.old, after: c.new })
+    else diff[c.kind].push({ key: c.key, author: c.author, value: c.kind === 'added' ? c.new : c.old })
+    let [line] = describeItemChanges({ [c.section]: diff }, name)
+    html += `<p>${i + 1}. ${escapeHtml(line)} <sub>${reviewRef(c)}</sub></p>`
+  })
+  html += '<p><em>Type "accept 1 3" or "reject 2" on a new line to accept or reject ' +
+    'changes by number, or "accept all" / "reject all". It is carried out at the ' +
+    'next sync or on Import.</em></p>'
+  return html
+}
+
+/**
+ * Read a review note. Returns { accept, reject }, the reviewRef()s of the
+ * changes the user accepted and rejected (a change answered twice keeps
+ * its first answer), or null for other notes.
+ */
+function parseReviewNote(html) {
+  let doc = htmlToDoc(html || '')
+  let lines = (doc.content || []).map(block => docToText({ type: 'doc', content: [block] }))
+  if (!lines.some(line => line.includes(REVIEW_MARKER))) return null
+
+  let refs = []
+  let decisions = []
+  for (let line of lines) {
+    let m = CHANGE_RE.exec(line.trim())
+    if (m) {
+      refs[Number(m[1]) - 1] = m[2]
+      continue
+    }
+    if ((m = DECISION_RE.exec(line))) decisions.push({ action: m[1].toLowerCase(), which: m[2].toLowerCase() })
+  }
+
+  let answered = new Map()
+  for (let { action, which } of decisions) {
+    let picked = which === 'all'
+      ? refs.filter(Boolean)
+      : which.split(/[\s,]+/).map(n => refs[Number(n) - 1]).filter(Boolean)
+    for (let ref of picked) if (!answered.has(ref)) answered.set(ref, action)
+  }
+  let accept = []
+  let reject = []
+  for (let [ref, action] of answered) (action === 'accept' ? accept : reject).push(ref)
+  return { accept, reject }
+}
+
+module.exports = {
+  REVIEW_LIST_NAME,
+  REVIEW_MARKER,
+  ReviewQueue,
+  reviewKey,
+  reviewRef,
+  renderReviewNote,
+  parseReviewNote
+}
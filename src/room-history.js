@@ -0,0 +1,207 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const os = require('os')
+const crypto = require('crypto')
+const { escapeHtml } = require('./sanitize')
+const { propertyLabel } = require('./conflicts')
+const { diffSnapshots } = require('../server/room-diff')
+
+/**
+ * Labelled snapshots of a room as this client saw it, for "what changed
+ * since…" questions — the client-side counterpart of the server's
+ * versions (server/versions.js), which also covers rooms without a
+ * server (file and snapshot transports) and encrypted rooms.
+ *
+ * Each snapshot holds the items' getItemSnapshot() content, attribution
+ * kept, in ~/.troparcel/snapshots/<key>/<id>.json next to an index.json
+ * of { id, createdAt, reason, label, items, hash }, with <key> the room's
+ * replica key (doc-store.js replicaKey()). The engine records one after
+ * sync cycles (roomSnapshots: 'sync') or once a day ('daily');
+ * a snapshot identical to the newest one is not stored again unless it
+ * is labelled. diff() compares two of them, or one and the current
+ * state, with the server's converter (server/room-diff.js).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const CHANGE_KINDS = ['added', 'changed', 'removed']
+
+class RoomSnapshots {
+  constructor(room, logger, options = {}) {
+    this.room = room
+    this.logger = logger
+    this.retentionDays = options.retentionDays || 30
+    this.dir = path.join(options.dir || path.join(os.homedir(), '.troparcel', 'snapshots'), options.key || this._sanitizeRoom(room))
+    this._index = null
+  }
+
+  _sanitizeRoom(name) {
+    return String(name || '').replace(/[^a-zA-Z0-9_.-]/g, '_').slice(0, 128) || 'default'
+  }
+
+  list() {
+    if (this._index) return this._index
+    try {
+      let data = JSON.parse(fs.readFileSync(path.join(this.dir, 'index.json'), 'utf8'))
+      this._index = Array.isArray(data.snapshots) ? data.snapshots : []
+    } catch {
+      this._index = []
+    }
+    return this._index
+  }
+
+  newest() {
+    let index = this.list()
+    return index[index.length - 1] || null
+  }
+
+  /**
+   * Store a snapshot of `items` ({ [identity]: item }). Returns its
+   * summary, or null when nothing changed since the newest snapshot and
+   * no label was given.
+   */
+  async record(items, { reason = 'manual', label = '' } = {}) {
+    let hash = crypto.createHash('sha256').update(JSON.stringify(items)).digest('hex')
+    let index = this.list()
+    let newest = this.newest()
+    if (!label && newest && newest.hash === hash) return null
+
+    let id = 's' + Date.now()
+    let n = 1
+    while (index.some(s => s.id === id)) id = `s${Date.now()}-${n++}`
+    let snapshot = {
+      id,
+      createdAt: new Date().toISOString(),
+      reason,
+      label,
+      items: Object.keys(items).length,
+      hash
+    }
+
+    await fs.promises.mkdir(this.dir, { recursive: true })
+    await fs.promises.writeFile(path.join(this.dir, `${id}.json`), JSON.stringify({ ...snapshot, room: this.room, content: items }))
+    index.push(snapshot)
+    await this._prune()
+    await this._writeIndex()
+    return snapshot
+  }
+
+  /**
+   * Content of a snapshot: { snapshot, items }.
+   */
+  async get(id) {
+    let snapshot = this.list().find(s => s.id === id)
+    if (!snapshot) throw new Error(`Snapshot "${id}" not found in room "${this.room}"`)
+    let data = JSON.parse(await fs.promises.readFile(path.join(this.dir, `${id}.json`), 'utf8'))
+    return { snapshot, items: data.content || {} }
+  }
+
+  /**
+   * The newest snapshot taken at or before `time` (Date or ms), or null.
+   */
+  at(time) {
+    let ms = time instanceof Date ? time.getTime() : Number(time)
+    let found = null
+    for (let s of this.list()) {
+      if (Date.parse(s.createdAt) <= ms) found = s
+    }
+    return found
+  }
+
+  /**
+   * Diff between snapshot `fromId` and snapshot `toId`, or `current`
+   * ({ [identity]: item }) when toId is null.
+   */
+  async diff(fromId, toId, current) {
+    let from = await this.get(fromId)
+    let to = toId ? await this.get(toId) : null
+    let report = diffSnapshots(from.items, to ? to.items : current)
+    return {
+      room: this.room,
+      from: from.snapshot,
+      to: to ? to.snapshot : { id: 'current', createdAt: new Date().toISOString() },
+      ...report
+    }
+  }
+
+  // Drop snapshots past the retention period; the newest always stays
+  async _prune() {
+    let index = this.list()
+    let cutoff = Date.now() - this.retentionDays * DAY_MS
+    let keep = index.filter((s, i) => i === index.length - 1 || Date.parse(s.createdAt) >= cutoff)
+    for (let s of index) {
+      if (keep.includes(s)) continue
+      try {
+        await fs.promises.unlink(path.join(this.dir, `${s.id}.json`))
+      } catch { /* already gone */ }
+    }
+    this._index = keep
+  }
+
+  async _writeIndex() {
+    let file = path.join(this.dir, 'index.json')
+    let tmpFile = file + '.tmp'
+    await fs.promises.writeFile(tmpFile, JSON.stringify({ room: this.room, snapshots: this._index }, null, 2))
+    await fs.promises.rename(tmpFile, file)
+  }
+}
+
+function _changeLabel(section, key, value) {
+  if (section === 'metadata') return propertyLabel(key)
+  if (section === 'photos') return `photo ${propertyLabel(key.slice(key.indexOf(' ') + 1))}`
+  if (section === 'selectionMeta') return `selection ${propertyLabel(key.slice(key.indexOf(':') + 1))}`
+  if (section === 'tags' || section === 'lists') return `${section.replace(/s$/, '')} ${(value && value.name) || key}`
+  let noun = { notes: 'note', selectionNotes: 'selection note', selections: 'selection', transcriptions: 'transcription' }[section]
+  return noun || section
+}
+
+function _changeText(value) {
+  if (!value || typeof value !== 'object') return value == null ? '' : String(value)
+  let text = value.text != null ? value.text : ''
+  return String(text).replace(/\s+/g, ' ').trim().slice(0, 80)
+}
+
+/**
+ * Readable lines for one item's diff, e.g.
+ * `changed date: "1890" → "1891" (bob)`. `name` maps an author id to a
+ * display name.
+ */
+function describeItemChanges(itemDiff, name = id => id) {
+  let lines = []
+  for (let [section, diff] of Object.entries(itemDiff)) {
+    for (let kind of CHANGE_KINDS) {
+      for (let change of diff[kind]) {
+        let value = change.after || change.value
+        let label = _changeLabel(section, change.key, value)
+        let text = kind === 'changed'
+          ? `"${_changeText(change.before)}" → "${_changeText(change.after)}"`
+          : _changeText(change.value) ? `"${_changeText(change.value)}"` : ''
+        let by = change.author ? ` (${name(change.author)})` : ''
+        lines.push(`${kind} ${label}${text ? `: ${text}` : ''}${by}`)
+      }
+    }
+  }
+  return lines
+}
+
+/**
+ * Changelog note HTML for one item: the compared period, then one
+ * paragraph per change.
+ */
+function renderChangelogNote(report, identity, name = id => id) {
+  let from = report.from.label || report.from.createdAt
+  let to = report.to.label || (report.to.id === 'current' ? 'now' : report.to.createdAt)
+  let html = `<p><strong>Changes from ${escapeHtml(from)} to ${escapeHtml(to)}</strong> ` +
+    '<sub>[troparcel:changelog]</sub></p>'
+  for (let line of describeItemChanges(report.items[identity] || {}, name)) {
+    html += `<p>${escapeHtml(line)}</p>`
+  }
+  return html
+}
+
+module.exports = {
+  RoomSnapshots,
+  describeItemChanges,
+  renderChangelogNote
+}
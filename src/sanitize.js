@@ -386,5 +386,10 @@ function escapeHtml(text) {
 
 module.exports = {
   sanitizeHtml,
-  escapeHtml
+  escapeHtml,
+  // Shared with note-content.js, which parses the same HTML
+  parseTag,
+  decodeEntities,
+  sanitizeUrl,
+  sanitizeStyle
 }
@@ -1,6 +1,7 @@
 'use strict'
 
-const { SELECTION, NOTE, LIST } = require('./tropy-action-types')
+const { SELECTION, NOTE, LIST, TRANSCRIPTION } = require('./tropy-action-types')
+const { renderDoc, renderNode, escapeText } = require('./note-content')
 
 /**
  * StoreAdapter — reads from and writes to Tropy's Redux store.
@@ -26,6 +27,7 @@ const { SELECTION, NOTE, LIST } = require('./tropy-action-types')
  *   state.lists[id]           → { id, name, parent, children:[] }
  *   state.activities[seq]     → presence = action in flight (cleared on completion)
  *   state.transcriptions[id]  → { id, text, data, ... }
+ *   state.nav.items           → [itemId] currently selected (selective sync)
  *
  * Redux actions DISPATCHED:
  *   selection.create  → { photo, x, y, width, height, angle }, meta: { cmd: 'project' }
@@ -295,6 +297,15 @@ class StoreAdapter {
     }))
   }
 
+  /**
+   * IDs of the items currently selected in the project window.
+   * @returns {number[]}
+   */
+  readSelectedItemIds() {
+    let { nav } = this._getState()
+    return (nav && Array.isArray(nav.items)) ? nav.items.slice() : []
+  }
+
   // --- V5 raw-slice readers (W2.T5, mx-780c7d) ---
   // CRDT push/apply MUST see the raw Redux slice — NOT the resolved selectors
   // (getAllTemplates / getListTree). Selectors flatten trees and resolve URI
@@ -485,6 +496,30 @@ class StoreAdapter {
     await this._waitForAction(action)
   }
 
+  /**
+   * Update a transcription in place (unlike notes, transcription.save
+   * takes plain text and data, so no delete/recreate is needed).
+   * Returns { id } of the transcription.
+   */
+  async updateTranscription(id, { text, data }) {
+    let state = this._getState()
+    let existing = state.transcriptions && state.transcriptions[id]
+    if (!existing) {
+      throw new Error(`Transcription ${id} not found in store`)
+    }
+
+    let payload = { id, text: text || '' }
+    if (data !== undefined) payload.data = data
+
+    let action = this.store.dispatch({
+      type: TRANSCRIPTION.SAVE,
+      payload,
+      meta: { cmd: 'project', history: 'add' }
+    })
+    await this._waitForAction(action)
+    return { id: Number(id), '@id': Number(id) }
+  }
+
   /**
    * Add items to a list.
    */
@@ -520,7 +555,7 @@ class StoreAdapter {
     this._prevState = this._getState()
     let slices = [
       'items', 'photos', 'selections', 'notes',
-      'metadata', 'tags', 'lists'
+      'metadata', 'tags', 'lists', 'transcriptions'
     ]
 
     return this.store.subscribe(() => {
@@ -546,6 +581,25 @@ class StoreAdapter {
     })
   }
 
+  /**
+   * Call `callback(itemIds)` whenever the item selection changes.
+   * Not affected by suppressChanges() — selecting is never our own write.
+   * Returns an unsubscribe function.
+   */
+  subscribeSelection(callback) {
+    let prev = this.readSelectedItemIds()
+    return this.store.subscribe(() => {
+      let ids = this.readSelectedItemIds()
+      if (ids.length === prev.length && ids.every((id, i) => id === prev[i])) return
+      prev = ids
+      try {
+        callback(ids)
+      } catch (err) {
+        this.logger.warn(`selection callback error: ${String(err.message || err)}`)
+      }
+    })
+  }
+
   /**
    * Suppress change detection (call before applying remote changes).
    */
@@ -629,113 +683,17 @@ class StoreAdapter {
     return ''
   }
 
+  // Rendering lives in note-content.js, shared with the CRDT note content
   _renderDoc(doc) {
-    if (!doc || !doc.content) return ''
-    // Handle live ProseMirror Node (doc.content is a Fragment, not an array)
-    if (typeof doc.toJSON === 'function') doc = doc.toJSON()
-    if (!doc.content) return ''
-    let content = doc.content
-    if (!Array.isArray(content)) {
-      if (Array.isArray(content.content)) content = content.content
-      else return ''
-    }
-    return content.map(n => this._renderNode(n)).join('')
+    return renderDoc(doc)
   }
 
   _renderNode(node) {
-    if (!node) return ''
-    // Handle live ProseMirror Node objects (content is Fragment, type is NodeType)
-    if (typeof node.toJSON === 'function') node = node.toJSON()
-    let children = ''
-    if (node.content) {
-      let c = node.content
-      if (!Array.isArray(c)) {
-        if (Array.isArray(c.content)) c = c.content
-        else c = []
-      }
-      children = c.map(n => this._renderNode(n)).join('')
-    }
-
-    let type = typeof node.type === 'string' ? node.type : (node.type && node.type.name) || ''
-    switch (type) {
-      case 'paragraph': {
-        // Tropy: 'left' → no style, 'right' → 'text-align: end', others → direct
-        let align = node.attrs && node.attrs.align
-        if (align && align !== 'left') {
-          let ta = align === 'right' ? 'end' : align
-          return `<p style="text-align: ${ta}">${children}</p>`
-        }
-        return `<p>${children}</p>`
-      }
-      case 'blockquote':
-        return `<blockquote>${children}</blockquote>`
-      case 'ordered_list':
-        return `<ol>${children}</ol>`
-      case 'bullet_list':
-        return `<ul>${children}</ul>`
-      case 'list_item':
-        return `<li>${children}</li>`
-      case 'heading': {
-        let l = (node.attrs && node.attrs.level) || 1
-        return `<h${l}>${children}</h${l}>`
-      }
-      case 'horizontal_rule':
-        return '<hr>'
-      case 'code_block':
-        return `<pre><code>${children}</code></pre>`
-      case 'hard_break':
-        return '<span class="line-break"><br></span>'
-      case 'text': {
-        let t = this._esc(node.text || '')
-        if (node.marks) {
-          for (let m of node.marks) {
-            let mtype = typeof m.type === 'string' ? m.type : (m.type && m.type.name) || ''
-            switch (mtype) {
-              case 'bold':
-              case 'strong':
-                t = `<strong>${t}</strong>`; break
-              case 'italic':
-              case 'em':
-                t = `<em>${t}</em>`; break
-              case 'link':
-                t = `<a href="${this._esc((m.attrs && m.attrs.href) || '')}">${t}</a>`; break
-              case 'superscript':
-              case 'sup':
-                t = `<sup>${t}</sup>`; break
-              case 'subscript':
-              case 'sub':
-                t = `<sub>${t}</sub>`; break
-              case 'strikethrough':
-                t = `<span style="text-decoration: line-through">${t}</span>`; break
-              case 'underline':
-                t = `<span style="text-decoration: underline">${t}</span>`; break
-              case 'overline':
-                t = `<span style="text-decoration: overline">${t}</span>`; break
-            }
-          }
-        }
-        return t
-      }
-      default:
-        return children
-    }
+    return renderNode(node)
   }
 
   _esc(str) {
-    let s = String(str)
-    let out = ''
-    for (let i = 0; i < s.length; i++) {
-      let c = s[i]
-      switch (c) {
-        case '&': out += '&amp;'; break
-        case '<': out += '&lt;'; break
-        case '>': out += '&gt;'; break
-        case '"': out += '&quot;'; break
-        case "'": out += '&#x27;'; break
-        default: out += c
-      }
-    }
-    return out
+    return escapeText(str)
   }
 }
 
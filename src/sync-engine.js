@@ -1,17 +1,39 @@
 'use strict'
 
+const fs = require('fs')
 const os = require('os')
+const path = require('path')
 const chokidar = require('chokidar')
 const Y = require('yjs')
-const { WebsocketProvider } = require('y-websocket')
-const WS = require('ws')
+const { createAdapter, transportAddress } = require('./adapters')
 const { ApiClient } = require('./api-client')
 const { StoreAdapter } = require('./store-adapter')
 const identity = require('./identity')
 const schema = require('./crdt-schema')
 const { BackupManager } = require('./backup')
 const { SyncVault } = require('./vault')
+const { LocalDocStore, replicaKey } = require('./doc-store')
+const { deriveRoomKey, roomKeyId } = require('./room-crypto')
+const { ItemDocs } = require('./item-docs')
 const { withHistoryMerge } = require('./history-tick')
+const { exportWebAnnotations } = require('./wadm')
+const { ConflictList, CONFLICT_URI, CONFLICT_LIST_NAME, describeConflicts } = require('./conflicts')
+const workflows = require('./workflow')
+const { HISTORY_URI, summarizeHistory, renderHistoryNote } = require('./field-history')
+const { RoomSnapshots, renderChangelogNote } = require('./room-history')
+const {
+  ReviewQueue, REVIEW_LIST_NAME, REVIEW_MARKER, reviewKey, reviewRef, renderReviewNote, parseReviewNote
+} = require('./review-queue')
+const { planRevert, revertValue } = require('../server/revert')
+const { scanFolder, checksumFile, planBootstrap, importData } = require('./bootstrap')
+const { missingItemInfo, formatMissingItems } = require('./missing-items')
+const { MATCHERS, DEFAULT_MATCH_PROPERTY, parseMatchers, perceptualHash, localMatchKeys, findWeakMatch } = require('./matchers')
+const { LINK_LIST_NAME, LINK_MARKER, rankLinkCandidates, renderLinkNote, parseLinkNote } = require('./item-links')
+const { LIST, METADATA } = require('./tropy-action-types')
+
+// Transport retry while running offline: 5s doubling to 5 min
+const RECONNECT_BASE_DELAY = 5000
+const RECONNECT_MAX_DELAY = 5 * 60 * 1000
 
 /**
  * Sync Engine v5.0 — Store-First Architecture + Schema v4.
@@ -27,7 +49,7 @@ const { withHistoryMerge } = require('./history-tick')
  * Inherited from v3.1:
  *   - R1:  No double startup delay (accepts skipStartupDelay flag)
  *   - R2:  Async mutex prevents concurrent syncOnce/applyPendingRemote
- *   - R3:  waitForConnection cleans up listener on timeout
+ *   - R3:  Connection wait cleans up listener on timeout (now in WebSocketAdapter)
  *   - R5:  Exponential backoff on consecutive errors
  *   - R7:  Vault pruning on each sync cycle
  *   - R9:  Superseded — chokidar handles its own restart/error recovery (was: fs.watch health monitor + manual restart)
@@ -47,6 +69,25 @@ const { withHistoryMerge } = require('./history-tick')
  *   - SF4: ProseMirror-to-HTML conversion for note content in push path
  *   - SF5: Adapter.suppressChanges() prevents feedback loops during apply
  *
+ * Transport: the Y.Doc is synced through a SyncAdapter (src/adapters/)
+ * chosen by options.transport — websocket (default), file or snapshot.
+ * The engine only talks to the adapter interface (connect, getAwareness,
+ * getPeerCount, 'status' events); `this.transport` is the transport
+ * adapter, `this.adapter` is the Redux StoreAdapter.
+ *
+ * Offline-first: unless offlinePersistence is false, the doc is restored
+ * from ~/.troparcel/docs/<room>-<hash> (LocalDocStore) before the transport
+ * connects, and every update is recorded there. If the transport cannot
+ * connect, the engine keeps running offline — local edits still land in
+ * the CRDT — and retries the transport with backoff; the adapter's
+ * state-vector exchange reconciles once it connects.
+ *
+ * Selective sync: with options.selectiveSync and a transport that syncs
+ * subdocs, the first online sync migrates the room to schema v5, where
+ * every item is a subdoc (see crdt-schema.js). In a v5 room ItemDocs
+ * loads only the items in localIndex and the Tropy selection; without
+ * selectiveSync every item is loaded.
+ *
  * Methods are organized into mixins:
  *   - push.js:   local → CRDT writes (pushLocal, pushMetadata, pushTags, etc.)
  *   - apply.js:  CRDT → local writes (applyRemoteAnnotations, applyNotes, etc.)
@@ -59,7 +100,13 @@ class SyncEngine {
     this.debug = options.debug === true
 
     this.doc = null
-    this.provider = null
+    this.transport = null
+    this.docStore = null
+    this.itemDocs = null
+    this._selectionUnsubscribe = null
+    this.online = false
+    this._reconnectTimer = null
+    this._reconnectDelay = RECONNECT_BASE_DELAY
     this.api = new ApiClient(options.apiPort, logger)
     this.adapter = store ? new StoreAdapter(store, logger) : null
     this.backup = null
@@ -94,6 +141,24 @@ class SyncEngine {
     this.vault = new SyncVault()
     this.vault.loadFromFile(this.options.room, this._stableUserId)
 
+    // Open metadata conflicts, mirrored from the CRDT for this project
+    this.conflicts = new ConflictList(this.options.room, logger, { userId: this._stableUserId })
+    this.conflicts.load()
+
+    // Remote changes waiting for review (syncMode 'review')
+    this.reviewQueue = new ReviewQueue(this.options.room, logger, { userId: this._stableUserId })
+    this.reviewQueue.load()
+
+    // Local state of this room on this server: the replica and the
+    // room snapshots are kept under this key (see doc-store.js)
+    this.replicaKey = this._replicaKey()
+
+    // Labelled room snapshots for diffs over time
+    this.snapshots = new RoomSnapshots(this.options.room, logger, {
+      key: this.replicaKey,
+      retentionDays: this.options.roomSnapshotRetentionDays
+    })
+
     // Retry counter for failed note creates
     this._applyFailureCount = 0
     this._failedNoteKeys = new Set()
@@ -104,6 +169,27 @@ class SyncEngine {
     this._syncRequested = false
     this._stopping = false
 
+    // Set when the room's schema is one this version cannot write (see
+    // _negotiateSchema); onReadOnly({ version, supported, reason }) is
+    // called when that happens
+    this.readOnly = false
+    this.readOnlyReason = null
+    this.onReadOnly = null
+
+    // onMissingItems({ count, added }) is called when room items without
+    // a local match join the missing queue (see missing-items.js)
+    this.onMissingItems = null
+
+    // Item matcher chain (matchers.js). `sharp` comes from the plugin
+    // context and is needed by the phash matcher; onMatchCandidates({
+    // count, added }) is called when weak matches are proposed.
+    this.matchers = parseMatchers(options.itemMatchers)
+    this.sharp = null
+    this.onMatchCandidates = null
+    // Match property values shared by several photo-less items (see
+    // _dropDuplicateKeys), reported once each
+    this._duplicateKeys = new Set()
+
     // Annotation-specific dirty flag — set by the annotations observer,
     // cleared after a full apply in syncOnce. Replaces state-vector hashing
     // for change detection (state vectors include heartbeat writes to the
@@ -154,7 +240,8 @@ class SyncEngine {
       tagsAdded: 0, tagsDeduped: 0,
       selectionsCreated: 0, selectionsDeduped: 0,
       metadataUpdated: 0,
-      transcriptionsCreated: 0,
+      transcriptionsCreated: 0, transcriptionsUpdated: 0,
+      commentThreadsUpdated: 0,
       listsAdded: 0,
       itemsProcessed: 0, itemsChanged: 0
     }
@@ -171,6 +258,8 @@ class SyncEngine {
     if (s.selectionsCreated) parts.push(`${s.selectionsCreated} selections created`)
     if (s.metadataUpdated) parts.push(`${s.metadataUpdated} metadata fields`)
     if (s.transcriptionsCreated) parts.push(`${s.transcriptionsCreated} transcriptions`)
+    if (s.transcriptionsUpdated) parts.push(`${s.transcriptionsUpdated} transcriptions updated`)
+    if (s.commentThreadsUpdated) parts.push(`${s.commentThreadsUpdated} comment threads`)
     if (s.listsAdded) parts.push(`${s.listsAdded} list memberships`)
     if (s.notesFailed) parts.push(`${s.notesFailed} notes failed`)
     if (parts.length > 0) {
@@ -209,7 +298,8 @@ class SyncEngine {
 
     this.state = 'connecting'
     this.logger.info({
-      server: this.options.serverUrl,
+      transport: this.options.transport || 'websocket',
+      server: this._transportAddress(),
       room: this.options.room,
       syncMode: this.options.syncMode
     }, 'Sync engine v5.0 (schema v4) starting')
@@ -217,53 +307,57 @@ class SyncEngine {
     try {
       this.doc = new Y.Doc()
 
-      // Always use Node.js ws module — browser WebSocket is blocked by Tropy's CSP
-      let WSImpl = WS
-
-      this.provider = new WebsocketProvider(
-        this.options.serverUrl,
-        this.options.room,
-        this.doc,
-        {
-          connect: true,
-          params: this.options.roomToken
-            ? { token: this.options.roomToken }
-            : {},
-          maxBackoffTime: 10000,
-          resyncInterval: 30000,
-          WebSocketPolyfill: WSImpl
+      // Restore the local replica before any transport sees the doc
+      if (this.options.offlinePersistence !== false) {
+        this.docStore = new LocalDocStore(this.options.room, this.logger, {
+          dir: this.options.persistDir,
+          key: this.replicaKey
+        })
+        let restored = this.docStore.load(this.doc)
+        if (restored > 0) {
+          this._log(`restored local room state (${restored} stored update(s))`)
         }
-      )
+      }
+
+      this.transport = createAdapter(this.doc, this.options, this.logger)
 
       // Connection lifecycle logging
-      this.provider.on('status', (e) => {
+      this.transport.on('status', (e) => {
         if (e.status === 'connected') {
-          this.logger.info(`[troparcel] connected to ${this.options.serverUrl}`)
+          this.logger.info(`[troparcel] connected to ${this.transport.displayAddress}`)
         } else if (e.status === 'disconnected') {
-          this.logger.info('[troparcel] disconnected from server, reconnecting...')
+          this.logger.info(`[troparcel] disconnected from ${this.transport.transportName} transport`)
         }
       })
-      this.provider.on('connection-error', (e) => {
-        this.logger.warn(
-          `[troparcel] connection error: ${e.message || String(e)} — ` +
-          'check that the Troparcel server is running')
-      })
-      this.provider.on('connection-close', (e) => {
-        if (e.code !== 1000) {
-          this.logger.info(`[troparcel] connection closed (code: ${e.code}${e.reason ? ', ' + e.reason : ''}), reconnecting...`)
-        }
+      // Adapters emit 'error' for transient poll/write failures; an
+      // EventEmitter with no 'error' listener would throw instead.
+      this.transport.on('error', (e) => {
+        this._debug('transport error', { error: e && e.message })
       })
 
-      await this.waitForConnection()
+      try {
+        await this.transport.connect()
+        this.online = true
+      } catch (err) {
+        // Without a local replica there is nothing to work against
+        if (!this.docStore) throw err
+        this.online = false
+        this.logger.warn(
+          `[troparcel] ${this.transport.transportName} transport unavailable ` +
+          `(${err.message}) — working offline, changes are recorded locally`)
+      }
 
-      // Stamp schema version in room map
-      schema.setSchemaVersion(this.doc)
+      // Upgrade or stamp the room's schema; a newer room makes us read-only
+      this._negotiateSchema()
+      this._setupItemDocs()
 
       // Migrate any mixed-case tag keys to lowercase (one-shot, idempotent)
       this._migrateTagKeysToLowercase()
 
-      // Set presence via Awareness protocol (replaces registerUser + heartbeat)
-      if (this.provider.awareness) {
+      // Set presence via Awareness protocol (replaces registerUser + heartbeat).
+      // Non-realtime transports (file, snapshot) have no awareness.
+      let awareness = this.transport.getAwareness()
+      if (awareness) {
         // V3 a646: prefer an explicit displayName option so peers see a human
         // label (e.g. "alice") rather than the cryptic stableUserId
         // ("alice@host:2019"). Falls back to userId when no name is set.
@@ -272,17 +366,16 @@ class SyncEngine {
         // (if it ever fires) resolves consistently.
         this.vault.setDisplayName(this._stableUserId, localDisplayName)
 
-        this.provider.awareness.setLocalStateField('user', {
+        awareness.setLocalStateField('user', {
           userId: this._stableUserId,
           name: localDisplayName,
           joinedAt: Date.now()
         })
 
         this._awarenessHandler = ({ added, updated, removed }) => {
-          this.peerCount = 0
-          this.provider.awareness.getStates().forEach((state, clientId) => {
+          this.peerCount = this.transport.getPeerCount()
+          awareness.getStates().forEach((state, clientId) => {
             if (clientId !== this.doc.clientID && state.user) {
-              this.peerCount++
               // V3 a646: cache peer displayName so _applyAttribution can
               // resolve userId → human label when building @tags + contributors.
               if (state.user.userId && state.user.name) {
@@ -291,7 +384,7 @@ class SyncEngine {
             }
           })
         }
-        this.provider.awareness.on('change', this._awarenessHandler)
+        awareness.on('change', this._awarenessHandler)
       }
 
       // Set up backup manager
@@ -307,8 +400,8 @@ class SyncEngine {
         }
       )
 
-      // Set up CRDT observer for remote changes
-      if (this.options.syncMode === 'auto') {
+      // Set up CRDT observer for remote changes (queued in review mode)
+      if (this.options.syncMode === 'auto' || this.options.syncMode === 'review') {
         this.unsubscribe = schema.observeAnnotationsDeep(
           this.doc,
           (changes) => { this.handleRemoteChanges(changes) },
@@ -320,15 +413,23 @@ class SyncEngine {
       this._statusHandler = (event) => {
         if (event.status === 'connected') {
           this.state = 'connected'
+          this.online = true
           this._log(`reconnected to room "${this.options.room}"`)
         } else if (event.status === 'disconnected') {
-          this.logger.warn('[troparcel] lost connection, will retry automatically')
+          this.online = false
+          if (!this._stopping) {
+            this.logger.warn('[troparcel] lost connection, will retry automatically')
+          }
         }
       }
-      this.provider.on('status', this._statusHandler)
+      this.transport.on('status', this._statusHandler)
+
+      if (!this.online) this._scheduleReconnect()
 
       this.state = 'connected'
-      this._log(`ready — room "${this.options.room}", client ${this.doc.clientID}`)
+      this._log(
+        `ready — room "${this.options.room}", client ${this.doc.clientID}` +
+        (this.online ? '' : ' (offline)'))
 
       // R1: Only wait for startup if not already waited by plugin
       if (!opts.skipStartupDelay) {
@@ -449,6 +550,11 @@ class SyncEngine {
       this.safetyNetTimer = null
     }
 
+    if (this._reconnectTimer) {
+      clearTimeout(this._reconnectTimer)
+      this._reconnectTimer = null
+    }
+
     if (this._statusLogTimer) {
       clearInterval(this._statusLogTimer)
       this._statusLogTimer = null
@@ -469,26 +575,48 @@ class SyncEngine {
       this.unsubscribe = null
     }
 
+    if (this._selectionUnsubscribe) {
+      this._selectionUnsubscribe()
+      this._selectionUnsubscribe = null
+    }
+
+    // Before the transport goes, so item subdocs stop syncing first
+    if (this.itemDocs) {
+      this.itemDocs.destroy()
+      this.itemDocs = null
+    }
+
     // Clean up Awareness protocol
-    if (this.provider && this.provider.awareness) {
+    let awareness = this.transport ? this.transport.getAwareness() : null
+    if (awareness) {
       try {
         if (this._awarenessHandler) {
-          this.provider.awareness.off('change', this._awarenessHandler)
+          awareness.off('change', this._awarenessHandler)
           this._awarenessHandler = null
         }
-        this.provider.awareness.setLocalState(null)
+        awareness.setLocalState(null)
       } catch (err) {
         this._debug('Failed to clean up awareness', { error: err.message })
       }
     }
 
-    if (this.provider) {
+    if (this.transport) {
       if (this._statusHandler) {
-        this.provider.off('status', this._statusHandler)
+        this.transport.off('status', this._statusHandler)
         this._statusHandler = null
       }
-      this.provider.destroy()
-      this.provider = null
+      try {
+        await this.transport.destroy()
+      } catch (err) {
+        this.logger.warn('Failed to close transport', { error: String(err.message || err) })
+      }
+      this.transport = null
+    }
+
+    // After the transport's final flush, so those writes are recorded too
+    if (this.docStore) {
+      this.docStore.close()
+      this.docStore = null
     }
 
     if (this.doc) {
@@ -505,34 +633,52 @@ class SyncEngine {
     this._queuedLocalChange = false
     this._syncRequested = false
     this._remoteAnnotationsDirty = false
+    this.online = false
     this.state = 'idle'
   }
 
-  // R3: Clean up listener on timeout
-  waitForConnection() {
-    return new Promise((resolve, reject) => {
-      if (this.provider.wsconnected) {
-        resolve()
-        return
-      }
-
-      let handler = (event) => {
-        if (event.status === 'connected') {
-          clearTimeout(timeout)
-          this.provider.off('status', handler)
-          resolve()
-        }
+  /**
+   * Retry the transport while running offline, 5s doubling to 5 min.
+   * The 'status' handler flips this.online once the adapter connects.
+   */
+  _scheduleReconnect() {
+    if (this._reconnectTimer || this._stopping) return
+    let delay = this._reconnectDelay
+    this._reconnectTimer = setTimeout(async () => {
+      this._reconnectTimer = null
+      if (this._stopping || !this.transport || this.online) return
+      try {
+        await this.transport.connect()
+        this.online = true
+        this._reconnectDelay = RECONNECT_BASE_DELAY
+        this._log(`back online — room "${this.options.room}"`)
+      } catch (err) {
+        this._reconnectDelay = Math.min(delay * 2, RECONNECT_MAX_DELAY)
+        this._debug(`transport still unavailable, next retry in ${Math.round(this._reconnectDelay / 1000)}s`, {
+          error: err.message
+        })
+        this._scheduleReconnect()
       }
+    }, delay)
+  }
 
-      let timeout = setTimeout(() => {
-        this.provider.off('status', handler) // R3: prevent listener leak
-        reject(new Error('Connection timeout (15s)'))
-      }, 15000)
-
-      this.provider.on('status', handler)
+  // Directory name of this room's local replica (see doc-store.js)
+  _replicaKey() {
+    let { roomPassphrase, room } = this.options
+    return replicaKey({
+      transport: (this.options.transport || 'websocket').toLowerCase(),
+      address: transportAddress(this.options),
+      room,
+      keyId: roomPassphrase ? roomKeyId(deriveRoomKey(roomPassphrase, room)) : ''
     })
   }
 
+  // Human-readable address of the transport: the adapter's once it exists
+  _transportAddress() {
+    if (this.transport) return this.transport.displayAddress
+    return transportAddress(this.options)
+  }
+
   pause() {
     this._paused = true
     this._log('Sync paused')
@@ -550,7 +696,10 @@ class SyncEngine {
     if (this.adapter) {
       if (this._storeUnsubscribe) return
       this._log('Using store.subscribe for change detection')
+      this._photoState = this.adapter._getState()
+      this._photoSets = this._readPhotoSets(this._photoState)
       this._storeUnsubscribe = this.adapter.subscribe(() => {
+        this._watchPhotoSets()
         this.handleLocalChange()
       })
       return
@@ -622,6 +771,88 @@ class SyncEngine {
     }
   }
 
+  // Photo checksums of every local item in a store state
+  _readPhotoSets(state) {
+    let sets = new Map()
+    let photos = state.photos || {}
+    for (let [id, item] of Object.entries(state.items || {})) {
+      let checksums = (item.photos || []).map(pid => photos[pid] && photos[pid].checksum).filter(Boolean)
+      sets.set(Number(id), checksums)
+    }
+    return sets
+  }
+
+  // Store subscription: follow items whose photos changed (added,
+  // removed, merged, split) before their old identity is lost
+  _watchPhotoSets() {
+    let state = this.adapter._getState()
+    let prev = this._photoState
+    if (prev && state.items === prev.items && state.photos === prev.photos) return
+    this._photoState = state
+    let before = this._photoSets
+    this._photoSets = this._readPhotoSets(state)
+    if (!before) return
+    try {
+      this._followPhotoChanges(before, this._photoSets)
+    } catch (err) {
+      this.logger.warn({ error: String(err.message || err) }, 'Failed to follow photo changes')
+    }
+  }
+
+  /**
+   * Alias every identity that changed with its item's photos to the
+   * identity it became (see identity.diffPhotoSets()). After a merge or
+   * split, notes, selections and transcriptions on each photo are copied
+   * to the item that took the photo, so collaborators holding either
+   * item find them. `before` and `after` map local item ids to photo
+   * checksums. Returns the changes.
+   */
+  _followPhotoChanges(before, after) {
+    return this._recordAliases(identity.diffPhotoSets(before, after))
+  }
+
+  /**
+   * Alias the identity of a photo-less item (its match property value,
+   * see _identityOptions()) to the one it has now, after the value was
+   * edited or the item got photos. `before` maps local item ids to the
+   * identities of items that were photo-less, `index` is the new
+   * identity index. Returns the changes.
+   */
+  _followKeyChanges(before, index) {
+    let changes = []
+    for (let [id, { localId }] of index) {
+      let from = before.get(localId)
+      if (from && from !== id) changes.push({ kind: 'key', from, alias: id, moves: [] })
+    }
+    return this._recordAliases(changes)
+  }
+
+  // Write the aliases (and content moves) of identity changes
+  _recordAliases(changes) {
+    if (!this.doc || this.readOnly) return []
+    let annotations = this.doc.getMap('annotations')
+    // Identities never synced need no alias; ones followed already (the
+    // store subscription and syncOnce both look) need none again
+    changes = changes.filter(change => {
+      if (!annotations.has(change.from)) return false
+      let alias = schema.getAlias(this.doc, change.from)
+      return !alias || alias.target !== change.alias
+    })
+    if (changes.length === 0) return changes
+    this.doc.transact(() => {
+      for (let change of changes) {
+        schema.setAlias(this.doc, change.from, change.alias)
+        let copied = 0
+        if (change.kind === 'merge' || change.kind === 'split') {
+          for (let move of change.moves) copied += schema.copyItemContent(this.doc, change.from, move.to, move)
+        }
+        this._log(`alias created (${change.kind}): ${change.from.slice(0, 8)} → ${change.alias.slice(0, 8)}` +
+          (copied > 0 ? `, ${copied} entr(ies) moved with their photos` : ''))
+      }
+    }, this.LOCAL_ORIGIN)
+    return changes
+  }
+
   /**
    * Debounced handler for local file changes.
    */
@@ -652,7 +883,8 @@ class SyncEngine {
   }
 
   /**
-   * Handle remote CRDT changes — debounce and apply.
+   * Handle remote CRDT changes — debounce and apply (queue for review in
+   * review mode).
    */
   handleRemoteChanges(changes) {
     this._remoteAnnotationsDirty = true
@@ -666,7 +898,8 @@ class SyncEngine {
 
     this._remoteDebounceTimer = setTimeout(() => {
       this._remoteDebounceTimer = null
-      this.applyPendingRemote()
+      if (this.options.syncMode === 'review') this.reviewPendingRemote()
+      else this.applyPendingRemote()
     }, this.options.remoteDebounce)
   }
 
@@ -714,12 +947,20 @@ class SyncEngine {
       // Re-read items from store to get current state (localIndex may be stale)
       if (this.adapter) {
         let freshItems = this.readAllItemsFull()
-          .filter(item => (item.photo || []).some(p => p.checksum))
+          .filter(item => this._isSyncable(item))
         if (freshItems.length > 0) {
-          this.localIndex = identity.buildIdentityIndex(freshItems)
+          this.localIndex = identity.buildIdentityIndex(freshItems, this._identityOptions())
         }
       }
 
+      // v5: a peer may have migrated the room or added items we have
+      // locally — load those before reading them
+      this._setupItemDocs()
+      if (this.itemDocs && this.options.selectiveSync) {
+        let loaded = this.itemDocs.load(identities.filter(id => this.localIndex.has(id)))
+        if (loaded.length > 0 && this.online) await this.itemDocs.whenSynced(loaded)
+      }
+
       // Refresh list name cache for this apply cycle
       await this._refreshListNameCache()
 
@@ -771,6 +1012,8 @@ class SyncEngine {
         // Second pass: alias resolution for unmatched identities
         for (let itemIdentity of identities) {
           if (exactMatchedIdentities.has(itemIdentity)) continue
+          // A local link overrides the alias
+          if (this.vault.getItemLink(itemIdentity)) continue
           let resolved = schema.resolveAlias(this.doc, itemIdentity)
           if (!resolved) continue
           let local = identity.findLocalMatch(resolved, this.localIndex)
@@ -797,12 +1040,42 @@ class SyncEngine {
           }
         }
 
+        // Links (confirmMatch(), linkItem()) go before fuzzy ones. The
+        // user made them, so they apply even to a local item matched already
+        for (let itemIdentity of identities) {
+          if (exactMatchedIdentities.has(itemIdentity)) continue
+          let local = this._linkedLocal(itemIdentity)
+          if (!local) continue
+
+          if (this.backup) {
+            let crdtItem = schema.getItemSnapshot(this.doc, itemIdentity)
+            if (crdtItem) {
+              let validation = this.backup.validateInbound(itemIdentity, crdtItem, this._stableUserId)
+              if (!validation.valid) continue
+            }
+          }
+
+          exactMatchedIdentities.add(itemIdentity)
+          processedLocalIds.add(local.localId)
+          try {
+            await this.applyRemoteAnnotations(itemIdentity, local, tagMap, listMap)
+          } catch (err) {
+            this.logger.warn(`Failed to apply remote (link) for ${itemIdentity}`, {
+              error: err.message
+            })
+          }
+        }
+
         // Third pass: fuzzy matches for identities with no exact or alias match,
         // skipping locals already processed by exact matches
+        let missing = []
         for (let itemIdentity of identities) {
           if (exactMatchedIdentities.has(itemIdentity)) continue
           let fuzzy = this._fuzzyMatchLocal(itemIdentity)
-          if (!fuzzy) continue
+          if (!fuzzy) {
+            missing.push(itemIdentity)
+            continue
+          }
           if (processedLocalIds.has(fuzzy.local.localId)) continue
           processedLocalIds.add(fuzzy.local.localId)
 
@@ -822,6 +1095,7 @@ class SyncEngine {
             })
           }
         }
+        this._recordMissingItems(missing)
 
         // V5 (W2.T10, seed tropy-plugin-4541): project-level template +
         // list-hierarchy apply. Inside _withApplyHistoryMerge so the new
@@ -904,15 +1178,13 @@ class SyncEngine {
 
         // Filter out stale items whose photos were removed from the project.
         // These items persist in the Redux store but have no photos with
-        // checksums, making them unsyncable (fallback identity is fragile).
+        // checksums, making them unsyncable (fallback identity is fragile)
+        // unless the metadata matcher identifies them by their match property.
         let totalCount = items.length
-        items = items.filter(item => {
-          let photos = item.photo || []
-          return photos.some(p => p.checksum)
-        })
+        items = items.filter(item => this._isSyncable(item))
         if (totalCount !== items.length) {
           let skipped = totalCount - items.length
-          this._log(`syncOnce: skipped ${skipped} photo-less item(s) — items need at least one photo to sync`)
+          this._log(`syncOnce: skipped ${skipped} photo-less item(s) — items need at least one photo (or a match property value) to sync`)
         }
 
         if (items.length === 0) {
@@ -941,36 +1213,43 @@ class SyncEngine {
         items = await this._enrichAll(summaries)
 
         // Filter photo-less items (same as store path above)
-        items = items.filter(item => {
-          let photos = item.photo || []
-          if (!Array.isArray(photos)) photos = [photos]
-          return photos.some(p => p.checksum)
-        })
+        items = items.filter(item => this._isSyncable(item))
       }
 
-      // Build reverse map (localId → identity) from OLD index for alias detection
-      let oldLocalIdToIdentity = new Map()
-      for (let [ident, { localId }] of this.localIndex) {
-        oldLocalIdToIdentity.set(localId, ident)
-      }
+      items = this._dropDuplicateKeys(items)
 
+      let photoSets = (index) => new Map(Array.from(index.values(),
+        ({ localId, item }) => [localId, identity.extractChecksums(item)]))
+      let previousPhotoSets = photoSets(this.localIndex)
+      let previousKeys = new Map()
+      for (let [id, { localId }] of this.localIndex) {
+        if (previousPhotoSets.get(localId).length === 0) previousKeys.set(localId, id)
+      }
       let previousIdentities = new Set(this.localIndex.keys())
-      this.localIndex = identity.buildIdentityIndex(items)
-
-      // Detect identity changes (photos added/removed) and create CRDT aliases
-      if (oldLocalIdToIdentity.size > 0 && this.doc) {
-        this.doc.transact(() => {
-          for (let [newIdentity, { localId }] of this.localIndex) {
-            let oldIdentity = oldLocalIdToIdentity.get(localId)
-            if (oldIdentity && oldIdentity !== newIdentity) {
-              schema.setAlias(this.doc, oldIdentity, newIdentity)
-              this._log(`alias created: ${oldIdentity.slice(0, 8)} → ${newIdentity.slice(0, 8)}`)
-            }
-          }
-        }, this.LOCAL_ORIGIN)
+      this.localIndex = identity.buildIdentityIndex(items, this._identityOptions())
+
+      // Identity changes (photos added/removed, merges, splits, edited
+      // match property values) the store subscription did not see, e.g.
+      // in API mode, become aliases too
+      if (previousPhotoSets.size > 0) {
+        this._followPhotoChanges(previousPhotoSets, photoSets(this.localIndex))
+        this._followKeyChanges(previousKeys, this.localIndex)
       }
       this._debug(`syncOnce: ${items.length} items, ${this.localIndex.size} identities`)
 
+      // A peer may have upgraded the room since the last cycle. Read-only,
+      // remote changes are still applied; only migrations and push stop.
+      let writable = this._negotiateSchema()
+      if (!writable) this._debug('syncOnce: room is read-only, applying without pushing')
+
+      // Selective sync: migrate to item subdocs, then load the ones needed
+      if (writable) this._migrateToItemDocs()
+      await this._loadItemDocs()
+      if (writable) {
+        this._migrateNoteContent()
+        this._migrateTranscriptionText()
+      }
+
       // Force apply when new local items appear (e.g. after import) —
       // their CRDT identities may already have remote annotations.
       if (!this._remoteAnnotationsDirty && previousIdentities.size > 0) {
@@ -983,6 +1262,14 @@ class SyncEngine {
         }
       }
 
+      // Room items queued as missing may have a local match by now
+      await this._hashPhotos(items)
+      this._retryMissingItems()
+      await this._refreshLinkRequests()
+      if (this.options.syncMode === 'review' && this.reviewQueue.pending.size > 0) {
+        await this._readReviewDecisions()
+      }
+
       // C2: Build list name cache
       await this._refreshListNameCache()
 
@@ -990,7 +1277,8 @@ class SyncEngine {
       let appliedIdentities = new Set()
       let crdtChanged = false
       if (this.options.syncMode === 'auto') {
-        // P5: Cache annotation count from annotations map size (cheap)
+        // P5: Cache annotation count from annotations map size (cheap;
+        // counts unloaded item subdocs too)
         let annotationsMap = this.doc.getMap('annotations')
         this.vault.updateAnnotationCount(annotationsMap.size)
 
@@ -1030,25 +1318,29 @@ class SyncEngine {
                   let reEnriched = await this._enrichAll(modifiedSummaries)
                   let reEnrichedMap = new Map()
                   for (let item of reEnriched) {
-                    let id = identity.computeIdentity(item)
+                    let id = identity.computeIdentity(item, this._identityOptions())
                     if (id) reEnrichedMap.set(id, item)
                   }
                   items = items.map(item => {
-                    let id = identity.computeIdentity(item)
+                    let id = identity.computeIdentity(item, this._identityOptions())
                     return (id && reEnrichedMap.has(id)) ? reEnrichedMap.get(id) : item
                   })
                 }
               }
             }
-            this.localIndex = identity.buildIdentityIndex(items)
+            this.localIndex = identity.buildIdentityIndex(items, this._identityOptions())
           }
         } else {
           this._debug('syncOnce: CRDT unchanged, skip apply')
         }
+      } else if (this.options.syncMode === 'review' && this._remoteAnnotationsDirty) {
+        await this._queueForReview(Array.from(this.localIndex.keys()))
+        this._remoteAnnotationsDirty = false
       }
 
-      // Push local changes to CRDT (skipped in 'pull' mode — only receive, never push)
-      if (this.options.syncMode !== 'pull') {
+      // Push local changes to CRDT (skipped in 'pull' mode — only receive,
+      // never push — and while the room is read-only)
+      if (this.options.syncMode !== 'pull' && writable) {
         let pushSeq = this.vault.nextPushSeq()
         if (this.adapter) this.adapter.suppressChanges()
         try {
@@ -1068,6 +1360,10 @@ class SyncEngine {
         }
       }
 
+      await this._refreshConflicts()
+      await this._refreshStatuses()
+      await this._autoSnapshot()
+
       // Update CRDT hash after push so next cycle doesn't falsely re-apply
       // Skip if apply had failures — forces retry on next cycle
       let skipHashUpdate = false
@@ -1160,11 +1456,10 @@ class SyncEngine {
    */
   _migrateTagKeysToLowercase() {
     if (!this.doc) return
-    let annotations = this.doc.getMap('annotations')
     let migrated = 0
 
     this.doc.transact(() => {
-      annotations.forEach((itemMap) => {
+      schema.forEachItem(this.doc, (itemMap) => {
         let tags = itemMap.get('tags')
         if (!tags) return
 
@@ -1193,6 +1488,189 @@ class SyncEngine {
     }
   }
 
+  // --- Item subdocs (schema v5) ---
+
+  /**
+   * Start ItemDocs once the room uses item subdocs — at startup, or
+   * after this client or a peer migrated it.
+   */
+  _setupItemDocs() {
+    if (this.itemDocs || !this.doc || !schema.usesItemDocs(this.doc)) return
+    if (!this.transport.supportsSubdocs) {
+      this.logger.warn(
+        `[troparcel] room "${this.options.room}" uses item subdocs, which the ` +
+        `${this.transport.transportName} transport cannot sync — only locally stored items are available`)
+    }
+
+    this.itemDocs = new ItemDocs(this.doc, this.transport, this.logger, {
+      loadAll: !this.options.selectiveSync,
+      storeDir: this.docStore ? path.join(this.docStore.dir, 'items') : null,
+      onChange: (changes) => {
+        if (this.options.syncMode === 'auto' || this.options.syncMode === 'review') this.handleRemoteChanges(changes)
+      }
+    })
+    this.itemDocs.start()
+
+    if (this.options.selectiveSync && this.adapter && !this._selectionUnsubscribe) {
+      this._selectionUnsubscribe = this.adapter.subscribeSelection((ids) => {
+        this._loadSelectedItems(ids)
+      })
+    }
+  }
+
+  /**
+   * With selectiveSync, move a v4 room to item subdocs. Waits until the
+   * engine is online, so items peers wrote while we were away are
+   * migrated too.
+   */
+  _migrateToItemDocs() {
+    if (!this.options.selectiveSync || !this.online || !this.doc) return
+    if (!this.transport.supportsSubdocs) return
+    if (!schema.checkSchemaVersion(this.doc).migratable) return
+
+    let [step] = schema.migrateRoom(this.doc, {
+      target: schema.SUBDOC_SCHEMA_VERSION,
+      origin: this.LOCAL_ORIGIN,
+      by: this._stableUserId
+    })
+    let migrated = step ? step.count : 0
+    this._log(`room "${this.options.room}" migrated to schema v5 (item subdocs), ${migrated} item(s)`)
+    this._setupItemDocs()
+  }
+
+  /**
+   * Settle the room's schema version before touching it: upgrade an older
+   * room through the registered migrations (online only, so we migrate
+   * what peers wrote, not a stale copy), stamp a new one, and go
+   * read-only if the room is in a layout this version cannot write.
+   * Returns false while read-only.
+   */
+  _negotiateSchema() {
+    if (!this.doc) return false
+    let check = schema.checkSchemaVersion(this.doc)
+    if (check.upgradable && this.online) {
+      try {
+        let steps = schema.migrateRoom(this.doc, { origin: this.LOCAL_ORIGIN, by: this._stableUserId })
+        for (let step of steps) {
+          this._log(`room "${this.options.room}" migrated from schema v${step.from} to v${step.to} (${step.count} item(s))`)
+        }
+      } catch (err) {
+        this.logger.warn({ error: err.message }, `[troparcel] schema migration failed`)
+      }
+      check = schema.checkSchemaVersion(this.doc)
+    }
+
+    if (check.readOnly) {
+      if (!this.readOnly) {
+        this.readOnly = true
+        let reason = check.version > schema.LATEST_SCHEMA_VERSION
+          ? `room "${this.options.room}" uses schema v${check.version}, newer than this version of Troparcel supports (v${schema.LATEST_SCHEMA_VERSION}) — update the plugin to sync again`
+          : `room "${this.options.room}" uses schema v${check.version} and will be upgraded once online`
+        this.readOnlyReason = reason
+        this.logger.warn(`[troparcel] read-only: ${reason}`)
+        if (typeof this.onReadOnly === 'function') {
+          try { this.onReadOnly({ version: check.version, supported: schema.LATEST_SCHEMA_VERSION, reason }) } catch {}
+        }
+      }
+      return false
+    }
+
+    if (this.readOnly) this._log(`room "${this.options.room}" is writable again (schema v${check.version})`)
+    this.readOnly = false
+    this.readOnlyReason = null
+    schema.setSchemaVersion(this.doc)
+    return true
+  }
+
+  // Writes to the room are refused while it is read-only
+  _requireWritable() {
+    if (!this.doc) throw new Error('Sync engine not started')
+    if (this.readOnly) throw new Error(`Room is read-only: ${this.readOnlyReason}`)
+  }
+
+  /**
+   * Wrap notes without rich-text content (older rooms, older clients) in
+   * Y.XmlFragments. Online only, like the subdoc migration, so a stale
+   * offline copy of a note cannot replace what peers wrote since.
+   */
+  _migrateNoteContent() {
+    if (!this.options.syncNotes || !this.online || !this.doc) return
+    let migrated = 0
+    this.doc.transact(() => {
+      migrated = schema.migrateNoteContent(this.doc)
+    }, this.LOCAL_ORIGIN)
+    if (migrated > 0) this._log(`${migrated} note(s) migrated to rich text`)
+  }
+
+  /**
+   * Give transcriptions without shared text a Y.Text, online only for the
+   * same reason as _migrateNoteContent().
+   */
+  _migrateTranscriptionText() {
+    if (!this.options.syncTranscriptions || !this.online || !this.doc) return
+    let migrated = 0
+    this.doc.transact(() => {
+      migrated = schema.migrateTranscriptionText(this.doc)
+    }, this.LOCAL_ORIGIN)
+    if (migrated > 0) this._log(`${migrated} transcription(s) migrated to shared text`)
+  }
+
+  /**
+   * Load the item subdocs this sync cycle needs: local items, items
+   * sharing a photo checksum with one (fuzzy matching) and the Tropy
+   * selection. Waits for their remote state while online.
+   */
+  async _loadItemDocs() {
+    this._setupItemDocs()
+    if (!this.itemDocs || !this.options.selectiveSync) return
+
+    let wanted = new Set(this.localIndex.keys())
+    let localChecksums = new Set()
+    for (let { item } of this.localIndex.values()) {
+      let photos = item.photo || []
+      if (!Array.isArray(photos)) photos = [photos]
+      for (let p of photos) if (p.checksum) localChecksums.add(p.checksum)
+    }
+    for (let crdtIdentity of schema.getIdentities(this.doc)) {
+      if (wanted.has(crdtIdentity) || this.itemDocs.isLoaded(crdtIdentity)) continue
+      let checksums = schema.getItemChecksums(this.doc, crdtIdentity)
+      if (checksums.some(cs => localChecksums.has(cs))) wanted.add(crdtIdentity)
+    }
+    if (this.adapter) {
+      for (let id of this._selectedIdentities(this.adapter.readSelectedItemIds())) wanted.add(id)
+    }
+
+    let loaded = this.itemDocs.load(wanted)
+    if (loaded.length === 0) return
+    this._remoteAnnotationsDirty = true
+    let synced = this.online ? await this.itemDocs.whenSynced(loaded) : 0
+    this._debug(`loaded ${loaded.length} item subdoc(s), ${synced} synced — ` +
+      `${this.itemDocs.loadedCount} of ${this.doc.getMap('annotations').size} loaded`)
+  }
+
+  _selectedIdentities(itemIds) {
+    let selected = new Set(itemIds.map(Number))
+    let result = []
+    if (selected.size === 0) return result
+    for (let [itemIdentity, { localId }] of this.localIndex) {
+      if (selected.has(Number(localId))) result.push(itemIdentity)
+    }
+    return result
+  }
+
+  /**
+   * Load items as soon as they are selected in Tropy instead of waiting
+   * for the next sync cycle; their remote changes then apply as usual.
+   */
+  _loadSelectedItems(itemIds) {
+    if (!this.itemDocs) return
+    let loaded = this.itemDocs.load(this._selectedIdentities(itemIds))
+    if (loaded.length > 0) {
+      this._debug(`loaded ${loaded.length} selected item subdoc(s)`)
+      this.handleRemoteChanges(loaded.map(id => ({ identity: id, type: 'item', event: null })))
+    }
+  }
+
   // --- Conflict logging ---
 
   _logConflict(type, identity, field, detail) {
@@ -1223,6 +1701,8 @@ class SyncEngine {
     let bestScore = 0
 
     for (let [localIdentity, local] of this.localIndex) {
+      // The user unlinked this pair (unlinkItem())
+      if (this.vault.isMatchRejected(crdtIdentity, local.localId)) continue
       let photos = local.item.photo || []
       if (!Array.isArray(photos)) photos = [photos]
       let localChecksums = new Set()
@@ -1320,6 +1800,8 @@ class SyncEngine {
       // Alias resolution: for unmatched CRDT identities, try alias lookup
       let unmatchedIdentities = identities.filter(id => !matchedIdentities.has(id))
       for (let crdtIdentity of unmatchedIdentities) {
+        // A local link overrides the alias
+        if (this.vault.getItemLink(crdtIdentity)) continue
         let resolved = schema.resolveAlias(this.doc, crdtIdentity)
         if (!resolved) continue
         let local = identity.findLocalMatch(resolved, this.localIndex)
@@ -1337,13 +1819,32 @@ class SyncEngine {
         matchedLocalIds.add(local.localId)
       }
 
+      // Links (confirmMatch(), linkItem()) go before fuzzy ones. The user
+      // made them, so they apply even to a local item matched already
+      unmatchedIdentities = identities.filter(id => !matchedIdentities.has(id))
+      for (let crdtIdentity of unmatchedIdentities) {
+        let local = this._linkedLocal(crdtIdentity)
+        if (!local) continue
+
+        let crdtItem = schema.getItemSnapshot(this.doc, crdtIdentity)
+        if (!crdtItem) continue
+        let validation = this.backup.validateInbound(crdtIdentity, crdtItem, this._stableUserId)
+        if (!validation.valid) continue
+
+        matched.push({ itemIdentity: crdtIdentity, local })
+        matchedIdentities.add(crdtIdentity)
+        matchedLocalIds.add(local.localId)
+      }
+
       // Fuzzy matching: for unmatched CRDT identities, try to find local items
       // that contain ALL of the CRDT item's photo checksums (handles merged items)
       unmatchedIdentities = identities.filter(id => !matchedIdentities.has(id))
+      let missing = []
       for (let crdtIdentity of unmatchedIdentities) {
         let fuzzy = this._fuzzyMatchLocal(crdtIdentity)
         if (!fuzzy) {
           this._debug(`no fuzzy match for CRDT item ${crdtIdentity.slice(0, 8)}`)
+          missing.push(crdtIdentity)
           continue
         }
 
@@ -1366,6 +1867,8 @@ class SyncEngine {
         }
       }
 
+      this._recordMissingItems(missing)
+
       if (matched.length === 0) {
         this._debug('applyRemote: no matched items')
         return appliedIdentities
@@ -1426,47 +1929,445 @@ class SyncEngine {
     }
   }
 
-  // --- Import (review mode) ---
+  // --- Missing items ---
 
-  async applyOnDemand() {
-    if (!this.doc) return null
+  // Local match of a room item: exact, through an alias, a confirmed
+  // link or fuzzy
+  _hasLocalMatch(crdtIdentity) {
+    if (this.localIndex.has(crdtIdentity)) return true
+    let resolved = schema.resolveAlias(this.doc, crdtIdentity)
+    if (resolved && this.localIndex.has(resolved)) return true
+    if (this._linkedLocal(crdtIdentity)) return true
+    return this._fuzzyMatchLocal(crdtIdentity) != null
+  }
 
-    let release = await this._acquireLock()
-    try {
-      return await this._applyOnDemandInner()
-    } finally {
-      release()
+  // Queue room items apply found no local match for, and tell the user
+  // when new ones appear. Items with a weak match proposed are not
+  // missing: they wait for confirmation instead.
+  _recordMissingItems(identities) {
+    let proposed = this._proposeWeakMatches(identities)
+    let added = 0
+    for (let crdtIdentity of identities) {
+      if (proposed.has(crdtIdentity)) continue
+      // An aliased identity is listed under the item it became
+      if (schema.resolveAlias(this.doc, crdtIdentity)) continue
+      if (this.vault.markMissing(crdtIdentity, missingItemInfo(this.doc, crdtIdentity))) added++
+    }
+    if (added === 0) return
+    let count = this.vault.missingItems.size
+    this._log(`${added} room item(s) have no local photos (${count} missing in all)`)
+    if (typeof this.onMissingItems === 'function') {
+      try { this.onMissingItems({ count, added }) } catch {}
     }
   }
 
-  async _applyOnDemandInner() {
-    let allIdentities = schema.getIdentities(this.doc)
-    let userId = this._stableUserId
-    let summary = {}
+  // Check the missing queue against the current local index. Items that
+  // match now leave it and the next apply picks them up; items no longer
+  // in the room are dropped.
+  _retryMissingItems() {
+    if (!this.doc) return
+    let annotations = this.doc.getMap('annotations')
+    // Proposals that matched some other way meanwhile are settled
+    for (let c of this.vault.getMatchCandidates()) {
+      if (!annotations.has(c.identity) || this._hasLocalMatch(c.identity)) this.vault.takeMatchCandidate(c.identity)
+    }
+    if (this.vault.missingItems.size === 0) return
+    let found = 0
+    for (let crdtIdentity of Array.from(this.vault.missingItems.keys())) {
+      if (!annotations.has(crdtIdentity)) {
+        this.vault.clearMissing(crdtIdentity)
+      } else if (this._hasLocalMatch(crdtIdentity)) {
+        this.vault.clearMissing(crdtIdentity)
+        found++
+      } else {
+        this.vault.markMissing(crdtIdentity)
+      }
+    }
+    if (found > 0) {
+      this._remoteAnnotationsDirty = true
+      this._log(`${found} missing room item(s) now have local photos`)
+    }
+  }
 
-    let allTags = this.adapter
-      ? this.adapter.getAllTags()
-      : await this.api.getTags()
-    let tagMap = new Map()
-    if (allTags && Array.isArray(allTags)) {
-      for (let t of allTags) tagMap.set(t.name.toLowerCase(), t)
+  /**
+   * Room items with no local match, oldest first (see missing-items.js).
+   */
+  getMissingItems() {
+    return this.vault.getMissingItems()
+      .sort((a, b) => a.firstSeen.localeCompare(b.firstSeen) || a.identity.localeCompare(b.identity))
+  }
+
+  /**
+   * The missing queue as a 'csv' or 'json' report, written to `file`
+   * when given. Returns the report text.
+   */
+  async exportMissingItems({ format = 'json', file = null } = {}) {
+    let report = formatMissingItems(this.getMissingItems(), format, id => this._resolveDisplayName(id))
+    if (file) await fs.promises.writeFile(file, report)
+    return report
+  }
+
+  // --- Item matchers ---
+
+  // computeIdentity() options: with the metadata matcher, photo-less
+  // items are identified by their match property
+  _identityOptions() {
+    return this.matchers.includes('metadata')
+      ? { matchProperty: this.options.matchProperty || DEFAULT_MATCH_PROPERTY }
+      : {}
+  }
+
+  _isSyncable(item) {
+    return identity.computeIdentity(item, this._identityOptions()) != null
+  }
+
+  // Photo-less items with the same match property value would all be
+  // one room item: none of them syncs until the value is made unique
+  _dropDuplicateKeys(items) {
+    let options = this._identityOptions()
+    if (!options.matchProperty) return items
+    let byIdentity = new Map()
+    for (let item of items) {
+      if (identity.extractChecksums(item).length > 0) continue
+      let id = identity.computeIdentity(item, options)
+      if (!byIdentity.has(id)) byIdentity.set(id, [])
+      byIdentity.get(id).push(item)
     }
 
-    let listMap = new Map()
-    if (this.options.syncLists) {
-      try {
-        let allLists = this.adapter
-          ? this.adapter.getAllLists()
-          : await this.api.getLists()
-        if (Array.isArray(allLists)) {
-          for (let l of allLists) listMap.set(l.name || String(l.id), l)
+    let skipped = new Set()
+    let duplicates = new Set()
+    for (let [id, group] of byIdentity) {
+      if (group.length < 2) continue
+      duplicates.add(id)
+      for (let item of group) skipped.add(item)
+      if (this._duplicateKeys.has(id)) continue
+      let key = identity.metadataKey(group[0], options.matchProperty)
+      let ids = group.map(item => item['@id'] || item.id).join(', ')
+      this.logger.warn(`[troparcel] items ${ids} share the match value "${key}" — skipping them until it is unique`)
+    }
+    this._duplicateKeys = duplicates
+    return skipped.size > 0 ? items.filter(item => !skipped.has(item)) : items
+  }
+
+  // The weak matchers' keys of a local item
+  _localMatchKeys(item) {
+    return localMatchKeys(item, {
+      chain: this.matchers,
+      matchProperty: this.options.matchProperty || DEFAULT_MATCH_PROPERTY,
+      photoHashes: this.vault.photoHashes
+    })
+  }
+
+  // Perceptual hashes of local photos not hashed yet (phash matcher).
+  // A photo that cannot be read is recorded with an empty hash.
+  async _hashPhotos(items) {
+    if (!this.matchers.includes('phash') || !this.sharp) return
+    let state = this.adapter ? this.adapter._getState() : null
+    for (let item of items) {
+      for (let [photoId, checksum] of identity.buildPhotoChecksumMap(item)) {
+        if (this.vault.photoHashes.has(checksum)) continue
+        let hash = ''
+        try {
+          let photo = state ? state.photos[photoId] : await this.api.getPhoto(photoId)
+          if (photo && photo.path) hash = await perceptualHash(this.sharp, photo.path)
+        } catch (err) {
+          this._debug(`phash: could not read photo ${photoId}: ${err.message}`)
         }
-      } catch (err) {
-        this.logger.warn('applyOnDemand: failed to fetch lists', { error: String(err.message || err) })
+        this.vault.setPhotoHash(checksum, hash)
       }
     }
+  }
 
-    for (let itemIdentity of allIdentities) {
+  // Local item a room identity is linked to: by a confirmed match or a
+  // local link in the vault, or by a manual (shared) room alias
+  _linkedLocal(crdtIdentity) {
+    let link = this.vault.getItemLink(crdtIdentity)
+    if (link) {
+      let entry = this._localById(link.localId)
+      return entry ? entry.local : null
+    }
+    let alias = schema.getAlias(this.doc, crdtIdentity)
+    if (!alias || !alias.manual) return null
+    return identity.findLocalMatch(schema.resolveAlias(this.doc, crdtIdentity), this.localIndex)
+  }
+
+  // { localIdentity, local } of a local item id, or null
+  _localById(localId) {
+    for (let [localIdentity, local] of this.localIndex) {
+      if (String(local.localId) === String(localId)) return { localIdentity, local }
+    }
+    return null
+  }
+
+  // Propose weak matches for room items with no local match. Returns
+  // the identities that have a proposal.
+  _proposeWeakMatches(identities) {
+    let proposed = new Set()
+    if (this.matchers.length < 2 || identities.length === 0) return proposed
+    let locals = []
+    for (let [localIdentity, local] of this.localIndex) {
+      locals.push({ localIdentity, local, keys: this._localMatchKeys(local.item) })
+    }
+    let added = 0
+    for (let crdtIdentity of identities) {
+      let candidates = locals.filter(l => !this.vault.isMatchRejected(crdtIdentity, l.local.localId))
+      let match = findWeakMatch(schema.getItemMatchKeys(this.doc, crdtIdentity), candidates, this.matchers)
+      if (!match) {
+        this.vault.takeMatchCandidate(crdtIdentity)
+        continue
+      }
+      proposed.add(crdtIdentity)
+      this.vault.clearMissing(crdtIdentity)
+      let candidate = {
+        localId: match.local.localId,
+        localIdentity: match.localIdentity,
+        matcher: match.matcher,
+        score: match.score
+      }
+      if (this.vault.proposeMatch(crdtIdentity, candidate)) added++
+    }
+    if (added > 0) {
+      let count = this.vault.matchCandidates.size
+      this._log(`${added} weak item match(es) proposed (${count} waiting for confirmation)`)
+      if (typeof this.onMatchCandidates === 'function') {
+        try { this.onMatchCandidates({ count, added }) } catch {}
+      }
+    }
+    return proposed
+  }
+
+  /**
+   * Weak matches waiting for confirmation: { identity, localId,
+   * localIdentity, matcher, score, detectedAt, title }, where title is
+   * the room item's.
+   */
+  getMatchCandidates() {
+    return this.vault.getMatchCandidates().map(c => ({ ...c, title: missingItemInfo(this.doc, c.identity).title }))
+  }
+
+  /**
+   * Accept a proposed match: the room item is linked to the local item
+   * and applied to it from the next sync cycle on. Returns the match.
+   */
+  async confirmMatch(crdtIdentity) {
+    let candidate = this.vault.takeMatchCandidate(crdtIdentity)
+    if (!candidate) throw new Error(`No match proposed for ${crdtIdentity}`)
+    this.vault.linkItem(crdtIdentity, candidate.localId, candidate.matcher)
+    this._remoteAnnotationsDirty = true
+    await this._persistVault(true)
+    this._log(`match confirmed: ${crdtIdentity.slice(0, 8)} → local item ${candidate.localId} (${candidate.matcher})`)
+    return candidate
+  }
+
+  /**
+   * Turn a proposed match down; that pair is not proposed again.
+   */
+  async rejectMatch(crdtIdentity) {
+    let candidate = this.vault.takeMatchCandidate(crdtIdentity)
+    if (!candidate) throw new Error(`No match proposed for ${crdtIdentity}`)
+    this.vault.rejectMatch(crdtIdentity, candidate.localId)
+    await this._persistVault(true)
+    return candidate
+  }
+
+  // --- Item links ---
+
+  _requireLocal(localId) {
+    if (!this.doc) throw new Error('Sync engine not started')
+    let entry = this._localById(localId)
+    if (!entry) throw new Error(`No local item ${localId}`)
+    return entry
+  }
+
+  /**
+   * Room items a local item could be linked to, most alike first (see
+   * item-links.js): [{ identity, title, identifier, photos, matcher,
+   * score, unmatched }].
+   */
+  getLinkCandidates(localId, { limit } = {}) {
+    let { localIdentity, local } = this._requireLocal(localId)
+    let room = schema.getIdentities(this.doc).map(id => {
+      let info = missingItemInfo(this.doc, id)
+      return {
+        identity: id,
+        checksums: info.checksums,
+        keys: schema.getItemMatchKeys(this.doc, id),
+        title: info.title,
+        identifier: info.identifier,
+        unmatched: !this.localIndex.has(id) && !this.localIndex.has(schema.resolveAlias(this.doc, id))
+      }
+    })
+    let keys = localMatchKeys(local.item, {
+      chain: MATCHERS,
+      matchProperty: this.options.matchProperty || DEFAULT_MATCH_PROPERTY,
+      photoHashes: this.vault.photoHashes
+    })
+    let checksums = Array.from(identity.buildPhotoChecksumMap(local.item).values())
+    return rankLinkCandidates(room, { identity: localIdentity, checksums, keys }, { limit })
+  }
+
+  /**
+   * Room identities linked to a local item: [{ identity, shared, matcher,
+   * title }]. Vault links are local, manual room aliases shared.
+   */
+  getItemLinks(localId) {
+    let { localIdentity } = this._requireLocal(localId)
+    let links = []
+    for (let [id, link] of this.vault.itemLinks) {
+      if (String(link.localId) === String(localId)) links.push({ identity: id, shared: false, matcher: link.matcher })
+    }
+    for (let alias of schema.getAliases(this.doc, localIdentity)) {
+      if (alias.manual) links.push({ identity: alias.identity, shared: true, matcher: 'manual' })
+    }
+    return links.map(l => ({ ...l, title: missingItemInfo(this.doc, l.identity).title }))
+  }
+
+  /**
+   * Link a local item to a room item by hand: the room item's annotations
+   * are applied to it from the next sync cycle on. With `shared` the link
+   * is a manual room alias that collaborators follow too; otherwise it
+   * stays in this project's vault.
+   */
+  async linkLocalItem(localId, crdtIdentity, { shared = false } = {}) {
+    this._requireWritable()
+    let { localIdentity, local } = this._requireLocal(localId)
+    if (!this.doc.getMap('annotations').has(crdtIdentity)) throw new Error(`Unknown room item ${crdtIdentity}`)
+    if (crdtIdentity === localIdentity) throw new Error(`Local item ${localId} is room item ${crdtIdentity.slice(0, 8)} already`)
+
+    if (shared) {
+      this.doc.transact(() => {
+        // A room identity is an alias of one item at most
+        for (let alias; (alias = schema.getAlias(this.doc, crdtIdentity));) {
+          schema.removeAlias(this.doc, crdtIdentity, alias.target)
+        }
+        schema.setAlias(this.doc, crdtIdentity, localIdentity, { manual: true, author: this._stableUserId })
+      }, this.LOCAL_ORIGIN)
+      this.vault.unlinkItem(crdtIdentity)
+    } else {
+      this.vault.linkItem(crdtIdentity, local.localId, 'manual')
+    }
+    this.vault.clearMissing(crdtIdentity)
+    this.vault.takeMatchCandidate(crdtIdentity)
+    this._remoteAnnotationsDirty = true
+    await this._persistVault(true)
+    this._log(`linked: ${crdtIdentity.slice(0, 8)} → local item ${local.localId}${shared ? ' (shared)' : ''}`)
+    return { identity: crdtIdentity, localId: local.localId, shared }
+  }
+
+  /**
+   * Undo the links of a local item: vault links and manual room aliases
+   * go, and room items that only matched it fuzzily are turned down for
+   * it. Annotations applied already stay. Returns the unlinked identities.
+   */
+  async unlinkLocalItem(localId) {
+    this._requireWritable()
+    let { localIdentity, local } = this._requireLocal(localId)
+    let unlinked = []
+    let shared = this.getItemLinks(localId).filter(l => l.shared)
+    if (shared.length > 0) {
+      this.doc.transact(() => {
+        for (let l of shared) schema.removeAlias(this.doc, l.identity, localIdentity)
+      }, this.LOCAL_ORIGIN)
+    }
+    for (let l of this.getItemLinks(localId).concat(shared)) {
+      this.vault.unlinkItem(l.identity)
+      this.vault.rejectMatch(l.identity, local.localId)
+      unlinked.push(l.identity)
+    }
+    for (let id of schema.getIdentities(this.doc)) {
+      if (this.localIndex.has(id) || unlinked.includes(id) || schema.resolveAlias(this.doc, id)) continue
+      let fuzzy = this._fuzzyMatchLocal(id)
+      if (!fuzzy || fuzzy.local.localId !== local.localId) continue
+      this.vault.rejectMatch(id, local.localId)
+      unlinked.push(id)
+    }
+    if (unlinked.length === 0) return unlinked
+    this._remoteAnnotationsDirty = true
+    await this._persistVault(true)
+    this._log(`unlinked local item ${local.localId} from ${unlinked.length} room item(s)`)
+    return unlinked
+  }
+
+  /**
+   * Link requests from Tropy: items in the "Link to room item" list get
+   * a note listing their candidates; once the user answers in it, the
+   * answer is carried out, the note deleted and the item taken off the
+   * list. Link notes of items no longer in the list are deleted.
+   */
+  async _refreshLinkRequests() {
+    if (!this.adapter || !this.doc) return
+    // The list is there once something may need linking
+    let listId = await this._localListId(LINK_LIST_NAME,
+      this.vault.missingItems.size > 0 || this.vault.matchCandidates.size > 0)
+    let state = this.adapter._getState()
+    let done = []
+    this.adapter.suppressChanges()
+    try {
+      for (let local of this.localIndex.values()) {
+        let item = state.items && state.items[local.localId]
+        let listed = listId != null && !!item && (item.lists || []).includes(listId)
+        let noteId = this._findMarkedNote(local, LINK_MARKER)
+        if (!listed) {
+          if (noteId != null) await this.adapter.deleteNote(noteId)
+          continue
+        }
+        try {
+          let note = noteId != null ? state.notes[noteId] : null
+          let request = note ? parseLinkNote(this.adapter._noteStateToHtml(note)) : null
+          let command = request && request.command
+          if (!command) {
+            if (noteId == null) await this._writeLinkNote(local)
+            continue
+          }
+          if (command.action === 'unlink') {
+            await this.unlinkLocalItem(local.localId)
+          } else if (command.identity) {
+            await this.linkLocalItem(local.localId, command.identity, { shared: command.shared })
+          } else {
+            throw new Error(`no room item ${command.choice} in the list`)
+          }
+          await this.adapter.deleteNote(noteId)
+          done.push(local.localId)
+        } catch (err) {
+          // A fresh note drops the answer, so it is not retried every cycle
+          this.logger.warn({ error: String(err.message || err) }, `Link request for local item ${local.localId} failed`)
+          try { await this._writeLinkNote(local) } catch {}
+        }
+      }
+      if (done.length > 0) await this.adapter.removeItemsFromList(listId, done)
+    } catch (err) {
+      this.logger.warn({ error: String(err.message || err) }, 'Failed to process link requests')
+    } finally {
+      this.adapter.resumeChanges()
+    }
+  }
+
+  async _writeLinkNote(local) {
+    let candidates = this.getLinkCandidates(local.localId)
+    let links = this.getItemLinks(local.localId)
+    let localIdentity = this._localById(local.localId).localIdentity
+    await this._writeMarkedNote(localIdentity, local, LINK_MARKER, renderLinkNote(candidates, links))
+  }
+
+  // --- Import (review mode) ---
+
+  async applyOnDemand() {
+    if (!this.doc) return null
+
+    let release = await this._acquireLock()
+    try {
+      return await this._applyOnDemandInner()
+    } finally {
+      release()
+    }
+  }
+
+  async _applyOnDemandInner() {
+    let allIdentities = schema.getIdentities(this.doc)
+    let userId = this._stableUserId
+    let summary = {}
+
+    for (let itemIdentity of allIdentities) {
       let item = schema.getItemSnapshot(this.doc, itemIdentity)
       if (!item) continue
       for (let section of ['metadata', 'tags', 'notes', 'selections', 'transcriptions', 'lists']) {
@@ -1493,10 +2394,46 @@ class SyncEngine {
       }
     }
 
+    // Import carries out the answers given in the review notes (see
+    // _queueForReview); changes left unanswered stay pending and are
+    // held back by apply
+    if (this.options.syncMode === 'review') await this._queueForReview(allIdentities)
+
+    let applied = await this._applyItems(allIdentities)
+    return { applied, summary }
+  }
+
+  /**
+   * Apply the CRDT state of the given items to Tropy, after validating
+   * them and saving a backup. Returns the number of items applied.
+   */
+  async _applyItems(identities) {
+    let allTags = this.adapter
+      ? this.adapter.getAllTags()
+      : await this.api.getTags()
+    let tagMap = new Map()
+    if (allTags && Array.isArray(allTags)) {
+      for (let t of allTags) tagMap.set(t.name.toLowerCase(), t)
+    }
+
+    let listMap = new Map()
+    if (this.options.syncLists) {
+      try {
+        let allLists = this.adapter
+          ? this.adapter.getAllLists()
+          : await this.api.getLists()
+        if (Array.isArray(allLists)) {
+          for (let l of allLists) listMap.set(l.name || String(l.id), l)
+        }
+      } catch (err) {
+        this.logger.warn('applyOnDemand: failed to fetch lists', { error: String(err.message || err) })
+      }
+    }
+
     // Backup (with validation gating)
     let backupItems = []
     let validIdentities = []
-    for (let itemIdentity of allIdentities) {
+    for (let itemIdentity of identities) {
       let local = identity.findLocalMatch(itemIdentity, this.localIndex)
       if (!local) continue
 
@@ -1550,7 +2487,212 @@ class SyncEngine {
       if (this.adapter) this.adapter.resumeChanges()
     }
 
-    return { applied, summary }
+    return applied
+  }
+
+  // --- Review queue (review mode) ---
+
+  /**
+   * Remote changes waiting for review, oldest first, with the author's
+   * display name as `authorName`. `filter` narrows them by id, identity,
+   * author or section (each a value or an array of values).
+   */
+  getPendingChanges(filter = {}) {
+    return this.reviewQueue.list(filter).map(c => ({ ...c, authorName: this._resolveDisplayName(c.author) }))
+  }
+
+  /**
+   * Accept pending changes — one, an author's, an item's or all of them
+   * (see getPendingChanges() for the filter) — and apply them to Tropy.
+   * Other changes to the same items stay pending. Returns
+   * { accepted, applied } (changes taken, items applied).
+   */
+  async acceptChanges(filter = {}) {
+    this._requireWritable()
+    let release = await this._acquireLock()
+    try {
+      return await this._acceptChanges(filter)
+    } finally {
+      release()
+    }
+  }
+
+  async _acceptChanges(filter) {
+    let taken = this.reviewQueue.take(filter)
+    let identities = [...new Set(taken.map(c => c.identity))]
+    let applied = identities.length > 0 ? await this._applyItems(identities) : 0
+    await this._settleReview(identities)
+    if (taken.length > 0) this._log(`accepted ${taken.length} change(s) on ${identities.length} item(s)`)
+    return { accepted: taken.length, applied }
+  }
+
+  /**
+   * Reject pending changes (same filter as acceptChanges()). They are
+   * dismissed in the vault and not applied unless their author writes
+   * the entry again. Returns { rejected }.
+   */
+  async rejectChanges(filter = {}) {
+    this._requireWritable()
+    let release = await this._acquireLock()
+    try {
+      return await this._rejectChanges(filter)
+    } finally {
+      release()
+    }
+  }
+
+  async _rejectChanges(filter) {
+    let taken = this.reviewQueue.take(filter)
+    for (let c of taken) {
+      this.vault.dismissKey(reviewKey(c.identity, c.section, c.key, c.author), c.pushSeq)
+    }
+    this.vault.markDirty()
+    await this._persistVault()
+    await this._settleReview([...new Set(taken.map(c => c.identity))])
+    if (taken.length > 0) this._log(`rejected ${taken.length} change(s)`)
+    return { rejected: taken.length }
+  }
+
+  /**
+   * Carry out the answers typed into review notes in Tropy ("accept 1 3",
+   * "reject all", see review-queue.js). Answers to changes no longer
+   * pending in that version are dropped with the note's next rendering.
+   * Returns { accepted, rejected }.
+   */
+  async _readReviewDecisions() {
+    let result = { accepted: 0, rejected: 0 }
+    // Answers wait in their notes while the room is read-only
+    if (!this.adapter || this.readOnly) return result
+    let state = this.adapter._getState()
+    let accept = []
+    let reject = []
+    let answered = []
+    for (let [id, local] of this.localIndex) {
+      let noteId = this._findMarkedNote(local, REVIEW_MARKER)
+      let note = noteId != null && state.notes ? state.notes[noteId] : null
+      let answer = note ? parseReviewNote(this.adapter._noteStateToHtml(note)) : null
+      if (!answer || answer.accept.length + answer.reject.length === 0) continue
+      let byRef = new Map(this.reviewQueue.forItem(id).map(c => [reviewRef(c), c.id]))
+      for (let ref of answer.accept) if (byRef.has(ref)) accept.push(byRef.get(ref))
+      for (let ref of answer.reject) if (byRef.has(ref)) reject.push(byRef.get(ref))
+      answered.push(id)
+    }
+    if (answered.length === 0) return result
+
+    if (accept.length > 0) result.accepted = (await this._acceptChanges({ id: accept })).accepted
+    if (reject.length > 0) result.rejected = (await this._rejectChanges({ id: reject })).rejected
+    // Rewrite the notes whose answers matched nothing, so they are not read again
+    await this._showReview(answered)
+    return result
+  }
+
+  // Debounced remote changes in review mode: queue instead of apply
+  async reviewPendingRemote() {
+    if (this._paused || this._pendingRemoteIdentities.size === 0) return
+    let release = await this._acquireLock()
+    try {
+      let identities = Array.from(this._pendingRemoteIdentities)
+      this._pendingRemoteIdentities.clear()
+      await this._queueForReview(identities)
+    } finally {
+      release()
+    }
+  }
+
+  /**
+   * Queue the remote changes of the given local items for review and
+   * show them in Tropy. Returns the number of pending changes.
+   */
+  async _queueForReview(identities) {
+    let sections = this._reviewSections()
+    if (!this.reviewQueue.seeded) {
+      // First review of this room: what Tropy already shows is not news
+      let items = []
+      for (let id of this.localIndex.keys()) {
+        let item = schema.getItemSnapshot(this.doc, id)
+        if (item) items.push([id, item])
+      }
+      this.reviewQueue.seed(items, sections)
+      await this.reviewQueue.persist()
+      this._log(`review mode: took the current state of ${items.length} item(s) as reviewed`)
+      return this.reviewQueue.pending.size
+    }
+    // Answers refer to the changes as the notes show them: carry them out
+    // before new changes rewrite the notes
+    await this._readReviewDecisions()
+    let touched = []
+    for (let id of identities) {
+      if (!this.localIndex.has(id)) continue
+      let item = schema.getItemSnapshot(this.doc, id)
+      if (item && this.reviewQueue.collect(id, item, this._stableUserId, sections)) touched.push(id)
+    }
+    if (touched.length > 0) {
+      this._log(`${this.reviewQueue.pending.size} change(s) pending review`)
+      await this._settleReview(touched)
+    }
+    return this.reviewQueue.pending.size
+  }
+
+  // The sections this client applies are the ones to review
+  _reviewSections() {
+    let o = this.options
+    return [
+      o.syncMetadata && 'metadata',
+      o.syncTags && 'tags',
+      o.syncNotes && 'notes',
+      o.syncPhotoAdjustments && 'photos',
+      o.syncSelections && 'selections',
+      o.syncPhotoAdjustments && 'selectionMeta',
+      o.syncNotes && 'selectionNotes',
+      o.syncTranscriptions && 'transcriptions',
+      o.syncLists && 'lists'
+    ].filter(Boolean)
+  }
+
+  async _settleReview(identities) {
+    if (identities.length === 0) return
+    await this.reviewQueue.persist()
+    await this._showReview(identities)
+  }
+
+  /**
+   * Items with pending changes go into the "Pending review" list with a
+   * note describing the changes; both are cleared once nothing is left
+   * to review. Local only, never pushed.
+   */
+  async _showReview(identities) {
+    if (!this.adapter) return
+    this.adapter.suppressChanges()
+    try {
+      let pending = identities.filter(id => this.reviewQueue.forItem(id).length > 0)
+      let listId = await this._localListId(REVIEW_LIST_NAME, pending.length > 0)
+      let state = this.adapter._getState()
+      let add = []
+      let remove = []
+      for (let id of identities) {
+        let local = this.localIndex.get(id)
+        if (!local) continue
+        let changes = this.reviewQueue.forItem(id)
+        let item = state.items && state.items[local.localId]
+        let listed = listId != null && !!item && (item.lists || []).includes(listId)
+        if (changes.length > 0) {
+          await this._writeMarkedNote(id, local, REVIEW_MARKER,
+            renderReviewNote(changes, a => this._resolveDisplayName(a)))
+          if (!listed) add.push(local.localId)
+        } else {
+          let noteId = this._findMarkedNote(local, REVIEW_MARKER)
+          if (noteId != null) await this.adapter.deleteNote(noteId)
+          if (listed) remove.push(local.localId)
+        }
+      }
+      if (listId == null) return
+      if (add.length > 0) await this.adapter.addItemsToList(listId, add)
+      if (remove.length > 0) await this.adapter.removeItemsFromList(listId, remove)
+    } catch (err) {
+      this.logger.warn({ error: String(err.message || err) }, 'Failed to show changes pending review')
+    } finally {
+      this.adapter.resumeChanges()
+    }
   }
 
   // --- Rollback ---
@@ -1562,7 +2704,7 @@ class SyncEngine {
   // --- Tombstone purge ---
 
   purgeTombstones() {
-    if (!this.doc) return
+    if (!this.doc || this.readOnly) return
 
     this.logger.info('Purging tombstones from CRDT')
 
@@ -1577,6 +2719,688 @@ class SyncEngine {
     }, this.LOCAL_ORIGIN)
   }
 
+  // --- Export ---
+
+  /**
+   * Room annotations as a W3C Web Annotation AnnotationCollection,
+   * attributed to their authors by the display names peers announced.
+   * Pass identities to limit the export.
+   */
+  exportWebAnnotations(opts = {}) {
+    if (!this.doc) throw new Error('Sync engine not started')
+    return exportWebAnnotations(this.doc, {
+      room: this.options.room,
+      displayName: (author) => this.vault.getDisplayName(author),
+      ...opts
+    })
+  }
+
+  // --- Metadata conflicts ---
+
+  /**
+   * Open metadata conflicts on local items:
+   * [{ identity, localId, field, candidates: [{ text, type, author, pushSeq }], detectedAt }]
+   */
+  getConflicts() {
+    return this.conflicts.list()
+  }
+
+  /**
+   * Close a metadata conflict. `choice` is the author whose candidate
+   * wins, or a value { text, type?, language? } to use instead. The
+   * winner is pushed as the field's value and saved locally.
+   */
+  async resolveConflict(identity, field, choice) {
+    this._requireWritable()
+    let candidates = schema.getMetadataConflicts(this.doc, identity)[field]
+    if (!candidates) throw new Error(`No open conflict on ${field} for ${identity.slice(0, 8)}`)
+
+    let value = typeof choice === 'string'
+      ? candidates.find(c => c.author === choice)
+      : choice
+    if (!value) throw new Error(`No candidate by ${choice} on ${field}`)
+    let text = value.text || ''
+    let type = value.type || candidates[0].type
+
+    this.doc.transact(() => {
+      schema.resolveMetadataConflict(this.doc, identity, field,
+        { text, type, language: value.language || null },
+        this._stableUserId, this.vault.nextPushSeq())
+    }, this.LOCAL_ORIGIN)
+    let valueHash = this.vault._fastHash(`${text}|${type}`)
+    this.vault.markFieldPushed(identity, field, valueHash)
+    this.vault.markMetadataBase(identity, field, valueHash)
+
+    let local = this.localIndex.get(identity)
+    if (local) {
+      if (this.adapter) this.adapter.suppressChanges()
+      try {
+        await this.api.saveMetadata(local.localId, { [field]: { text, type } })
+      } finally {
+        if (this.adapter) this.adapter.resumeChanges()
+      }
+    }
+    this._log(`conflict on ${field} resolved for ${identity.slice(0, 8)}`)
+    await this._refreshConflicts()
+    return { identity, field, text, type }
+  }
+
+  /**
+   * Mirror the CRDT's open conflicts on local items into the conflict
+   * list, and show the changes in Tropy.
+   */
+  async _refreshConflicts() {
+    if (!this.doc) return
+    let open = []
+    for (let [id, local] of this.localIndex) {
+      let conflicts = schema.getMetadataConflicts(this.doc, id)
+      for (let [field, candidates] of Object.entries(conflicts)) {
+        open.push({
+          identity: id,
+          localId: local.localId,
+          field,
+          candidates: candidates.map(({ text, type, language, author, pushSeq }) =>
+            ({ text, type, language, author, pushSeq }))
+        })
+      }
+    }
+
+    let { opened, closed } = await this.conflicts.update(open)
+    if (opened.length + closed.length === 0) return
+    this._log(`${this.conflicts.list().length} open metadata conflict(s)`)
+    if (!this.adapter) return
+
+    this.adapter.suppressChanges()
+    try {
+      await this._showConflicts(opened, closed)
+    } catch (err) {
+      this.logger.warn({ error: String(err.message || err) }, 'Failed to show metadata conflicts')
+    } finally {
+      this.adapter.resumeChanges()
+    }
+  }
+
+  /**
+   * Items with open conflicts go into the "Troparcel conflicts" list with
+   * a description in their troparcel:conflict field; both are cleared
+   * once an item's conflicts are resolved. Local only, never pushed.
+   */
+  async _showConflicts(opened, closed) {
+    let listId = await this._localListId(CONFLICT_LIST_NAME, opened.length > 0)
+    let state = this.adapter._getState()
+    let add = []
+    let remove = []
+
+    for (let id of opened) {
+      let entries = this.conflicts.forItem(id)
+      let localId = entries[0].localId
+      this.adapter.store.dispatch({
+        type: METADATA.SAVE,
+        payload: {
+          id: localId,
+          data: {
+            [CONFLICT_URI]: {
+              text: describeConflicts(entries, a => this._resolveDisplayName(a)),
+              type: 'text'
+            }
+          }
+        },
+        meta: { cmd: 'project' }
+      })
+      let item = state.items && state.items[localId]
+      if (!item || !(item.lists || []).includes(listId)) add.push(localId)
+    }
+
+    for (let id of closed) {
+      let local = this.localIndex.get(id)
+      if (!local) continue
+      this.adapter.store.dispatch({
+        type: METADATA.SAVE,
+        payload: { id: local.localId, data: { [CONFLICT_URI]: { text: '', type: 'text' } } },
+        meta: { cmd: 'project' }
+      })
+      let item = state.items && state.items[local.localId]
+      if (item && (item.lists || []).includes(listId)) remove.push(local.localId)
+    }
+
+    if (listId == null) return
+    if (add.length > 0) await this.adapter.addItemsToList(listId, add)
+    if (remove.length > 0) await this.adapter.removeItemsFromList(listId, remove)
+  }
+
+  // Local id of an engine-managed list, created on demand
+  async _localListId(name, create) {
+    let find = () => {
+      for (let [id, list] of Object.entries(this.adapter.readLists())) {
+        if (list && list.name === name) return Number(id)
+      }
+      return null
+    }
+    let id = find()
+    if (id != null || !create) return id
+
+    let action = this.adapter.store.dispatch({
+      type: LIST.CREATE,
+      payload: { name, parent: 0 },
+      meta: { cmd: 'project', history: 'add' }
+    })
+    await this.adapter._waitForAction(action)
+    return find()
+  }
+
+  // --- Comments ---
+
+  /**
+   * Comments on an item, oldest first. `parent` narrows them to one
+   * discussed note, selection or the item itself (its identity).
+   */
+  getComments(identity, parent) {
+    if (!this.doc) return []
+    return Object.values(schema.getActiveComments(this.doc, identity))
+      .filter(c => !parent || c.parent === parent)
+      .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))
+  }
+
+  /**
+   * Comment on an item (parent: its identity, the default) or on one of
+   * its notes or selections (their CRDT UUIDs); `replyTo` answers another
+   * comment. Returns the new comment's UUID.
+   */
+  addComment(itemIdentity, body, { parent, replyTo } = {}) {
+    this._requireWritable()
+    if (!body || !String(body).trim()) throw new Error('Comment body is empty')
+    if (replyTo) {
+      let target = schema.getActiveComments(this.doc, itemIdentity)[replyTo]
+      if (!target) throw new Error(`No comment ${replyTo} on ${itemIdentity.slice(0, 8)}`)
+      parent = target.parent
+    }
+    let uuid = identity.generateCommentUUID()
+    this.doc.transact(() => {
+      schema.setComment(this.doc, itemIdentity, uuid, {
+        parent: parent || itemIdentity,
+        replyTo: replyTo || null,
+        body: String(body).trim()
+      }, this._stableUserId, this.vault.nextPushSeq())
+    }, this.LOCAL_ORIGIN)
+    this._remoteAnnotationsDirty = true
+    return uuid
+  }
+
+  /**
+   * Mark a comment resolved (or reopen it with resolved = false). Anyone
+   * in the room may.
+   */
+  resolveComment(identity, uuid, resolved = true) {
+    this._requireWritable()
+    let changed = false
+    this.doc.transact(() => {
+      changed = schema.setCommentResolved(this.doc, identity, uuid, resolved,
+        this._stableUserId, this.vault.nextPushSeq())
+    }, this.LOCAL_ORIGIN)
+    if (changed) this._remoteAnnotationsDirty = true
+    return changed
+  }
+
+  /**
+   * Retract one of our own comments. Replies to it stay, under a
+   * placeholder.
+   */
+  retractComment(identity, uuid) {
+    this._requireWritable()
+    let comment = schema.getComments(this.doc, identity)[uuid]
+    if (!comment) throw new Error(`No comment ${uuid} on ${identity.slice(0, 8)}`)
+    if (comment.author !== this._stableUserId) {
+      throw new Error(`Only ${comment.author} can retract comment ${uuid}`)
+    }
+    let removed = false
+    this.doc.transact(() => {
+      removed = schema.removeComment(this.doc, identity, uuid,
+        this._stableUserId, this.vault.nextPushSeq())
+    }, this.LOCAL_ORIGIN)
+    if (removed) this._remoteAnnotationsDirty = true
+    return removed
+  }
+
+  // --- Review workflow ---
+
+  getWorkflow() {
+    return workflows.getWorkflow(this.doc)
+  }
+
+  /**
+   * Replace the room's workflow (see workflow.js for the definition).
+   * Transitions already made are replayed against the new one.
+   */
+  async setWorkflow(def) {
+    this._requireWritable()
+    let workflow
+    this.doc.transact(() => {
+      workflow = workflows.setWorkflow(this.doc, def)
+    }, this.LOCAL_ORIGIN)
+    await this._refreshStatuses()
+    return workflow
+  }
+
+  /**
+   * An item's review status: { state, setBy, setAt, history } where
+   * history lists the transitions that led there.
+   */
+  getItemStatus(identity) {
+    if (!this.doc) throw new Error('Sync engine not started')
+    let { state, setBy, setAt, accepted } = workflows.resolveStatus(
+      schema.getStatusTransitions(this.doc, identity), this.getWorkflow())
+    return { state, setBy, setAt, history: accepted }
+  }
+
+  /**
+   * Move an item to another review state. Throws if the room's workflow
+   * does not allow it from the current one.
+   */
+  async setItemStatus(identity, state) {
+    this._requireWritable()
+    let workflow = this.getWorkflow()
+    let { state: current, history } = this.getItemStatus(identity)
+    if (!workflow.states.includes(state)) throw new Error(`Unknown status: ${state}`)
+    if (!workflows.canTransition(workflow, current, state)) {
+      throw new Error(`Invalid status transition: ${current} → ${state}`)
+    }
+    this.doc.transact(() => {
+      let last = history[history.length - 1]
+      schema.addStatusTransition(this.doc, identity, current, state,
+        this._stableUserId, this.vault.nextPushSeq(), last ? last.id : null)
+    }, this.LOCAL_ORIGIN)
+    this._log(`status of ${identity.slice(0, 8)}: ${current} → ${state}`)
+    await this._refreshStatuses()
+    return this.getItemStatus(identity)
+  }
+
+  /**
+   * Bring the lists and tags that show review status in Tropy in line
+   * with the CRDT, and log transitions the workflow refuses.
+   */
+  async _refreshStatuses() {
+    if (!this.doc) return
+    let workflow = this.getWorkflow()
+    if (!this._refusedTransitions) this._refusedTransitions = new Set()
+
+    for (let [id, local] of this.localIndex) {
+      let { state, refused } = workflows.resolveStatus(
+        schema.getStatusTransitions(this.doc, id), workflow)
+
+      for (let t of refused) {
+        let key = `${id}:${t.id}`
+        if (this._refusedTransitions.has(key)) continue
+        this._refusedTransitions.add(key)
+        this._logConflict('status', id, t.to, {
+          from: t.from,
+          author: t.author,
+          resolution: 'refused'
+        })
+      }
+
+      let shown = this.vault.getAppliedStatus(id) || workflow.initial
+      if (shown === state && this.vault.getAppliedStatus(id)) continue
+      try {
+        await this._showStatus(local.localId, shown, state, workflow)
+        this.vault.markStatusApplied(id, state)
+      } catch (err) {
+        this.logger.warn({ error: String(err.message || err) }, `Failed to show status of ${id.slice(0, 8)}`)
+      }
+    }
+  }
+
+  // Move a local item from the list/tag of one state to those of another
+  async _showStatus(localId, from, to, workflow) {
+    let prev = from !== to ? workflow.local[from] : null
+    let next = workflow.local[to]
+    if (!prev && !next) return
+
+    if (this.adapter) {
+      if (prev && prev.list) {
+        let listId = await this._localListId(prev.list, false)
+        if (listId != null) await this.adapter.removeItemsFromList(listId, [localId])
+      }
+      if (next && next.list) {
+        let listId = await this._localListId(next.list, true)
+        if (listId != null) await this.adapter.addItemsToList(listId, [localId])
+      }
+    }
+
+    if ((prev && prev.tag) || (next && next.tag)) {
+      let tags = this.adapter ? this.adapter.getAllTags() : (await this.api.getTags()) || []
+      let find = (name) => tags.find(t => t.name && t.name.toLowerCase() === name.toLowerCase())
+      if (prev && prev.tag) {
+        let tag = find(prev.tag)
+        if (tag) await this.api.removeTagsFromItem(localId, [tag.id])
+      }
+      if (next && next.tag) {
+        let tag = find(next.tag)
+        if (tag) await this.api.addTagsToItem(localId, [tag.id])
+        else await this.api.createTag(next.tag, null, [localId])
+      }
+    }
+  }
+
+  // --- Field history ---
+
+  getHistoryConfig() {
+    return schema.getHistoryRetention(this.doc || new Y.Doc())
+  }
+
+  /**
+   * Turn field history on or off for the room and set its retention:
+   * { enabled, maxEntries (per property), maxAgeDays }.
+   */
+  setHistoryConfig(config) {
+    this._requireWritable()
+    let retention
+    this.doc.transact(() => {
+      retention = schema.setHistoryRetention(this.doc, config)
+    }, this.LOCAL_ORIGIN)
+    return retention
+  }
+
+  /**
+   * Values an item property had, newest first, with who wrote them and
+   * when: [{ text, type, language, author, authorName, pushSeq, at }].
+   */
+  getFieldHistory(identity, propertyUri) {
+    if (!this.doc) throw new Error('Sync engine not started')
+    return schema.getFieldHistory(this.doc, identity, propertyUri)
+      .map(e => ({ ...e, authorName: e.author ? this._resolveDisplayName(e.author) : null }))
+  }
+
+  /**
+   * Show a property's history in Tropy: in the item's troparcel:history
+   * field (as: 'field', the default) or in a history note on its first
+   * photo (as: 'note'), updated in place when shown again. Local only.
+   */
+  async showFieldHistory(identity, propertyUri, { as = 'field' } = {}) {
+    let entries = this.getFieldHistory(identity, propertyUri)
+    let local = this.localIndex.get(identity)
+    if (!local) throw new Error(`Item ${identity.slice(0, 8)} is not in the local project`)
+    let name = (id) => this._resolveDisplayName(id)
+
+    if (this.adapter) this.adapter.suppressChanges()
+    try {
+      if (as === 'note') {
+        await this._writeMarkedNote(identity, local, `[troparcel:history ${propertyUri}]`,
+          renderHistoryNote(propertyUri, entries, name))
+      } else {
+        let text = summarizeHistory(propertyUri, entries, name)
+        await this.api.saveMetadata(local.localId, { [HISTORY_URI]: { text, type: 'text' } })
+      }
+    } finally {
+      if (this.adapter) this.adapter.resumeChanges()
+    }
+    return entries
+  }
+
+  /**
+   * Write a generated, local-only note on an item's first photo, or
+   * replace the one carrying the same `marker` (a [troparcel:…] tag,
+   * which also keeps the note from being pushed).
+   */
+  async _writeMarkedNote(identity, local, marker, html) {
+    if (!this.adapter) throw new Error('Generated notes need the Tropy store')
+    let noteId = this._findMarkedNote(local, marker)
+    if (noteId != null) return this.adapter.updateNote(noteId, { html })
+    let photos = [].concat(local.item.photo || [])
+    let photoId = photos[0] && (photos[0]['@id'] || photos[0].id)
+    if (!photoId) throw new Error(`Item ${identity.slice(0, 8)} has no photo for a note`)
+    return this.adapter.createNote({ photo: Number(photoId), html })
+  }
+
+  // Local id of the generated note carrying `marker` on an item's photos
+  _findMarkedNote(local, marker) {
+    let photos = [].concat(local.item.photo || [])
+    let photoIds = new Set(photos.map(p => Number(p['@id'] || p.id)))
+    for (let [id, note] of Object.entries(this.adapter._getState().notes || {})) {
+      if (note && photoIds.has(Number(note.photo)) && (note.text || '').includes(marker)) return Number(id)
+    }
+    return null
+  }
+
+  // --- Room snapshots (time travel) ---
+
+  // The room's loaded items; unloaded v5 items are left out
+  _currentItems() {
+    let items = {}
+    if (!this.doc) return items
+    for (let identity of schema.getIdentities(this.doc)) {
+      let item = schema.getItemSnapshot(this.doc, identity)
+      if (item) items[identity] = item
+    }
+    return items
+  }
+
+  // The room's items for snapshots and diffs. An item whose subdoc is
+  // not loaded here (selective sync) keeps its entry from the newest
+  // snapshot, so it does not look removed, then added back, as it is
+  // unloaded and loaded again.
+  async _snapshotItems() {
+    let items = {}
+    if (!this.doc) return items
+    let identities = schema.getIdentities(this.doc).sort()
+    let unloaded = []
+    for (let identity of identities) {
+      let item = schema.getItemSnapshot(this.doc, identity)
+      if (item) items[identity] = item
+      else unloaded.push(identity)
+    }
+    let newest = unloaded.length > 0 && this.snapshots.newest()
+    if (!newest) return items
+
+    let { items: previous } = await this.snapshots.get(newest.id)
+    let result = {}
+    for (let identity of identities) {
+      let item = items[identity] || previous[identity]
+      if (item) result[identity] = item
+    }
+    return result
+  }
+
+  listSnapshots() {
+    return this.snapshots.list()
+  }
+
+  /**
+   * Record a snapshot of the room now. A label (e.g. "submitted to the
+   * editor") stores it even when nothing changed since the last one.
+   */
+  async recordSnapshot(label = '') {
+    if (!this.doc) throw new Error('Sync engine not started')
+    return this.snapshots.record(await this._snapshotItems(), { reason: 'manual', label })
+  }
+
+  // Snapshot after a sync cycle, per the roomSnapshots option
+  async _autoSnapshot() {
+    let mode = this.options.roomSnapshots
+    if (mode !== 'sync' && mode !== 'daily') return
+    let newest = this.snapshots.newest()
+    if (mode === 'daily' && newest && Date.now() - Date.parse(newest.createdAt) < 24 * 60 * 60 * 1000) return
+    try {
+      let snapshot = await this.snapshots.record(await this._snapshotItems(), { reason: mode })
+      if (snapshot) this._debug(`room snapshot ${snapshot.id} (${snapshot.items} item(s))`)
+    } catch (err) {
+      this.logger.warn({ error: String(err.message || err) }, 'Failed to record room snapshot')
+    }
+  }
+
+  /**
+   * What changed between two snapshots, or between one and now (to =
+   * null). `from` and `to` are snapshot ids or times (Date or ms; the
+   * newest snapshot taken by then is used). Returns the JSON report of
+   * server/room-diff.js with the two snapshots as `from` and `to`.
+   */
+  async diffSnapshots(from, to = null) {
+    let resolve = (ref) => {
+      if (typeof ref === 'string') return ref
+      let snapshot = this.snapshots.at(ref)
+      if (!snapshot) throw new Error(`No snapshot taken by ${new Date(ref).toISOString()}`)
+      return snapshot.id
+    }
+    return this.snapshots.diff(resolve(from), to == null ? null : resolve(to), to == null ? await this._snapshotItems() : null)
+  }
+
+  /**
+   * Write a diff report (diffSnapshots()) into Tropy as one changelog
+   * note per changed local item, replacing the previous changelog note.
+   * Returns the number of notes written.
+   */
+  async writeChangelogNotes(report) {
+    let written = 0
+    if (this.adapter) this.adapter.suppressChanges()
+    try {
+      for (let identity of Object.keys(report.items)) {
+        let local = this.localIndex.get(identity)
+        if (!local) continue
+        await this._writeMarkedNote(identity, local, '[troparcel:changelog]',
+          renderChangelogNote(report, identity, id => this._resolveDisplayName(id)))
+        written++
+      }
+    } finally {
+      if (this.adapter) this.adapter.resumeChanges()
+    }
+    return written
+  }
+
+  // --- Revert ---
+
+  /**
+   * Revert what collaborator `userId` wrote since `since`: a push
+   * sequence number, or a time (Date, ms or ISO string). Prior values
+   * come from the field history and this client's room snapshots (see
+   * server/revert.js for the rules). With dryRun (the default) nothing
+   * is written and the plan is returned for review; otherwise its
+   * changes go out in one update authored by "revert:<this user>", so
+   * every client applies them, the collaborator's own included.
+   * Removals keep the entry's author and carry the reverter as
+   * `revertedBy` (see schema.revertRemoval()). Returns
+   * the plan with `applied`, the number of changes written.
+   */
+  async revertAuthor(userId, since, { dryRun = true } = {}) {
+    if (!this.doc) throw new Error('Sync engine not started')
+    if (!userId) throw new Error('revertAuthor needs the user id to revert')
+    if (!dryRun) this._requireWritable()
+    let from = typeof since === 'number' ? { pushSeq: since } : { time: new Date(since).getTime() }
+    if (Number.isNaN(from.time)) throw new Error(`Invalid revert time: ${since}`)
+
+    let current = this._currentItems()
+    for (let identity of Object.keys(current)) {
+      current[identity].metadataHistory = schema.getMetadataHistory(this.doc, identity)
+    }
+    let earlier = []
+    for (let snapshot of this.snapshots.list()) {
+      if (from.time != null && Date.parse(snapshot.createdAt) > from.time) continue
+      let { items } = await this.snapshots.get(snapshot.id)
+      earlier.push({ createdAt: snapshot.createdAt, items })
+    }
+
+    let plan = planRevert(current, userId, from, earlier)
+    if (dryRun || plan.changes.length === 0) return { ...plan, applied: 0 }
+
+    let author = `revert:${this._stableUserId}`
+    let pushSeq = this.vault.nextPushSeq()
+    this.doc.transact(() => {
+      for (let change of plan.changes) this._writeRevert(change, author, pushSeq)
+    }, this.LOCAL_ORIGIN)
+    this._remoteAnnotationsDirty = true
+    this._log(`reverted ${plan.changes.length} change(s) by ${userId} on ${plan.summary.items} item(s)`)
+    return { ...plan, applied: plan.changes.length }
+  }
+
+  // One planned revert change, written through the schema setters
+  _writeRevert(change, author, pushSeq) {
+    let { identity, section, key } = change
+    let value = revertValue(change)
+    let split = (sep) => [key.slice(0, key.indexOf(sep)), key.slice(key.indexOf(sep) + 1)]
+
+    switch (section) {
+      case 'metadata':
+        return schema.setMetadata(this.doc, identity, key, value, author, pushSeq)
+      case 'photos': {
+        let [checksum, prop] = split(' ')
+        return schema.setPhotoMetadata(this.doc, identity, checksum, prop, value, author, pushSeq)
+      }
+      case 'selectionMeta': {
+        let [sel, prop] = split(':')
+        return schema.setSelectionMeta(this.doc, identity, sel, prop, value, author, pushSeq)
+      }
+    }
+    if (change.action === 'remove') {
+      return schema.revertRemoval(this.doc, identity, section, key, author, pushSeq)
+    }
+    switch (section) {
+      case 'tags':
+        return schema.setTag(this.doc, identity, value, author, pushSeq)
+      case 'notes':
+        return schema.setNote(this.doc, identity, key, value, author, pushSeq)
+      case 'selections':
+        return schema.setSelection(this.doc, identity, key, value, author, pushSeq)
+      case 'selectionNotes': {
+        let [sel, note] = split(':')
+        return schema.setSelectionNote(this.doc, identity, sel, note, value, author, pushSeq)
+      }
+      case 'transcriptions':
+        return schema.setTranscription(this.doc, identity, key, value, author, pushSeq)
+      case 'lists':
+        return schema.setListMembership(this.doc, identity, key, value.name, author, pushSeq)
+    }
+  }
+
+  // --- Bootstrap from a photo folder ---
+
+  /**
+   * Import the room's items from a local photo folder: hash the photos
+   * in `folder`, match them against the room's item checksums and import
+   * the matches into Tropy, grouped as the room groups them, then run a
+   * sync cycle so the new items get their annotations (see bootstrap.js).
+   * Items with only some photos in the folder are left out unless
+   * `partial` is set; items already in the project are never imported
+   * again. With dryRun nothing is imported. Returns the plan with
+   * `folder`, `scanned` and `imported`, the number of items imported.
+   */
+  async bootstrapFromFolder(folder, { dryRun = false, partial = false, recursive = true } = {}) {
+    if (!this.doc) throw new Error('Sync engine not started')
+    if (!folder) throw new Error('bootstrapFromFolder needs a folder')
+    if (!dryRun) this._requireWritable()
+
+    let paths = await scanFolder(folder, { recursive })
+    let files = new Map()
+    for (let file of paths) {
+      try {
+        let checksum = await checksumFile(file)
+        if (!files.has(checksum)) files.set(checksum, file)
+      } catch (err) {
+        this.logger.warn(`[troparcel:bootstrap] could not read ${file}: ${err.message}`)
+      }
+    }
+
+    let local = new Set()
+    let localItems = this.adapter
+      ? this.readAllItemsFull()
+      : Array.from(this.localIndex.values(), l => l.item)
+    for (let item of localItems) {
+      for (let checksum of identity.buildPhotoChecksumMap(item).values()) local.add(checksum)
+    }
+
+    let room = schema.getIdentities(this.doc)
+      .map(id => ({ identity: id, checksums: schema.getItemChecksums(this.doc, id) }))
+    let plan = planBootstrap(room, files, local, { partial })
+    let report = { folder, scanned: paths.length, ...plan, imported: 0 }
+    if (dryRun || plan.items.length === 0) return report
+
+    await this.api.importLocalFiles(importData(plan.items), folder)
+    report.imported = plan.items.length
+    this._log(`bootstrap: imported ${plan.items.length} item(s) from ${folder}`)
+
+    // The new local identities pick up their annotations on the next cycle
+    this._remoteAnnotationsDirty = true
+    await this.syncOnce()
+    return report
+  }
+
   // --- Status ---
 
   // P5: Uses cached annotation count instead of serializing whole doc
@@ -1585,16 +3409,25 @@ class SyncEngine {
       state: this.state,
       lastSync: this.lastSync,
       room: this.options.room,
-      server: this.options.serverUrl,
+      transport: this.transport ? this.transport.transportName : (this.options.transport || 'websocket'),
+      server: this._transportAddress(),
+      online: this.online,
+      offlinePersistence: this.docStore != null,
+      encrypted: !!this.options.roomPassphrase,
       syncMode: this.options.syncMode,
       clientId: this.doc ? this.doc.clientID : null,
       localItems: this.localIndex.size,
+      schemaVersion: this.doc ? schema.checkSchemaVersion(this.doc).version : null,
+      readOnly: this.readOnly,
+      readOnlyReason: this.readOnlyReason,
+      loadedItems: this.itemDocs ? this.itemDocs.loadedCount : null,
       crdtItems: this.vault.annotationCount,
       peerCount: this.peerCount,
       watching: this.fileWatcher != null || this._storeUnsubscribe != null,
       storeAvailable: this.adapter != null,
       projectPath: this.projectPath,
-      consecutiveErrors: this._consecutiveErrors
+      consecutiveErrors: this._consecutiveErrors,
+      openConflicts: this.conflicts.list().length
     }
   }
 }
@@ -69,6 +69,11 @@ module.exports = {
     CREATE: 'selection.create'                   // selection.js#CREATE
   },
 
+  // tropy/src/constants/transcription.js
+  TRANSCRIPTION: {
+    SAVE: 'transcription.save'                   // transcription.js#SAVE
+  },
+
   // tropy/src/constants/list.js
   LIST: {
     CREATE: 'list.create',                       // list.js#CREATE
@@ -18,6 +18,8 @@ const Y = require('yjs')
  *   - Push sequence counter: monotonic per-author counter (replaces wall-clock ts)
  *   - Logic-based conflict tracking: "did I edit this since last push?"
  *   - Dismissed keys: locally-dismissed remote deletions
+ *   - Missing items: room items with no local match, retried each cycle
+ *   - Item matches: weak-matcher proposals, confirmed links, rejections
  *
  * Size-bounded: all collections have configurable max sizes with LRU-style
  * eviction to prevent unbounded memory growth.
@@ -86,6 +88,38 @@ class SyncVault {
     // Used to detect local edits before overwriting with remote content.
     this.appliedNoteHashes = new Map()  // crdtKey -> FNV-1a hash of applied HTML
 
+    // Rich-text notes: the content local and CRDT last agreed on, the
+    // common ancestor of note merges (see note-content.js mergeDocs)
+    this.noteBases = new Map()  // crdtKey -> note HTML without footer
+
+    // Shared-text transcriptions: same, the base of text merges
+    this.transcriptionBases = new Map()  // crdtKey -> transcription text
+
+    // Metadata: hash of the value local and CRDT last agreed on per field.
+    // A field both sides changed since is a conflict (see crdt-schema.js).
+    this.metadataBases = new Map()  // `${identity}:${field}` -> value hash
+
+    // Comments: the local thread note rendered for each discussed parent
+    // (see comments.js) and the hash of the HTML last written to it
+    this.commentThreads = new Map()  // `${identity} ${parent}` -> {noteId, hash}
+
+    // Review status last shown in Tropy (lists/tags, see workflow.js)
+    this.appliedStatuses = new Map()  // identity -> state
+
+    // Room items with no exact, alias or fuzzy local match (the photos
+    // are not in this project), see missing-items.js
+    this.missingItems = new Map()  // identity -> {checksums, title, identifier, authors, firstSeen, lastChecked, checks}
+
+    // Weak item matches (see matchers.js): proposals waiting for the
+    // user, confirmed links from a room identity to a local item, and
+    // rejected pairs, which are not proposed again
+    this.matchCandidates = new Map()  // identity -> {localId, localIdentity, matcher, score, detectedAt}
+    this.itemLinks = new Map()        // identity -> {localId, matcher, linkedAt}
+    this.rejectedMatches = new Set()  // `${identity} ${localId}`
+
+    // Perceptual hashes of local photos (phash matcher)
+    this.photoHashes = new Map()  // checksum -> dHash hex
+
     // v4: Original authors — maps CRDT key -> author userId.
     // Recorded when content is first seen (push or apply).
     // Used for apply-side tombstone validation (defense-in-depth).
@@ -258,6 +292,16 @@ class SyncVault {
     return this.crdtKeyToNoteId.get(crdtKey) || null
   }
 
+  // Forget a local note id's key, so its next push gets a new one
+  releaseNoteKey(localNoteId) {
+    let id = String(localNoteId)
+    let crdtKey = this.noteIdToCrdtKey.get(id)
+    if (!crdtKey) return
+    this.noteIdToCrdtKey.delete(id)
+    if (this.crdtKeyToNoteId.get(crdtKey) === id) this.crdtKeyToNoteId.delete(crdtKey)
+    this._dirty = true
+  }
+
   // --- Stable transcription identity ---
 
   getTxKey(localTxId, fallbackKey) {
@@ -348,6 +392,190 @@ class SyncVault {
     return lastApplied !== this._fastHash(currentHtml)
   }
 
+  /**
+   * Record the note content the local note and the CRDT last agreed on.
+   * Kept as full HTML (not a hash): it is the base of three-way merges.
+   */
+  markNoteBase(crdtKey, html) {
+    if (!this.noteBases.has(crdtKey)) this._evictIfNeeded(this.noteBases, MAX_ID_MAPPINGS)
+    if (this.noteBases.get(crdtKey) === html) return
+    this.noteBases.set(crdtKey, html)
+    this._dirty = true
+  }
+
+  getNoteBase(crdtKey) {
+    let base = this.noteBases.get(crdtKey)
+    return base == null ? null : base
+  }
+
+  /**
+   * Record the transcription text the local transcription and the CRDT
+   * last agreed on (the base of diff3 mergeText).
+   */
+  markTranscriptionBase(crdtKey, text) {
+    if (!this.transcriptionBases.has(crdtKey)) {
+      this._evictIfNeeded(this.transcriptionBases, MAX_ID_MAPPINGS)
+    }
+    if (this.transcriptionBases.get(crdtKey) === text) return
+    this.transcriptionBases.set(crdtKey, text)
+    this._dirty = true
+  }
+
+  getTranscriptionBase(crdtKey) {
+    let base = this.transcriptionBases.get(crdtKey)
+    return base == null ? null : base
+  }
+
+  markMetadataBase(identity, field, valueHash) {
+    let key = `${identity}:${field}`
+    if (this.metadataBases.get(key) === valueHash) return
+    if (!this.metadataBases.has(key)) this._evictIfNeeded(this.metadataBases, MAX_ID_MAPPINGS)
+    this.metadataBases.set(key, valueHash)
+    this._dirty = true
+  }
+
+  getMetadataBase(identity, field) {
+    let base = this.metadataBases.get(`${identity}:${field}`)
+    return base == null ? null : base
+  }
+
+  setCommentThread(identity, parent, noteId, hash) {
+    let key = `${identity} ${parent}`
+    if (!this.commentThreads.has(key)) this._evictIfNeeded(this.commentThreads, MAX_ID_MAPPINGS)
+    this.commentThreads.set(key, { noteId, hash: hash || null })
+    this._dirty = true
+  }
+
+  getCommentThread(identity, parent) {
+    return this.commentThreads.get(`${identity} ${parent}`) || null
+  }
+
+  /**
+   * The { identity, parent } a local note renders, or null if it is no
+   * thread note.
+   */
+  getCommentThreadByNote(noteId) {
+    for (let [key, entry] of this.commentThreads) {
+      if (String(entry.noteId) === String(noteId)) {
+        let i = key.indexOf(' ')
+        return { identity: key.slice(0, i), parent: key.slice(i + 1) }
+      }
+    }
+    return null
+  }
+
+  markStatusApplied(identity, state) {
+    if (this.appliedStatuses.get(identity) === state) return
+    if (!this.appliedStatuses.has(identity)) this._evictIfNeeded(this.appliedStatuses, MAX_ID_MAPPINGS)
+    this.appliedStatuses.set(identity, state)
+    this._dirty = true
+  }
+
+  getAppliedStatus(identity) {
+    return this.appliedStatuses.get(identity) || null
+  }
+
+  // --- Missing items ---
+
+  /**
+   * Record that a room item has no local match. `info` ({ checksums,
+   * title, identifier, authors }) replaces what was recorded; without it
+   * only the check is counted. Returns true for an item not queued yet.
+   */
+  markMissing(identity, info = null) {
+    let prev = this.missingItems.get(identity)
+    if (!prev && !info) return false
+    let now = new Date().toISOString()
+    if (!prev) this._evictIfNeeded(this.missingItems, MAX_ID_MAPPINGS)
+    this.missingItems.set(identity, {
+      ...(prev || {}),
+      ...(info || {}),
+      firstSeen: prev ? prev.firstSeen : now,
+      lastChecked: now,
+      checks: prev ? prev.checks + 1 : 1
+    })
+    this._dirty = true
+    return !prev
+  }
+
+  /**
+   * Take an item off the missing queue (it matched, or left the room).
+   */
+  clearMissing(identity) {
+    if (!this.missingItems.delete(identity)) return false
+    this._dirty = true
+    return true
+  }
+
+  getMissingItems() {
+    return Array.from(this.missingItems, ([identity, entry]) => ({ identity, ...entry }))
+  }
+
+  // --- Item matches ---
+
+  /**
+   * Propose `candidate` ({ localId, localIdentity, matcher, score }) as
+   * the local item of a room identity. Returns true when it is a new
+   * proposal; pairs the user rejected are not proposed again.
+   */
+  proposeMatch(identity, candidate) {
+    if (this.rejectedMatches.has(`${identity} ${candidate.localId}`)) return false
+    let prev = this.matchCandidates.get(identity)
+    if (prev && prev.localId === candidate.localId && prev.matcher === candidate.matcher) return false
+    if (!prev) this._evictIfNeeded(this.matchCandidates, MAX_ID_MAPPINGS)
+    this.matchCandidates.set(identity, { ...candidate, detectedAt: new Date().toISOString() })
+    this._dirty = true
+    return true
+  }
+
+  getMatchCandidates() {
+    return Array.from(this.matchCandidates, ([identity, c]) => ({ identity, ...c }))
+  }
+
+  /**
+   * Remove and return the proposal for a room identity, or null.
+   */
+  takeMatchCandidate(identity) {
+    let candidate = this.matchCandidates.get(identity)
+    if (!candidate) return null
+    this.matchCandidates.delete(identity)
+    this._dirty = true
+    return candidate
+  }
+
+  linkItem(identity, localId, matcher) {
+    if (!this.itemLinks.has(identity)) this._evictIfNeeded(this.itemLinks, MAX_ID_MAPPINGS)
+    this.itemLinks.set(identity, { localId, matcher, linkedAt: new Date().toISOString() })
+    this.rejectedMatches.delete(`${identity} ${localId}`)
+    this._dirty = true
+  }
+
+  unlinkItem(identity) {
+    if (!this.itemLinks.delete(identity)) return false
+    this._dirty = true
+    return true
+  }
+
+  getItemLink(identity) {
+    return this.itemLinks.get(identity) || null
+  }
+
+  rejectMatch(identity, localId) {
+    this.rejectedMatches.add(`${identity} ${localId}`)
+    this._dirty = true
+  }
+
+  isMatchRejected(identity, localId) {
+    return this.rejectedMatches.has(`${identity} ${localId}`)
+  }
+
+  setPhotoHash(checksum, hash) {
+    if (this.photoHashes.get(checksum) === hash) return
+    if (!this.photoHashes.has(checksum)) this._evictIfNeeded(this.photoHashes, MAX_ID_MAPPINGS)
+    this.photoHashes.set(checksum, hash)
+    this._dirty = true
+  }
+
   // --- Original author tracking (v4) ---
 
   /**
@@ -531,6 +759,16 @@ class SyncVault {
         dismissedKeys: Array.from(this.dismissedKeys.entries()),
         retractedNoteKeys: Array.from(this.retractedNoteKeys),
         appliedNoteHashes: Array.from(this.appliedNoteHashes.entries()),
+        noteBases: Array.from(this.noteBases.entries()),
+        transcriptionBases: Array.from(this.transcriptionBases.entries()),
+        metadataBases: Array.from(this.metadataBases.entries()),
+        commentThreads: Array.from(this.commentThreads.entries()),
+        appliedStatuses: Array.from(this.appliedStatuses.entries()),
+        missingItems: Array.from(this.missingItems.entries()),
+        matchCandidates: Array.from(this.matchCandidates.entries()),
+        itemLinks: Array.from(this.itemLinks.entries()),
+        rejectedMatches: Array.from(this.rejectedMatches),
+        photoHashes: Array.from(this.photoHashes.entries()),
         originalAuthors: Array.from(this.originalAuthors.entries()),
         // v6: Template/list push hashes + list UUID mappings
         pushedTemplateHashes: Array.from(this.pushedTemplateHashes.entries()),
@@ -639,6 +877,37 @@ class SyncVault {
       if (Array.isArray(data.appliedNoteHashes)) {
         for (let [k, v] of data.appliedNoteHashes) this.appliedNoteHashes.set(k, v)
       }
+      // Restore rich-text note merge bases
+      if (Array.isArray(data.noteBases)) {
+        for (let [k, v] of data.noteBases) this.noteBases.set(k, v)
+      }
+      if (Array.isArray(data.transcriptionBases)) {
+        for (let [k, v] of data.transcriptionBases) this.transcriptionBases.set(k, v)
+      }
+      if (Array.isArray(data.metadataBases)) {
+        for (let [k, v] of data.metadataBases) this.metadataBases.set(k, v)
+      }
+      if (Array.isArray(data.commentThreads)) {
+        for (let [k, v] of data.commentThreads) this.commentThreads.set(k, v)
+      }
+      if (Array.isArray(data.appliedStatuses)) {
+        for (let [k, v] of data.appliedStatuses) this.appliedStatuses.set(k, v)
+      }
+      if (Array.isArray(data.missingItems)) {
+        for (let [k, v] of data.missingItems) this.missingItems.set(k, v)
+      }
+      if (Array.isArray(data.matchCandidates)) {
+        for (let [k, v] of data.matchCandidates) this.matchCandidates.set(k, v)
+      }
+      if (Array.isArray(data.itemLinks)) {
+        for (let [k, v] of data.itemLinks) this.itemLinks.set(k, v)
+      }
+      if (Array.isArray(data.rejectedMatches)) {
+        for (let k of data.rejectedMatches) this.rejectedMatches.add(k)
+      }
+      if (Array.isArray(data.photoHashes)) {
+        for (let [k, v] of data.photoHashes) this.photoHashes.set(k, v)
+      }
       // v4: Restore original authors
       if (Array.isArray(data.originalAuthors)) {
         for (let [k, v] of data.originalAuthors) this.originalAuthors.set(k, v)
@@ -688,6 +957,16 @@ class SyncVault {
     this.dismissedKeys.clear()
     this.retractedNoteKeys.clear()
     this.appliedNoteHashes.clear()
+    this.noteBases.clear()
+    this.transcriptionBases.clear()
+    this.metadataBases.clear()
+    this.commentThreads.clear()
+    this.appliedStatuses.clear()
+    this.missingItems.clear()
+    this.matchCandidates.clear()
+    this.itemLinks.clear()
+    this.rejectedMatches.clear()
+    this.photoHashes.clear()
     this.originalAuthors.clear()
     this.pushedTemplateHashes.clear()
     this.pushedListHashes.clear()
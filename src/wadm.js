@@ -0,0 +1,32 @@
+'use strict'
+
+const schema = require('./crdt-schema')
+const { toAnnotationCollection } = require('../server/wadm')
+
+/**
+ * W3C Web Annotation export of the room doc — the plugin-side
+ * counterpart of the server's GET /api/rooms/:name/export?format=wadm.
+ * Both build on the same converter (server/wadm.js).
+ *
+ * @param {Y.Doc} doc
+ * @param {Object} [options]
+ * @param {string} [options.room] - Room name for the collection id/label
+ * @param {string[]} [options.identities] - Only export these items (default: all)
+ * @param {string} [options.id] - Collection IRI
+ * @param {string} [options.sourcePrefix] - Prefix turning a photo checksum into a target IRI
+ * @param {Function} [options.displayName] - author id → display name, or null if unknown
+ * @returns {Object} AnnotationCollection (JSON-LD)
+ */
+function exportWebAnnotations(doc, options = {}) {
+  let identities = options.identities || schema.getIdentities(doc)
+  let items = {}
+  for (let identity of identities) {
+    let item = schema.getItemSnapshot(doc, identity)
+    if (!item) continue
+    item.checksums = schema.getItemChecksums(doc, identity)
+    items[identity] = item
+  }
+  return toAnnotationCollection(items, options)
+}
+
+module.exports = { exportWebAnnotations }
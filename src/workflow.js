@@ -0,0 +1,159 @@
+'use strict'
+
+const schema = require('./crdt-schema')
+
+/**
+ * Review workflow — the room-wide status of each item (draft, reviewed,
+ * approved, …) and the state machine it moves through.
+ *
+ * The state machine is room config ("workflow" in the room map, see
+ * crdt-schema.js setRoomConfig), so everyone in a room uses the same one:
+ *
+ *   {
+ *     states: ['draft', 'review', 'approved'],
+ *     initial: 'draft',
+ *     transitions: { draft: ['review'], review: ['approved', 'draft'], approved: ['review'] },
+ *     local: { review: { list: 'Needs review' }, approved: { tag: 'approved' } }
+ *   }
+ *
+ * `local` says how a state shows in Tropy: items in a state are put in
+ * its list and/or given its tag, and taken out when they leave it. Those
+ * lists and tags are managed by the engine and never synced themselves.
+ *
+ * An item's status is not stored as a value but as the transitions
+ * people made (item section "status", see addStatusTransition). Each one
+ * names the transition it followed (`after`), so every client replays
+ * the same chain from the initial state without trusting anyone's clock.
+ * A transition the workflow does not allow from the state reached, such
+ * as one pushed by an older client, or one that lost a race with a
+ * concurrent transition after the same one, is refused by everyone alike.
+ */
+
+const DEFAULT_WORKFLOW = {
+  states: ['draft', 'review', 'approved'],
+  initial: 'draft',
+  transitions: {
+    draft: ['review'],
+    review: ['approved', 'draft'],
+    approved: ['review']
+  },
+  local: {
+    review: { list: 'Needs review' }
+  }
+}
+
+/**
+ * Check a workflow definition; returns it with defaults filled in or
+ * throws on an inconsistent one.
+ */
+function normalizeWorkflow(def) {
+  if (!def) def = DEFAULT_WORKFLOW
+  let states = Array.isArray(def.states) ? def.states.map(String) : []
+  if (states.length === 0) throw new Error('Workflow needs at least one state')
+  let initial = def.initial || states[0]
+  if (!states.includes(initial)) throw new Error(`Unknown initial state: ${initial}`)
+
+  let transitions = {}
+  for (let [from, targets] of Object.entries(def.transitions || {})) {
+    if (!states.includes(from)) throw new Error(`Unknown state in transitions: ${from}`)
+    for (let to of targets || []) {
+      if (!states.includes(to)) throw new Error(`Unknown state in transitions: ${to}`)
+    }
+    transitions[from] = [...(targets || [])]
+  }
+
+  let local = {}
+  for (let [state, target] of Object.entries(def.local || {})) {
+    if (!states.includes(state)) throw new Error(`Unknown state in local mapping: ${state}`)
+    if (target && (target.list || target.tag)) {
+      local[state] = { list: target.list || null, tag: target.tag || null }
+    }
+  }
+  return { states, initial, transitions, local }
+}
+
+/**
+ * The room's workflow; the default one if the room has none or its
+ * definition is broken.
+ */
+function getWorkflow(doc) {
+  try {
+    return normalizeWorkflow(schema.getRoomConfig(doc).workflow)
+  } catch {
+    return DEFAULT_WORKFLOW
+  }
+}
+
+function setWorkflow(doc, def) {
+  let workflow = normalizeWorkflow(def)
+  schema.setRoomConfig(doc, { workflow })
+  return workflow
+}
+
+function canTransition(workflow, from, to) {
+  return (workflow.transitions[from] || []).includes(to)
+}
+
+// Order of concurrent transitions: by their random id, the same on
+// every client whatever its clock says
+function _byId(a, b) {
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0
+}
+
+/**
+ * Replay an item's transitions. Starting from the initial state, each
+ * step takes the transitions made after the last one accepted and
+ * accepts the first (by id) the workflow allows; the rest are refused.
+ * Returns the state reached, who set it and when (null for the initial
+ * state), and the accepted and refused transitions.
+ */
+function resolveStatus(transitions, workflow) {
+  let following = new Map()
+  for (let t of transitions) {
+    let after = t.after || null
+    if (!following.has(after)) following.set(after, [])
+    following.get(after).push(t)
+  }
+
+  let state = workflow.initial
+  let setBy = null
+  let setAt = null
+  let accepted = []
+  let last = null
+  for (;;) {
+    let next = (following.get(last) || [])
+      .filter(t => t.from === state && canTransition(workflow, state, t.to))
+      .sort(_byId)[0]
+    if (!next) break
+    state = next.to
+    setBy = next.author
+    setAt = next.at
+    accepted.push(next)
+    last = next.id
+  }
+  let refused = transitions.filter(t => !accepted.includes(t)).sort(_byId)
+  return { state, setBy, setAt, accepted, refused }
+}
+
+/**
+ * Lists and tags the engine manages for a workflow (local only).
+ */
+function managedNames(workflow) {
+  let lists = new Set()
+  let tags = new Set()
+  for (let target of Object.values(workflow.local)) {
+    if (target.list) lists.add(target.list)
+    if (target.tag) tags.add(target.tag.toLowerCase())
+  }
+  return { lists, tags }
+}
+
+module.exports = {
+  DEFAULT_WORKFLOW,
+  normalizeWorkflow,
+  getWorkflow,
+  setWorkflow,
+  canTransition,
+  resolveStatus,
+  managedNames
+}
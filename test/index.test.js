@@ -72,6 +72,490 @@ describe('connection-string', () => {
   })
 })
 
+// ============================================================
+//  adapters/index.js + SyncEngine transport wiring
+// ============================================================
+
+describe('adapters', () => {
+  const fs = require('fs')
+  const os = require('os')
+  const path = require('path')
+  const Y = require('yjs')
+  const { createAdapter, WebSocketAdapter, FileAdapter, SnapshotAdapter } = require('../src/adapters')
+  const noopLogger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+
+  it('creates the adapter named by options.transport', () => {
+    let doc = new Y.Doc()
+    assert.ok(createAdapter(doc, { transport: 'file', syncDir: '/tmp' }, noopLogger) instanceof FileAdapter)
+    assert.ok(createAdapter(doc, { transport: 'snapshot', snapshotUrl: 'http://x/y' }, noopLogger) instanceof SnapshotAdapter)
+    assert.ok(createAdapter(doc, { transport: 'websocket', serverUrl: 'ws://x' }, noopLogger) instanceof WebSocketAdapter)
+  })
+
+  it('defaults to websocket when transport is unset', () => {
+    let adapter = createAdapter(new Y.Doc(), { serverUrl: 'ws://x' }, noopLogger)
+    assert.equal(adapter.transportName, 'websocket')
+  })
+
+  it('rejects unknown transports', () => {
+    assert.throws(() => createAdapter(new Y.Doc(), { transport: 'carrier-pigeon' }, noopLogger), /Unknown transport/)
+  })
+
+  it('gives the configured address of each transport', () => {
+    const { transportAddress } = require('../src/adapters')
+    let options = { syncDir: '/tmp/room', snapshotUrl: 'http://x/y', serverUrl: 'ws://x' }
+    assert.equal(transportAddress({ ...options, transport: 'File' }), '/tmp/room')
+    assert.equal(transportAddress({ ...options, transport: 'snapshot' }), 'http://x/y')
+    assert.equal(transportAddress(options), 'ws://x')
+  })
+
+  it('switches websocket to the encrypted adapter when a passphrase is set', () => {
+    const { EncryptedWebSocketAdapter } = require('../src/adapters')
+    let adapter = createAdapter(new Y.Doc(),
+      { serverUrl: 'ws://x', room: 'r', roomPassphrase: 'secret words' }, noopLogger)
+    assert.ok(adapter instanceof EncryptedWebSocketAdapter)
+    assert.equal(adapter.transportName, 'websocket')
+  })
+
+  it('refuses a passphrase on transports that cannot encrypt', () => {
+    assert.throws(() => createAdapter(new Y.Doc(),
+      { transport: 'file', syncDir: '/tmp', roomPassphrase: 'secret words' }, noopLogger),
+      /not supported by the file transport/)
+  })
+
+  describe('FileAdapter log layout', () => {
+    function makePeer(dir, extra = {}) {
+      let doc = new Y.Doc()
+      let adapter = new FileAdapter(doc, {
+        syncDir: dir, room: 'log-room', filePollInterval: 60000, ...extra
+      }, noopLogger)
+      return { doc, adapter }
+    }
+
+    it('writes one immutable file per flush, per client', async () => {
+      let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'troparcel-log-'))
+      let a = makePeer(dir)
+      let b = makePeer(dir)
+      try {
+        await a.adapter.connect()
+        await b.adapter.connect()
+
+        a.doc.getMap('m').set('x', 1)
+        b.doc.getMap('m').set('y', 2)
+        a.adapter._poll()
+        b.adapter._poll()
+        a.adapter._poll()
+
+        assert.equal(a.doc.getMap('m').get('y'), 2)
+        assert.equal(b.doc.getMap('m').get('x'), 1)
+
+        let files = fs.readdirSync(path.join(dir, 'log-room')).sort()
+        assert.deepEqual(files, [
+          `${a.doc.clientID}-0.update`,
+          `${b.doc.clientID}-0.update`
+        ].sort())
+      } finally {
+        await a.adapter.destroy()
+        await b.adapter.destroy()
+        fs.rmSync(dir, { recursive: true, force: true })
+      }
+    })
+
+    it('ignores sync-tool conflict copies and temp files', async () => {
+      let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'troparcel-log-'))
+      fs.mkdirSync(path.join(dir, 'log-room'))
+      fs.writeFileSync(path.join(dir, 'log-room', '1-0 (conflicted copy).update'), 'garbage')
+      fs.writeFileSync(path.join(dir, 'log-room', '1-1.update.tmp'), 'garbage')
+      let a = makePeer(dir)
+      try {
+        await a.adapter.connect()
+        assert.equal(a.adapter._seen.size, 0)
+      } finally {
+        await a.adapter.destroy()
+        fs.rmSync(dir, { recursive: true, force: true })
+      }
+    })
+
+    it('compacts applied logs into a checkpoint a late joiner can load', async () => {
+      let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'troparcel-log-'))
+      let a = makePeer(dir, { fileCompactThreshold: 3 })
+      let b = makePeer(dir)
+      try {
+        await a.adapter.connect()
+        await b.adapter.connect()
+        for (let i = 0; i < 3; i++) {
+          b.doc.getMap('m').set(`b${i}`, i)
+          b.adapter._poll()
+        }
+        a.doc.getMap('m').set('a', true)
+        a.adapter._poll()  // writes own update, reads b's 3, then compacts
+
+        let files = fs.readdirSync(path.join(dir, 'log-room'))
+        assert.equal(files.length, 1)
+        assert.ok(files[0].endsWith('.checkpoint'))
+
+        let c = makePeer(dir)
+        await c.adapter.connect()
+        assert.deepEqual(c.doc.getMap('m').toJSON(), { b0: 0, b1: 1, b2: 2, a: true })
+        await c.adapter.destroy()
+
+        // Compacted files are forgotten by the compacting client and its peers
+        b.adapter._poll()
+        assert.deepEqual([...a.adapter._seen], files)
+        assert.deepEqual([...b.adapter._seen], files)
+      } finally {
+        await a.adapter.destroy()
+        await b.adapter.destroy()
+        fs.rmSync(dir, { recursive: true, force: true })
+      }
+    })
+
+    it('loads a legacy single-file room state', async () => {
+      let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'troparcel-log-'))
+      let old = new Y.Doc()
+      old.getMap('m').set('legacy', 'yes')
+      fs.writeFileSync(path.join(dir, 'log-room.yjs'), Buffer.from(Y.encodeStateAsUpdate(old)))
+      let a = makePeer(dir)
+      try {
+        await a.adapter.connect()
+        assert.equal(a.doc.getMap('m').get('legacy'), 'yes')
+      } finally {
+        await a.adapter.destroy()
+        fs.rmSync(dir, { recursive: true, force: true })
+      }
+    })
+  })
+
+  describe('SnapshotAdapter conditional push', () => {
+    const http = require('http')
+
+    // Object-storage stand-in: one blob, strong ETags, If-Match /
+    // If-None-Match semantics. `etags: false` mimics a static host that
+    // only sends Last-Modified.
+    function startStore({ etags = true } = {}) {
+      let blob = null
+      let version = 0
+      let modified = null
+      let puts = []
+      let server = http.createServer((req, res) => {
+        let chunks = []
+        req.on('data', c => chunks.push(c))
+        req.on('end', () => {
+          let etag = `"v${version}"`
+          let validators = etags ? { ETag: etag } : { 'Last-Modified': modified }
+          if (req.method === 'GET') {
+            if (!blob) { res.writeHead(404); res.end(); return }
+            if (etags && req.headers['if-none-match'] === etag) { res.writeHead(304); res.end(); return }
+            res.writeHead(200, validators)
+            res.end(blob)
+            return
+          }
+          let ifMatch = req.headers['if-match']
+          let ifNoneMatch = req.headers['if-none-match']
+          let ifUnmodified = req.headers['if-unmodified-since']
+          if ((ifMatch && (!blob || ifMatch !== etag)) ||
+              (ifNoneMatch === '*' && blob) ||
+              (ifUnmodified && ifUnmodified !== modified)) {
+            puts.push(412)
+            res.writeHead(412); res.end(); return
+          }
+          blob = Buffer.concat(chunks)
+          version++
+          // Second-resolution dates are too coarse for a test; use a counter
+          modified = `version-${version}`
+          puts.push(200)
+          res.writeHead(200, etags ? { ETag: `"v${version}"` } : { 'Last-Modified': modified })
+          res.end()
+        })
+      })
+      return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+          resolve({
+            url: `http://127.0.0.1:${server.address().port}/room.yjs`,
+            puts,
+            blobDoc() {
+              let d = new Y.Doc()
+              if (blob) Y.applyUpdate(d, new Uint8Array(blob))
+              return d
+            },
+            close: () => new Promise(r => server.close(r))
+          })
+        })
+      })
+    }
+
+    function makePeer(url) {
+      let doc = new Y.Doc()
+      let adapter = new SnapshotAdapter(doc, {
+        snapshotUrl: url, snapshotAuth: 'Bearer t',
+        snapshotPollInterval: 60000, snapshotRetryDelay: 1
+      }, noopLogger)
+      return { doc, adapter }
+    }
+
+    for (let etags of [true, false]) {
+      it(`merges instead of overwriting on concurrent pushes (${etags ? 'ETag' : 'Last-Modified'})`, async () => {
+        let store = await startStore({ etags })
+        let a = makePeer(store.url)
+        let b = makePeer(store.url)
+        try {
+          await a.adapter.connect()
+          await b.adapter.connect()
+
+          // Both edit before either has seen the other's push
+          a.doc.getMap('m').set('alice', 1)
+          b.doc.getMap('m').set('bob', 2)
+          await a.adapter._pushWithRetry()
+          await b.adapter._pushWithRetry()
+
+          assert.deepEqual(store.puts, [200, 412, 200])
+          assert.deepEqual(store.blobDoc().getMap('m').toJSON(), { alice: 1, bob: 2 })
+          assert.equal(b.doc.getMap('m').get('alice'), 1)
+        } finally {
+          await a.adapter.destroy()
+          await b.adapter.destroy()
+          await store.close()
+        }
+      })
+    }
+
+    it('gives up after snapshotMaxRetries precondition failures', async () => {
+      let store = await startStore()
+      let a = makePeer(store.url)
+      a.adapter._maxRetries = 2
+      try {
+        await a.adapter.connect()
+        a.doc.getMap('m').set('x', 1)
+        // Every attempt sees a stale validator
+        a.adapter._pull = async () => { a.adapter._etag = '"stale"' }
+        a.adapter._etag = '"stale"'
+        await assert.rejects(a.adapter._pushWithRetry(), /HTTP 412/)
+        assert.equal(a.adapter._pendingPush, true)
+      } finally {
+        a.adapter._pendingPush = false
+        await a.adapter.destroy()
+        await store.close()
+      }
+    })
+  })
+
+  it('SyncEngine runs over the file transport without a server', async () => {
+    const { SyncEngine } = require('../src/sync-engine')
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'troparcel-file-'))
+    let engine = new SyncEngine({
+      transport: 'file', syncDir: dir, filePollInterval: 60000,
+      room: 'adapter-test', syncMode: 'auto', autoSync: false,
+      startupDelay: 0, safetyNetInterval: 0, apiPort: 2019,
+      offlinePersistence: false
+    }, noopLogger)
+    engine._persistVault = async () => {}
+
+    try {
+      await engine.start({ skipInitialSync: true })
+      assert.equal(engine.state, 'connected')
+      assert.equal(engine.transport.transportName, 'file')
+      assert.equal(engine.peerCount, 0)
+
+      let status = engine.getStatus()
+      assert.equal(status.transport, 'file')
+      assert.equal(status.server, dir)
+    } finally {
+      await engine.stop()
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+    assert.equal(engine.transport, null)
+  })
+})
+
+// ============================================================
+//  room-crypto.js
+// ============================================================
+
+describe('room-crypto', () => {
+  const { deriveRoomKey, roomKeyId, sealFrame, openFrame, RoomKeyError } = require('../src/room-crypto')
+  const key = deriveRoomKey('embargoed until 2030', 'archive')
+
+  it('round-trips a frame', () => {
+    let data = new TextEncoder().encode('embargoed note')
+    let frame = sealFrame(key, 'update', data)
+    assert.ok(!Buffer.from(frame).includes(Buffer.from('embargoed note')))
+    assert.deepEqual(openFrame(key, 'update', frame), data)
+  })
+
+  it('uses a fresh IV for every frame', () => {
+    let data = new Uint8Array([1, 2, 3])
+    assert.notDeepEqual(sealFrame(key, 'update', data), sealFrame(key, 'update', data))
+  })
+
+  it('derives different keys per room and passphrase', () => {
+    assert.notDeepEqual(deriveRoomKey('embargoed until 2030', 'other-room'), key)
+    assert.notDeepEqual(deriveRoomKey('another passphrase', 'archive'), key)
+    assert.deepEqual(deriveRoomKey('embargoed until 2030', 'archive'), key)
+  })
+
+  it('rejects a wrong passphrase', () => {
+    let frame = sealFrame(key, 'update', new Uint8Array([1, 2, 3]))
+    let wrong = deriveRoomKey('guess', 'archive')
+    assert.throws(() => openFrame(wrong, 'update', frame), RoomKeyError)
+  })
+
+  it('binds the message kind', () => {
+    let frame = sealFrame(key, 'awareness', new Uint8Array([1, 2, 3]))
+    assert.throws(() => openFrame(key, 'update', frame), RoomKeyError)
+  })
+
+  it('rejects tampered and truncated frames', () => {
+    let frame = sealFrame(key, 'update', new Uint8Array([1, 2, 3]))
+    frame[frame.length - 1] ^= 1
+    assert.throws(() => openFrame(key, 'update', frame), RoomKeyError)
+    assert.throws(() => openFrame(key, 'update', frame.subarray(0, 10)), RoomKeyError)
+  })
+
+  it('requires a passphrase', () => {
+    assert.throws(() => deriveRoomKey('', 'archive'), RoomKeyError)
+  })
+
+  it('names a key by an id that does not reveal it', () => {
+    assert.match(roomKeyId(key), /^[0-9a-f]{16}$/)
+    assert.equal(roomKeyId(key), roomKeyId(deriveRoomKey('embargoed until 2030', 'archive')))
+    assert.notEqual(roomKeyId(key), roomKeyId(deriveRoomKey('guess', 'archive')))
+    assert.ok(!key.toString('hex').includes(roomKeyId(key)))
+  })
+})
+
+// ============================================================
+//  doc-store.js + offline-first engine start
+// ============================================================
+
+describe('doc-store', () => {
+  const fs = require('fs')
+  const os = require('os')
+  const path = require('path')
+  const Y = require('yjs')
+  const { LocalDocStore, replicaKey } = require('../src/doc-store')
+  const noopLogger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+
+  let baseDir
+  beforeEach(() => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'troparcel-docs-'))
+  })
+
+  it('restores updates recorded in a previous session', () => {
+    let doc = new Y.Doc()
+    let store = new LocalDocStore('room/one', noopLogger, { dir: baseDir })
+    assert.equal(store.load(doc), 0)
+    doc.getMap('m').set('a', 1)
+    doc.getMap('m').set('b', 2)
+    store.close()
+    assert.equal(path.basename(store.dir), 'room_one')
+
+    let doc2 = new Y.Doc()
+    let store2 = new LocalDocStore('room/one', noopLogger, { dir: baseDir })
+    assert.ok(store2.load(doc2) > 0)
+    assert.deepEqual(doc2.getMap('m').toJSON(), { a: 1, b: 2 })
+    store2.close()
+    fs.rmSync(baseDir, { recursive: true, force: true })
+  })
+
+  it('folds the log into a snapshot past compactBytes', () => {
+    let doc = new Y.Doc()
+    let store = new LocalDocStore('r', noopLogger, { dir: baseDir, compactBytes: 64 })
+    store.load(doc)
+    for (let i = 0; i < 10; i++) {
+      doc.getMap('m').set(`k${i}`, 'x'.repeat(20))
+      store.flush()
+    }
+    store.close()
+    assert.ok(fs.statSync(store.snapshotPath).size > 0)
+    assert.ok(fs.statSync(store.logPath).size <= 64)
+
+    let doc2 = new Y.Doc()
+    new LocalDocStore('r', noopLogger, { dir: baseDir }).load(doc2)
+    assert.equal(doc2.getMap('m').size, 10)
+    fs.rmSync(baseDir, { recursive: true, force: true })
+  })
+
+  it('keeps same-named rooms on different servers apart', () => {
+    let a = replicaKey({ transport: 'websocket', address: 'wss://one.example', room: 'seminar' })
+    let b = replicaKey({ transport: 'websocket', address: 'wss://two.example', room: 'seminar' })
+    let c = replicaKey({ transport: 'file', address: 'wss://one.example', room: 'seminar' })
+    let d = replicaKey({ transport: 'websocket', address: 'wss://one.example', room: 'seminar', keyId: '0123456789abcdef' })
+    assert.match(a, /^seminar-[0-9a-f]{16}$/)
+    assert.equal(a, replicaKey({ transport: 'websocket', address: 'wss://one.example', room: 'seminar' }))
+    assert.equal(new Set([a, b, c, d]).size, 4)
+
+    let store = new LocalDocStore('seminar', noopLogger, { dir: baseDir, key: a })
+    assert.equal(path.basename(store.dir), a)
+    fs.rmSync(baseDir, { recursive: true, force: true })
+  })
+
+  it('drops a torn final frame', () => {
+    let doc = new Y.Doc()
+    let store = new LocalDocStore('r', noopLogger, { dir: baseDir })
+    store.load(doc)
+    doc.getMap('m').set('kept', true)
+    store.close()
+    fs.appendFileSync(store.logPath, Buffer.from([200, 0, 0, 0, 1, 2]))
+
+    let doc2 = new Y.Doc()
+    new LocalDocStore('r', noopLogger, { dir: baseDir }).load(doc2)
+    assert.equal(doc2.getMap('m').get('kept'), true)
+    fs.rmSync(baseDir, { recursive: true, force: true })
+  })
+
+  it('SyncEngine starts offline and reconciles once the transport appears', async () => {
+    const { SyncEngine } = require('../src/sync-engine')
+    let syncDir = path.join(baseDir, 'shared')
+    let options = {
+      transport: 'file', syncDir, filePollInterval: 60000,
+      room: 'offline-room', syncMode: 'auto', autoSync: false,
+      startupDelay: 0, safetyNetInterval: 0, apiPort: 2019,
+      persistDir: path.join(baseDir, 'docs')
+    }
+
+    // Session 1: shared folder missing — engine still starts, edits recorded
+    let engine = new SyncEngine(options, noopLogger)
+    engine._persistVault = async () => {}
+    await engine.start({ skipInitialSync: true })
+    assert.equal(engine.state, 'connected')
+    assert.equal(engine.online, false)
+    assert.equal(engine.getStatus().online, false)
+    engine.doc.getMap('offline-test').set('offline-item', 'edit')
+    await engine.stop()
+
+    // Session 2: folder is back — restored edit reaches the shared folder
+    fs.mkdirSync(syncDir)
+    engine = new SyncEngine(options, noopLogger)
+    engine._persistVault = async () => {}
+    try {
+      await engine.start({ skipInitialSync: true })
+      assert.equal(engine.online, true)
+      assert.equal(engine.doc.getMap('offline-test').get('offline-item'), 'edit')
+    } finally {
+      await engine.stop()
+    }
+
+    let peer = new Y.Doc()
+    for (let name of fs.readdirSync(path.join(syncDir, 'offline-room'))) {
+      Y.applyUpdate(peer, new Uint8Array(fs.readFileSync(path.join(syncDir, 'offline-room', name))))
+    }
+    assert.equal(peer.getMap('offline-test').get('offline-item'), 'edit')
+    fs.rmSync(baseDir, { recursive: true, force: true })
+  })
+
+  it('SyncEngine without offline persistence still fails fast', async () => {
+    const { SyncEngine } = require('../src/sync-engine')
+    let engine = new SyncEngine({
+      transport: 'file', syncDir: path.join(baseDir, 'missing'),
+      room: 'r', syncMode: 'auto', startupDelay: 0, safetyNetInterval: 0,
+      offlinePersistence: false
+    }, noopLogger)
+    engine._persistVault = async () => {}
+    await assert.rejects(engine.start({ skipInitialSync: true }), /does not exist/)
+    await engine.stop()
+    fs.rmSync(baseDir, { recursive: true, force: true })
+  })
+})
+
 // ============================================================
 //  sanitize.js
 // ============================================================
@@ -1176,105 +1660,2543 @@ describe('crdt-schema', () => {
 })
 
 // ============================================================
-//  api-client.js
+//  Item subdocs (schema v5)
 // ============================================================
 
-describe('api-client', () => {
-  const { ApiClient } = require('../src/api-client')
+describe('item subdocs (schema v5)', () => {
+  const fs = require('fs')
+  const os = require('os')
+  const path = require('path')
+  const Y = require('yjs')
+  const schema = require('../src/crdt-schema')
+  const { ItemDocs } = require('../src/item-docs')
+  const { FileAdapter } = require('../src/adapters')
+  const noopLogger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
 
-  it('creates client with default port', () => {
-    let client = new ApiClient()
-    assert.equal(client.port, 2019)
-    assert.equal(client.host, '127.0.0.1')
+  function v4Room() {
+    let doc = new Y.Doc()
+    schema.setSchemaVersion(doc)
+    schema.setTag(doc, 'item1', { name: 'Letters', color: 'red' }, 'alice', 1)
+    schema.setMetadata(doc, 'item1', 'dc:title', { text: 'A letter', type: 'string' }, 'alice', 1)
+    schema.setItemChecksums(doc, 'item1', ['abc', 'def'])
+    schema.setNote(doc, 'item2', 'n1', { html: '<p>hi</p>' }, 'bob', 1)
+    return doc
+  }
+
+  // A peer that received the room doc but has not loaded any item
+  function remoteCopy(doc) {
+    let copy = new Y.Doc()
+    Y.applyUpdate(copy, Y.encodeStateAsUpdate(doc))
+    return copy
+  }
+
+  it('migrates v4 items into subdocs without changing the snapshot', () => {
+    let doc = v4Room()
+    let before = schema.getSnapshot(doc)
+    assert.equal(schema.migrateToV5(doc), 2)
+
+    assert.deepEqual(schema.getSnapshot(doc), before)
+    assert.ok(schema.getItemDoc(doc, 'item1') instanceof Y.Doc)
+    assert.equal(schema.getItemDoc(doc, 'item1').guid, schema.itemDocGuid('item1'))
+    assert.equal(doc.getMap('itemChecksums').get('item1'), 'abc,def')
+    assert.deepEqual(schema.checkSchemaVersion(doc), {
+      version: 5, compatible: true, readOnly: false, upgradable: false,
+      pending: [], itemDocs: true, migratable: false
+    })
   })
 
-  it('creates client with custom port', () => {
-    let client = new ApiClient(2029)
-    assert.equal(client.port, 2029)
+  it('migrates only once', () => {
+    let doc = v4Room()
+    schema.migrateToV5(doc)
+    assert.equal(schema.migrateToV5(doc), 0)
   })
 
-  it('ping returns false when server is not running', async () => {
-    let client = new ApiClient(19999)
-    let result = await client.ping()
-    assert.equal(result, false)
+  it('keeps v5 when the version is stamped again', () => {
+    let doc = v4Room()
+    schema.migrateToV5(doc)
+    schema.setSchemaVersion(doc)
+    assert.equal(schema.checkSchemaVersion(doc).version, 5)
   })
 
-  it('importItems blocks file paths', async () => {
-    let client = new ApiClient()
-    await assert.rejects(
-      () => client.importItems({ file: '/etc/passwd' }),
-      { message: /File path import is blocked/ }
-    )
+  it('reads subdocs as v5 when a peer stamps 4 over the room', () => {
+    let doc = v4Room()
+    schema.migrateToV5(doc)
+    let before = schema.getSnapshot(doc)
+    doc.getMap('room').set('schemaVersion', 4)
+
+    let check = schema.checkSchemaVersion(doc)
+    assert.equal(check.version, 5)
+    assert.equal(check.itemDocs, true)
+    assert.deepEqual(schema.getSnapshot(doc), before)
+    schema.setTag(doc, 'item1', { name: 'Drafts' }, 'alice', 2)
+    assert.ok(schema.getItemDoc(doc, 'item1') instanceof Y.Doc)
+    assert.equal(schema.getItemSnapshot(doc, 'item1').tags.drafts.name, 'Drafts')
+  })
+
+  it('notices subdocs arriving in a room it read as v4', () => {
+    let doc = v4Room()
+    let peer = remoteCopy(doc)
+    assert.equal(schema.checkSchemaVersion(peer).version, 4)
+
+    schema.migrateToV5(doc)
+    doc.getMap('room').set('schemaVersion', 4)
+    Y.applyUpdate(peer, Y.encodeStateAsUpdate(doc))
+    assert.equal(schema.checkSchemaVersion(peer).version, 5)
+    assert.ok(schema.getItemDoc(peer, 'item1') instanceof Y.Doc)
+  })
+
+  it('creates subdocs for new items in a v5 room', () => {
+    let doc = new Y.Doc()
+    schema.migrateToV5(doc)
+    schema.setTag(doc, 'item3', { name: 'New' }, 'alice', 1)
+    assert.ok(schema.getItemDoc(doc, 'item3'))
+    assert.equal(schema.getItemSnapshot(doc, 'item3').tags.new.name, 'New')
+  })
+
+  it('lists unloaded items and their checksums but not their content', () => {
+    let doc = v4Room()
+    schema.migrateToV5(doc)
+    let copy = remoteCopy(doc)
+
+    assert.deepEqual(schema.getIdentities(copy).sort(), ['item1', 'item2'])
+    assert.equal(schema.getItemSnapshot(copy, 'item1'), null)
+    assert.deepEqual(schema.getItemChecksums(copy, 'item1'), ['abc', 'def'])
+    assert.deepEqual(Object.keys(schema.getSnapshot(copy)), [])
+  })
+
+  it('reads an item once its subdoc is loaded and synced', () => {
+    let doc = v4Room()
+    schema.migrateToV5(doc)
+    let copy = remoteCopy(doc)
+
+    let itemDoc = schema.getItemDoc(copy, 'item1')
+    itemDoc.load()
+    Y.applyUpdate(itemDoc, Y.encodeStateAsUpdate(schema.getItemDoc(doc, 'item1')))
+    assert.equal(schema.getItemSnapshot(copy, 'item1').metadata['dc:title'].text, 'A letter')
+  })
+
+  it('observes remote item changes only', () => {
+    let doc = v4Room()
+    schema.migrateToV5(doc)
+    let copy = remoteCopy(doc)
+    let itemDoc = schema.getItemDoc(copy, 'item1')
+    itemDoc.load()
+
+    let source = schema.getItemDoc(doc, 'item1')
+    Y.applyUpdate(itemDoc, Y.encodeStateAsUpdate(source))
+
+    let seen = []
+    let unobserve = schema.observeItemDoc(itemDoc, 'item1', (changes) => {
+      seen.push(...changes.map(c => `${c.identity}:${c.type}`))
+    })
+    schema.setTag(copy, 'item1', { name: 'Local' }, 'bob', 2)
+    assert.deepEqual(seen, [])
+
+    let update
+    source.once('update', (u) => { update = u })
+    schema.setMetadata(doc, 'item1', 'dc:date', { text: '1900', type: 'date' }, 'alice', 2)
+    Y.applyUpdate(itemDoc, update)
+    assert.deepEqual(seen, ['item1:metadata'])
+    unobserve()
+  })
+
+  describe('ItemDocs', () => {
+    it('loads every item without selective sync', () => {
+      let doc = v4Room()
+      schema.migrateToV5(doc)
+      let copy = remoteCopy(doc)
+      let itemDocs = new ItemDocs(copy, null, noopLogger)
+      itemDocs.start()
+      assert.equal(itemDocs.loadedCount, 2)
+      itemDocs.destroy()
+    })
+
+    it('loads items on demand with selective sync', () => {
+      let doc = v4Room()
+      schema.migrateToV5(doc)
+      let copy = remoteCopy(doc)
+      let itemDocs = new ItemDocs(copy, null, noopLogger, { loadAll: false })
+      itemDocs.start()
+      assert.equal(itemDocs.loadedCount, 0)
+
+      assert.deepEqual(itemDocs.load(['item2', 'unknown']), ['item2'])
+      assert.deepEqual(itemDocs.load(['item2']), [])
+      assert.ok(itemDocs.isLoaded('item2'))
+      assert.ok(!itemDocs.isLoaded('item1'))
+
+      // Writing to an item loads it
+      schema.setTag(copy, 'item1', { name: 'Later' }, 'bob', 2)
+      assert.ok(itemDocs.isLoaded('item1'))
+      itemDocs.destroy()
+    })
+
+    it('restores loaded items from their local replica', async () => {
+      let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'troparcel-items-'))
+      let doc = v4Room()
+      schema.migrateToV5(doc)
+      try {
+        let first = new ItemDocs(doc, null, noopLogger, { storeDir: dir })
+        first.start()
+        first.destroy()
+
+        let copy = remoteCopy(doc)
+        let changes = []
+        let second = new ItemDocs(copy, null, noopLogger,
+          { loadAll: false, storeDir: dir, onChange: (c) => changes.push(...c) })
+        second.start()
+        second.load(['item1'])
+        assert.equal(schema.getItemSnapshot(copy, 'item1').tags.letters.name, 'Letters')
+        assert.deepEqual(changes.map(c => c.identity), ['item1'])
+        second.destroy()
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true })
+      }
+    })
+  })
+
+  it('syncs item subdocs through the file transport', async () => {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'troparcel-items-'))
+    let options = { syncDir: dir, room: 'sub-room', filePollInterval: 60000 }
+    let a = { doc: v4Room() }
+    schema.migrateToV5(a.doc)
+    a.adapter = new FileAdapter(a.doc, options, noopLogger)
+    let b = { doc: new Y.Doc() }
+    b.adapter = new FileAdapter(b.doc, options, noopLogger)
+    try {
+      await a.adapter.connect()
+      await a.adapter.syncSubdoc(schema.getItemDoc(a.doc, 'item1'))
+      a.adapter._poll()
+
+      await b.adapter.connect()
+      let itemDoc = schema.getItemDoc(b.doc, 'item1')
+      itemDoc.load()
+      await b.adapter.syncSubdoc(itemDoc)
+      assert.equal(schema.getItemSnapshot(b.doc, 'item1').tags.letters.name, 'Letters')
+      assert.ok(fs.existsSync(path.join(dir, 'sub-room', 'items', 'troparcel-item_item1')))
+    } finally {
+      await a.adapter.destroy()
+      await b.adapter.destroy()
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
   })
 })
 
 // ============================================================
-//  plugin.js
+//  crdt-schema.js (migrations)
 // ============================================================
 
-describe('plugin', () => {
-  const TroparcelPlugin = require('../src/plugin')
+describe('schema migrations', () => {
+  const Y = require('yjs')
+  const schema = require('../src/crdt-schema')
+  const { SyncEngine } = require('../src/sync-engine')
+  const noopLogger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
 
-  function mockContext(overrides = {}) {
-    return {
-      logger: {
-        info: () => {},
-        warn: () => {},
-        error: () => {},
-        debug: () => {},
-        chindings: overrides.chindings || '',
-        bindings: () => overrides.bindings || {}
-      },
-      window: overrides.window || {}
-    }
+  // Rooms recorded from older clients (test/fixtures/*.json)
+  function fixture(name) {
+    let { update } = require(`./fixtures/${name}.json`)
+    let doc = new Y.Doc()
+    Y.applyUpdate(doc, Buffer.from(update, 'base64'))
+    return doc
   }
 
-  describe('prefs window detection', () => {
-    it('skips sync in prefs window (chindings)', () => {
-      let logs = []
-      let ctx = mockContext({ chindings: ',"name":"prefs"' })
-      ctx.logger.info = (msg) => logs.push(msg)
+  it('registers v3 → v4 → v5 steps', () => {
+    assert.deepEqual(schema.getMigrations().map(m => [m.from, m.to]), [[3, 4], [4, 5]])
+    assert.throws(() => schema.registerMigration({ from: 4, to: 6, migrate: () => 0 }), /vN to vN\+1/)
+    assert.throws(() => schema.registerMigration({ from: 4, to: 5, migrate: () => 0 }), /already registered/)
+  })
 
-      let plugin = new TroparcelPlugin({ autoSync: false }, ctx)
-      assert.ok(logs.some(m => m.includes('skipping sync in prefs window')))
-      assert.equal(plugin.engine, null)
+  it('reports a v3 room as read-only but upgradable', () => {
+    let doc = fixture('v3-room')
+    assert.deepEqual(schema.checkSchemaVersion(doc), {
+      version: 3, compatible: false, readOnly: true, upgradable: true,
+      pending: [3], itemDocs: false, migratable: false
     })
+    schema.setSchemaVersion(doc)
+    assert.equal(doc.getMap('room').get('schemaVersion'), 3)
+  })
+
+  it('migrates a v3 room to v4 layout', () => {
+    let doc = fixture('v3-room')
+    assert.deepEqual(schema.migrateRoom(doc, { by: 'alice' }), [{ from: 3, to: 4, count: 1 }])
+
+    let item = schema.getItemSnapshot(doc, 'item-v3')
+    assert.equal(item.metadata['dc:title'].text, 'A letter')
+    assert.equal(item.photos.abc123.metadata['dc:date'].text, '1890')
+    assert.equal(item.tags.letters.name, 'Letters')
+    let notes = Object.keys(item.notes)
+    assert.equal(notes.length, 2)
+    assert.ok(notes.every(k => k.startsWith('n_')))
+    let [sel] = Object.keys(item.selections)
+    assert.match(sel, /^s_/)
+    assert.equal(item.transcriptions[Object.keys(item.transcriptions)[0]].sel, sel)
+    assert.deepEqual(Object.keys(item.selectionMeta), [`${sel}:dc:description`])
+    assert.ok(Object.keys(item.selectionNotes)[0].startsWith(`${sel}:n_`))
+    assert.equal(Object.values(item.lists)[0].name, 'Correspondence')
+    assert.equal(doc.getMap('users').size, 0)
+
+    let check = schema.checkSchemaVersion(doc)
+    assert.equal(check.version, 4)
+    assert.equal(check.readOnly, false)
+    assert.equal(doc.getMap('room').get('lastMigration').by, 'alice')
+    assert.deepEqual(schema.migrateRoom(doc), [])
+  })
+
+  it('converges when two clients migrate the same room at once', () => {
+    let a = fixture('v3-room')
+    let b = fixture('v3-room')
+    let before = schema.getSnapshot(a)
+    schema.migrateRoom(a, { by: 'alice' })
+    schema.migrateRoom(b, { by: 'bob' })
+    let alone = schema.getSnapshot(a)
+    Y.applyUpdate(a, Y.encodeStateAsUpdate(b))
+    Y.applyUpdate(b, Y.encodeStateAsUpdate(a))
+    assert.notDeepEqual(alone, before)
+    assert.deepEqual(schema.getSnapshot(a), alone)
+    assert.deepEqual(schema.getSnapshot(b), alone)
+    assert.equal(schema.checkSchemaVersion(b).version, 4)
+  })
+
+  it('migrates a v4 room to item subdocs', () => {
+    let doc = fixture('v4-room')
+    let before = schema.getSnapshot(doc)
+    assert.deepEqual(schema.migrateRoom(doc, { target: 5 }), [{ from: 4, to: 5, count: 1 }])
+    assert.deepEqual(schema.getSnapshot(doc), before)
+    assert.ok(schema.getItemDoc(doc, 'item-v4') instanceof Y.Doc)
+  })
+
+  it('keeps the engine read-only in a room newer than it supports', async () => {
+    let engine = new SyncEngine({ room: 'future-room' }, noopLogger)
+    engine.doc = fixture('v4-room')
+    engine.doc.getMap('room').set('schemaVersion', schema.LATEST_SCHEMA_VERSION + 1)
+    engine.online = true
+    let notified = []
+    engine.onReadOnly = (info) => notified.push(info)
+
+    assert.equal(engine._negotiateSchema(), false)
+    assert.equal(engine._negotiateSchema(), false)
+    assert.equal(engine.getStatus().readOnly, true)
+    assert.match(engine.getStatus().readOnlyReason, /newer than this version/)
+    assert.equal(notified.length, 1)
+    assert.equal(notified[0].version, schema.LATEST_SCHEMA_VERSION + 1)
+    assert.equal(engine.doc.getMap('room').get('schemaVersion'), schema.LATEST_SCHEMA_VERSION + 1)
+
+    // Nor do the write APIs touch it
+    let before = Y.encodeStateVector(engine.doc)
+    await assert.rejects(engine.setItemStatus('item-v4', 'review'), /Room is read-only: .*newer than this version/)
+    assert.throws(() => engine.addComment('item-v4', 'Looks good'), /Room is read-only/)
+    assert.throws(() => engine.setHistoryConfig({ enabled: true }), /Room is read-only/)
+    assert.deepEqual(Y.encodeStateVector(engine.doc), before)
+  })
+
+  it('keeps applying remote changes while read-only, but stops pushing', async () => {
+    let engine = new SyncEngine({ room: 'future-room', syncMode: 'auto' }, noopLogger)
+    engine.doc = fixture('v4-room')
+    engine.doc.getMap('room').set('schemaVersion', schema.LATEST_SCHEMA_VERSION + 1)
+    engine.state = 'connected'
+    engine.api = { ping: async () => true, getItems: async () => [{ id: 1 }] }
+    engine._enrichAll = async () => [{ '@id': 1, photo: [{ '@id': 2, checksum: 'abc' }] }]
+    engine._persistVault = async () => {}
+    engine._remoteAnnotationsDirty = true
+    let calls = []
+    engine.applyRemoteFromCRDT = async () => { calls.push('apply'); return new Set() }
+    engine.pushLocal = async () => { calls.push('push') }
+
+    await engine.syncOnce()
+    assert.equal(engine.readOnly, true)
+    assert.deepEqual(calls, ['apply'])
+    assert.equal(engine.state, 'connected')
+  })
+
+  it('upgrades an older room once online', () => {
+    let engine = new SyncEngine({ room: 'old-room' }, noopLogger)
+    engine.doc = fixture('v3-room')
+    engine.online = false
+    assert.equal(engine._negotiateSchema(), false)
+    assert.equal(engine.readOnly, true)
+
+    engine.online = true
+    assert.equal(engine._negotiateSchema(), true)
+    assert.equal(engine.readOnly, false)
+    assert.equal(schema.checkSchemaVersion(engine.doc).version, 4)
+  })
+})
 
-    it('skips sync in prefs window (bindings)', () => {
-      let logs = []
-      let ctx = mockContext({ bindings: { name: 'prefs' } })
-      ctx.logger.info = (msg) => logs.push(msg)
+// ============================================================
+//  note-content.js (rich-text notes)
+// ============================================================
 
-      let plugin = new TroparcelPlugin({ autoSync: false }, ctx)
-      assert.ok(logs.some(m => m.includes('skipping sync in prefs window')))
-    })
+describe('note-content (rich-text notes)', () => {
+  const Y = require('yjs')
+  const schema = require('../src/crdt-schema')
+  const nc = require('../src/note-content')
+  const { mockSyncContext } = require('./helpers')
 
-    it('does not skip in project window', () => {
-      let logs = []
-      let ctx = mockContext({ chindings: ',"name":"project"' })
-      ctx.logger.info = (msg) => logs.push(msg)
+  const NOTE = '<p>First <strong>bold <em>both</em></strong> and <a href="https://example.org">a link</a></p>' +
+    '<p style="text-align: end">Second<span class="line-break"><br></span>line</p>' +
+    '<ul><li><p>one</p></li><li><p>two</p></li></ul><blockquote><p>quote</p></blockquote><hr>'
 
-      new TroparcelPlugin({ autoSync: false }, ctx)
-      assert.ok(!logs.some(m => m.includes('skipping sync')))
-      assert.ok(logs.some(m => m.includes('v5.0')))
-    })
+  function sync(a, b) {
+    Y.applyUpdate(b, Y.encodeStateAsUpdate(a, Y.encodeStateVector(b)))
+    Y.applyUpdate(a, Y.encodeStateAsUpdate(b, Y.encodeStateVector(a)))
+  }
+
+  it('parses note HTML into the ProseMirror schema and renders it back', () => {
+    let doc = nc.htmlToDoc(NOTE)
+    assert.deepEqual(doc.content.map(n => n.type),
+      ['paragraph', 'paragraph', 'bullet_list', 'blockquote', 'horizontal_rule'])
+    assert.deepEqual(doc.content[1].attrs, { align: 'right' })
+    assert.equal(doc.content[1].content[1].type, 'hard_break')
+    assert.ok(nc.sameDoc(nc.htmlToDoc(nc.renderDoc(doc)), doc))
+    assert.equal(nc.docToText(doc), 'First bold both and a link\nSecond\nline\none\ntwo\nquote')
+  })
+
+  it('keeps only schema content and safe links', () => {
+    let doc = nc.htmlToDoc('<h1>Title</h1><p><a href="javascript:alert(1)">x</a><script>alert(2)</script></p>loose')
+    assert.equal(nc.renderDoc(doc), '<p>Title</p><p>x</p><p>loose</p>')
+  })
+
+  it('round-trips a note through a Y.XmlFragment', () => {
+    let a = new Y.Doc()
+    let b = new Y.Doc()
+    a.transact(() => nc.writeFragment(a.getXmlFragment('note'), nc.htmlToDoc(NOTE)))
+    sync(a, b)
+    assert.equal(nc.renderDoc(nc.readFragment(b.getXmlFragment('note'))), nc.renderDoc(nc.htmlToDoc(NOTE)))
+  })
+
+  it('merges concurrent fragment edits to different parts of a note', () => {
+    let a = new Y.Doc()
+    let b = new Y.Doc()
+    a.transact(() => nc.writeFragment(a.getXmlFragment('note'), nc.htmlToDoc('<p>alpha beta</p><p>gamma</p>')))
+    sync(a, b)
+    nc.writeFragment(a.getXmlFragment('note'), nc.htmlToDoc('<p>alpha <em>new</em> beta</p><p>gamma</p>'))
+    nc.writeFragment(b.getXmlFragment('note'), nc.htmlToDoc('<p>alpha beta</p><p>gamma delta</p>'))
+    sync(a, b)
+    let expected = '<p>alpha <em>new</em> beta</p><p>gamma delta</p>'
+    assert.equal(nc.renderDoc(nc.readFragment(a.getXmlFragment('note'))), expected)
+    assert.equal(nc.renderDoc(nc.readFragment(b.getXmlFragment('note'))), expected)
+  })
+
+  it('mergeDocs combines edits of different paragraphs and keeps local on conflict', () => {
+    let base = nc.htmlToDoc('<p>one</p><p>two</p>')
+    let merged = nc.mergeDocs(base, nc.htmlToDoc('<p>one!</p><p>two</p>'), nc.htmlToDoc('<p>one</p><p>two?</p>'))
+    assert.equal(nc.renderDoc(merged.doc), '<p>one!</p><p>two?</p>')
+    assert.equal(merged.conflicts, 0)
+
+    let conflict = nc.mergeDocs(base, nc.htmlToDoc('<p>uno</p><p>two</p>'), nc.htmlToDoc('<p>eins</p><p>two</p>'))
+    assert.equal(nc.renderDoc(conflict.doc), '<p>uno</p><p>two</p>')
+    assert.equal(conflict.conflicts, 1)
+  })
+
+  it('setNoteContent merges with a concurrent edit and keeps the author', () => {
+    let a = new Y.Doc()
+    let b = new Y.Doc()
+    schema.setNote(a, 'item1', 'n1', { html: '<p>one</p><p>two</p>' }, 'alice', 1)
+    sync(a, b)
+    schema.setNoteContent(a, 'item1', 'notes', 'n1', nc.htmlToDoc('<p>one!</p><p>two</p>'), 'alice', 2)
+    schema.setNoteContent(b, 'item1', 'notes', 'n1', nc.htmlToDoc('<p>one</p><p>two?</p>'), 'bob', 1)
+    sync(a, b)
+    for (let doc of [a, b]) {
+      let note = schema.getNotes(doc, 'item1').n1
+      assert.equal(note.html, '<p>one!</p><p>two?</p>')
+      assert.equal(note.text, 'one!\ntwo?')
+      assert.equal(note.author, 'alice')
+    }
   })
 
-  describe('mergeOptions', () => {
-    it('applies defaults', () => {
-      let ctx = mockContext()
-      let plugin = new TroparcelPlugin({ autoSync: false }, ctx)
+  it('migrateNoteContent wraps plain notes once and converges across peers', () => {
+    let a = new Y.Doc()
+    a.getMap('annotations').set('item1', new Y.Map())
+    let notes = new Y.Map()
+    a.getMap('annotations').get('item1').set('notes', notes)
+    notes.set('n1', { uuid: 'n1', html: '<p>old note</p>', text: 'old note', author: 'alice', pushSeq: 1 })
+    let b = new Y.Doc()
+    sync(a, b)
+
+    assert.equal(schema.migrateNoteContent(a), 1)
+    assert.equal(schema.migrateNoteContent(b), 1)
+    assert.equal(schema.migrateNoteContent(a), 0)
+    sync(a, b)
+    for (let doc of [a, b]) {
+      assert.equal(schema.getNotes(doc, 'item1').n1.html, '<p>old note</p>')
+      assert.equal(nc.renderDoc(schema.getNoteContent(doc, 'item1', 'n1')), '<p>old note</p>')
+    }
+  })
 
-      assert.equal(plugin.options.serverUrl, 'ws://localhost:2468')
-      assert.equal(plugin.options.syncMode, 'auto')
-      assert.equal(plugin.options.autoSync, false)
-      assert.equal(plugin.options.apiPort, 2019)
-      assert.equal(plugin.options.startupDelay, 8000)
-      assert.equal(plugin.options.syncMetadata, true)
-      assert.equal(plugin.options.syncTags, true)
-      assert.equal(plugin.options.syncNotes, true)
-      assert.equal(plugin.options.syncSelections, true)
-      assert.equal(plugin.options.syncTranscriptions, true)
+  it('drops the content of deleted notes', () => {
+    let doc = new Y.Doc()
+    schema.setNote(doc, 'item1', 'n1', { html: '<p>a</p>' }, 'alice', 1)
+    schema.setSelectionNote(doc, 'item1', 's1', 'n2', { html: '<p>b</p>' }, 'alice', 1)
+    schema.removeNote(doc, 'item1', 'n1', 'alice', 2)
+    assert.equal(schema.getNoteContent(doc, 'item1', 'n1'), null)
+    schema.purgeTombstones(doc)
+    schema.deleteSelectionNoteEntry(doc, 'item1', 's1:n2')
+    assert.equal(doc.getMap('annotations').get('item1').get('noteContent').size, 0)
+  })
+
+  it('pushNotes merges a local edit with a remote edit of the same note', () => {
+    let ctx = mockSyncContext({ userId: 'alice' })
+    let item = (html) => ({ photo: [{ '@id': 10, checksum: 'abc', note: [{ '@id': 7, html, text: '' }] }] })
+    ctx.pushNotes(item('<p>one</p><p>two</p>'), 'item1', 'alice', new Map(), 1)
+    let key = ctx.vault.getNoteKey(7)
+
+    // Bob edits the second paragraph through a synced copy
+    let bob = new Y.Doc()
+    sync(ctx.doc, bob)
+    schema.setNoteContent(bob, 'item1', 'notes', key, nc.htmlToDoc('<p>one</p><p>two (bob)</p>'), 'bob', 1)
+    sync(ctx.doc, bob)
+
+    ctx.pushNotes(item('<p>one (alice)</p><p>two</p>'), 'item1', 'alice', new Map(), 2)
+    let note = schema.getNotes(ctx.doc, 'item1')[key]
+    assert.equal(note.html, '<p>one (alice)</p><p>two (bob)</p>')
+    assert.equal(note.editor, 'alice')
+    assert.equal(ctx._logs.conflicts.length, 0)
+  })
+
+  it('applyNotes merges a remote edit into a locally edited synced note', async () => {
+    // Tropy stand-in: notes by id, updateNote replaces the note
+    let notes = {}
+    let nextId = 100
+    let save = async ({ html }) => {
+      let id = nextId++
+      notes[id] = { id, html, text: html }
+      return { id }
+    }
+    let adapter = {
+      _getState: () => ({ notes }),
+      _noteStateToHtml: n => n.html,
+      createNote: save,
+      updateNote: async (id, payload) => {
+        delete notes[id]
+        return save(payload)
+      }
+    }
+    let alice = new Y.Doc()
+    schema.setNote(alice, 'item1', 'n1', { html: '<p>one</p><p>two</p>', photo: 'abc' }, 'alice', 1)
+    let ctx = mockSyncContext({ userId: 'bob', adapter })
+    sync(alice, ctx.doc)
+    let local = { localId: 1, item: { photo: [{ '@id': 10, checksum: 'abc', note: [] }] } }
+
+    await ctx.applyNotes('item1', local, 'bob')
+    let [id] = Object.keys(notes)
+    notes[id].html = notes[id].html.replace('two', 'two (bob)')
+
+    schema.setNoteContent(alice, 'item1', 'notes', 'n1', nc.htmlToDoc('<p>one (alice)</p><p>two</p>'), 'alice', 2)
+    sync(alice, ctx.doc)
+    await ctx.applyNotes('item1', local, 'bob')
+
+    let merged = '<p>one (alice)</p><p>two (bob)</p>'
+    let [note] = Object.values(notes)
+    assert.ok(note.html.startsWith(merged + '<p><sub>[troparcel:n1 from alice'))
+    sync(alice, ctx.doc)
+    assert.equal(schema.getNotes(alice, 'item1').n1.html, merged)
+  })
+})
+
+describe('transcription text (shared Y.Text)', () => {
+  const Y = require('yjs')
+  const schema = require('../src/crdt-schema')
+  const { mergeText } = require('../src/diff3')
+  const { mockSyncContext, mockStore, mockState } = require('./helpers')
+  const { StoreAdapter } = require('../src/store-adapter')
+
+  const TEXT = 'Dear Sir,\nI recieved your letter\nof the 3rd inst.\n'
+
+  function sync(a, b) {
+    Y.applyUpdate(b, Y.encodeStateAsUpdate(a, Y.encodeStateVector(b)))
+    Y.applyUpdate(a, Y.encodeStateAsUpdate(b, Y.encodeStateVector(a)))
+  }
+
+  it('mergeText keeps corrections to different lines, local wins on the same line', () => {
+    let local = TEXT.replace('recieved', 'received')
+    let remote = TEXT.replace('3rd', '4th')
+    assert.deepEqual(mergeText(TEXT, local, remote),
+      { text: 'Dear Sir,\nI received your letter\nof the 4th inst.\n', conflicts: 0 })
+
+    let other = TEXT.replace('recieved', 'got')
+    let { text, conflicts } = mergeText(TEXT, local, other)
+    assert.equal(text, local)
+    assert.equal(conflicts, 1)
+  })
+
+  it('concurrent setTranscriptionText edits on two peers both survive', () => {
+    let a = new Y.Doc()
+    schema.setTranscription(a, 'item1', 't1', { text: TEXT, photo: 'abc' }, 'alice', 1)
+    let b = new Y.Doc()
+    sync(a, b)
+
+    schema.setTranscriptionText(a, 'item1', 't1', TEXT.replace('recieved', 'received'), 'alice', 2)
+    schema.setTranscriptionText(b, 'item1', 't1', TEXT.replace('3rd', '4th'), 'bob', 1)
+    sync(a, b)
+
+    let expected = 'Dear Sir,\nI received your letter\nof the 4th inst.\n'
+    for (let doc of [a, b]) {
+      assert.equal(schema.getTranscriptionText(doc, 'item1', 't1'), expected)
+      assert.equal(schema.getTranscriptions(doc, 'item1').t1.text, expected)
+      assert.equal(schema.getTranscriptions(doc, 'item1').t1.author, 'alice')
+    }
+  })
+
+  it('migrateTranscriptionText wraps older entries and purge drops dead text', () => {
+    let doc = new Y.Doc()
+    doc.getMap('annotations').set('item1', new Y.Map())
+    let txs = new Y.Map()
+    doc.getMap('annotations').get('item1').set('transcriptions', txs)
+    txs.set('t1', { uuid: 't1', text: 'old', data: null, photo: 'abc', author: 'alice', pushSeq: 1 })
+
+    assert.equal(schema.getTranscriptionText(doc, 'item1', 't1'), null)
+    assert.equal(schema.migrateTranscriptionText(doc), 1)
+    assert.equal(schema.migrateTranscriptionText(doc), 0)
+    assert.equal(schema.getTranscriptionText(doc, 'item1', 't1'), 'old')
+
+    schema.removeTranscription(doc, 'item1', 't1', 'alice', 2)
+    schema.purgeTombstones(doc)
+    assert.equal(doc.getMap('annotations').get('item1').get('transcriptionText').size, 0)
+  })
+
+  it('pushTranscriptions merges a local correction with a remote one', () => {
+    let ctx = mockSyncContext({ userId: 'alice' })
+    let item = (text) => ({ photo: [{ '@id': 10, checksum: 'abc', transcription: [{ '@id': 5, text }] }] })
+    ctx.pushTranscriptions(item(TEXT), 'item1', 'alice', new Map(), 1)
+    let key = ctx.vault.getTxKey(5)
+
+    let bob = new Y.Doc()
+    sync(ctx.doc, bob)
+    schema.setTranscriptionText(bob, 'item1', key, TEXT.replace('3rd', '4th'), 'bob', 1)
+    sync(ctx.doc, bob)
+
+    ctx.pushTranscriptions(item(TEXT.replace('recieved', 'received')), 'item1', 'alice', new Map(), 2)
+    let tx = schema.getTranscriptions(ctx.doc, 'item1')[key]
+    assert.equal(tx.text, 'Dear Sir,\nI received your letter\nof the 4th inst.\n')
+    assert.equal(tx.editor, 'alice')
+    assert.equal(ctx._logs.conflicts.length, 0)
+  })
+
+  it('applyTranscriptions updates the local transcription in place', async () => {
+    let updates = []
+    let adapter = {
+      updateTranscription: async (id, payload) => {
+        updates.push({ id, ...payload })
+        return { id }
+      }
+    }
+    let api = {
+      createTranscription: async () => { throw new Error('unexpected create') },
+      deleteTranscription: async () => { throw new Error('unexpected delete') }
+    }
+    let alice = new Y.Doc()
+    schema.setTranscription(alice, 'item1', 't1', { text: TEXT, photo: 'abc' }, 'alice', 1)
+    let ctx = mockSyncContext({ userId: 'bob', adapter })
+    ctx.api = api
+    sync(alice, ctx.doc)
+    ctx.vault.mapAppliedTranscription('t1', 5)
+    ctx.vault.markTranscriptionBase('t1', TEXT)
+
+    // Bob corrected line 2 locally, Alice line 3
+    let local = { localId: 1, item: { photo: [{ '@id': 10, checksum: 'abc',
+      transcription: [{ '@id': 5, text: TEXT.replace('recieved', 'received') }] }] } }
+    schema.setTranscriptionText(alice, 'item1', 't1', TEXT.replace('3rd', '4th'), 'alice', 2)
+    sync(alice, ctx.doc)
+    await ctx.applyTranscriptions('item1', local, 'bob')
+
+    let merged = 'Dear Sir,\nI received your letter\nof the 4th inst.\n'
+    assert.deepEqual(updates.map(u => [u.id, u.text]), [[5, merged]])
+    assert.equal(ctx.vault.getTranscriptionBase('t1'), merged)
+    sync(alice, ctx.doc)
+    assert.equal(schema.getTranscriptionText(alice, 'item1', 't1'), merged)
+  })
+
+  it('store adapter saves transcriptions with transcription.save', async () => {
+    let store = mockStore(mockState({ transcriptions: { 5: { id: 5, text: 'a' } } }))
+    let adapter = new StoreAdapter(store, { debug: () => {}, warn: () => {} })
+    await adapter.updateTranscription(5, { text: 'b', data: null })
+    let [action] = store._dispatched
+    assert.equal(action.type, 'transcription.save')
+    assert.deepEqual(action.payload, { id: 5, text: 'b', data: null })
+    await assert.rejects(adapter.updateTranscription(6, { text: 'c' }), /not found/)
+  })
+})
+
+describe('metadata conflicts', () => {
+  const Y = require('yjs')
+  const fs = require('fs')
+  const os = require('os')
+  const path = require('path')
+  const schema = require('../src/crdt-schema')
+  const { ConflictList, describeConflicts } = require('../src/conflicts')
+  const { mockSyncContext } = require('./helpers')
+
+  const TITLE = 'http://purl.org/dc/elements/1.1/title'
+
+  function sync(a, b) {
+    Y.applyUpdate(b, Y.encodeStateAsUpdate(a, Y.encodeStateVector(b)))
+    Y.applyUpdate(a, Y.encodeStateAsUpdate(b, Y.encodeStateVector(a)))
+  }
+
+  function peer(userId, doc) {
+    let ctx = mockSyncContext({ userId, doc })
+    ctx.saved = []
+    ctx.api = { saveMetadata: async (id, data) => { ctx.saved.push(data) } }
+    return ctx
+  }
+
+  it('keeps one candidate per author and resolves with the losing texts', () => {
+    let doc = new Y.Doc()
+    schema.setMetadata(doc, 'item1', TITLE, { text: 'A' }, 'alice', 1)
+    schema.addMetadataConflict(doc, 'item1', TITLE, [
+      { text: 'B', author: 'bob', pushSeq: 1 },
+      { text: 'A', author: 'alice', pushSeq: 1 }
+    ])
+    assert.equal(schema.addMetadataConflict(doc, 'item1', TITLE, [{ text: 'A', author: 'alice' }]), 0)
+    let open = schema.getMetadataConflicts(doc, 'item1')
+    assert.deepEqual(open[TITLE].map(c => [c.author, c.text]), [['alice', 'A'], ['bob', 'B']])
+
+    assert.equal(schema.resolveMetadataConflict(doc, 'item1', TITLE, { text: 'B' }, 'carol', 2), 2)
+    assert.deepEqual(schema.getMetadataConflicts(doc, 'item1'), {})
+    let value = schema.getMetadata(doc, 'item1')[TITLE]
+    assert.equal(value.text, 'B')
+    assert.deepEqual(value.resolves, ['A'])
+  })
+
+  it('records concurrent edits of a field instead of picking one', async () => {
+    let alice = peer('alice')
+    let bob = peer('bob')
+    alice.pushMetadata({ [TITLE]: 'Old' }, 'item1', 'alice', 1)
+    sync(alice.doc, bob.doc)
+    await bob.applyMetadata('item1', 2, 'bob', { [TITLE]: 'Old' })
+
+    alice.pushMetadata({ [TITLE]: 'Alice title' }, 'item1', 'alice', 2)
+    sync(alice.doc, bob.doc)
+    await bob.applyMetadata('item1', 2, 'bob', { [TITLE]: 'Bob title' })
+    bob.pushMetadata({ [TITLE]: 'Bob title' }, 'item1', 'bob', 3)
+    sync(alice.doc, bob.doc)
+
+    assert.deepEqual(bob.saved, [])
+    assert.equal(schema.getMetadata(bob.doc, 'item1')[TITLE].text, 'Alice title')
+    for (let doc of [alice.doc, bob.doc]) {
+      let candidates = schema.getMetadataConflicts(doc, 'item1')[TITLE]
+      assert.deepEqual(candidates.map(c => [c.author, c.text]),
+        [['alice', 'Alice title'], ['bob', 'Bob title']])
+    }
+    assert.equal(bob._logs.conflicts[0].details.resolution, 'recorded')
+
+    // A sequential edit (remote unchanged since agreed) is no conflict
+    let carol = peer('carol', new Y.Doc())
+    sync(alice.doc, carol.doc)
+    await carol.applyMetadata('item1', 3, 'carol', { [TITLE]: 'Old' })
+    assert.deepEqual(carol.saved, [])
+  })
+
+  it('SyncEngine.resolveConflict pushes the winner and peers take it', async () => {
+    const { SyncEngine } = require('../src/sync-engine')
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'troparcel-conflicts-'))
+    let noop = { info: () => {}, warn: () => {}, debug: () => {}, error: () => {} }
+    let engine = new SyncEngine({ room: 'conflict-room', userId: 'carol', apiPort: 2019 }, noop)
+    engine.doc = new Y.Doc()
+    engine.conflicts = new ConflictList('conflict-room', noop, { dir })
+    let saved = []
+    engine.api = { saveMetadata: async (id, data) => { saved.push([id, data]) } }
+    engine.localIndex = new Map([['item1', { localId: 7, item: {} }]])
+
+    schema.setMetadata(engine.doc, 'item1', TITLE, { text: 'Alice title' }, 'alice', 2)
+    schema.addMetadataConflict(engine.doc, 'item1', TITLE, [
+      { text: 'Alice title', author: 'alice', pushSeq: 2 },
+      { text: 'Bob title', author: 'bob', pushSeq: 3 }
+    ])
+    await engine._refreshConflicts()
+    assert.equal(engine.getConflicts().length, 1)
+    let file = JSON.parse(fs.readFileSync(path.join(dir, 'conflict-room.json'), 'utf8'))
+    assert.equal(file.conflicts[0].localId, 7)
+
+    await assert.rejects(engine.resolveConflict('item1', TITLE, 'dave'), /No candidate/)
+    await engine.resolveConflict('item1', TITLE, 'bob')
+    assert.deepEqual(saved, [[7, { [TITLE]: { text: 'Bob title', type: 'http://www.w3.org/2001/XMLSchema#string' } }]])
+    assert.deepEqual(engine.getConflicts(), [])
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'conflict-room.json'), 'utf8')).conflicts, [])
+
+    // Alice still holds her losing value: the resolution replaces it
+    let alice = peer('alice')
+    sync(engine.doc, alice.doc)
+    await alice.applyMetadata('item1', 1, 'alice', { [TITLE]: 'Alice title' })
+    assert.equal(alice.saved[0][TITLE].text, 'Bob title')
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('keeps the open conflicts of each user of a room name apart', async () => {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'troparcel-conflicts-'))
+    let noop = { info: () => {}, warn: () => {}, debug: () => {}, error: () => {} }
+    try {
+      let entry = { identity: 'item1', localId: 7, field: TITLE, candidates: [] }
+      let mine = new ConflictList('seminar', noop, { dir, userId: 'alice@laptop:2019' })
+      let theirs = new ConflictList('seminar', noop, { dir, userId: 'bob@desk:2019' })
+      await mine.update([entry])
+      await theirs.update([{ ...entry, localId: 12 }])
+      assert.deepEqual(fs.readdirSync(dir).sort(), ['seminar_alice_laptop_2019.json', 'seminar_bob_desk_2019.json'])
+
+      let reopened = new ConflictList('seminar', noop, { dir, userId: 'alice@laptop:2019' })
+      reopened.load()
+      assert.deepEqual(reopened.list().map(e => e.localId), [7])
+
+      const { SyncEngine } = require('../src/sync-engine')
+      let engine = new SyncEngine({ room: 'seminar', userId: 'alice', apiPort: 2019 }, noop)
+      assert.equal(path.basename(engine.conflicts.file), 'seminar_alice.json')
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  it('describes open conflicts with short property names', () => {
+    let text = describeConflicts([{
+      field: TITLE,
+      candidates: [{ text: 'A', author: 'a1' }, { text: 'B', author: 'b1' }]
+    }], id => id.toUpperCase())
+    assert.equal(text, 'title: "A" (A1) / "B" (B1)')
+  })
+})
+
+// ============================================================
+//  comments.js (threaded comments)
+// ============================================================
+
+describe('comments', () => {
+  const Y = require('yjs')
+  const schema = require('../src/crdt-schema')
+  const { renderThread, parseThreadNote, parseCommentNote } = require('../src/comments')
+  const { mockSyncContext, mockState } = require('./helpers')
+
+  function sync(a, b) {
+    Y.applyUpdate(b, Y.encodeStateAsUpdate(a, Y.encodeStateVector(b)))
+    Y.applyUpdate(a, Y.encodeStateAsUpdate(b, Y.encodeStateVector(a)))
+  }
+
+  // Context whose adapter keeps created notes in the mock state
+  function peer(userId, doc) {
+    let state = mockState({ notes: {} })
+    let ctx = mockSyncContext({ userId, doc, state })
+    let nextId = 100
+    ctx.adapter.createNote = async ({ photo, selection, html }) => {
+      let id = nextId++
+      state.notes[id] = { id, photo, selection, html }
+      return { id }
+    }
+    ctx.adapter.updateNote = async (id, { html }) => {
+      let old = state.notes[id]
+      delete state.notes[id]
+      return ctx.adapter.createNote({ photo: old.photo, selection: old.selection, html })
+    }
+    ctx.adapter.deleteNote = async (id) => { delete state.notes[id] }
+    ctx.state = state
+    return ctx
+  }
+
+  const local = { localId: 1, item: { photo: [{ id: 10, checksum: 'abc', note: [] }] } }
+
+  it('only lets the author edit or retract, anyone resolve', () => {
+    let doc = new Y.Doc()
+    schema.setComment(doc, 'item1', 'c_1', { body: 'Date?' }, 'alice', 1)
+    assert.equal(schema.setComment(doc, 'item1', 'c_1', { body: 'Changed' }, 'bob', 1), false)
+    assert.equal(schema.removeComment(doc, 'item1', 'c_1', 'bob', 1), false)
+    assert.equal(schema.setCommentResolved(doc, 'item1', 'c_1', true, 'bob', 1), true)
+
+    let c = schema.getComments(doc, 'item1').c_1
+    assert.equal(c.body, 'Date?')
+    assert.equal(c.parent, 'item1')
+    assert.equal(c.author, 'alice')
+    assert.equal(c.resolvedBy, 'bob')
+
+    assert.equal(schema.removeComment(doc, 'item1', 'c_1', 'alice', 2), true)
+    assert.deepEqual(schema.getActiveComments(doc, 'item1'), {})
+  })
+
+  it('renders threads with nested replies and reads typed replies back', () => {
+    let html = renderThread('n_1', [
+      { uuid: 'c_2', replyTo: 'c_1', author: 'bob', body: 'Yes', createdAt: 2 },
+      { uuid: 'c_1', author: 'alice', body: 'Is <this> right?', createdAt: 1, resolved: true, resolvedBy: 'bob' },
+      { uuid: 'c_3', author: 'carol', body: 'Gone', createdAt: 3, deleted: true }
+    ])
+    assert.ok(html.startsWith('<p><strong>Discussion</strong> <sub>[troparcel:thread n_1]</sub></p>'))
+    assert.ok(html.includes('Is &lt;this&gt; right?'))
+    assert.ok(html.includes('resolved by bob'))
+    assert.ok(!html.includes('Gone'))
+    assert.ok(html.indexOf('c_2') > html.indexOf('c_1'))
+
+    let parsed = parseThreadNote(html + '<p>Thanks</p>')
+    assert.equal(parsed.parent, 'n_1')
+    assert.equal(parsed.lastThread, 'c_1')
+    assert.equal(parsed.reply, 'Thanks')
+    assert.ok(parsed.shown.has('c_2'))
+
+    assert.deepEqual(parseCommentNote('Comment: see troparcel:n_9 again'), { body: 'see again', noteRef: 'n_9' })
+    assert.equal(parseCommentNote('Comments welcome'), null)
+  })
+
+  it('pushes "Comment:" notes and replies without touching the discussed note', async () => {
+    let alice = peer('alice')
+    let item = {
+      '@id': 1,
+      photo: [{
+        id: 10,
+        checksum: 'abc',
+        note: [
+          { id: 20, text: 'A transcription note', html: '<p>A transcription note</p>' },
+          { id: 21, text: 'Comment: is the date right?', html: '<p>Comment: is the date right?</p>' }
+        ]
+      }]
+    }
+    alice.pushNotes(item, 'item1', 'alice', new Map([[10, 'abc']]), 1)
+    assert.equal(Object.keys(schema.getNotes(alice.doc, 'item1')).length, 1)
+    assert.equal(alice.pushComments(item, 'item1', 'alice', 1), 1)
+    assert.equal(alice.pushComments(item, 'item1', 'alice', 2), 0)
+
+    let [comment] = Object.values(schema.getComments(alice.doc, 'item1'))
+    assert.equal(comment.body, 'is the date right?')
+    assert.equal(comment.parent, 'item1')
+
+    // Bob sees a thread note; his typed reply becomes a reply comment
+    let bob = peer('bob', new Y.Doc())
+    sync(alice.doc, bob.doc)
+    await bob.applyComments('item1', local, 'bob')
+    let [threadId] = Object.keys(bob.state.notes)
+    let thread = bob.state.notes[threadId]
+    assert.ok(thread.html.includes('is the date right?'))
+    assert.equal(thread.photo, 10)
+
+    let replyItem = { '@id': 1, photo: [{ id: 10, checksum: 'abc', note: [
+      { id: Number(threadId), text: '', html: thread.html + '<p>It is 1848</p>' }
+    ] }] }
+    assert.equal(bob.pushComments(replyItem, 'item1', 'bob', 1), 1)
+    let reply = Object.values(schema.getComments(bob.doc, 'item1')).find(c => c.author === 'bob')
+    assert.equal(reply.replyTo, comment.uuid)
+    assert.equal(reply.body, 'It is 1848')
+
+    // Alice's "Comment:" note is replaced by the rendered thread
+    sync(alice.doc, bob.doc)
+    alice.state.notes[21] = { id: 21, photo: 10, text: 'Comment: is the date right?' }
+    await alice.applyComments('item1', local, 'alice')
+    let notes = Object.values(alice.state.notes)
+    assert.equal(notes.length, 1)
+    assert.ok(notes[0].html.includes('It is 1848'))
+    assert.equal(schema.getNotes(alice.doc, 'item1')[Object.keys(schema.getNotes(alice.doc, 'item1'))[0]].text,
+      'A transcription note')
+  })
+
+  it('pushes each reply typed into a thread note as its own comment', async () => {
+    let alice = peer('alice')
+    schema.setComment(alice.doc, 'item1', 'c_1', { body: 'Date?' }, 'alice', 1)
+    let bob = peer('bob', new Y.Doc())
+    // An adapter that updates notes in place keeps the thread note's id
+    bob.adapter.updateNote = async (id, { html }) => {
+      bob.state.notes[id] = { ...bob.state.notes[id], html }
+      return { id }
+    }
+    sync(alice.doc, bob.doc)
+    await bob.applyComments('item1', local, 'bob')
+    let [threadId] = Object.keys(bob.state.notes)
+    let reply = (body) => {
+      let html = bob.state.notes[threadId].html + `<p>${body}</p>`
+      bob.state.notes[threadId].html = html
+      return { '@id': 1, photo: [{ id: 10, checksum: 'abc', note: [{ id: Number(threadId), text: '', html }] }] }
+    }
+
+    assert.equal(bob.pushComments(reply('It is 1848'), 'item1', 'bob', 1), 1)
+    await bob.applyComments('item1', local, 'bob')
+    assert.deepEqual(Object.keys(bob.state.notes), [threadId])
+    assert.equal(bob.pushComments(reply('Or 1849'), 'item1', 'bob', 2), 1)
+
+    let replies = Object.values(schema.getComments(bob.doc, 'item1')).filter(c => c.author === 'bob')
+    assert.deepEqual(replies.map(c => c.body).sort(), ['It is 1848', 'Or 1849'])
+    assert.notEqual(replies[0].uuid, replies[1].uuid)
+  })
+
+  it('ignores retractions and edits by anyone but the author', async () => {
+    let alice = peer('alice')
+    schema.setComment(alice.doc, 'item1', 'c_1', { body: 'Mine' }, 'alice', 1)
+    let bob = peer('bob', new Y.Doc())
+    sync(alice.doc, bob.doc)
+    await bob.applyComments('item1', local, 'bob')
+
+    // A peer that skips the schema check writes a foreign tombstone
+    let comments = schema.getItemAnnotations(alice.doc, 'item1').comments
+    comments.set('c_1', { ...comments.get('c_1'), deleted: true, author: 'mallory' })
+    sync(alice.doc, bob.doc)
+    await bob.applyComments('item1', local, 'bob')
+    assert.equal(bob._logs.conflicts[0].type, 'comment-retract')
+    assert.ok(Object.values(bob.state.notes)[0].html.includes('Mine'))
+
+    assert.throws(() => {
+      const { SyncEngine } = require('../src/sync-engine')
+      let noop = { info: () => {}, warn: () => {}, debug: () => {}, error: () => {} }
+      let engine = new SyncEngine({ room: 'comment-room', userId: 'bob', apiPort: 2019 }, noop)
+      engine.doc = bob.doc
+      engine.retractComment('item1', 'c_1')
+    }, /Only/)
+  })
+})
+
+// ============================================================
+//  workflow.js (review status)
+// ============================================================
+
+describe('review workflow', () => {
+  const Y = require('yjs')
+  const schema = require('../src/crdt-schema')
+  const { normalizeWorkflow, resolveStatus, getWorkflow, setWorkflow } = require('../src/workflow')
+  const { mockSyncContext } = require('./helpers')
+
+  function engineWithLists(userId) {
+    const { SyncEngine } = require('../src/sync-engine')
+    let noop = { info: () => {}, warn: () => {}, debug: () => {}, error: () => {} }
+    let engine = new SyncEngine({ room: 'workflow-room', userId, apiPort: 2019 }, noop)
+    engine.doc = new Y.Doc()
+    engine.localIndex = new Map([['item1', { localId: 7, item: {} }]])
+    let lists = {}
+    let members = new Map()
+    engine.adapter = {
+      readLists: () => lists,
+      store: {
+        dispatch: (action) => {
+          let id = Object.keys(lists).length + 1
+          lists[id] = { id, name: action.payload.name }
+          return action
+        }
+      },
+      _waitForAction: async () => {},
+      addItemsToList: async (id, items) => {
+        for (let i of items) members.set(i, lists[id].name)
+      },
+      removeItemsFromList: async (id, items) => {
+        for (let i of items) members.delete(i)
+      }
+    }
+    engine.members = members
+    return engine
+  }
+
+  it('validates definitions and replays transitions deterministically', () => {
+    assert.throws(() => normalizeWorkflow({ states: ['a'], transitions: { a: ['b'] } }), /Unknown state/)
+    let wf = normalizeWorkflow()
+    assert.equal(wf.initial, 'draft')
+    assert.deepEqual(wf.local.review, { list: 'Needs review', tag: null })
+
+    let transitions = [
+      { id: 'b', from: 'review', to: 'approved', after: 'a', author: 'bob', at: 3, pushSeq: 1 },
+      { id: 'a', from: 'draft', to: 'review', after: null, author: 'alice', at: 1, pushSeq: 1 },
+      // Lost the race: made after the same transition as bob's, and
+      // earlier by the clock, but concurrent ones are ordered by id
+      { id: 'c', from: 'review', to: 'draft', after: 'a', author: 'carol', at: 2, pushSeq: 1 },
+      // An older client skipping review
+      { id: 'd', from: 'draft', to: 'approved', after: null, author: 'dave', at: 0, pushSeq: 1 }
+    ]
+    let result = resolveStatus(transitions, wf)
+    assert.equal(result.state, 'approved')
+    assert.equal(result.setBy, 'bob')
+    assert.deepEqual(result.refused.map(t => t.author), ['carol', 'dave'])
+    assert.deepEqual(resolveStatus([...transitions].reverse(), wf), result)
+  })
+
+  it('keeps every transition of a user whose pushSeq restarted, whatever their clock', () => {
+    let doc = new Y.Doc()
+    let wf = normalizeWorkflow()
+    // Two machines of the same user, the second one's clock an hour behind
+    let first = schema.addStatusTransition(doc, 'item1', 'draft', 'review', 'alice', 1, null)
+    let second = schema.addStatusTransition(doc, 'item1', 'review', 'approved', 'alice', 1, first.id)
+    doc.getMap('annotations').get('item1').get('status')
+      .set(second.id, { ...second, at: first.at - 3600000 })
+
+    let result = resolveStatus(schema.getStatusTransitions(doc, 'item1'), wf)
+    assert.equal(schema.getStatusTransitions(doc, 'item1').length, 2)
+    assert.equal(result.state, 'approved')
+    assert.deepEqual(result.refused, [])
+  })
+
+  it('keeps the workflow in the room config, shared with peers', () => {
+    let doc = new Y.Doc()
+    setWorkflow(doc, {
+      states: ['open', 'done'],
+      transitions: { open: ['done'] },
+      local: { done: { tag: 'Done' } }
+    })
+    let peer = new Y.Doc()
+    Y.applyUpdate(peer, Y.encodeStateAsUpdate(doc))
+    assert.deepEqual(getWorkflow(peer).transitions, { open: ['done'] })
+
+    // Status tags are shown locally, never pushed as tags
+    let ctx = mockSyncContext({ doc })
+    ctx.pushTags({ tag: [{ name: 'done' }, { name: 'keep' }] }, 'item1', 'test-user', 1)
+    assert.deepEqual(schema.getActiveTags(doc, 'item1').map(t => t.name), ['keep'])
+  })
+
+  it('sets status through valid transitions and shows it as a list', async () => {
+    let engine = engineWithLists('alice')
+    await assert.rejects(engine.setItemStatus('item1', 'approved'), /Invalid status transition: draft → approved/)
+
+    let status = await engine.setItemStatus('item1', 'review')
+    assert.equal(status.state, 'review')
+    assert.equal(status.setBy, 'alice')
+    assert.equal(engine.members.get(7), 'Needs review')
+
+    await engine.setItemStatus('item1', 'approved')
+    assert.equal(engine.members.has(7), false)
+    assert.deepEqual(engine.getItemStatus('item1').history.map(t => t.to), ['review', 'approved'])
+  })
+
+  it('refuses invalid transitions pushed by other clients', async () => {
+    let engine = engineWithLists('alice')
+    let logged = []
+    engine._logConflict = (type, id, field, detail) => logged.push([type, field, detail.resolution])
+    schema.addStatusTransition(engine.doc, 'item1', 'draft', 'approved', 'old-client', 1)
+    await engine._refreshStatuses()
+    await engine._refreshStatuses()
+    assert.equal(engine.getItemStatus('item1').state, 'draft')
+    assert.deepEqual(logged, [['status', 'approved', 'refused']])
+    assert.equal(engine.members.size, 0)
+  })
+})
+
+// ============================================================
+//  field-history.js (metadata history and blame)
+// ============================================================
+
+describe('field history', () => {
+  const Y = require('yjs')
+  const schema = require('../src/crdt-schema')
+  const { HISTORY_URI, summarizeHistory } = require('../src/field-history')
+  const { mockSyncContext } = require('./helpers')
+  const DATE = 'http://purl.org/dc/elements/1.1/date'
+
+  it('keeps no history unless the room turns it on', () => {
+    let doc = new Y.Doc()
+    schema.setMetadata(doc, 'item1', DATE, { text: '1890' }, 'alice', 1)
+    schema.setMetadata(doc, 'item1', DATE, { text: '1891' }, 'bob', 1)
+    assert.equal(schema.getHistoryRetention(doc).enabled, false)
+    assert.deepEqual(schema.getFieldHistory(doc, 'item1', DATE), [])
+  })
+
+  it('records earlier values with author, pushSeq and time, shared with peers', () => {
+    let doc = new Y.Doc()
+    schema.setMetadata(doc, 'item1', DATE, { text: '1890' }, 'alice', 1)
+    schema.setHistoryRetention(doc, { enabled: true })
+    schema.setMetadata(doc, 'item1', DATE, { text: '1891' }, 'bob', 4)
+    schema.setMetadata(doc, 'item1', DATE, { text: '1891' }, 'bob', 5)
+
+    let peer = new Y.Doc()
+    Y.applyUpdate(peer, Y.encodeStateAsUpdate(doc))
+    let history = schema.getFieldHistory(peer, 'item1', DATE)
+    assert.deepEqual(history.map(e => [e.text, e.author, e.pushSeq]), [['1891', 'bob', 4], ['1890', 'alice', 1]])
+    assert.ok(history[0].at > 0)
+    assert.equal(history[1].at, null)
+    assert.equal(schema.getMetadata(peer, 'item1')[DATE].text, '1891')
+  })
+
+  it('bounds history by count and age', () => {
+    let doc = new Y.Doc()
+    schema.setHistoryRetention(doc, { enabled: true, maxEntries: 3 })
+    for (let i = 1; i <= 5; i++) schema.setMetadata(doc, 'item1', DATE, { text: `v${i}` }, 'alice', i)
+    assert.deepEqual(schema.getFieldHistory(doc, 'item1', DATE).map(e => e.text), ['v5', 'v4', 'v3'])
+
+    let history = doc.getMap('annotations').get('item1').get('metadataHistory')
+    history.set(`${DATE} carol:1`, { prop: DATE, text: 'old', author: 'carol', pushSeq: 1, at: 1000 })
+    schema.setHistoryRetention(doc, { maxEntries: 10, maxAgeDays: 30 })
+    schema.setMetadata(doc, 'item1', DATE, { text: 'v6' }, 'alice', 6)
+    assert.deepEqual(schema.getFieldHistory(doc, 'item1', DATE).map(e => e.text), ['v6', 'v5', 'v4', 'v3'])
+  })
+
+  it('writes a summary into the local history field, never pushed', async () => {
+    const { SyncEngine } = require('../src/sync-engine')
+    let noop = { info: () => {}, warn: () => {}, debug: () => {}, error: () => {} }
+    let engine = new SyncEngine({ room: 'history-room', userId: 'alice', apiPort: 2019 }, noop)
+    engine.doc = new Y.Doc()
+    engine.setHistoryConfig({ enabled: true })
+    schema.setMetadata(engine.doc, 'item1', DATE, { text: '1890' }, 'alice', 1)
+    schema.setMetadata(engine.doc, 'item1', DATE, { text: '1891' }, 'bob', 1)
+    engine.localIndex = new Map([['item1', { localId: 7, item: {} }]])
+    let saved = []
+    engine.api = { saveMetadata: async (id, data) => saved.push([id, data]) }
+
+    let entries = await engine.showFieldHistory('item1', DATE)
+    assert.deepEqual(entries.map(e => e.authorName), ['bob', 'alice'])
+    assert.equal(saved[0][0], 7)
+    assert.match(saved[0][1][HISTORY_URI].text, /^date: "1891" — bob, .*; "1890" — alice/)
+    assert.equal(summarizeHistory(DATE, []), 'date: no earlier values')
+
+    let ctx = mockSyncContext({ doc: engine.doc })
+    ctx.pushMetadata({ [HISTORY_URI]: 'date: …' }, 'item1', 'alice', 2)
+    assert.equal(schema.getMetadata(engine.doc, 'item1')[HISTORY_URI], undefined)
+  })
+})
+
+// ============================================================
+//  room-history.js (snapshots and diffs over time)
+// ============================================================
+
+describe('room history', () => {
+  const fs = require('fs')
+  const os = require('os')
+  const path = require('path')
+  const Y = require('yjs')
+  const schema = require('../src/crdt-schema')
+  const { diffSnapshots } = require('../server/room-diff')
+  const { RoomSnapshots, describeItemChanges } = require('../src/room-history')
+  const noopLogger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+
+  function items(doc) {
+    let result = {}
+    for (let id of schema.getIdentities(doc)) result[id] = schema.getItemSnapshot(doc, id)
+    return result
+  }
+
+  it('diffs notes, tags, metadata and selections per item with authors', () => {
+    let doc = new Y.Doc()
+    schema.setMetadata(doc, 'item1', 'dc:date', { text: '1890' }, 'alice', 1)
+    schema.setTag(doc, 'item1', { name: 'Draft' }, 'alice', 2)
+    schema.setNote(doc, 'item1', 'n1', { html: '<p>a</p>', text: 'a' }, 'alice', 3)
+    schema.setPhotoMetadata(doc, 'item1', 'abc', 'dc:title', { text: 'Front' }, 'alice', 4)
+    let before = items(doc)
+
+    schema.setMetadata(doc, 'item1', 'dc:date', { text: '1891' }, 'bob', 1)
+    schema.removeTag(doc, 'item1', 'Draft', 'bob', 2)
+    schema.setTag(doc, 'item1', { name: 'Letters' }, 'bob', 3)
+    schema.setSelection(doc, 'item2', 's1', { x: 1, y: 2, w: 3, h: 4, photo: 'abc' }, 'carol', 1)
+    // Rewritten unchanged: not a change
+    schema.setPhotoMetadata(doc, 'item1', 'abc', 'dc:title', { text: 'Front' }, 'bob', 4)
+    let report = diffSnapshots(before, items(doc))
+
+    let item1 = report.items.item1
+    assert.deepEqual(item1.metadata.changed.map(c => [c.key, c.before.text, c.after.text, c.author]),
+      [['dc:date', '1890', '1891', 'bob']])
+    assert.deepEqual(item1.tags.added.map(c => [c.key, c.author]), [['letters', 'bob']])
+    assert.deepEqual(item1.tags.removed.map(c => [c.key, c.author]), [['draft', 'bob']])
+    assert.equal(item1.photos, undefined)
+    assert.equal(item1.notes, undefined)
+    assert.deepEqual(report.items.item2.selections.added.map(c => c.author), ['carol'])
+    assert.deepEqual(report.summary, { items: 2, added: 2, removed: 1, changed: 1, authors: { bob: 3, carol: 1 } })
+    assert.deepEqual(describeItemChanges(item1), [
+      'changed dc:date: "1890" → "1891" (bob)',
+      'added tag Letters (bob)',
+      'removed tag Draft (bob)'
+    ])
+  })
+
+  it('records labelled snapshots, skips unchanged ones and diffs against now', async () => {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'troparcel-snapshots-'))
+    try {
+      let doc = new Y.Doc()
+      schema.setNote(doc, 'item1', 'n1', { html: '<p>a</p>', text: 'a' }, 'alice', 1)
+      let store = new RoomSnapshots('week room', noopLogger, { dir })
+      let monday = await store.record(items(doc), { reason: 'daily' })
+      assert.equal(await store.record(items(doc), { reason: 'sync' }), null)
+      let labelled = await store.record(items(doc), { label: 'submitted' })
+      assert.equal(labelled.label, 'submitted')
+
+      schema.removeNote(doc, 'item1', 'n1', 'bob', 1)
+      let reopened = new RoomSnapshots('week room', noopLogger, { dir })
+      assert.deepEqual(reopened.list().map(s => s.reason), ['daily', 'manual'])
+      assert.equal(reopened.at(Date.parse(labelled.createdAt)).id, labelled.id)
+      assert.equal(reopened.at(0), null)
+
+      let report = await reopened.diff(monday.id, null, items(doc))
+      assert.equal(report.to.id, 'current')
+      assert.deepEqual(report.items.item1.notes.removed.map(c => [c.key, c.author, c.value.text]), [['n1', 'bob', 'a']])
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  it('writes one changelog note per changed local item', async () => {
+    const { SyncEngine } = require('../src/sync-engine')
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'troparcel-snapshots-'))
+    try {
+      let engine = new SyncEngine({ room: 'changelog-room', userId: 'alice', apiPort: 2019 }, noopLogger)
+      engine.snapshots = new RoomSnapshots('changelog-room', noopLogger, { dir })
+      engine.doc = new Y.Doc()
+      schema.setMetadata(engine.doc, 'item1', 'dc:date', { text: '1890' }, 'alice', 1)
+      await engine.recordSnapshot('start')
+      schema.setMetadata(engine.doc, 'item1', 'dc:date', { text: '1891' }, 'bob', 1)
+
+      let notes = {}
+      engine.localIndex = new Map([['item1', { localId: 7, item: { photo: [{ '@id': 3 }] } }]])
+      engine.adapter = {
+        suppressChanges: () => {},
+        resumeChanges: () => {},
+        _getState: () => ({ notes }),
+        createNote: async ({ photo, html }) => { notes[10] = { photo, text: html }; return { id: 10 } },
+        updateNote: async (id, { html }) => { notes[id].text = html; return { id } }
+      }
+
+      let report = await engine.diffSnapshots(new Date())
+      assert.equal(report.from.label, 'start')
+      assert.equal(await engine.writeChangelogNotes(report), 1)
+      assert.match(notes[10].text, /Changes from start to now.*\[troparcel:changelog\].*changed dc:date: &quot;1890&quot; → &quot;1891&quot; \(bob\)/)
+      await engine.writeChangelogNotes(report)
+      assert.deepEqual(Object.keys(notes), ['10'])
+      await assert.rejects(engine.diffSnapshots(0), /No snapshot taken by/)
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  it('carries unloaded v5 items over from the newest snapshot', async () => {
+    const { SyncEngine } = require('../src/sync-engine')
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'troparcel-snapshots-'))
+    try {
+      let engine = new SyncEngine({ room: 'v5-room', userId: 'alice', apiPort: 2019 }, noopLogger)
+      engine.snapshots = new RoomSnapshots('v5-room', noopLogger, { dir })
+      let full = new Y.Doc()
+      schema.setMetadata(full, 'item1', 'dc:date', { text: '1890' }, 'alice', 1)
+      schema.setMetadata(full, 'item2', 'dc:date', { text: '1750' }, 'bob', 1)
+      schema.migrateToV5(full)
+      engine.doc = full
+      let start = await engine.recordSnapshot('start')
+
+      // Selective sync: only item1 is loaded in this copy
+      let copy = new Y.Doc()
+      Y.applyUpdate(copy, Y.encodeStateAsUpdate(full))
+      let itemDoc = schema.getItemDoc(copy, 'item1')
+      itemDoc.load()
+      Y.applyUpdate(itemDoc, Y.encodeStateAsUpdate(schema.getItemDoc(full, 'item1')))
+      schema.setMetadata(copy, 'item1', 'dc:date', { text: '1891' }, 'alice', 2)
+      engine.doc = copy
+      assert.equal(schema.getItemSnapshot(copy, 'item2'), null)
+
+      let report = await engine.diffSnapshots(start.id)
+      assert.deepEqual(Object.keys(report.items), ['item1'])
+      assert.deepEqual(report.summary, { items: 1, added: 0, removed: 0, changed: 1, authors: { alice: 1 } })
+      let later = await engine.recordSnapshot('later')
+      let { items: stored } = await engine.snapshots.get(later.id)
+      assert.equal(stored.item2.metadata['dc:date'].text, '1750')
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+})
+
+// ============================================================
+//  revert.js (undo one collaborator's writes)
+// ============================================================
+
+describe('author revert', () => {
+  const fs = require('fs')
+  const os = require('os')
+  const path = require('path')
+  const Y = require('yjs')
+  const schema = require('../src/crdt-schema')
+  const { planRevert } = require('../server/revert')
+  const { RoomSnapshots } = require('../src/room-history')
+  const noopLogger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+
+  function items(doc) {
+    let result = {}
+    for (let id of schema.getIdentities(doc)) result[id] = schema.getItemSnapshot(doc, id)
+    return result
+  }
+
+  // alice's work, then eve's bad pushes (pushSeq 5+), then bob fixes one field
+  function badPushes() {
+    let doc = new Y.Doc()
+    schema.setMetadata(doc, 'item1', 'dc:date', { text: '1890' }, 'alice', 1)
+    schema.setMetadata(doc, 'item1', 'dc:title', { text: 'Letter' }, 'alice', 2)
+    schema.setTag(doc, 'item1', { name: 'Draft' }, 'alice', 3)
+    schema.setMetadata(doc, 'item1', 'dc:creator', { text: 'Eve' }, 'eve', 2)
+    let before = items(doc)
+    schema.setMetadata(doc, 'item1', 'dc:date', { text: '9999' }, 'eve', 5)
+    schema.setMetadata(doc, 'item1', 'dc:title', { text: 'junk' }, 'eve', 6)
+    schema.removeTag(doc, 'item1', 'Draft', 'eve', 7)
+    schema.setNote(doc, 'item1', 'n1', { html: '<p>junk</p>' }, 'eve', 8)
+    schema.setMetadata(doc, 'item1', 'dc:title', { text: 'Letter to Anna' }, 'bob', 1)
+    return { doc, before }
+  }
+
+  it('plans restores and removals from earlier states, keeping later edits by others', () => {
+    let { doc, before } = badPushes()
+    let plan = planRevert(items(doc), 'eve', { pushSeq: 4 }, [{ createdAt: '2026-01-01T00:00:00Z', items: before }])
+
+    assert.deepEqual(plan.changes.map(c => [c.section, c.key, c.action, c.source]), [
+      ['metadata', 'dc:date', 'restore', 'snapshot'],
+      ['tags', 'draft', 'restore', 'snapshot'],
+      ['notes', 'n1', 'remove', 'snapshot']
+    ])
+    assert.equal(plan.changes[0].prior.text, '1890')
+    assert.equal(plan.changes[0].current.text, '9999')
+    assert.deepEqual(plan.summary, { items: 1, restore: 2, remove: 1, unresolved: 0 })
+
+    // No earlier state that knows the item: reported, not guessed
+    let blind = planRevert(items(doc), 'eve', { pushSeq: 4 }, [])
+    assert.equal(blind.changes.length, 0)
+    assert.equal(blind.summary.unresolved, 3)
+  })
+
+  it('takes prior values from field history and plans by time', () => {
+    let doc = new Y.Doc()
+    schema.setHistoryRetention(doc, { enabled: true })
+    schema.setMetadata(doc, 'item1', 'dc:date', { text: '1890' }, 'alice', 1)
+    schema.setMetadata(doc, 'item1', 'dc:date', { text: '1891' }, 'eve', 5)
+    schema.setMetadata(doc, 'item1', 'dc:date', { text: '9999' }, 'eve', 6)
+    let current = items(doc)
+    current.item1.metadataHistory = schema.getMetadataHistory(doc, 'item1')
+
+    let plan = planRevert(current, 'eve', { pushSeq: 5 }, [])
+    assert.deepEqual(plan.changes.map(c => [c.key, c.prior.text, c.source]), [['dc:date', '1891', 'history']])
+    assert.equal(planRevert(current, 'eve', { pushSeq: 4 }, []).changes[0].prior.text, '1890')
+
+    // By time: whatever differs from the newest state taken by then
+    let { doc: bad, before } = badPushes()
+    let states = [
+      { createdAt: '2026-03-01T00:00:00Z', items: before },
+      { createdAt: '2026-03-05T00:00:00Z', items: items(bad) }
+    ]
+    let byTime = planRevert(items(bad), 'eve', { time: Date.parse('2026-03-02T00:00:00Z') }, states)
+    assert.deepEqual(byTime.changes.map(c => [c.key, c.action]), [['dc:date', 'restore'], ['draft', 'restore'], ['n1', 'remove']])
+    assert.equal(byTime.since.time, '2026-03-02T00:00:00.000Z')
+  })
+
+  it('dry-runs, then writes the plan as a new author on the engine', async () => {
+    const { SyncEngine } = require('../src/sync-engine')
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'troparcel-revert-'))
+    try {
+      let engine = new SyncEngine({ room: 'revert-room', userId: 'alice', apiPort: 2019 }, noopLogger)
+      engine.snapshots = new RoomSnapshots('revert-room', noopLogger, { dir })
+      let { doc, before } = badPushes()
+      engine.doc = doc
+      await engine.snapshots.record(before, { label: 'before eve' })
+
+      let plan = await engine.revertAuthor('eve', 4)
+      assert.equal(plan.applied, 0)
+      assert.equal(plan.changes.length, 3)
+      assert.equal(schema.getMetadata(doc, 'item1')['dc:date'].text, '9999')
+
+      engine._remoteAnnotationsDirty = false
+      let done = await engine.revertAuthor('eve', 4, { dryRun: false })
+      assert.equal(done.applied, 3)
+      assert.equal(engine._remoteAnnotationsDirty, true)
+      let meta = schema.getMetadata(doc, 'item1')
+      assert.deepEqual([meta['dc:date'].text, meta['dc:date'].author], ['1890', 'revert:alice'])
+      assert.equal(meta['dc:title'].text, 'Letter to Anna')
+      assert.equal(meta['dc:creator'].text, 'Eve')
+      assert.deepEqual(schema.getActiveTags(doc, 'item1').map(t => t.name), ['Draft'])
+      assert.equal(schema.getNotes(doc, 'item1').n1.deleted, true)
+
+      // Nothing of eve's left to revert
+      assert.equal((await engine.revertAuthor('eve', 4)).changes.length, 0)
+      await assert.rejects(engine.revertAuthor('eve', 'not a time'), /Invalid revert time/)
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  it('keeps the author on revert tombstones so peers retract the notes they applied', async () => {
+    const { SyncEngine } = require('../src/sync-engine')
+    const { mockSyncContext } = require('./helpers')
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'troparcel-revert-'))
+    try {
+      let engine = new SyncEngine({ room: 'revert-room', userId: 'alice', apiPort: 2019 }, noopLogger)
+      engine.snapshots = new RoomSnapshots('revert-room', noopLogger, { dir })
+      let { doc, before } = badPushes()
+      engine.doc = doc
+      await engine.snapshots.record(before, { label: 'before eve' })
+
+      // Bob's project has applied eve's note
+      let notes = {}
+      let nextId = 100
+      let adapter = {
+        _getState: () => ({ notes }),
+        _noteStateToHtml: n => n.html,
+        createNote: async ({ html }) => {
+          let id = nextId++
+          notes[id] = { id, html, text: html }
+          return { id }
+        },
+        updateNote: async (id, { html }) => {
+          delete notes[id]
+          return adapter.createNote({ html })
+        },
+        deleteNote: async (id) => { delete notes[id] }
+      }
+      let bob = mockSyncContext({ userId: 'bob', adapter })
+      let local = { localId: 1, item: { photo: [{ '@id': 10, checksum: 'abc', note: [] }] } }
+      Y.applyUpdate(bob.doc, Y.encodeStateAsUpdate(doc))
+      await bob.applyNotes('item1', local, 'bob')
+      assert.equal(Object.keys(notes).length, 1)
+
+      await engine.revertAuthor('eve', 4, { dryRun: false })
+      let tombstone = schema.getNotes(doc, 'item1').n1
+      assert.deepEqual([tombstone.deleted, tombstone.author, tombstone.revertedBy], [true, 'eve', 'revert:alice'])
+
+      Y.applyUpdate(bob.doc, Y.encodeStateAsUpdate(doc))
+      await bob.applyNotes('item1', local, 'bob')
+      let [note] = Object.values(notes)
+      assert.match(note.html, /line-through">junk/)
+      assert.match(note.html, /retracted by revert:alice/)
+      assert.ok(bob.vault.retractedNoteKeys.has('n1'))
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+})
+
+// ============================================================
+//  server/versions.js (stored room versions)
+// ============================================================
+
+describe('room versions', () => {
+  const path = require('path')
+  const Y = require('yjs')
+  const schema = require('../src/crdt-schema')
+  const versions = require('../server/versions')
+  // The server may bring its own copy of yjs; its docs must come from it
+  const ServerY = require(require.resolve('yjs', { paths: [path.join(__dirname, '../server')] }))
+
+  // In-memory stand-in for y-leveldb that remembers the docs it handed out
+  function memoryLeveldb() {
+    let updates = new Map()
+    let meta = new Map()
+    let loaded = []
+    return {
+      loaded,
+      getYDoc: async (name) => {
+        let doc = new ServerY.Doc()
+        for (let u of updates.get(name) || []) ServerY.applyUpdate(doc, u)
+        let entry = { name, destroyed: false }
+        doc.on('destroy', () => { entry.destroyed = true })
+        loaded.push(entry)
+        return doc
+      },
+      storeUpdate: async (name, update) => {
+        if (!updates.has(name)) updates.set(name, [])
+        updates.get(name).push(update)
+      },
+      getMeta: async (name, key) => meta.get(`${name} ${key}`),
+      setMeta: async (name, key, value) => { meta.set(`${name} ${key}`, value) },
+      delMeta: async (name, key) => { meta.delete(`${name} ${key}`) }
+    }
+  }
+
+  it('destroys the stored docs it loads for rooms that are not live', async () => {
+    let ldb = memoryLeveldb()
+    let doc = new Y.Doc()
+    schema.setTag(doc, 'item1', { name: 'Letters' }, 'eve', 1)
+    await ldb.storeUpdate('seminar', Y.encodeStateAsUpdate(doc))
+
+    let created = await versions.createVersion(ldb, 'seminar', new Map(), { reason: 'manual' })
+    schema.setTag(doc, 'item1', { name: 'Maps' }, 'eve', 2)
+    await ldb.storeUpdate('seminar', Y.encodeStateAsUpdate(doc))
+    await versions.restoreVersion(ldb, 'seminar', created.id, new Map())
+    await versions.revertAuthor(ldb, 'seminar', 'eve', { pushSeq: 0 }, new Map(), { dryRun: false })
+
+    assert.ok(ldb.loaded.length >= 4)
+    assert.deepEqual(ldb.loaded.filter(e => !e.destroyed), [])
+  })
+
+  it('leaves live docs alone', async () => {
+    let ldb = memoryLeveldb()
+    let doc = new Y.Doc()
+    schema.setTag(doc, 'item1', { name: 'Letters' }, 'eve', 1)
+    let live = new ServerY.Doc()
+    ServerY.applyUpdate(live, Y.encodeStateAsUpdate(doc))
+    let destroyed = false
+    live.on('destroy', () => { destroyed = true })
+
+    let created = await versions.createVersion(ldb, 'seminar', new Map([['seminar', live]]))
+    await versions.restoreVersion(ldb, 'seminar', created.id, new Map([['seminar', live]]))
+    assert.equal(destroyed, false)
+    assert.deepEqual(ldb.loaded, [])
+  })
+})
+
+// ============================================================
+//  review-queue.js (review mode: per-change accept/reject)
+// ============================================================
+
+describe('review queue', () => {
+  const fs = require('fs')
+  const os = require('os')
+  const path = require('path')
+  const Y = require('yjs')
+  const schema = require('../src/crdt-schema')
+  const { ReviewQueue, renderReviewNote, reviewKey } = require('../src/review-queue')
+  const noopLogger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+  const SECTIONS = ['metadata', 'tags', 'notes']
+  const REVIEW_OPTIONS = {
+    room: 'review-room', userId: 'alice', apiPort: 2019, syncMode: 'review',
+    syncMetadata: true, syncTags: true, syncNotes: true
+  }
+
+  it('queues changes since the last review and keeps them across restarts', async () => {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'troparcel-review-'))
+    try {
+      let doc = new Y.Doc()
+      let queue = new ReviewQueue('seminar', noopLogger, { dir })
+      schema.setMetadata(doc, 'item1', 'dc:date', { text: '1890' }, 'alice', 1)
+      schema.setTag(doc, 'item1', { name: 'Letters' }, 'bob', 1)
+      assert.equal(queue.collect('item1', schema.getItemSnapshot(doc, 'item1'), 'alice', SECTIONS), true)
+      assert.deepEqual(queue.list().map(c => [c.section, c.key, c.kind, c.author]), [['tags', 'letters', 'added', 'bob']])
+
+      schema.setMetadata(doc, 'item1', 'dc:date', { text: '1891' }, 'bob', 2)
+      queue.collect('item1', schema.getItemSnapshot(doc, 'item1'), 'alice', SECTIONS)
+      let [change] = queue.list({ section: 'metadata' })
+      assert.deepEqual([change.kind, change.old.text, change.new.text], ['changed', '1890', '1891'])
+      assert.equal(queue.isPending('item1', 'metadata', 'dc:date'), true)
+
+      // Back to the reviewed value: nothing left to review there
+      schema.setMetadata(doc, 'item1', 'dc:date', { text: '1890' }, 'bob', 3)
+      queue.collect('item1', schema.getItemSnapshot(doc, 'item1'), 'alice', SECTIONS)
+      assert.equal(queue.list({ author: 'bob' }).length, 1)
+
+      assert.deepEqual(queue.take({ section: 'tags' }).map(c => c.key), ['letters'])
+      assert.equal(queue.collect('item1', schema.getItemSnapshot(doc, 'item1'), 'alice', SECTIONS), false)
+      await queue.persist()
+
+      schema.removeTag(doc, 'item1', 'Letters', 'bob', 4)
+      let reopened = new ReviewQueue('seminar', noopLogger, { dir })
+      assert.equal(reopened.load(), true)
+      reopened.collect('item1', schema.getItemSnapshot(doc, 'item1'), 'alice', SECTIONS)
+      let html = renderReviewNote(reopened.forItem('item1'), id => id.toUpperCase())
+      assert.match(html, /1 change\(s\) pending review.*\[troparcel:review\].*removed tag Letters \(BOB\)/)
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  it('accepts and rejects per author, item and section; rejected changes stay out', async () => {
+    const { SyncEngine } = require('../src/sync-engine')
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'troparcel-review-'))
+    try {
+      let engine = new SyncEngine(REVIEW_OPTIONS, noopLogger)
+      engine.reviewQueue = new ReviewQueue('review-room', noopLogger, { dir })
+      engine._persistVault = async () => {}
+      engine.doc = new Y.Doc()
+      engine.localIndex = new Map([
+        ['item1', { localId: 7, item: { photo: [] } }],
+        ['item2', { localId: 8, item: { photo: [] } }]
+      ])
+      let applied = []
+      engine._applyItems = async (ids) => { applied.push(...ids); return ids.length }
+      let saved = []
+      engine.api = { saveMetadata: async (id, batch) => { saved.push([id, Object.keys(batch)]) } }
+      await engine._queueForReview(['item1', 'item2'])
+
+      schema.setMetadata(engine.doc, 'item1', 'dc:title', { text: 'junk' }, 'bob', 1)
+      schema.setTag(engine.doc, 'item1', { name: 'Letters' }, 'bob', 2)
+      schema.setTag(engine.doc, 'item2', { name: 'Maps' }, 'carol', 1)
+      assert.equal(await engine._queueForReview(['item1', 'item2']), 3)
+      assert.deepEqual(engine.getPendingChanges({ author: 'bob' }).map(c => c.section), ['metadata', 'tags'])
+
+      // Pending changes are held back by apply
+      await engine.applyMetadata('item1', 7, 'alice', {})
+      assert.deepEqual(saved, [])
+
+      assert.deepEqual(await engine.acceptChanges({ author: 'bob', section: 'tags' }), { accepted: 1, applied: 1 })
+      assert.deepEqual(applied, ['item1'])
+      assert.deepEqual(await engine.rejectChanges({ identity: 'item1' }), { rejected: 1 })
+      assert.deepEqual(engine.getPendingChanges().map(c => c.author), ['carol'])
+
+      // Rejected: still held back, and not queued again
+      await engine._queueForReview(['item1'])
+      await engine.applyMetadata('item1', 7, 'alice', {})
+      assert.deepEqual(saved, [])
+      assert.equal(engine.getPendingChanges({ identity: 'item1' }).length, 0)
+
+      // Until its author writes it again
+      schema.setMetadata(engine.doc, 'item1', 'dc:title', { text: 'Letter to Anna' }, 'bob', 5)
+      await engine._queueForReview(['item1'])
+      assert.equal(engine.getPendingChanges({ identity: 'item1' })[0].new.text, 'Letter to Anna')
+      await engine.acceptChanges({ identity: 'item1' })
+      await engine.applyMetadata('item1', 7, 'alice', {})
+      assert.deepEqual(saved, [[7, ['dc:title']]])
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  it('takes a populated room as reviewed when review mode is first turned on', async () => {
+    const { SyncEngine } = require('../src/sync-engine')
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'troparcel-review-'))
+    try {
+      let engine = new SyncEngine(REVIEW_OPTIONS, noopLogger)
+      engine.reviewQueue = new ReviewQueue('review-room', noopLogger, { dir })
+      engine.doc = new Y.Doc()
+      engine.localIndex = new Map([['item1', { localId: 7, item: { photo: [] } }]])
+      engine._settleReview = async () => {}
+      schema.setTag(engine.doc, 'item1', { name: 'Letters' }, 'bob', 1)
+      schema.setMetadata(engine.doc, 'item1', 'dc:title', { text: 'A letter' }, 'carol', 1)
+
+      assert.equal(await engine._queueForReview(['item1']), 0)
+      schema.setMetadata(engine.doc, 'item1', 'dc:title', { text: 'Letter to Anna' }, 'bob', 2)
+      assert.equal(await engine._queueForReview(['item1']), 1)
+      let [change] = engine.getPendingChanges()
+      assert.deepEqual([change.kind, change.old.text, change.new.text], ['changed', 'A letter', 'Letter to Anna'])
+
+      assert.equal(path.basename(new SyncEngine(REVIEW_OPTIONS, noopLogger).reviewQueue.file), 'review-room_alice.json')
+
+      // Seeded once: a restart keeps queueing changes
+      let reopened = new ReviewQueue('review-room', noopLogger, { dir })
+      reopened.load()
+      assert.equal(reopened.seeded, true)
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  // Tropy adapter stand-in keeping lists, list members and notes
+  function reviewAdapter() {
+    let lists = {}
+    let members = new Set()
+    let notes = {}
+    let adapter = {
+      suppressChanges: () => {},
+      resumeChanges: () => {},
+      readLists: () => lists,
+      store: {
+        dispatch: (action) => {
+          lists[1] = { id: 1, name: action.payload.name }
+          return action
+        }
+      },
+      _waitForAction: async () => {},
+      _getState: () => ({ notes, items: { 7: { lists: [...members] } } }),
+      _noteStateToHtml: (note) => note.text,
+      addItemsToList: async (id, items) => { for (let i of items) members.add(id) },
+      removeItemsFromList: async (id) => { members.delete(id) },
+      createNote: async ({ photo, html }) => { notes[10] = { photo, text: html }; return { id: 10 } },
+      updateNote: async (id, { html }) => { notes[id].text = html },
+      deleteNote: async (id) => { delete notes[id] }
+    }
+    return { adapter, lists, members, notes }
+  }
+
+  it('reads accept and reject answers from a review note', () => {
+    const { parseReviewNote, reviewRef } = require('../src/review-queue')
+    let changes = ['a', 'b', 'c'].map((key, i) => ({
+      id: `item1 tags ${key}`, identity: 'item1', section: 'tags', key, kind: 'added',
+      old: null, new: { name: key }, author: 'bob', pushSeq: i + 1
+    }))
+    let html = renderReviewNote(changes)
+    assert.equal(parseReviewNote('<p>Just a note</p>'), null)
+    assert.deepEqual(parseReviewNote(html), { accept: [], reject: [] })
+
+    let answered = parseReviewNote(html + '<p>reject 2</p><p>accept 1, 2</p><p>accept 9</p>')
+    assert.deepEqual(answered, { accept: [reviewRef(changes[0])], reject: [reviewRef(changes[1])] })
+    assert.deepEqual(parseReviewNote(html + '<p>Reject all</p>').reject, changes.map(reviewRef))
+  })
+
+  it('carries out the answers typed into review notes on Import, and only those', async () => {
+    const { SyncEngine } = require('../src/sync-engine')
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'troparcel-review-'))
+    try {
+      let engine = new SyncEngine(REVIEW_OPTIONS, noopLogger)
+      engine.reviewQueue = new ReviewQueue('review-room', noopLogger, { dir })
+      engine._persistVault = async () => {}
+      engine.doc = new Y.Doc()
+      engine.localIndex = new Map([['item1', { localId: 7, item: { photo: [{ '@id': 3 }] } }]])
+      let applied = []
+      engine._applyItems = async (ids) => { applied.push(...ids); return ids.length }
+      let { adapter, notes } = reviewAdapter()
+      engine.adapter = adapter
+      await engine._queueForReview(['item1'])
+
+      schema.setMetadata(engine.doc, 'item1', 'dc:title', { text: 'junk' }, 'bob', 1)
+      schema.setTag(engine.doc, 'item1', { name: 'Letters' }, 'bob', 2)
+      schema.setTag(engine.doc, 'item1', { name: 'Maps' }, 'carol', 1)
+      await engine._queueForReview(['item1'])
+      let number = (text) => new RegExp(`(\\d+)\\. [^<]*${text}`).exec(notes[10].text)[1]
+      notes[10].text += `<p>accept ${number('tag Letters')}</p><p>reject ${number('title')}</p>`
+
+      applied = []
+      await engine.applyOnDemand()
+      assert.deepEqual(engine.getPendingChanges().map(c => c.key), ['maps'])
+      assert.ok(applied.includes('item1'))
+      assert.ok(engine.vault.isDismissed(reviewKey('item1', 'metadata', 'dc:title', 'bob'), 1))
+      assert.doesNotMatch(notes[10].text, /<p>accept|Letters|junk/)
+      assert.match(notes[10].text, /1\. added tag Maps/)
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  it('shows pending items in a local "Pending review" list with a note', async () => {
+    const { SyncEngine } = require('../src/sync-engine')
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'troparcel-review-'))
+    try {
+      let engine = new SyncEngine(REVIEW_OPTIONS, noopLogger)
+      engine.reviewQueue = new ReviewQueue('review-room', noopLogger, { dir })
+      engine._persistVault = async () => {}
+      engine.doc = new Y.Doc()
+      engine.localIndex = new Map([['item1', { localId: 7, item: { photo: [{ '@id': 3 }] } }]])
+      engine._applyItems = async (ids) => ids.length
+      let { adapter, lists, members, notes } = reviewAdapter()
+      engine.adapter = adapter
+      await engine._queueForReview(['item1'])
+
+      schema.setTag(engine.doc, 'item1', { name: 'Letters' }, 'bob', 1)
+      await engine._queueForReview(['item1'])
+      assert.equal(lists[1].name, 'Pending review')
+      assert.deepEqual([...members], [1])
+      assert.match(notes[10].text, /added tag Letters \(bob\)/)
+
+      await engine.rejectChanges()
+      assert.deepEqual([...members], [])
+      assert.deepEqual(notes, {})
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+})
+
+// ============================================================
+//  bootstrap.js (bootstrap a project from a photo folder)
+// ============================================================
+
+describe('bootstrap from folder', () => {
+  const fs = require('fs')
+  const os = require('os')
+  const path = require('path')
+  const crypto = require('crypto')
+  const Y = require('yjs')
+  const schema = require('../src/crdt-schema')
+  const { ApiClient } = require('../src/api-client')
+  const { scanFolder, checksumFile, planBootstrap, importData } = require('../src/bootstrap')
+  const noopLogger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+  const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex')
+
+  // photos/{a.jpg, b.jpg, sub/c.tif, notes.txt, .hidden.jpg}, link.jpg -> outside
+  function photoFolder() {
+    let base = fs.mkdtempSync(path.join(os.tmpdir(), 'troparcel-bootstrap-'))
+    let dir = path.join(base, 'photos')
+    fs.mkdirSync(path.join(dir, 'sub'), { recursive: true })
+    fs.writeFileSync(path.join(dir, 'a.jpg'), 'photo a')
+    fs.writeFileSync(path.join(dir, 'b.jpg'), 'photo b')
+    fs.writeFileSync(path.join(dir, 'sub', 'c.tif'), 'photo c')
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a photo')
+    fs.writeFileSync(path.join(dir, '.hidden.jpg'), 'hidden')
+    fs.writeFileSync(path.join(base, 'outside.jpg'), 'photo outside')
+    fs.symlinkSync(path.join(base, 'outside.jpg'), path.join(dir, 'link.jpg'))
+    return { base, dir: fs.realpathSync(dir) }
+  }
+
+  it('scans photos in the chosen folder only and hashes them as Tropy does', async () => {
+    let { base, dir } = photoFolder()
+    try {
+      let files = await scanFolder(dir)
+      assert.deepEqual(files.map(f => path.relative(dir, f)), ['a.jpg', 'b.jpg', path.join('sub', 'c.tif')])
+      assert.equal((await scanFolder(dir, { recursive: false })).length, 2)
+      assert.equal(await checksumFile(files[0]), sha256('photo a'))
+    } finally {
+      fs.rmSync(base, { recursive: true, force: true })
+    }
+  })
+
+  it('plans complete items, leaves partial and present ones out', () => {
+    let [a, b, c, d] = ['a', 'b', 'c', 'd'].map(sha256)
+    let files = new Map([[a, '/p/a.jpg'], [b, '/p/b.jpg'], [c, '/p/c.jpg'], [d, '/p/d.jpg']])
+    let room = [
+      { identity: 'letter', checksums: [b, a] },
+      { identity: 'map', checksums: [c, sha256('lost')] },
+      { identity: 'known', checksums: [d] },
+      { identity: 'elsewhere', checksums: [sha256('elsewhere')] }
+    ]
+    let plan = planBootstrap(room, files, new Set([d]))
+    assert.deepEqual(plan.items.map(i => [i.identity, i.photos.map(p => p.path)]), [['letter', ['/p/b.jpg', '/p/a.jpg']]])
+    assert.deepEqual(plan.partial, [{ identity: 'map', found: 1, missing: 1 }])
+    assert.deepEqual(plan.present, ['known'])
+    assert.deepEqual(plan.unmatched, ['/p/c.jpg'])
+
+    let withPartial = planBootstrap(room, files, new Set([d]), { partial: true })
+    assert.deepEqual(withPartial.items.map(i => [i.identity, i.missing]), [['letter', 0], ['map', 1]])
+
+    let data = importData(plan.items)
+    assert.equal(data['@graph'].length, 1)
+    assert.deepEqual(data['@graph'][0].photo.map(p => p.checksum), [b, a])
+  })
+
+  it('imports matching photos grouped as the room has them, never from outside the folder', async () => {
+    const { SyncEngine } = require('../src/sync-engine')
+    let { base, dir } = photoFolder()
+    try {
+      let engine = new SyncEngine({ room: 'bootstrap-room', userId: 'alice', apiPort: 2019 }, noopLogger)
+      engine.doc = new Y.Doc()
+      schema.setItemChecksums(engine.doc, 'letter', [sha256('photo a'), sha256('photo b')])
+      schema.setMetadata(engine.doc, 'letter', 'dc:title', { text: 'Letter' }, 'bob', 1)
+      schema.setItemChecksums(engine.doc, 'postcard', [sha256('photo outside')])
+      let imported = []
+      engine.api.importItems = async (params) => { imported.push(params.data) }
+      let synced = 0
+      engine.syncOnce = async () => { synced++ }
+
+      let preview = await engine.bootstrapFromFolder(dir, { dryRun: true })
+      assert.deepEqual([preview.scanned, preview.items.length, preview.imported], [3, 1, 0])
+      assert.equal(imported.length, 0)
+
+      let report = await engine.bootstrapFromFolder(dir)
+      assert.equal(report.imported, 1)
+      assert.deepEqual(imported[0]['@graph'][0].photo.map(p => path.basename(p.path)), ['a.jpg', 'b.jpg'])
+      assert.equal(synced, 1)
+      assert.equal(engine._remoteAnnotationsDirty, true)
+
+      // Photos named by anything but the scan are refused
+      let api = new ApiClient(2019, noopLogger)
+      api.importItems = async () => assert.fail('imported a file outside the folder')
+      let outside = importData([{ photos: [{ checksum: sha256('photo outside'), path: path.join(dir, 'link.jpg') }] }])
+      await assert.rejects(api.importLocalFiles(outside, dir), /not inside/)
+      let traversal = importData([{ photos: [{ checksum: 'x', path: path.join(dir, '..', 'outside.jpg') }] }])
+      await assert.rejects(api.importLocalFiles(traversal, dir), /not inside/)
+    } finally {
+      fs.rmSync(base, { recursive: true, force: true })
+    }
+  })
+})
+
+// ============================================================
+//  missing-items.js (room items with no local photos)
+// ============================================================
+
+describe('missing items', () => {
+  const fs = require('fs')
+  const os = require('os')
+  const path = require('path')
+  const Y = require('yjs')
+  const schema = require('../src/crdt-schema')
+  const { SyncVault } = require('../src/vault')
+  const { missingItemInfo, formatMissingItems } = require('../src/missing-items')
+  const noopLogger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+  const DC = 'http://purl.org/dc/elements/1.1/'
+
+  function room() {
+    let doc = new Y.Doc()
+    schema.setItemChecksums(doc, 'letter', ['c1', 'c2'])
+    schema.setMetadata(doc, 'letter', DC + 'title', { text: 'Letter, "Anna"' }, 'bob', 1)
+    schema.setMetadata(doc, 'letter', DC + 'identifier', { text: 'MS 12/4' }, 'bob', 2)
+    schema.setTag(doc, 'letter', { name: 'Letters' }, 'carol', 1)
+    schema.setItemChecksums(doc, 'map', ['c3'])
+    schema.setNote(doc, 'map', 'n1', { html: '<p>scan</p>' }, 'carol', 2)
+    return doc
+  }
+
+  it('records what the room knows about an item and reports it as JSON or CSV', () => {
+    let doc = room()
+    let info = missingItemInfo(doc, 'letter')
+    assert.deepEqual(info, { checksums: ['c1', 'c2'], title: 'Letter, "Anna"', identifier: 'MS 12/4', authors: ['bob', 'carol'] })
+
+    let vault = new SyncVault()
+    assert.equal(vault.markMissing('letter', info), true)
+    assert.equal(vault.markMissing('letter'), false)
+    assert.equal(vault.markMissing('unknown'), false)
+    let [entry] = vault.getMissingItems()
+    assert.deepEqual([entry.identity, entry.title, entry.checks], ['letter', 'Letter, "Anna"', 2])
+
+    let json = JSON.parse(formatMissingItems(vault.getMissingItems()))
+    assert.deepEqual([json[0].photos, json[0].checksums], [2, ['c1', 'c2']])
+    let csv = formatMissingItems(vault.getMissingItems(), 'csv', id => id.toUpperCase()).split('\n')
+    assert.equal(csv[0], 'identity,title,identifier,photos,checksums,authors,firstSeen,lastChecked,checks')
+    assert.match(csv[1], /^letter,"Letter, ""Anna""",MS 12\/4,2,c1 c2,BOB CAROL,/)
+    assert.throws(() => formatMissingItems([], 'xml'), /Unknown report format/)
+
+    assert.equal(vault.clearMissing('letter'), true)
+    assert.equal(vault.getMissingItems().length, 0)
+  })
+
+  it('queues unmatched room items, notifies once and retries them each cycle', async () => {
+    const { SyncEngine } = require('../src/sync-engine')
+    let engine = new SyncEngine({ room: 'missing-room', userId: 'alice', apiPort: 2019 }, noopLogger)
+    engine.doc = room()
+    engine.localIndex = new Map()
+    let notices = []
+    engine.onMissingItems = (n) => notices.push(n)
+
+    engine._recordMissingItems(['letter', 'map'])
+    engine._recordMissingItems(['letter', 'map'])
+    assert.deepEqual(notices, [{ count: 2, added: 2 }])
+    assert.deepEqual(engine.getMissingItems().map(m => m.identity).sort(), ['letter', 'map'])
+
+    // The map's photo arrives; the letter is still missing
+    engine.localIndex = new Map([['other', { localId: 3, item: { photo: [{ checksum: 'c3' }] } }]])
+    engine._remoteAnnotationsDirty = false
+    engine._retryMissingItems()
+    assert.equal(engine._remoteAnnotationsDirty, true)
+    let missing = engine.getMissingItems()
+    assert.deepEqual(missing.map(m => [m.identity, m.checks]), [['letter', 3]])
+
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'troparcel-missing-'))
+    try {
+      let file = path.join(dir, 'missing.csv')
+      let report = await engine.exportMissingItems({ format: 'csv', file })
+      assert.equal(fs.readFileSync(file, 'utf8'), report)
+      assert.equal(report.trim().split('\n').length, 2)
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+})
+
+// ============================================================
+//  matchers.js (item matcher chain)
+// ============================================================
+
+describe('item matchers', () => {
+  const Y = require('yjs')
+  const schema = require('../src/crdt-schema')
+  const identity = require('../src/identity')
+  const { parseMatchers, perceptualHash, hammingDistance, phashScore, localMatchKeys, findWeakMatch } = require('../src/matchers')
+  const noopLogger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+  const ID = 'http://purl.org/dc/elements/1.1/identifier'
+
+  // sharp stand-in: a 9×8 greyscale image from a pixel function
+  function fakeSharp(pixel) {
+    let pipeline = {
+      removeAlpha: () => pipeline,
+      greyscale: () => pipeline,
+      resize: () => pipeline,
+      raw: () => pipeline,
+      toBuffer: async () => {
+        let data = Buffer.alloc(72)
+        for (let y = 0; y < 8; y++) for (let x = 0; x < 9; x++) data[y * 9 + x] = pixel(x, y)
+        return { data, info: { channels: 1 } }
+      }
+    }
+    return () => pipeline
+  }
+
+  it('builds the chain and identifies photo-less items by the match property', () => {
+    assert.deepEqual(parseMatchers(''), ['checksum'])
+    assert.deepEqual(parseMatchers('phash, Metadata, bogus, checksum'), ['checksum', 'phash', 'metadata'])
+
+    let item = { '@id': 4, photo: [], [ID]: { '@value': '  MS  12/4 ' } }
+    assert.equal(identity.computeIdentity(item), null)
+    let id = identity.computeIdentity(item, { matchProperty: ID })
+    assert.match(id, /^[0-9a-f]{32}$/)
+    assert.equal(identity.computeIdentity({ photo: [], [ID]: 'ms 12/4' }, { matchProperty: ID }), id)
+    assert.equal(identity.computeIdentity({ photo: [{ checksum: 'c1' }], [ID]: 'ms 12/4' }, { matchProperty: ID }) === id, false)
+    assert.deepEqual(localMatchKeys(item, { chain: ['checksum', 'metadata'], matchProperty: ID }), { metadata: 'ms 12/4' })
+  })
+
+  it('hashes images perceptually and proposes only unambiguous weak matches', async () => {
+    let a = await perceptualHash(fakeSharp((x, y) => (x * 20 + y * 3) % 256), '/scan.jpg')
+    let b = await perceptualHash(fakeSharp((x, y) => ((x * 20 + y * 3) % 256) + (x === 4 && y === 0 ? 30 : 0)), '/scan-reencoded.jpg')
+    assert.match(a, /^[0-9a-f]{16}$/)
+    assert.ok(hammingDistance(a, b) <= 2)
+    assert.equal(hammingDistance('ffffffffffffffff', '0000000000000000'), 64)
+    assert.equal(phashScore([a], [b, 'ffffffffffffffff']), 0.5)
+
+    let chain = ['checksum', 'metadata', 'phash']
+    let locals = [
+      { localIdentity: 'l1', local: { localId: 1 }, keys: { metadata: 'ms 12/4', phash: a } },
+      { localIdentity: 'l2', local: { localId: 2 }, keys: { metadata: 'ms 9' } },
+      { localIdentity: 'l3', local: { localId: 3 }, keys: { metadata: 'ms 9' } }
+    ]
+    assert.deepEqual(findWeakMatch({ metadata: 'ms 12/4' }, locals, chain), { matcher: 'metadata', localIdentity: 'l1', local: { localId: 1 }, score: 1 })
+    // Two local items share the call number: no proposal from it, phash decides
+    assert.equal(findWeakMatch({ metadata: 'ms 9' }, locals, chain), null)
+    assert.equal(findWeakMatch({ metadata: 'ms 9', phash: b }, locals, chain).localIdentity, 'l1')
+    assert.equal(findWeakMatch({ phash: b }, locals, ['checksum', 'metadata']), null)
+  })
+
+  it('stores each matcher key in the room item, in v5 rooms at the root', () => {
+    let doc = new Y.Doc()
+    schema.setItemChecksums(doc, 'item1', ['c1'])
+    schema.setItemMatchKeys(doc, 'item1', { phash: 'abc', metadata: 'ms 1', empty: '' })
+    assert.deepEqual(schema.getItemMatchKeys(doc, 'item1'), { metadata: 'ms 1', phash: 'abc' })
+    assert.deepEqual(schema.getItemMatchKeys(doc, 'nope'), {})
+
+    schema.migrateToV5(doc)
+    assert.deepEqual(schema.getItemMatchKeys(doc, 'item1'), { metadata: 'ms 1', phash: 'abc' })
+    schema.setItemMatchKeys(doc, 'item1', { metadata: 'ms 2' })
+    assert.deepEqual(doc.getMap('itemMatchKeys').get('item1'), { metadata: 'ms 2' })
+    assert.deepEqual(schema.getItemMatchKeys(doc, 'item1'), { metadata: 'ms 2' })
+  })
+
+  it('flags weak matches for confirmation and applies them once confirmed', async () => {
+    const { SyncEngine } = require('../src/sync-engine')
+    let engine = new SyncEngine({ room: 'match-room', userId: 'alice', apiPort: 2019, itemMatchers: 'metadata', matchProperty: ID }, noopLogger)
+    engine._persistVault = async () => {}
+    engine.doc = new Y.Doc()
+    schema.setItemChecksums(engine.doc, 'bobs-letter', ['re-encoded'])
+    schema.setItemMatchKeys(engine.doc, 'bobs-letter', { metadata: 'ms 12/4' })
+    schema.setMetadata(engine.doc, 'bobs-letter', 'http://purl.org/dc/elements/1.1/title', { text: 'Letter' }, 'bob', 1)
+    let letter = { localId: 7, item: { '@id': 7, photo: [{ '@id': 70, checksum: 'original' }], [ID]: 'MS 12/4' } }
+    let map = { localId: 8, item: { '@id': 8, photo: [], [ID]: 'MS 99' } }
+    engine.localIndex = identity.buildIdentityIndex([letter.item, map.item], engine._identityOptions())
+    assert.equal(engine.localIndex.size, 2)
+    let notices = []
+    engine.onMatchCandidates = (n) => notices.push(n)
+
+    // Proposed, not applied and not missing
+    engine._recordMissingItems(['bobs-letter'])
+    assert.deepEqual(notices, [{ count: 1, added: 1 }])
+    assert.deepEqual(engine.getMatchCandidates().map(c => [c.identity, c.localId, c.matcher, c.title]), [['bobs-letter', 7, 'metadata', 'Letter']])
+    assert.equal(engine.getMissingItems().length, 0)
+    assert.equal(engine._linkedLocal('bobs-letter'), null)
+
+    // Rejected: not proposed again, so it is missing
+    await engine.rejectMatch('bobs-letter')
+    engine._recordMissingItems(['bobs-letter'])
+    assert.equal(engine.getMatchCandidates().length, 0)
+    assert.deepEqual(engine.getMissingItems().map(m => m.identity), ['bobs-letter'])
+
+    // Proposed again after the rejection is lifted, then confirmed
+    engine.vault.rejectedMatches.clear()
+    engine._recordMissingItems(['bobs-letter'])
+    assert.equal(engine.getMissingItems().length, 0)
+    engine._remoteAnnotationsDirty = false
+    await engine.confirmMatch('bobs-letter')
+    assert.equal(engine._remoteAnnotationsDirty, true)
+    assert.equal(engine._linkedLocal('bobs-letter').localId, 7)
+    assert.equal(engine._hasLocalMatch('bobs-letter'), true)
+    await assert.rejects(engine.confirmMatch('bobs-letter'), /No match proposed/)
+
+    // The match keys of local items go to the room
+    engine.vault.hasItemChanged = () => ({ changed: false })
+    await engine.pushLocal([letter.item, map.item], 1)
+    assert.deepEqual(schema.getItemMatchKeys(engine.doc, identity.computeIdentity(map.item, engine._identityOptions())), { metadata: 'ms 99' })
+  })
+
+  it('skips photo-less items sharing a match value and aliases an edited one', () => {
+    const { SyncEngine } = require('../src/sync-engine')
+    let warnings = []
+    let logger = { ...noopLogger, warn: (msg) => warnings.push(msg) }
+    let engine = new SyncEngine({ room: 'match-room', userId: 'alice', apiPort: 2019, itemMatchers: 'metadata', matchProperty: ID }, logger)
+    engine.doc = new Y.Doc()
+
+    let items = [
+      { '@id': 1, photo: [], [ID]: 'MS 9' },
+      { '@id': 2, photo: [], [ID]: ' ms 9' },
+      { '@id': 3, photo: [], [ID]: 'MS 10' },
+      { '@id': 4, photo: [{ checksum: 'c1' }], [ID]: 'MS 9' }
+    ]
+    assert.deepEqual(engine._dropDuplicateKeys(items).map(item => item['@id']), [3, 4])
+    assert.equal(warnings.length, 1)
+    assert.match(warnings[0], /items 1, 2 share the match value "ms 9"/)
+    engine._dropDuplicateKeys(items)
+    assert.equal(warnings.length, 1, 'reported once')
+
+    // Item 3's call number is corrected: its room item follows it
+    let before = identity.buildIdentityIndex([items[2]], engine._identityOptions())
+    let [from] = before.keys()
+    schema.setMetadata(engine.doc, from, ID, { text: 'MS 10' }, 'alice', 1)
+    let after = identity.buildIdentityIndex([{ ...items[2], [ID]: 'MS 10a' }], engine._identityOptions())
+    let [to] = after.keys()
+    assert.deepEqual(engine._followKeyChanges(new Map([[3, from]]), after).map(c => [c.kind, c.from, c.alias]), [['key', from, to]])
+    assert.equal(schema.getAlias(engine.doc, from).target, to)
+    assert.deepEqual(engine._followKeyChanges(new Map([[3, from]]), after), [])
+  })
+})
+
+// ============================================================
+//  item-links.js (manual links between local and room items)
+// ============================================================
+
+describe('item links', () => {
+  const Y = require('yjs')
+  const schema = require('../src/crdt-schema')
+  const identity = require('../src/identity')
+  const { LINK_MARKER, rankLinkCandidates, renderLinkNote, parseLinkNote } = require('../src/item-links')
+  const noopLogger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+  const TITLE = 'http://purl.org/dc/elements/1.1/title'
+
+  it('ranks room items by their best matcher and reads the answer from the note', () => {
+    let room = [
+      { identity: 'a'.repeat(32), checksums: ['c1', 'c9'], title: 'Letter' },
+      { identity: 'b'.repeat(32), checksums: ['x'], keys: { metadata: 'ms 12/4' }, title: 'Map' },
+      { identity: 'c'.repeat(32), checksums: ['y'], title: 'Diary', unmatched: true },
+      { identity: 'd'.repeat(32), checksums: ['z'], title: 'Unrelated' },
+      { identity: 'e'.repeat(32), checksums: ['c1', 'c2'] }
+    ]
+    let local = { identity: 'e'.repeat(32), checksums: ['c1', 'c2'], keys: { metadata: 'ms 12/4' } }
+    let ranked = rankLinkCandidates(room, local)
+    assert.deepEqual(ranked.map(c => [c.title, c.matcher, c.score]),
+      [['Map', 'metadata', 1], ['Letter', 'checksum', 1 / 3], ['Diary', null, 0]])
+    assert.equal(rankLinkCandidates(room, local, { limit: 1 }).length, 1)
+
+    let html = renderLinkNote(ranked, [{ identity: 'f'.repeat(32), title: 'Old <copy>', shared: true }])
+    assert.ok(html.includes(LINK_MARKER))
+    assert.ok(html.includes('Old &lt;copy&gt;'))
+    let request = parseLinkNote(html)
+    assert.deepEqual(request.candidates, ['b'.repeat(32), 'a'.repeat(32), 'c'.repeat(32)])
+    assert.equal(request.command, null)
+    assert.deepEqual(parseLinkNote(html + '<p>link 2 shared</p>').command,
+      { action: 'link', choice: 2, identity: 'a'.repeat(32), shared: true })
+    assert.deepEqual(parseLinkNote(html + '<p>link 7</p>').command,
+      { action: 'link', choice: 7, identity: null, shared: false })
+    assert.deepEqual(parseLinkNote(html + '<p>Unlink</p>').command, { action: 'unlink' })
+    assert.equal(parseLinkNote('<p>link 1</p>'), null)
+  })
+
+  it('keeps manual aliases when expired ones are purged', () => {
+    let doc = new Y.Doc()
+    schema.setAlias(doc, 'old', 'new')
+    schema.setAlias(doc, 'theirs', 'new', { manual: true, author: 'alice' })
+    assert.deepEqual(schema.getAliases(doc, 'new'), [
+      { identity: 'old', manual: false, author: null },
+      { identity: 'theirs', manual: true, author: 'alice' }
+    ])
+    schema.purgeTombstones(doc, 0)
+    assert.deepEqual(schema.getAliases(doc, 'new').map(a => a.identity), ['theirs'])
+    assert.equal(schema.removeAlias(doc, 'theirs', 'new'), true)
+    assert.equal(schema.removeAlias(doc, 'theirs', 'new'), false)
+    assert.equal(schema.resolveAlias(doc, 'theirs'), null)
+  })
+
+  it('applies links before fuzzy matches and unlinks on request', async () => {
+    const { SyncEngine } = require('../src/sync-engine')
+    let engine = new SyncEngine({ room: 'link-room', userId: 'alice', apiPort: 2019 }, noopLogger)
+    engine._persistVault = async () => {}
+    engine.doc = new Y.Doc()
+    engine.api.getTags = async () => []
+    engine.backup = { validateInbound: () => ({ valid: true, warnings: [] }), captureItemState: async () => ({}) }
+    engine.vault.shouldBackup = () => false
+    let applied = []
+    engine.applyRemoteAnnotations = async (id, local) => { applied.push([id.slice(0, 4), local.localId]) }
+
+    // Alice's items A (scan a1) and B (b1); the room item "bobs" has a1
+    // and a re-encoded b1, so fuzzy picks A although it is B
+    let a = { '@id': 1, photo: [{ '@id': 10, checksum: 'a1' }] }
+    let b = { '@id': 2, photo: [{ '@id': 20, checksum: 'b1' }] }
+    engine.localIndex = identity.buildIdentityIndex([a, b])
+    let idA = identity.computeIdentity(a)
+    let idB = identity.computeIdentity(b)
+    let bobs = 'b0b5'.repeat(8)
+    for (let [id, checksums] of [[idA, ['a1']], [idB, ['b1']], [bobs, ['a1', 'b1-reencoded']]]) {
+      schema.setItemChecksums(engine.doc, id, checksums)
+      schema.setMetadata(engine.doc, id, TITLE, { text: `Item ${id.slice(0, 4)}` }, 'bob', 1)
+    }
+    assert.equal(engine._fuzzyMatchLocal(bobs).local.localId, 1)
+    // Only matched fuzzily, so it is a candidate for B too
+    assert.deepEqual(engine.getLinkCandidates(2).map(c => [c.identity, c.score, c.unmatched]), [[bobs, 0, true]])
+    assert.deepEqual(engine.getLinkCandidates(1).map(c => [c.identity, c.matcher]), [[bobs, 'checksum']])
+
+    // A local link to B wins, although B has an exact match already
+    await engine.linkLocalItem(2, bobs)
+    assert.deepEqual(engine.getItemLinks(2), [{ identity: bobs, shared: false, matcher: 'manual', title: 'Item b0b5' }])
+    await engine.applyRemoteFromCRDT()
+    assert.deepEqual(applied.sort(), [[idA.slice(0, 4), 1], [idB.slice(0, 4), 2], ['b0b5', 2]].sort())
+
+    // Shared: the link becomes a manual room alias
+    await engine.linkLocalItem(2, bobs, { shared: true })
+    assert.equal(engine.vault.getItemLink(bobs), null)
+    assert.deepEqual(schema.getAliases(engine.doc, idB), [{ identity: bobs, manual: true, author: engine._stableUserId }])
+    assert.equal(engine._linkedLocal(bobs).localId, 2)
+    await assert.rejects(engine.linkLocalItem(2, idB), /already/)
+    await assert.rejects(engine.linkLocalItem(2, 'nope'), /Unknown room item/)
+    await assert.rejects(engine.linkLocalItem(9, bobs), /No local item/)
+
+    // Unlinking B drops the alias; unlinking A turns the fuzzy match down
+    assert.deepEqual(await engine.unlinkLocalItem(2), [bobs])
+    assert.deepEqual(schema.getAliases(engine.doc, idB), [])
+    assert.deepEqual(await engine.unlinkLocalItem(1), [bobs])
+    assert.equal(engine._fuzzyMatchLocal(bobs), null)
+    applied = []
+    await engine.applyRemoteFromCRDT()
+    assert.ok(!applied.some(([id]) => id === 'b0b5'))
+    assert.deepEqual(engine.getMissingItems().map(m => m.identity), [bobs])
+  })
+})
+
+// ============================================================
+//  identity.js / crdt-schema.js (aliases for changed photo sets)
+// ============================================================
+
+describe('photo set changes', () => {
+  const Y = require('yjs')
+  const schema = require('../src/crdt-schema')
+  const identity = require('../src/identity')
+  const noopLogger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+  const idOf = (...checksums) => identity.computeIdentity({ photo: checksums.map(checksum => ({ checksum })) })
+
+  it('tells photos added, merges and splits apart', () => {
+    let added = identity.diffPhotoSets(new Map([[1, ['a']]]), new Map([[1, ['a', 'b']]]))
+    assert.deepEqual(added, [{ kind: 'photos', from: idOf('a'), alias: idOf('a', 'b'), moves: [{ to: idOf('a', 'b'), checksums: ['a'], itemLevel: true }] }])
+
+    let merged = identity.diffPhotoSets(new Map([[1, ['a']], [2, ['b']]]), new Map([[1, ['a', 'b']]]))
+    assert.deepEqual(merged.map(c => [c.kind, c.from, c.alias]), [
+      ['merge', idOf('a'), idOf('a', 'b')],
+      ['merge', idOf('b'), idOf('a', 'b')]
+    ])
+    assert.deepEqual(merged[1].moves, [{ to: idOf('a', 'b'), checksums: ['b'], itemLevel: true }])
+
+    // Item 1 keeps photo a and stays the alias; item 3 takes b and c
+    let split = identity.diffPhotoSets(new Map([[1, ['a', 'b', 'c']]]), new Map([[1, ['a']], [3, ['b', 'c']]]))
+    assert.equal(split.length, 1)
+    assert.equal(split[0].kind, 'split')
+    assert.equal(split[0].alias, idOf('a'))
+    assert.deepEqual(split[0].moves, [
+      { to: idOf('a'), checksums: ['a'], itemLevel: true },
+      { to: idOf('b', 'c'), checksums: ['b', 'c'], itemLevel: false }
+    ])
+
+    // Deleted items and unchanged ones are no change
+    assert.deepEqual(identity.diffPhotoSets(new Map([[1, ['a']], [2, ['b']]]), new Map([[2, ['b']]])), [])
+  })
+
+  it('picks the same alias on every peer and follows alias chains', () => {
+    let doc = new Y.Doc()
+    schema.setAlias(doc, 'old', 'zzz')
+    schema.setAlias(doc, 'old', 'aaa')
+    doc.getMap('annotations').get('aaa').get('aliases').set('old', { target: 'aaa', createdAt: 5 })
+    doc.getMap('annotations').get('zzz').get('aliases').set('old', { target: 'zzz', createdAt: 5 })
+    assert.equal(schema.getAlias(doc, 'old').target, 'aaa')
+    schema.setAlias(doc, 'old', 'zzz')
+    assert.equal(schema.resolveAlias(doc, 'old'), 'zzz')
+    schema.setAlias(doc, 'old', 'mmm', { manual: true, author: 'alice' })
+    assert.deepEqual(schema.getAlias(doc, 'old'), { target: 'mmm', createdAt: schema.getAlias(doc, 'old').createdAt, manual: true, author: 'alice' })
+
+    schema.setAlias(doc, 'mmm', 'next')
+    schema.setAlias(doc, 'next', 'old')
+    assert.equal(schema.resolveAlias(doc, 'old'), 'next')
+    assert.equal(schema.resolveAlias(doc, 'none'), null)
+  })
+
+  it('moves per-photo content with its photo when an item splits', () => {
+    let doc = new Y.Doc()
+    let from = idOf('a', 'b')
+    schema.setMetadata(doc, from, 'http://purl.org/dc/elements/1.1/title', { text: 'Letters' }, 'bob', 1)
+    schema.setTag(doc, from, { name: 'Draft' }, 'bob', 1)
+    schema.setNote(doc, from, 'n_a', { html: '<p>on a</p>', photo: 'a' }, 'bob', 2)
+    schema.setNote(doc, from, 'n_b', { html: '<p>on b</p>', photo: 'b' }, 'bob', 2)
+    schema.setPhotoMetadata(doc, from, 'b', 'http://purl.org/dc/elements/1.1/date', { text: '1820' }, 'bob', 3)
+    schema.setSelection(doc, from, 's_b', { x: 1, y: 2, width: 3, height: 4, photo: 'b' }, 'bob', 3)
+    schema.setSelectionMeta(doc, from, 's_b', 'http://purl.org/dc/elements/1.1/title', { text: 'Seal' }, 'bob', 3)
+    schema.setSelectionNote(doc, from, 's_b', 'n_sb', { html: '<p>the seal</p>' }, 'bob', 3)
+    schema.setTranscription(doc, from, 't_b', { text: 'Dear Sir', photo: 'b' }, 'bob', 4)
+
+    let copied = schema.copyItemContent(doc, from, idOf('b'), { checksums: ['b'] })
+    assert.ok(copied > 0)
+    assert.deepEqual(Object.keys(schema.getNotes(doc, idOf('b'))), ['n_b'])
+    assert.equal(schema.getNotes(doc, idOf('b')).n_b.text, 'on b')
+    assert.deepEqual(Object.keys(schema.getSelections(doc, idOf('b'))), ['s_b'])
+    assert.equal(schema.getSelectionMeta(doc, idOf('b'), 's_b')['http://purl.org/dc/elements/1.1/title'].text, 'Seal')
+    assert.deepEqual(Object.keys(schema.getSelectionNotes(doc, idOf('b'), 's_b')), ['s_b:n_sb'])
+    assert.equal(schema.getTranscriptions(doc, idOf('b')).t_b.text, 'Dear Sir')
+    assert.equal(schema.getPhotoMetadata(doc, idOf('b'), 'b')['http://purl.org/dc/elements/1.1/date'].text, '1820')
+    assert.deepEqual(schema.getMetadata(doc, idOf('b')), {})
+    assert.deepEqual(schema.getTags(doc, idOf('b')), [])
+    assert.equal(schema.copyItemContent(doc, from, idOf('b'), { checksums: ['b'] }), 0)
+
+    schema.copyItemContent(doc, from, idOf('a'), { checksums: ['a'], itemLevel: true })
+    assert.deepEqual(Object.keys(schema.getNotes(doc, idOf('a'))), ['n_a'])
+    assert.equal(schema.getMetadata(doc, idOf('a'))['http://purl.org/dc/elements/1.1/title'].text, 'Letters')
+    assert.deepEqual(schema.getTags(doc, idOf('a')).map(t => t.name), ['Draft'])
+    // The original stays for collaborators who still have it
+    assert.equal(Object.keys(schema.getNotes(doc, from)).length, 2)
+  })
+
+  it('writes aliases from the store subscription when items merge', async () => {
+    const { SyncEngine } = require('../src/sync-engine')
+    let engine = new SyncEngine({ room: 'merge-room', userId: 'alice', apiPort: 2019 }, noopLogger)
+    engine.doc = new Y.Doc()
+    engine._paused = true
+    let state = {
+      items: { 1: { id: 1, photos: [10] }, 2: { id: 2, photos: [20] } },
+      photos: { 10: { id: 10, checksum: 'a' }, 20: { id: 20, checksum: 'b' } }
+    }
+    let changed = null
+    engine.adapter = { _getState: () => state, subscribe: (cb) => { changed = cb; return () => {} } }
+    schema.setNote(engine.doc, idOf('a'), 'n_a', { html: '<p>on a</p>', photo: 'a' }, 'bob', 1)
+    schema.setNote(engine.doc, idOf('b'), 'n_b', { html: '<p>on b</p>', photo: 'b' }, 'bob', 1)
+    await engine.startWatching()
+
+    // Unrelated changes leave the room alone
+    state = { ...state, notes: {} }
+    changed()
+    assert.equal(schema.resolveAlias(engine.doc, idOf('a')), null)
+
+    // Item 2 is merged into item 1
+    state = { items: { 1: { id: 1, photos: [10, 20] } }, photos: state.photos }
+    changed()
+    let merged = idOf('a', 'b')
+    assert.equal(schema.resolveAlias(engine.doc, idOf('a')), merged)
+    assert.equal(schema.resolveAlias(engine.doc, idOf('b')), merged)
+    assert.deepEqual(Object.keys(schema.getNotes(engine.doc, merged)).sort(), ['n_a', 'n_b'])
+
+    // syncOnce sees the same change and leaves it be
+    let before = new Map([[1, ['a']], [2, ['b']]])
+    assert.deepEqual(engine._followPhotoChanges(before, new Map([[1, ['a', 'b']]])), [])
+  })
+})
+
+// ============================================================
+//  wadm.js (W3C Web Annotation export)
+// ============================================================
+
+describe('wadm', () => {
+  const Y = require('yjs')
+  const schema = require('../src/crdt-schema')
+  const { exportWebAnnotations } = require('../src/wadm')
+
+  function roomDoc() {
+    let doc = new Y.Doc()
+    schema.setItemChecksums(doc, 'item1', ['abc', 'def'])
+    schema.setNote(doc, 'item1', 'n1', { html: '<p>Signed by the mayor</p>', photo: 'abc' }, 'alice', 1)
+    schema.setSelection(doc, 'item1', 's1', { x: 10, y: 20.4, width: 300, height: 40, photo: 'def' }, 'bob', 1)
+    schema.setSelectionNote(doc, 'item1', 's1', 'n2', { text: 'Seal' }, 'bob', 2)
+    schema.setTranscription(doc, 'item1', 't1', { text: 'Dear Sir', photo: 'def', selection: 's1' }, 'carol', 1)
+    schema.setTag(doc, 'item1', { name: 'Letters' }, 'alice', 2)
+    schema.setTag(doc, 'item1', { name: 'Draft' }, 'alice', 3)
+    schema.removeTag(doc, 'item1', 'Draft', 'alice', 4)
+    return doc
+  }
+
+  it('builds an AnnotationCollection with one annotation per note, transcription and tag', () => {
+    let col = exportWebAnnotations(roomDoc(), { room: 'letters' })
+    assert.equal(col['@context'], 'http://www.w3.org/ns/anno.jsonld')
+    assert.equal(col.type, 'AnnotationCollection')
+    assert.equal(col.id, 'urn:troparcel:room:letters')
+    assert.equal(col.total, 4)
+    assert.deepEqual(col.first.items.map(a => a.motivation).sort(),
+      ['commenting', 'commenting', 'describing', 'tagging'])
+    assert.ok(col.first.items.every(a => a.id.startsWith('urn:troparcel:room:letters#')))
+  })
+
+  it('attributes annotations to their author and targets photos by checksum', () => {
+    let items = exportWebAnnotations(roomDoc()).first.items
+    let note = items.find(a => a.body.value === '<p>Signed by the mayor</p>')
+    assert.deepEqual(note.creator, { type: 'Person', nickname: 'alice' })
+    assert.equal(note.body.format, 'text/html')
+    assert.deepEqual(note.target, { id: 'urn:troparcel:photo:abc', type: 'Image' })
+
+    let tag = items.find(a => a.motivation === 'tagging')
+    assert.equal(tag.body.value, 'Letters')
+    assert.equal(tag.body.purpose, 'tagging')
+    assert.deepEqual(tag.target.map(t => t.id), ['urn:troparcel:photo:abc', 'urn:troparcel:photo:def'])
+  })
+
+  it('uses FragmentSelector xywh targets for selections', () => {
+    let items = exportWebAnnotations(roomDoc(), { sourcePrefix: 'https://repo.example/img/' }).first.items
+    let tx = items.find(a => a.motivation === 'describing')
+    assert.equal(tx.creator.nickname, 'carol')
+    assert.equal(tx.target.type, 'SpecificResource')
+    assert.equal(tx.target.source.id, 'https://repo.example/img/def')
+    assert.equal(tx.target.selector.type, 'FragmentSelector')
+    assert.equal(tx.target.selector.value, 'xywh=10,20,300,40')
+
+    let selNote = items.find(a => a.body.value === 'Seal')
+    assert.equal(selNote.target.selector.value, 'xywh=10,20,300,40')
+  })
+
+  it('limits the export to the given identities', () => {
+    let doc = roomDoc()
+    schema.setItemChecksums(doc, 'item2', ['ghi'])
+    schema.setTag(doc, 'item2', { name: 'Maps' }, 'dave', 1)
+    assert.equal(exportWebAnnotations(doc).total, 5)
+    assert.equal(exportWebAnnotations(doc, { identities: ['item2'] }).total, 1)
+  })
+
+  it('names creators by display name, or by author id without its host', () => {
+    const { SyncEngine } = require('../src/sync-engine')
+    let doc = roomDoc()
+    schema.setTag(doc, 'item1', { name: 'Maps' }, 'dave@laptop.local:2019', 3)
+    schema.setTag(doc, 'item1', { name: 'Seals' }, 'erin@desk:2019', 3)
+    let creator = (col, name) => col.first.items.find(a => a.body.value === name).creator.nickname
+
+    let col = exportWebAnnotations(doc)
+    assert.equal(creator(col, 'Maps'), 'dave')
+    assert.equal(creator(col, 'Seals'), 'erin')
+    assert.ok(!JSON.stringify(col).includes('laptop.local'))
+
+    let engine = new SyncEngine({ room: 'wadm-room' }, { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} })
+    engine.doc = doc
+    engine.vault.setDisplayName('erin@desk:2019', 'Erin Diaz')
+    col = engine.exportWebAnnotations()
+    assert.equal(creator(col, 'Seals'), 'Erin Diaz')
+    assert.equal(creator(col, 'Maps'), 'dave')
+  })
+})
+
+// ============================================================
+//  api-client.js
+// ============================================================
+
+describe('api-client', () => {
+  const { ApiClient } = require('../src/api-client')
+
+  it('creates client with default port', () => {
+    let client = new ApiClient()
+    assert.equal(client.port, 2019)
+    assert.equal(client.host, '127.0.0.1')
+  })
+
+  it('creates client with custom port', () => {
+    let client = new ApiClient(2029)
+    assert.equal(client.port, 2029)
+  })
+
+  it('ping returns false when server is not running', async () => {
+    let client = new ApiClient(19999)
+    let result = await client.ping()
+    assert.equal(result, false)
+  })
+
+  it('importItems blocks file paths', async () => {
+    let client = new ApiClient()
+    await assert.rejects(
+      () => client.importItems({ file: '/etc/passwd' }),
+      { message: /File path import is blocked/ }
+    )
+  })
+})
+
+// ============================================================
+//  plugin.js
+// ============================================================
+
+describe('plugin', () => {
+  const TroparcelPlugin = require('../src/plugin')
+
+  function mockContext(overrides = {}) {
+    return {
+      logger: {
+        info: () => {},
+        warn: () => {},
+        error: () => {},
+        debug: () => {},
+        chindings: overrides.chindings || '',
+        bindings: () => overrides.bindings || {}
+      },
+      window: overrides.window || {}
+    }
+  }
+
+  describe('prefs window detection', () => {
+    it('skips sync in prefs window (chindings)', () => {
+      let logs = []
+      let ctx = mockContext({ chindings: ',"name":"prefs"' })
+      ctx.logger.info = (msg) => logs.push(msg)
+
+      let plugin = new TroparcelPlugin({ autoSync: false }, ctx)
+      assert.ok(logs.some(m => m.includes('skipping sync in prefs window')))
+      assert.equal(plugin.engine, null)
+    })
+
+    it('skips sync in prefs window (bindings)', () => {
+      let logs = []
+      let ctx = mockContext({ bindings: { name: 'prefs' } })
+      ctx.logger.info = (msg) => logs.push(msg)
+
+      let plugin = new TroparcelPlugin({ autoSync: false }, ctx)
+      assert.ok(logs.some(m => m.includes('skipping sync in prefs window')))
+    })
+
+    it('does not skip in project window', () => {
+      let logs = []
+      let ctx = mockContext({ chindings: ',"name":"project"' })
+      ctx.logger.info = (msg) => logs.push(msg)
+
+      new TroparcelPlugin({ autoSync: false }, ctx)
+      assert.ok(!logs.some(m => m.includes('skipping sync')))
+      assert.ok(logs.some(m => m.includes('v5.0')))
+    })
+  })
+
+  describe('mergeOptions', () => {
+    it('applies defaults', () => {
+      let ctx = mockContext()
+      let plugin = new TroparcelPlugin({ autoSync: false }, ctx)
+
+      assert.equal(plugin.options.serverUrl, 'ws://localhost:2468')
+      assert.equal(plugin.options.syncMode, 'auto')
+      assert.equal(plugin.options.autoSync, false)
+      assert.equal(plugin.options.apiPort, 2019)
+      assert.equal(plugin.options.startupDelay, 8000)
+      assert.equal(plugin.options.syncMetadata, true)
+      assert.equal(plugin.options.syncTags, true)
+      assert.equal(plugin.options.syncNotes, true)
+      assert.equal(plugin.options.syncSelections, true)
+      assert.equal(plugin.options.syncTranscriptions, true)
       assert.equal(plugin.options.syncPhotoAdjustments, false)
       assert.equal(plugin.options.syncLists, false)
     })
@@ -1331,6 +4253,37 @@ describe('plugin', () => {
       assert.equal(plugin.options.room, 'troparcel-default')
     })
 
+    it('expands a file connection string into transport fields', () => {
+      let ctx = mockContext()
+      let plugin = new TroparcelPlugin({
+        autoSync: false,
+        connectionString: 'troparcel://file/home/alice/Nextcloud/collab'
+      }, ctx)
+      assert.equal(plugin.options.transport, 'file')
+      assert.equal(plugin.options.syncDir, '/home/alice/Nextcloud/collab')
+    })
+
+    it('lets explicit fields override the connection string', () => {
+      let ctx = mockContext()
+      let plugin = new TroparcelPlugin({
+        autoSync: false,
+        serverUrl: 'ws://localhost:2468',
+        room: 'explicit-room',
+        connectionString: 'troparcel://ws/server.edu:2468/shared?token=abc'
+      }, ctx)
+      assert.equal(plugin.options.transport, 'websocket')
+      // serverUrl still at its default — the connection string wins
+      assert.equal(plugin.options.serverUrl, 'ws://server.edu:2468')
+      assert.equal(plugin.options.room, 'explicit-room')
+      assert.equal(plugin.options.roomToken, 'abc')
+    })
+
+    it('defaults to websocket transport without a connection string', () => {
+      let ctx = mockContext()
+      let plugin = new TroparcelPlugin({ autoSync: false }, ctx)
+      assert.equal(plugin.options.transport, 'websocket')
+    })
+
     it('uses explicit room when provided', () => {
       let ctx = mockContext()
       let plugin = new TroparcelPlugin({
@@ -1362,6 +4315,27 @@ describe('plugin', () => {
       assert.equal(status.options.roomToken, '***')
     })
 
+    it('masks the room passphrase', () => {
+      let ctx = mockContext()
+      let plugin = new TroparcelPlugin({
+        autoSync: false,
+        roomPassphrase: 'embargoed until 2030'
+      }, ctx)
+      let status = plugin.getStatus()
+      assert.equal(status.options.roomPassphrase, '***')
+    })
+
+    it('masks the connection string and snapshot auth', () => {
+      let ctx = mockContext()
+      let plugin = new TroparcelPlugin({
+        autoSync: false,
+        connectionString: 'troparcel://snapshot/https://host/room.yjs?auth=Bearer+tok'
+      }, ctx)
+      let status = plugin.getStatus()
+      assert.equal(status.options.connectionString, '***')
+      assert.equal(status.options.snapshotAuth, '***')
+    })
+
     it('hides internal options', () => {
       let ctx = mockContext()
       let plugin = new TroparcelPlugin({ autoSync: false }, ctx)
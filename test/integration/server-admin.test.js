@@ -0,0 +1,377 @@
+'use strict'
+
+/**
+ * Tier 2 — troparcel-server admin CLI against a real server.
+ *
+ * Spawns server/index.js, then drives server/cli.js:
+ *   1. tokens add/revoke edit the hashed token file, the running server
+ *      hot-reloads it and drops connections using revoked tokens
+ *   2. rooms import/inspect/export/delete go through the admin API while
+ *      the server holds the LevelDB lock, and open LevelDB directly once
+ *      it has stopped
+ *   3. room versions: a snapshot is listed and served as JSON, diffed
+ *      against the current state, and a restore reaches connected peers
+ *      as a forward update
+ *   4. reverting one collaborator's writes: a dry-run plan, then a
+ *      forward update by the operator that connected peers apply
+ *   5. W3C Web Annotation export of a live room, over HTTP and the CLI
+ *   6. restoring a v5 room (item subdocs) keeps its checksums and match keys
+ *
+ * Run with:
+ *   node --test --test-force-exit test/integration/server-admin.test.js
+ */
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { spawn, execFile } = require('node:child_process')
+const { createServer } = require('node:net')
+const { once } = require('node:events')
+const fs = require('node:fs')
+const path = require('node:path')
+const Y = require('yjs')
+const WS = require('ws')
+const { WebsocketProvider } = require('y-websocket')
+
+const CLI = path.join(__dirname, '../../server/cli.js')
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = createServer()
+    srv.unref()
+    srv.on('error', reject)
+    srv.listen(0, () => {
+      const { port } = srv.address()
+      srv.close(() => resolve(port))
+    })
+  })
+}
+
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms))
+}
+
+async function startServer(env) {
+  const proc = spawn('node', [path.join(__dirname, '../../server/index.js')], {
+    env: { ...process.env, ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  })
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('server start timeout')), 5000)
+    proc.stdout.on('data', function onData(chunk) {
+      if (String(chunk).includes('listening')) {
+        clearTimeout(timer)
+        proc.stdout.removeListener('data', onData)
+        resolve()
+      }
+    })
+    proc.once('exit', (code) => {
+      clearTimeout(timer)
+      reject(new Error(`server exited early code=${code}`))
+    })
+  })
+  proc.stdout.resume()
+  proc.stderr.resume()
+  return proc
+}
+
+async function stopServer(proc) {
+  if (!proc || proc.exitCode !== null) return
+  proc.kill('SIGTERM')
+  const timer = setTimeout(() => {
+    if (proc.exitCode === null) proc.kill('SIGKILL')
+  }, 3000)
+  try {
+    await once(proc, 'exit')
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+function cli(env, ...args) {
+  return new Promise((resolve) => {
+    execFile('node', [CLI, ...args], { env: { ...process.env, ...env } },
+      (err, stdout, stderr) => resolve({ code: err ? err.code : 0, stdout, stderr }))
+  })
+}
+
+function connect(port, room, token) {
+  const doc = new Y.Doc()
+  const provider = new WebsocketProvider(`ws://localhost:${port}`, room, doc, {
+    WebSocketPolyfill: WS,
+    disableBc: true,
+    params: token ? { token } : {}
+  })
+  return { doc, provider }
+}
+
+test('admin: token file is hot-reloaded and revocation disconnects', { timeout: 20000 }, async (t) => {
+  const port = await freePort()
+  const dataDir = path.join('/tmp', `troparcel-admin-tokens-${port}`)
+  const env = { PORT: String(port), PERSISTENCE_DIR: dataDir }
+  fs.mkdirSync(dataDir, { recursive: true })
+
+  const added = await cli(env, 'tokens', 'add', 'archive', '--json')
+  assert.equal(added.code, 0)
+  const { id, token } = JSON.parse(added.stdout)
+  const stored = fs.readFileSync(path.join(dataDir, 'tokens.json'), 'utf8')
+  assert.ok(!stored.includes(token), 'only the hash is stored')
+
+  const server = await startServer(env)
+  t.after(() => stopServer(server))
+
+  const peer = connect(port, 'archive', token)
+  t.after(() => peer.provider.destroy())
+  await once(peer.provider, 'sync')
+
+  const revoked = await cli(env, 'tokens', 'revoke', 'archive', id)
+  assert.equal(revoked.code, 0)
+  // Token file is polled every 2s; revoking the last token locks the room
+  const [event] = await once(peer.provider, 'connection-close')
+  assert.equal(event.code, 4001)
+  peer.provider.disconnect()
+})
+
+test('admin: rooms commands via admin API and direct LevelDB', async (t) => {
+  const port = await freePort()
+  const dataDir = path.join('/tmp', `troparcel-admin-rooms-${port}`)
+  const env = { PORT: String(port), PERSISTENCE_DIR: dataDir }
+  const file = path.join('/tmp', `troparcel-admin-${port}.yjs`)
+
+  const source = new Y.Doc()
+  source.getMap('annotations').set('item-a', 'imported')
+  fs.writeFileSync(file, Y.encodeStateAsUpdate(source))
+
+  const server = await startServer(env)
+  t.after(() => stopServer(server))
+
+  const peer = connect(port, 'corpus')
+  t.after(() => peer.provider.destroy())
+  await once(peer.provider, 'sync')
+
+  // Server holds the LevelDB lock — CLI falls back to the admin API
+  const imported = await cli(env, 'rooms', 'import', 'corpus', file)
+  assert.equal(imported.code, 0, imported.stderr)
+  assert.match(imported.stderr, /admin API/)
+  for (let i = 0; i < 40 && !peer.doc.getMap('annotations').has('item-a'); i++) await sleep(50)
+  assert.equal(peer.doc.getMap('annotations').get('item-a'), 'imported',
+    'import reaches connected peers')
+
+  const inspected = await cli(env, 'rooms', 'inspect', 'corpus')
+  assert.equal(JSON.parse(inspected.stdout).items, 1)
+
+  const exported = await cli(env, 'rooms', 'export', 'corpus', '--format', 'json', '--out', '-')
+  assert.deepEqual(JSON.parse(exported.stdout).annotations, { 'item-a': 'imported' })
+
+  peer.provider.destroy()
+  await sleep(300)
+  await stopServer(server)
+
+  // Server stopped — CLI opens LevelDB itself
+  const listed = await cli(env, 'rooms', 'list', '--json')
+  assert.deepEqual(JSON.parse(listed.stdout).map(r => r.name), ['corpus'])
+  assert.doesNotMatch(listed.stderr, /admin API/)
+
+  const deleted = await cli(env, 'rooms', 'delete', 'corpus', '--yes')
+  assert.equal(deleted.code, 0)
+  const empty = await cli(env, 'rooms', 'list', '--json')
+  assert.deepEqual(JSON.parse(empty.stdout), [])
+})
+
+test('admin: room versions and point-in-time restore', async (t) => {
+  const port = await freePort()
+  const dataDir = path.join('/tmp', `troparcel-admin-versions-${port}`)
+  const base = `http://localhost:${port}/api/rooms/history`
+
+  const server = await startServer({ PORT: String(port), PERSISTENCE_DIR: dataDir })
+  t.after(() => stopServer(server))
+
+  const peer = connect(port, 'history')
+  t.after(() => peer.provider.destroy())
+  await once(peer.provider, 'sync')
+
+  const annotations = peer.doc.getMap('annotations')
+  peer.doc.transact(() => {
+    const item = new Y.Map()
+    const metadata = new Y.Array()
+    metadata.push([{ key: 'dc:title', val: { text: 'Letter', type: 'text', author: 'alice', pushSeq: 1 } }])
+    item.set('metadata', metadata)
+    const notes = new Y.Map()
+    notes.set('n1', { html: '<p>keep me</p>' })
+    item.set('notes', notes)
+    annotations.set('item-a', item)
+  })
+  await sleep(300)
+
+  const created = await (await fetch(`${base}/versions?label=before-cleanup`, { method: 'POST' })).json()
+  assert.equal(created.version.reason, 'manual')
+  assert.equal(created.version.label, 'before-cleanup')
+  assert.equal(created.version.items, 1)
+
+  // The mistake: a collaborator wipes the item
+  annotations.delete('item-a')
+  await sleep(300)
+
+  const list = await (await fetch(`${base}/versions`)).json()
+  assert.equal(list.count, 1)
+
+  const version = await (await fetch(`${base}/versions/${created.version.id}`)).json()
+  assert.deepEqual(version.snapshot.items['item-a'], {
+    metadata: { 'dc:title': { text: 'Letter', type: 'text' } },
+    notes: { n1: { html: '<p>keep me</p>' } }
+  })
+
+  const missing = await fetch(`${base}/versions/v0`)
+  assert.equal(missing.status, 404)
+
+  // What the mistake changed, against the current state
+  const diff = await (await fetch(`${base}/diff?from=${created.version.id}`)).json()
+  assert.equal(diff.from.label, 'before-cleanup')
+  assert.equal(diff.to.id, 'current')
+  assert.deepEqual(diff.items['item-a'].notes.removed.map(c => c.key), ['n1'])
+  assert.equal(diff.items['item-a'].metadata.removed[0].value.text, 'Letter')
+  assert.deepEqual(diff.summary, { items: 1, added: 0, removed: 2, changed: 0, authors: { unknown: 2 } })
+  assert.equal((await fetch(`${base}/diff`)).status, 400)
+
+  const restored = await (await fetch(`${base}/restore/${created.version.id}`, { method: 'POST' })).json()
+  assert.equal(restored.status, 'restored')
+  assert.equal(restored.backup.reason, 'pre-restore')
+
+  // Forward update: the connected peer converges without reconnecting
+  for (let i = 0; i < 40 && !annotations.has('item-a'); i++) await sleep(50)
+  const item = annotations.get('item-a')
+  assert.ok(item, 'restore reaches the connected peer')
+  assert.deepEqual(item.get('notes').toJSON(), { n1: { html: '<p>keep me</p>' } })
+  assert.equal(item.get('metadata').get(0).val.text, 'Letter')
+
+  const after = await (await fetch(`${base}/versions`)).json()
+  assert.deepEqual(after.versions.map(v => v.reason), ['manual', 'pre-restore'])
+})
+
+test('admin: restoring a v5 room keeps its item match keys', async (t) => {
+  const schema = require('../../src/crdt-schema')
+  const { WebSocketAdapter } = require('../../src/adapters/websocket')
+  const quiet = { info() {}, warn() {}, error() {}, debug() {} }
+  const port = await freePort()
+  const dataDir = path.join('/tmp', `troparcel-admin-v5-${port}`)
+  const base = `http://localhost:${port}/api/rooms/atlas-v5`
+
+  const server = await startServer({ PORT: String(port), PERSISTENCE_DIR: dataDir })
+  t.after(() => stopServer(server))
+
+  const doc = new Y.Doc()
+  const adapter = new WebSocketAdapter(doc, { serverUrl: `ws://localhost:${port}`, room: 'atlas-v5' }, quiet)
+  t.after(() => adapter.destroy())
+  await adapter.connect()
+  schema.setTag(doc, 'item-a', { name: 'Letters' }, 'alice', 1)
+  schema.setItemChecksums(doc, 'item-a', ['c0ffee'])
+  schema.migrateToV5(doc)
+  schema.setItemMatchKeys(doc, 'item-a', { metadata: 'MS 12' })
+  assert.ok(await adapter.syncSubdoc(schema.getItemDoc(doc, 'item-a')))
+  await sleep(300)
+
+  const created = await (await fetch(`${base}/versions`, { method: 'POST' })).json()
+  schema.setTag(doc, 'item-a', { name: 'Later' }, 'alice', 2)
+  await sleep(300)
+
+  const restored = await (await fetch(`${base}/restore/${created.version.id}`, { method: 'POST' })).json()
+  assert.equal(restored.status, 'restored')
+  const exported = await (await fetch(`${base}/export?format=json`)).json()
+  assert.deepEqual(Object.keys(exported.annotations['item-a'].tags), ['letters'])
+  assert.equal(exported.annotations['item-a'].checksums, 'c0ffee')
+  assert.deepEqual(exported.annotations['item-a'].matchKeys, { metadata: 'MS 12' })
+})
+
+test('admin: revert one collaborator since a push sequence number', async (t) => {
+  const port = await freePort()
+  const dataDir = path.join('/tmp', `troparcel-admin-revert-${port}`)
+  const base = `http://localhost:${port}/api/rooms/seminar`
+
+  const server = await startServer({ PORT: String(port), PERSISTENCE_DIR: dataDir })
+  t.after(() => stopServer(server))
+
+  const peer = connect(port, 'seminar')
+  t.after(() => peer.provider.destroy())
+  await once(peer.provider, 'sync')
+
+  const annotations = peer.doc.getMap('annotations')
+  peer.doc.transact(() => {
+    const item = new Y.Map()
+    const metadata = new Y.Array()
+    metadata.push([{ key: 'dc:title', val: { text: 'Letter', type: 'text', author: 'alice', pushSeq: 1 } }])
+    item.set('metadata', metadata)
+    item.set('notes', new Y.Map())
+    annotations.set('item-a', item)
+  })
+  await sleep(300)
+  await fetch(`${base}/versions?label=before-eve`, { method: 'POST' })
+
+  // A misconfigured client overwrites the title and adds a junk note
+  peer.doc.transact(() => {
+    const item = annotations.get('item-a')
+    const metadata = item.get('metadata')
+    metadata.delete(0, 1)
+    metadata.push([{ key: 'dc:title', val: { text: 'junk', type: 'text', author: 'eve', pushSeq: 7 } }])
+    item.get('notes').set('n1', { uuid: 'n1', html: '<p>junk</p>', text: 'junk', author: 'eve', pushSeq: 8 })
+  })
+  await sleep(300)
+
+  const plan = await (await fetch(`${base}/revert?author=eve&since=5`)).json()
+  assert.equal(plan.status, 'planned')
+  assert.deepEqual(plan.changes.map(c => [c.section, c.key, c.action]),
+    [['metadata', 'dc:title', 'restore'], ['notes', 'n1', 'remove']])
+  assert.equal(annotations.get('item-a').get('metadata').get(0).val.text, 'junk', 'a dry run writes nothing')
+  assert.equal((await fetch(`${base}/revert?author=eve`)).status, 400)
+
+  const done = await (await fetch(`${base}/revert?author=eve&since=5&by=alice`, { method: 'POST' })).json()
+  assert.equal(done.status, 'reverted')
+  assert.equal(done.applied, 2)
+  assert.equal(done.backup.reason, 'pre-revert')
+
+  const item = annotations.get('item-a')
+  for (let i = 0; i < 40 && item.get('metadata').get(0).val.text !== 'Letter'; i++) await sleep(50)
+  assert.deepEqual(item.get('metadata').toArray().map(e => [e.key, e.val.text, e.val.author]),
+    [['dc:title', 'Letter', 'revert:alice']])
+  const tombstone = item.get('notes').get('n1')
+  assert.deepEqual([tombstone.deleted, tombstone.author, tombstone.revertedBy], [true, 'eve', 'revert:alice'])
+})
+
+test('admin: W3C Web Annotation export', async (t) => {
+  const port = await freePort()
+  const dataDir = path.join('/tmp', `troparcel-admin-wadm-${port}`)
+  const env = { PORT: String(port), PERSISTENCE_DIR: dataDir, AUTH_TOKENS: 'atlas:reader-or-writer-secret' }
+
+  const server = await startServer(env)
+  t.after(() => stopServer(server))
+
+  const peer = connect(port, 'atlas', 'reader-or-writer-secret')
+  t.after(() => peer.provider.destroy())
+  await once(peer.provider, 'sync')
+
+  peer.doc.transact(() => {
+    const item = new Y.Map()
+    item.set('checksums', 'c0ffee')
+    const notes = new Y.Map()
+    notes.set('n1', { uuid: 'n1', html: '<p>Coastline</p>', photo: 'c0ffee', author: 'alice', pushSeq: 1 })
+    item.set('notes', notes)
+    peer.doc.getMap('annotations').set('item-a', item)
+  })
+  await sleep(300)
+
+  const denied = await fetch(`http://localhost:${port}/api/rooms/atlas/export?format=wadm`)
+  assert.equal(denied.status, 401)
+
+  const res = await fetch(
+    `http://localhost:${port}/api/rooms/atlas/export?format=wadm&token=reader-or-writer-secret`)
+  assert.equal(res.status, 200)
+  assert.match(res.headers.get('content-type'), /application\/ld\+json/)
+  const col = await res.json()
+  assert.equal(col.type, 'AnnotationCollection')
+  assert.equal(col.total, 1)
+  const [annotation] = col.first.items
+  assert.equal(annotation.creator.nickname, 'alice')
+  assert.deepEqual(annotation.target, { id: 'urn:troparcel:photo:c0ffee', type: 'Image' })
+
+  const exported = await cli(env, 'rooms', 'export', 'atlas', '--format', 'wadm', '--out', '-')
+  assert.equal(exported.code, 0, exported.stderr)
+  assert.equal(JSON.parse(exported.stdout).total, 1)
+})
@@ -10,6 +10,8 @@
  *   2. Bidirectional sync: peer A's writes appear on peer B
  *   3. Late-joiner catch-up: peer C joining after A+B converge sees current state
  *   4. Server persistence: kill+restart server, peer's state survives
+ *   5. Item subdocs (schema v5) sync over the room connection, are stored
+ *      per item and flatten back to v4 in exports
  *
  * Skip-if-no-server: this test is opt-in. Run with:
  *   node --test --test-force-exit test/integration/transport.test.js
@@ -89,8 +91,8 @@ function sleep(ms) {
   return new Promise(r => setTimeout(r, ms))
 }
 
-async function startServer({ port, dataDir }) {
-  const env = { ...process.env, PORT: String(port), PERSISTENCE_DIR: dataDir }
+async function startServer({ port, dataDir, env: extraEnv = {} }) {
+  const env = { ...process.env, PORT: String(port), PERSISTENCE_DIR: dataDir, ...extraEnv }
   const proc = spawn('node', [path.join(__dirname, '../../server/index.js')], {
     env,
     stdio: ['ignore', 'pipe', 'pipe']
@@ -125,11 +127,15 @@ async function startServer({ port, dataDir }) {
   return proc
 }
 
-function makePeer(port, room) {
+function makePeer(port, room, token) {
   const doc = new Y.Doc()
   const provider = new WebsocketProvider(`ws://localhost:${port}`, room, doc, {
     WebSocketPolyfill: WS,
-    connect: true
+    connect: true,
+    // Peers share this process — without this, y-websocket's in-process
+    // BroadcastChannel would sync them without going through the server
+    disableBc: true,
+    params: token ? { token } : {}
   })
   return { doc, provider }
 }
@@ -222,3 +228,204 @@ test('transport: late joiner gets historical state via server persistence', asyn
   assert.ok('https://example.com/template#one' in charliesView,
     'late-joining Charlie sees Alice\'s prior writes via server persistence')
 })
+
+test('transport: read-only token sees updates but cannot write', async (t) => {
+  const port = await freePort()
+  const dataDir = path.join('/tmp', `troparcel-test-ro-${port}`)
+  const room = `t-ro-${Date.now()}`
+  const writeToken = 'writer-token-0123456789'
+  const readToken = 'reader-token-0123456789'
+
+  const server = await startServer({
+    port,
+    dataDir,
+    env: { AUTH_TOKENS: `${room}:${writeToken}`, READ_TOKENS: `${room}:${readToken}` }
+  })
+  t.after(() => stopServer(server))
+
+  const alice = makePeer(port, room, writeToken)
+  const reviewer = makePeer(port, room, readToken)
+  t.after(async () => {
+    await Promise.all([destroyPeer(alice), destroyPeer(reviewer)])
+  })
+  await waitConnected(alice.provider)
+  await waitConnected(reviewer.provider)
+
+  alice.doc.getMap('notes').set('n1', 'from alice')
+  for (let i = 0; i < 40 && !reviewer.doc.getMap('notes').has('n1'); i++) await sleep(50)
+  assert.equal(reviewer.doc.getMap('notes').get('n1'), 'from alice', 'reader receives live updates')
+
+  reviewer.doc.getMap('notes').set('n2', 'from reviewer')
+  await sleep(500)
+  assert.equal(alice.doc.getMap('notes').has('n2'), false, 'reader update is dropped')
+
+  const res = await fetch(`http://localhost:${port}/api/rooms`)
+  const info = (await res.json()).rooms.find(r => r.name === room)
+  assert.equal(info.readers, 1)
+  assert.equal(info.writers, 1)
+  const reader = info.clients.find(c => c.access === 'read')
+  assert.ok(reader.blockedWrites >= 1, 'blocked write is reported')
+
+  const intruder = makePeer(port, room, 'wrong-token-0123456789')
+  t.after(() => destroyPeer(intruder))
+  const [event] = await once(intruder.provider, 'connection-close')
+  assert.equal(event.code, 4001)
+})
+
+// --- End-to-end encrypted rooms ---
+
+const { EncryptedWebSocketAdapter } = require('../../src/adapters/encrypted')
+
+const quietLogger = { info() {}, warn() {}, error() {}, debug() {} }
+
+function makeE2ePeer(port, room, extra = {}, logger = quietLogger) {
+  const doc = new Y.Doc()
+  const adapter = new EncryptedWebSocketAdapter(doc, {
+    serverUrl: `ws://localhost:${port}`,
+    room,
+    roomPassphrase: 'embargoed until 2030',
+    ...extra
+  }, logger)
+  return { doc, adapter }
+}
+
+async function waitFor(check, ms = 3000) {
+  for (let i = 0; i < ms / 50; i++) {
+    if (check()) return true
+    await sleep(50)
+  }
+  return check()
+}
+
+test('transport: e2e room relays ciphertext between peers', async (t) => {
+  const port = await freePort()
+  const dataDir = path.join('/tmp', `troparcel-test-e2e-${port}`)
+
+  const server = await startServer({ port, dataDir })
+  t.after(() => stopServer(server))
+
+  const room = `t-e2e-${Date.now()}`
+  const alice = makeE2ePeer(port, room)
+  const bob = makeE2ePeer(port, room)
+  t.after(async () => {
+    await Promise.all([alice.adapter.destroy(), bob.adapter.destroy()])
+  })
+  await alice.adapter.connect()
+  await bob.adapter.connect()
+
+  alice.doc.getMap('notes').set('n1', 'embargoed finding')
+  assert.ok(await waitFor(() => bob.doc.getMap('notes').get('n1') === 'embargoed finding'),
+    'Bob decrypts Alice\'s update')
+
+  alice.adapter.getAwareness().setLocalStateField('user', { userId: 'alice', name: 'Alice' })
+  assert.ok(await waitFor(() => bob.adapter.getPeerCount() === 1),
+    'awareness travels encrypted too')
+
+  // A plaintext y-websocket client is refused rather than allowed to
+  // write cleartext into the encrypted room
+  const plain = makePeer(port, room)
+  t.after(() => destroyPeer(plain))
+  const [event] = await once(plain.provider, 'connection-close')
+  assert.equal(event.code, 4004)
+})
+
+test('transport: e2e late joiner restores from client checkpoint', async (t) => {
+  const port = await freePort()
+  const dataDir = path.join('/tmp', `troparcel-test-e2e-cp-${port}`)
+
+  const server = await startServer({ port, dataDir })
+  t.after(() => stopServer(server))
+
+  const room = `t-e2e-cp-${Date.now()}`
+  const logged = []
+  const alice = makeE2ePeer(port, room, { e2eCheckpointThreshold: 3 },
+    { ...quietLogger, info: (msg) => logged.push(msg) })
+  await alice.adapter.connect()
+  for (let i = 0; i < 5; i++) {
+    alice.doc.getMap('notes').set(`n${i}`, `note ${i}`)
+    await sleep(50)
+  }
+  await sleep(300)
+  await alice.adapter.destroy()
+  assert.ok(logged.some(msg => msg.includes('uploaded checkpoint')))
+
+  const res = await fetch(`http://localhost:${port}/api/rooms`)
+  const info = (await res.json()).rooms.find(r => r.name === room)
+  assert.equal(info.encrypted, true)
+
+  const compact = await fetch(
+    `http://localhost:${port}/api/rooms/${room}/compact`, { method: 'POST' })
+  assert.equal(compact.status, 409, 'server refuses to compact ciphertext')
+
+  const carol = makeE2ePeer(port, room)
+  t.after(() => carol.adapter.destroy())
+  await carol.adapter.connect()
+  assert.equal(carol.doc.getMap('notes').size, 5)
+
+  // Wrong passphrase: the frames arrive but do not decrypt
+  const mallory = makeE2ePeer(port, room, { roomPassphrase: 'guess' })
+  t.after(() => mallory.adapter.destroy())
+  await mallory.adapter.connect()
+  assert.equal(mallory.doc.getMap('notes').size, 0)
+})
+
+// --- Item subdocs (schema v5) ---
+
+const { WebSocketAdapter } = require('../../src/adapters/websocket')
+
+test('transport: item subdocs sync on demand and persist per item', async (t) => {
+  const port = await freePort()
+  const dataDir = path.join('/tmp', `troparcel-test-subdocs-${port}`)
+
+  const server = await startServer({ port, dataDir })
+  t.after(() => stopServer(server))
+
+  const room = `t-subdocs-${Date.now()}`
+  const options = { serverUrl: `ws://localhost:${port}`, room }
+  const alice = { doc: new Y.Doc() }
+  alice.adapter = new WebSocketAdapter(alice.doc, options, quietLogger)
+  const bob = { doc: new Y.Doc() }
+  bob.adapter = new WebSocketAdapter(bob.doc, options, quietLogger)
+  t.after(async () => {
+    await Promise.all([alice.adapter.destroy(), bob.adapter.destroy()])
+  })
+
+  await alice.adapter.connect()
+  schema.setTag(alice.doc, 'item-a', { name: 'Letters' }, 'alice', 1)
+  schema.setTag(alice.doc, 'item-b', { name: 'Maps' }, 'alice', 1)
+  schema.setItemChecksums(alice.doc, 'item-a', ['c0ffee'])
+  schema.migrateToV5(alice.doc)
+  for (let identity of schema.getIdentities(alice.doc)) {
+    assert.ok(await alice.adapter.syncSubdoc(schema.getItemDoc(alice.doc, identity)))
+  }
+
+  await bob.adapter.connect()
+  assert.ok(await waitFor(() => schema.getIdentities(bob.doc).length === 2))
+  assert.equal(schema.getItemSnapshot(bob.doc, 'item-a'), null, 'items arrive unloaded')
+  assert.deepEqual(schema.getItemChecksums(bob.doc, 'item-a'), ['c0ffee'])
+
+  const itemDoc = schema.getItemDoc(bob.doc, 'item-a')
+  itemDoc.load()
+  assert.ok(await bob.adapter.syncSubdoc(itemDoc), 'server answers the subdoc sync')
+  assert.equal(schema.getItemSnapshot(bob.doc, 'item-a').tags.letters.name, 'Letters')
+
+  // Live edits flow both ways over the room connection
+  schema.setTag(bob.doc, 'item-a', { name: 'Reviewed' }, 'bob', 1)
+  assert.ok(await waitFor(() => {
+    let item = schema.getItemSnapshot(alice.doc, 'item-a')
+    return !!item.tags.reviewed
+  }), 'Alice sees Bob\'s edit of the item')
+
+  // Subdocs are stored next to the room but are not rooms themselves
+  const res = await fetch(`http://localhost:${port}/api/rooms`)
+  const names = (await res.json()).rooms.map(r => r.name)
+  assert.ok(names.includes(room))
+  assert.ok(!names.some(name => name.startsWith(`${room}/`)))
+
+  // Exports flatten the room back to the v4 layout
+  const exported = await (await fetch(
+    `http://localhost:${port}/api/rooms/${room}/export?format=json`)).json()
+  assert.equal(exported.room.schemaVersion, 4)
+  assert.equal(exported.annotations['item-b'].tags.maps.name, 'Maps')
+  assert.equal(exported.annotations['item-a'].checksums, 'c0ffee')
+})